@@ -0,0 +1,340 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TARGET = 'https://api.github.com';
+const DEFAULT_PREFIX = '/api/github';
+
+// Métodos usados pela aplicação (REST e POST /graphql)
+const ALLOWED_METHODS = ['GET', 'HEAD', 'POST'];
+
+// Métodos de leitura: os demais exigem Origin verificável
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Rotas REST consultadas pela aplicação; /user, /notifications e afins expõem a conta do token
+const READ_PATHS = ['/users', '/orgs', '/repos', '/search', '/rate_limit'];
+
+// Únicas rotas aceitas com POST: as demais escreveriam no GitHub com o token do servidor
+const POST_PATHS = ['/graphql'];
+
+// Limite do corpo das consultas GraphQL (o corpo é lido para recusar mutations)
+const MAX_GRAPHQL_BODY_BYTES = 100 * 1024;
+
+// Headers do navegador repassadas ao GitHub (Authorization do cliente é sempre descartada)
+const FORWARDED_REQUEST_HEADERS = [
+  'accept',
+  'content-type',
+  'content-length',
+  'if-none-match',
+  'if-modified-since',
+  'x-github-api-version'
+];
+
+// Headers do GitHub devolvidas ao navegador: validadores, paginação e rate limit
+const RELAYED_RESPONSE_HEADERS = [
+  'content-type',
+  'etag',
+  'last-modified',
+  'link',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset',
+  'x-ratelimit-used',
+  'x-ratelimit-resource',
+  'x-github-request-id'
+];
+
+/**
+ * Cria o middleware do proxy da API do GitHub
+ * O token fica apenas no servidor: é injetado em cada requisição encaminhada,
+ * sem ser incluído no bundle do navegador
+ * Compatível com http.createServer e com o webpack-dev-server (Express)
+ * Requisições de outras origens são recusadas, para que páginas de terceiros abertas no
+ * navegador não usem o token (um POST text/plain não passa por preflight de CORS)
+ * Apenas leituras são encaminhadas: rotas REST públicas e consultas GraphQL sem mutations
+ * @param {Object} options
+ * @param {string} options.token - Token do GitHub (padrão: GITHUB_TOKEN)
+ * @param {string} options.target - URL da API (padrão: https://api.github.com)
+ * @param {string} options.prefix - Prefixo das rotas encaminhadas (padrão: /api/github)
+ * @param {string} options.allowedOrigin - Origem liberada via CORS quando o proxy roda em outra porta
+ *   (sem ela, apenas a própria origem do proxy é aceita)
+ * @param {number} options.timeout - Timeout da chamada ao GitHub em ms
+ * @param {Object} options.logger - Logger
+ * @returns {Function} Middleware (req, res, next)
+ */
+function createGitHubProxy(options = {}) {
+  const {
+    token = process.env.GITHUB_TOKEN,
+    target = DEFAULT_TARGET,
+    prefix = DEFAULT_PREFIX,
+    allowedOrigin = null,
+    timeout = 15000,
+    logger = console
+  } = options;
+
+  const targetURL = new URL(target);
+  const transport = targetURL.protocol === 'http:' ? http : https;
+  const basePath = targetURL.pathname.replace(/\/+$/, '');
+
+  if (!token) {
+    logger.warn('[GitHubProxy] GITHUB_TOKEN not set, forwarding requests without authentication');
+  }
+
+  return function githubProxy(req, res, next) {
+    // O Express remove o caminho de montagem de req.url; originalUrl preserva o prefixo
+    const url = req.originalUrl || req.url;
+
+    if (url !== prefix && !url.startsWith(`${prefix}/`) && !url.startsWith(`${prefix}?`)) {
+      return next ? next() : sendError(res, 404, 'Not Found');
+    }
+
+    if (!isOriginAllowed(req, allowedOrigin)) {
+      logger.warn(`[GitHubProxy] Rejected ${req.method} from origin ${req.headers.origin}`);
+      return sendError(res, 403, 'Origin not allowed');
+    }
+
+    if (allowedOrigin) {
+      setCorsHeaders(res, allowedOrigin);
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return undefined;
+    }
+
+    if (!ALLOWED_METHODS.includes(req.method)) {
+      return sendError(res, 405, `Method ${req.method} not allowed`);
+    }
+
+    // Resolve segmentos "." e ".." antes de conferir a rota (ex: /users/../user)
+    const { pathname, search } = new URL(url.slice(prefix.length) || '/', 'http://proxy');
+    const path = `${pathname}${search}`;
+
+    if (req.method === 'POST' && !POST_PATHS.includes(pathname)) {
+      return sendError(res, 405, `Method POST not allowed for ${pathname}`);
+    }
+
+    if (req.method !== 'POST' && !isReadPath(pathname)) {
+      return sendError(res, 404, `Path ${pathname} not available through the proxy`);
+    }
+
+    if (req.method === 'POST') {
+      readGraphQLBody(req, (error, body) => {
+        if (error) {
+          return sendError(res, error.status, error.message);
+        }
+
+        const operations = parseGraphQLOperations(body);
+        if (!operations) {
+          return sendError(res, 400, 'Invalid GraphQL request body');
+        }
+
+        if (operations.some(isWriteOperation)) {
+          logger.warn(`[GitHubProxy] Rejected GraphQL mutation from origin ${req.headers.origin}`);
+          return sendError(res, 403, 'GraphQL mutations are not allowed');
+        }
+
+        forward(req, res, path, body);
+        return undefined;
+      });
+      return undefined;
+    }
+
+    forward(req, res, path, null);
+    return undefined;
+  };
+
+  /**
+   * Encaminha a requisição ao GitHub com o token do servidor
+   */
+  function forward(req, res, path, body) {
+    const headers = {
+      'User-Agent': 'GitHub-Explorer-Proxy/1.0.0',
+      ...pickHeaders(req.headers, FORWARDED_REQUEST_HEADERS),
+      ...(body && { 'content-length': Buffer.byteLength(body) }),
+      ...(token && { Authorization: `token ${token}` })
+    };
+
+    const upstream = transport.request({
+      protocol: targetURL.protocol,
+      hostname: targetURL.hostname,
+      port: targetURL.port || undefined,
+      path: `${basePath}${path}`,
+      method: req.method,
+      headers,
+      timeout
+    }, (upstreamResponse) => {
+      logger.info(`[GitHubProxy] ${req.method} ${path} -> ${upstreamResponse.statusCode} (remaining: ${upstreamResponse.headers['x-ratelimit-remaining'] ?? '-'})`);
+
+      res.writeHead(
+        upstreamResponse.statusCode,
+        pickHeaders(upstreamResponse.headers, RELAYED_RESPONSE_HEADERS)
+      );
+      upstreamResponse.pipe(res);
+    });
+
+    upstream.on('timeout', () => {
+      upstream.destroy(new Error(`Upstream timeout after ${timeout}ms`));
+    });
+
+    upstream.on('error', (error) => {
+      logger.error(`[GitHubProxy] ${req.method} ${path} failed: ${error.message}`);
+
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+
+      sendError(res, /timeout/i.test(error.message) ? 504 : 502, `Bad gateway: ${error.message}`);
+    });
+
+    upstream.end(body || undefined);
+  }
+}
+
+/**
+ * Cria um servidor HTTP standalone com o proxy
+ */
+function createGitHubProxyServer(options = {}) {
+  const proxy = createGitHubProxy(options);
+  return http.createServer((req, res) => proxy(req, res));
+}
+
+/**
+ * Verifica se o caminho é uma das rotas REST liberadas (ou está abaixo dela)
+ */
+function isReadPath(pathname) {
+  return READ_PATHS.some(base => pathname === base || pathname.startsWith(`${base}/`));
+}
+
+/**
+ * Lê o corpo de uma consulta GraphQL, recusando corpos grandes demais
+ * @param {Function} callback - Recebe (erro com status, corpo em texto)
+ */
+function readGraphQLBody(req, callback) {
+  const chunks = [];
+  let size = 0;
+  let done = false;
+
+  const finish = (error, body) => {
+    if (done) return;
+    done = true;
+    callback(error, body);
+  };
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_GRAPHQL_BODY_BYTES) {
+      finish({ status: 413, message: 'GraphQL request body too large' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => finish(null, Buffer.concat(chunks).toString('utf8')));
+  req.on('error', error => finish({ status: 400, message: `Invalid request body: ${error.message}` }));
+}
+
+/**
+ * Interpreta o corpo GraphQL ({ query } ou um lote de consultas)
+ * @returns {Array<Object>|null} Operações, ou null se o corpo for inválido
+ */
+function parseGraphQLOperations(body) {
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+
+  const operations = Array.isArray(payload) ? payload : [payload];
+  const isValid = operations.length > 0 &&
+    operations.every(operation => operation && typeof operation.query === 'string');
+
+  return isValid ? operations : null;
+}
+
+/**
+ * Verifica se o documento define alguma operação mutation ou subscription
+ */
+function isWriteOperation({ query }) {
+  // Remove strings e comentários; as definições começam no início do
+  // documento ou logo após o fechamento da definição anterior
+  const document = query
+    .replace(/"""[\s\S]*?"""/g, '""')
+    .replace(/"(?:[^"\\]|\\.)*"/g, '""')
+    .replace(/#[^\n\r]*/g, '');
+
+  return /(^|\})\s*(mutation|subscription)\b/.test(document);
+}
+
+/**
+ * Copia apenas as headers permitidas
+ */
+function pickHeaders(source, allowed) {
+  return allowed.reduce((headers, name) => {
+    if (source[name] !== undefined) {
+      headers[name] = source[name];
+    }
+    return headers;
+  }, {});
+}
+
+/**
+ * Verifica a header Origin: deve ser a origem configurada ou, sem ela, a do próprio proxy
+ * Sem Origin, apenas leituras são aceitas (GET da mesma origem, ferramentas de linha de
+ * comando) ou requisições marcadas pelo navegador com Sec-Fetch-Site: same-origin
+ */
+function isOriginAllowed(req, allowedOrigin) {
+  const { origin } = req.headers;
+  if (!origin) {
+    return SAFE_METHODS.includes(req.method) || req.headers['sec-fetch-site'] === 'same-origin';
+  }
+
+  if (allowedOrigin) {
+    return origin === allowedOrigin;
+  }
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Libera a origem da aplicação e expõe ao navegador as headers de rate limit e paginação
+ */
+function setCorsHeaders(res, allowedOrigin) {
+  res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS.join(', '));
+  res.setHeader('Access-Control-Allow-Headers', 'Accept, Content-Type, If-None-Match, If-Modified-Since, X-GitHub-Api-Version');
+  res.setHeader('Access-Control-Expose-Headers', RELAYED_RESPONSE_HEADERS.join(', '));
+  res.setHeader('Vary', 'Origin');
+}
+
+/**
+ * Responde com erro no formato da API do GitHub ({ message })
+ */
+function sendError(res, status, message) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify({ message }));
+  return undefined;
+}
+
+// Execução standalone: node server/githubProxy.js
+if (require.main === module) {
+  const port = parseInt(process.env.PROXY_PORT, 10) || 3001;
+  const allowedOrigin = process.env.PROXY_ALLOWED_ORIGIN || 'http://localhost:3000';
+
+  createGitHubProxyServer({ allowedOrigin }).listen(port, () => {
+    console.log(`[GitHubProxy] Listening on http://localhost:${port}${DEFAULT_PREFIX} (origin: ${allowedOrigin})`);
+  });
+}
+
+module.exports = {
+  createGitHubProxy,
+  createGitHubProxyServer,
+  DEFAULT_PREFIX
+};
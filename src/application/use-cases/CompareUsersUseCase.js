@@ -0,0 +1,206 @@
+import { UserNotFoundError, ValidationError, NetworkError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * CompareUsersUseCase - Caso de uso para comparar de 2 a 4 usuários lado a lado
+ * Reaproveita GetUserUseCase e GetUserRepositoriesUseCase e normaliza as métricas entre os usuários
+ */
+export class CompareUsersUseCase {
+  constructor(getUserUseCase, getUserRepositoriesUseCase, logger = console) {
+    this.getUserUseCase = getUserUseCase;
+    this.getUserRepositoriesUseCase = getUserRepositoriesUseCase;
+    this.logger = logger;
+
+    this.minUsers = 2;
+    this.maxUsers = 4;
+
+    // Opções de busca de repositórios usadas na comparação
+    this.repositoriesOptions = {
+      useCache: true,
+      includeAnalytics: true,
+      fetchAll: true,
+      perPage: 100,
+      maxPages: 10
+    };
+  }
+
+  /**
+   * Executa a comparação
+   * @param {string[]} usernames - Usernames a comparar (2 a 4)
+   * @param {Object} options - Opções de configuração
+   * @param {boolean} options.useCache - Se deve usar cache (padrão: true)
+   * @returns {Promise<Object>} Perfis, métricas normalizadas e sobreposição de linguagens
+   */
+  async execute(usernames, options = {}) {
+    const { useCache = true } = options;
+
+    try {
+      // 1. Validação e normalização
+      const normalizedUsernames = this.normalizeUsernames(usernames);
+      this.validateInput(normalizedUsernames);
+
+      this.logger.info(`[CompareUsersUseCase] Comparing users: ${normalizedUsernames.join(', ')}`);
+
+      // 2. Busca paralela de perfis e repositórios
+      const profiles = await Promise.all(
+        normalizedUsernames.map(username => this.loadProfile(username, useCache))
+      );
+
+      // 3. Métricas normalizadas
+      const metrics = this.buildMetrics(profiles);
+
+      // 4. Sobreposição de linguagens
+      const languageOverlap = this.analyzeLanguageOverlap(profiles);
+
+      this.logger.info(`[CompareUsersUseCase] Comparison ready for ${profiles.length} users`);
+
+      return {
+        users: profiles,
+        metrics,
+        languageOverlap,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('[CompareUsersUseCase] Error comparing users:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Normaliza e remove duplicados
+   */
+  normalizeUsernames(usernames) {
+    if (!Array.isArray(usernames)) return [];
+
+    const normalized = usernames
+      .filter(username => typeof username === 'string')
+      .map(username => username.trim().toLowerCase())
+      .filter(Boolean);
+
+    return Array.from(new Set(normalized));
+  }
+
+  /**
+   * Valida a quantidade de usuários
+   */
+  validateInput(usernames) {
+    if (usernames.length < this.minUsers || usernames.length > this.maxUsers) {
+      throw new ValidationError(
+        'usernames',
+        usernames.join(','),
+        `Comparison requires between ${this.minUsers} and ${this.maxUsers} distinct usernames`
+      );
+    }
+  }
+
+  /**
+   * Carrega perfil e repositórios de um usuário
+   */
+  async loadProfile(username, useCache) {
+    const [userResult, repositoriesResult] = await Promise.all([
+      this.getUserUseCase.execute(username, { useCache }),
+      this.getUserRepositoriesUseCase.execute(username, { ...this.repositoriesOptions, useCache })
+    ]);
+
+    const repositories = repositoriesResult.repositories || [];
+    const useCaseHelpers = this.getUserRepositoriesUseCase;
+
+    return {
+      login: userResult.user.login,
+      user: userResult.user,
+      statistics: repositoriesResult.statistics,
+      languages: repositories.length > 0 ? useCaseHelpers.analyzeLanguages(repositories) : null,
+      languageSet: Array.from(new Set(repositories.map(repo => repo.language).filter(Boolean))),
+      momentum: useCaseHelpers.calculateMomentum(repositories),
+      fromCache: userResult.fromCache && repositoriesResult.fromCache
+    };
+  }
+
+  /**
+   * Monta as métricas comparadas, normalizadas de 0 a 100 pelo maior valor
+   */
+  buildMetrics(profiles) {
+    const definitions = [
+      { key: 'followers', label: 'Seguidores', getValue: profile => profile.user.followers },
+      { key: 'engagementScore', label: 'Engajamento', getValue: profile => profile.user.engagementScore },
+      { key: 'repositories', label: 'Repositórios', getValue: profile => profile.statistics?.total || 0 },
+      { key: 'totalStars', label: 'Estrelas', getValue: profile => profile.statistics?.totalStars || 0 },
+      { key: 'totalForks', label: 'Forks', getValue: profile => profile.statistics?.totalForks || 0 },
+      { key: 'languageCount', label: 'Linguagens', getValue: profile => profile.languages?.total || 0 },
+      { key: 'momentum', label: 'Momentum', getValue: profile => profile.momentum }
+    ];
+
+    return definitions.map(({ key, label, getValue }) => {
+      const values = {};
+      profiles.forEach(profile => {
+        values[profile.login] = getValue(profile);
+      });
+
+      const max = Math.max(...Object.values(values));
+      const normalized = {};
+      Object.entries(values).forEach(([login, value]) => {
+        normalized[login] = max > 0 ? Math.round((value / max) * 100) : 0;
+      });
+
+      // Empates não têm líder
+      const leaders = Object.keys(values).filter(login => values[login] === max);
+      const leader = max > 0 && leaders.length === 1 ? leaders[0] : null;
+
+      return { key, label, values, normalized, leader };
+    });
+  }
+
+  /**
+   * Analisa linguagens compartilhadas, exclusivas e similaridade entre pares (Jaccard)
+   */
+  analyzeLanguageOverlap(profiles) {
+    const languageSets = profiles.map(profile => ({
+      login: profile.login,
+      languages: new Set(profile.languageSet)
+    }));
+
+    const [first, ...rest] = languageSets;
+    const shared = Array.from(first.languages)
+      .filter(language => rest.every(entry => entry.languages.has(language)))
+      .sort();
+
+    const unique = {};
+    languageSets.forEach(entry => {
+      unique[entry.login] = Array.from(entry.languages)
+        .filter(language => languageSets.every(other => other === entry || !other.languages.has(language)))
+        .sort();
+    });
+
+    const similarity = [];
+    for (let i = 0; i < languageSets.length; i++) {
+      for (let j = i + 1; j < languageSets.length; j++) {
+        const a = languageSets[i];
+        const b = languageSets[j];
+        const intersection = Array.from(a.languages).filter(language => b.languages.has(language)).length;
+        const union = new Set([...a.languages, ...b.languages]).size;
+
+        similarity.push({
+          users: [a.login, b.login],
+          score: union > 0 ? Math.round((intersection / union) * 100) : 0
+        });
+      }
+    }
+
+    return { shared, unique, similarity };
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error) {
+    if (error instanceof UserNotFoundError || error instanceof ValidationError || isPassthroughDomainError(error)) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(`Failed to compare users: ${error.message}`, error);
+    }
+
+    return new NetworkError(`Unexpected error while comparing users: ${error.message}`, error);
+  }
+}
@@ -0,0 +1,311 @@
+import { UserNotFoundError, ValidationError, NetworkError, CancelledError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { EVENT_CATEGORIES } from '../../domain/entities/Event.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * GetContributionHeatmapUseCase - Caso de uso para o calendário de contribuições (heatmap anual)
+ * Usa o calendário de contribuições do provedor quando disponível (GraphQL com token) e,
+ * caso contrário, os eventos públicos recentes; calcula sequências, dia da semana e hora mais ativos
+ */
+export class GetContributionHeatmapUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+
+    // Configurações padrão
+    this.defaultOptions = {
+      weeks: 53,
+      eventPages: 3
+    };
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {string} username - Nome de usuário
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.weeks - Semanas exibidas até a semana atual (padrão: 53)
+   * @param {Date} options.now - Data de referência (padrão: agora)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<Object>} Semanas do heatmap, sequências e distribuições por dia da semana e hora
+   */
+  async execute(username, options = {}) {
+    const config = { ...this.defaultOptions, now: new Date(), ...options };
+
+    try {
+      // 1. Validação de entrada
+      this.validateInput(username);
+
+      const normalizedUsername = username.trim().toLowerCase();
+      this.logger.info(`[GetContributionHeatmapUseCase] Building heatmap for: ${normalizedUsername}`);
+
+      // 2. Busca paralela: calendário (opcional) e eventos (horários e fallback)
+      const [calendarResult, eventsResult] = await Promise.allSettled([
+        this.userRepository.findContributionCalendar(normalizedUsername, { signal: config.signal }),
+        this.userRepository.findUserEvents(normalizedUsername, { maxPages: config.eventPages, signal: config.signal })
+      ]);
+
+      const calendar = this.getFulfilledValue(calendarResult, 'calendar');
+      const events = this.getFulfilledValue(eventsResult, 'events');
+
+      if (!calendar && !events) {
+        throw eventsResult.reason || calendarResult.reason;
+      }
+
+      // 3. Contribuições por dia
+      const source = calendar ? 'calendar' : 'events';
+      const dailyCounts = calendar
+        ? new Map(calendar.map(day => [day.date, day.count]))
+        : this.countEventsByDay(events);
+
+      // 4. Agregações
+      const weeks = this.buildWeeks(dailyCounts, config.weeks, config.now);
+      const days = weeks.flat().filter(day => !day.isFuture);
+      const hourTotals = events ? this.countEventsByHour(events) : null;
+      const weekdayTotals = this.countByWeekday(days);
+
+      return {
+        source,
+        weeks,
+        totalContributions: days.reduce((sum, day) => sum + day.count, 0),
+        activeDays: days.filter(day => day.count > 0).length,
+        maxCount: Math.max(0, ...days.map(day => day.count)),
+        streaks: this.calculateStreaks(days),
+        weekdayTotals,
+        busiestWeekday: this.indexOfMax(weekdayTotals),
+        hourTotals,
+        busiestHour: hourTotals ? this.indexOfMax(hourTotals) : null,
+        coverageStart: this.getCoverageStart(source, calendar, events),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        this.logger.debug(`[GetContributionHeatmapUseCase] Request cancelled for user ${username}`);
+        throw error;
+      }
+
+      this.logger.error(`[GetContributionHeatmapUseCase] Error building heatmap for ${username}:`, error);
+      throw this.handleError(error, username);
+    }
+  }
+
+  /**
+   * Valida os dados de entrada
+   * @throws {ValidationError} Se a validação falhar
+   */
+  validateInput(username) {
+    if (!username || typeof username !== 'string' || username.trim().length === 0) {
+      throw new ValidationError('username', username, 'Username is required and must be a string');
+    }
+
+    if (!this.userRepository.getUsernamePattern().test(username.trim())) {
+      throw new ValidationError('username', username, 'Username has an invalid format for this provider');
+    }
+  }
+
+  /**
+   * Valor de uma busca paralela; falhas parciais são registradas e ignoradas,
+   * exceto cancelamento e usuário inexistente
+   */
+  getFulfilledValue(result, resource) {
+    if (result.status === 'fulfilled') {
+      return result.value;
+    }
+
+    if (result.reason instanceof CancelledError || result.reason instanceof UserNotFoundError) {
+      throw result.reason;
+    }
+
+    this.logger.warn(`[GetContributionHeatmapUseCase] Partial failure (${resource}): ${result.reason.message}`);
+    return null;
+  }
+
+  /**
+   * Contribuições representadas por um evento: commits de pushes, abertura
+   * de pull requests e issues e reviews (como no calendário do GitHub)
+   */
+  getContributionCount(event) {
+    switch (event.category) {
+      case EVENT_CATEGORIES.PUSH:
+        return event.commitCount;
+      case EVENT_CATEGORIES.PULL_REQUEST:
+      case EVENT_CATEGORIES.ISSUE:
+        return event.action === 'opened' ? 1 : 0;
+      case EVENT_CATEGORIES.REVIEW:
+        return 1;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Soma as contribuições dos eventos por dia (fuso local)
+   */
+  countEventsByDay(events) {
+    const counts = new Map();
+
+    events.forEach(event => {
+      const count = this.getContributionCount(event);
+      if (count > 0 && event.dayKey) {
+        counts.set(event.dayKey, (counts.get(event.dayKey) || 0) + count);
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Soma as contribuições dos eventos por hora do dia (fuso local)
+   */
+  countEventsByHour(events) {
+    const totals = new Array(24).fill(0);
+
+    events.forEach(event => {
+      if (event.createdAt) {
+        totals[event.createdAt.getHours()] += this.getContributionCount(event);
+      }
+    });
+
+    return totals;
+  }
+
+  /**
+   * Monta as semanas (domingo a sábado) que terminam na semana atual
+   * Cada dia recebe um nível de 0 a 4 proporcional ao maior valor do período
+   */
+  buildWeeks(dailyCounts, weekCount, now) {
+    const today = this.startOfDay(now);
+    const firstDay = new Date(today);
+    firstDay.setDate(today.getDate() - today.getDay() - (weekCount - 1) * 7);
+
+    const weeks = [];
+    for (let week = 0; week < weekCount; week++) {
+      const days = [];
+      for (let weekday = 0; weekday < 7; weekday++) {
+        const date = new Date(firstDay);
+        date.setDate(firstDay.getDate() + week * 7 + weekday);
+
+        const key = this.toDayKey(date);
+        days.push({
+          date: key,
+          weekday,
+          count: dailyCounts.get(key) || 0,
+          isFuture: date > today
+        });
+      }
+      weeks.push(days);
+    }
+
+    const maxCount = Math.max(0, ...weeks.flat().map(day => day.count));
+    weeks.flat().forEach(day => {
+      day.level = day.count > 0 && maxCount > 0 ? Math.ceil((day.count / maxCount) * 4) : 0;
+    });
+
+    return weeks;
+  }
+
+  /**
+   * Sequência atual (termina hoje ou ontem) e a mais longa do período
+   */
+  calculateStreaks(days) {
+    let longest = { length: 0, start: null, end: null };
+    let run = { length: 0, start: null, end: null };
+
+    days.forEach(day => {
+      if (day.count > 0) {
+        run = {
+          length: run.length + 1,
+          start: run.length === 0 ? day.date : run.start,
+          end: day.date
+        };
+        if (run.length > longest.length) {
+          longest = run;
+        }
+      } else {
+        run = { length: 0, start: null, end: null };
+      }
+    });
+
+    // Hoje ainda sem contribuições não interrompe a sequência
+    let current = 0;
+    const lastIndex = days.length - 1;
+    const startIndex = days[lastIndex]?.count > 0 ? lastIndex : lastIndex - 1;
+    for (let index = startIndex; index >= 0 && days[index].count > 0; index--) {
+      current++;
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Soma por dia da semana (0 = domingo)
+   */
+  countByWeekday(days) {
+    const totals = new Array(7).fill(0);
+    days.forEach(day => {
+      totals[day.weekday] += day.count;
+    });
+    return totals;
+  }
+
+  /**
+   * Índice do maior total, ou null quando não há contribuições
+   */
+  indexOfMax(totals) {
+    const max = Math.max(...totals);
+    return max > 0 ? totals.indexOf(max) : null;
+  }
+
+  /**
+   * Início do período coberto pelos dados: eventos públicos cobrem apenas os últimos 90 dias
+   */
+  getCoverageStart(source, calendar, events) {
+    if (source === 'calendar') {
+      return calendar[0]?.date || null;
+    }
+
+    const oldest = events.reduce((min, event) =>
+      event.createdAt && (!min || event.createdAt < min) ? event.createdAt : min, null);
+
+    return oldest ? this.toDayKey(oldest) : this.toDayKey(new Date(Date.now() - 90 * DAY_IN_MS));
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Data local no formato YYYY-MM-DD (mesmo formato de Event.dayKey)
+   */
+  toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error, username) {
+    if (
+      error instanceof UserNotFoundError ||
+      error instanceof ValidationError ||
+      isPassthroughDomainError(error)
+    ) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(
+        `Failed to build contribution heatmap for user '${username}': ${error.message}`,
+        error
+      );
+    }
+
+    return new NetworkError(
+      `Unexpected error while building contribution heatmap for user '${username}': ${error.message}`,
+      error
+    );
+  }
+}
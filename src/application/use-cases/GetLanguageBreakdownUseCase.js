@@ -0,0 +1,260 @@
+import { ValidationError, NetworkError, RateLimitError, CancelledError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * GetLanguageBreakdownUseCase - Caso de uso para a distribuição de linguagens em bytes
+ * Busca as linguagens de cada repositório (com limite de concorrência e cache) e soma os bytes
+ * por linguagem, comparando com a participação por repositório (linguagem principal)
+ */
+export class GetLanguageBreakdownUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+
+    // Configurações padrão
+    this.defaultOptions = {
+      excludeForks: false,
+      concurrency: 4,
+      useCache: true,
+      limit: 10
+    };
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {Repository[]} repositories - Repositórios já carregados do usuário
+   * @param {Object} options - Opções de configuração
+   * @param {boolean} options.excludeForks - Ignora forks na análise (padrão: false)
+   * @param {number} options.concurrency - Buscas de linguagens simultâneas (padrão: 4)
+   * @param {boolean} options.useCache - Se deve usar o cache de linguagens (padrão: true)
+   * @param {number} options.limit - Quantidade de linguagens na distribuição (padrão: 10)
+   * @param {AbortSignal} options.signal - Sinal para cancelar as requisições (opcional)
+   * @returns {Promise<Object>} Distribuição por bytes e por repositórios, e cobertura da análise
+   */
+  async execute(repositories, options = {}) {
+    const config = { ...this.defaultOptions, ...options };
+
+    try {
+      // 1. Validação de entrada
+      this.validateInput(repositories, config);
+
+      // 2. Seleção dos repositórios analisados
+      const selected = config.excludeForks
+        ? repositories.filter(repository => !repository.isFork)
+        : repositories;
+
+      this.logger.info(`[GetLanguageBreakdownUseCase] Analyzing languages of ${selected.length} repositories`);
+
+      // 3. Busca das linguagens com concorrência limitada
+      const results = await this.mapWithConcurrency(
+        selected,
+        config.concurrency,
+        repository => this.getRepositoryLanguages(repository, config)
+      );
+
+      const analyzed = results.filter(result => result.languages);
+      const failed = results.filter(result => result.error);
+
+      if (failed.length > 0 && analyzed.length === 0) {
+        throw failed[0].error;
+      }
+
+      // 4. Agregação
+      this.logger.info(`[GetLanguageBreakdownUseCase] ${analyzed.length} analyzed, ${failed.length} failed`);
+
+      return {
+        languages: this.aggregate(selected, analyzed, config.limit),
+        excludeForks: config.excludeForks,
+        analyzedRepositories: analyzed.length,
+        failedRepositories: failed.map(result => result.repository.fullName),
+        skippedForks: repositories.length - selected.length,
+        cachedRepositories: analyzed.filter(result => result.fromCache).length,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        this.logger.debug('[GetLanguageBreakdownUseCase] Request cancelled');
+        throw error;
+      }
+
+      this.logger.error('[GetLanguageBreakdownUseCase] Error analyzing languages:', error);
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Valida os dados de entrada
+   * @throws {ValidationError} Se a validação falhar
+   */
+  validateInput(repositories, options) {
+    if (!Array.isArray(repositories)) {
+      throw new ValidationError('repositories', repositories, 'Repositories must be an array');
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      throw new ValidationError('concurrency', options.concurrency, 'Concurrency must be a positive integer');
+    }
+  }
+
+  /**
+   * Executa o mapeamento com no máximo `limit` chamadas simultâneas, preservando a ordem
+   * Um erro interrompe a distribuição de novos itens e rejeita o resultado
+   */
+  async mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (!stopped && nextIndex < items.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = await mapper(items[index]);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+
+    return results;
+  }
+
+  /**
+   * Linguagens de um repositório: dados já presentes na entidade (GraphQL), cache ou API
+   * Falhas isoladas são registradas e o repositório fica fora da soma; cancelamento e
+   * rate limit interrompem a análise inteira
+   */
+  async getRepositoryLanguages(repository, config) {
+    if (repository.languages) {
+      return { repository, languages: repository.languages, fromCache: false };
+    }
+
+    if (config.useCache) {
+      const cached = await this.getCachedLanguages(repository);
+      if (cached) {
+        return { repository, languages: cached, fromCache: true };
+      }
+    }
+
+    try {
+      const { owner, repo } = this.splitFullName(repository.fullName);
+      const languages = await this.userRepository.findRepositoryLanguages(owner, repo, {
+        priority: 'background',
+        signal: config.signal
+      });
+
+      if (config.useCache) {
+        await this.cacheLanguages(repository, languages);
+      }
+
+      return { repository, languages, fromCache: false };
+
+    } catch (error) {
+      if (error instanceof CancelledError || error instanceof RateLimitError) {
+        throw error;
+      }
+
+      this.logger.warn(`[GetLanguageBreakdownUseCase] Languages unavailable for ${repository.fullName}: ${error.message}`);
+      return { repository, error };
+    }
+  }
+
+  /**
+   * Busca linguagens no cache
+   */
+  async getCachedLanguages(repository) {
+    try {
+      return await this.userRepository.getCachedRepositoryLanguages(repository.fullName, repository.pushedAt);
+    } catch (error) {
+      this.logger.warn(`[GetLanguageBreakdownUseCase] Cache read error for ${repository.fullName}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva linguagens no cache
+   */
+  async cacheLanguages(repository, languages) {
+    try {
+      await this.userRepository.cacheRepositoryLanguages(repository.fullName, repository.pushedAt, languages);
+    } catch (error) {
+      this.logger.warn(`[GetLanguageBreakdownUseCase] Cache write error for ${repository.fullName}:`, error);
+    }
+  }
+
+  /**
+   * Separa owner/repo (o owner pode conter subgrupos no GitLab)
+   */
+  splitFullName(fullName) {
+    const separator = fullName.lastIndexOf('/');
+    return { owner: fullName.slice(0, separator), repo: fullName.slice(separator + 1) };
+  }
+
+  /**
+   * Soma os bytes por linguagem e calcula as participações
+   * byteShare: fração do código total; repoShare: fração dos repositórios em que é a linguagem principal
+   */
+  aggregate(repositories, analyzed, limit) {
+    const stats = {};
+    const getEntry = (language) => {
+      if (!stats[language]) {
+        stats[language] = { language, bytes: 0, primaryRepositories: 0, presentIn: 0 };
+      }
+      return stats[language];
+    };
+
+    analyzed.forEach(({ languages }) => {
+      Object.entries(languages).forEach(([language, bytes]) => {
+        const entry = getEntry(language);
+        entry.bytes += bytes;
+        entry.presentIn++;
+      });
+    });
+
+    repositories.forEach(repository => {
+      if (repository.language) {
+        getEntry(repository.language).primaryRepositories++;
+      }
+    });
+
+    const totalBytes = Object.values(stats).reduce((sum, entry) => sum + entry.bytes, 0);
+    const toPercentage = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+
+    const distribution = Object.values(stats)
+      .map(entry => ({
+        ...entry,
+        byteShare: toPercentage(entry.bytes, totalBytes),
+        repoShare: toPercentage(entry.primaryRepositories, repositories.length)
+      }))
+      .sort((a, b) => b.bytes - a.bytes || b.primaryRepositories - a.primaryRepositories);
+
+    return {
+      total: distribution.length,
+      totalBytes,
+      mostUsed: distribution[0]?.bytes > 0 ? distribution[0].language : null,
+      distribution: distribution.slice(0, limit)
+    };
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error) {
+    if (
+      error instanceof ValidationError ||
+      isPassthroughDomainError(error)
+    ) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(`Failed to analyze repository languages: ${error.message}`, error);
+    }
+
+    return new NetworkError(`Unexpected error while analyzing repository languages: ${error.message}`, error);
+  }
+}
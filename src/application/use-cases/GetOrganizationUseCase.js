@@ -0,0 +1,228 @@
+import { OrganizationNotFoundError, ValidationError, NetworkError, CancelledError, ServiceUnavailableError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * GetOrganizationUseCase - Caso de uso para buscar informações de uma organização do GitHub
+ * Contém a lógica de negócio para validação, cache e busca de organizações e seus membros
+ */
+export class GetOrganizationUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+  }
+
+  /**
+   * Executa o caso de uso para buscar uma organização
+   * @param {string} login - Login da organização no GitHub
+   * @param {Object} options - Opções de configuração
+   * @param {boolean} options.useCache - Se deve usar cache (padrão: true)
+   * @param {boolean} options.forceRefresh - Força atualização ignorando cache (padrão: false)
+   * @param {boolean} options.includeMembers - Se deve buscar os membros públicos (padrão: true)
+   * @param {number} options.membersLimit - Quantidade máxima de membros (padrão: 30)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<{organization: Organization, members: User[], fromCache: boolean, stale: boolean}>} Organização encontrada e origem
+   *   (stale: cópia expirada do cache, servida com a API indisponível)
+   */
+  async execute(login, options = {}) {
+    const {
+      useCache = true,
+      forceRefresh = false,
+      includeMembers = true,
+      membersLimit = 30,
+      signal = null
+    } = options;
+
+    try {
+      // 1. Validação de entrada
+      this.validateInput(login);
+
+      // 2. Normalização do login
+      const normalizedLogin = this.normalizeLogin(login);
+
+      // 3. Log da operação
+      this.logger.info(`[GetOrganizationUseCase] Searching for organization: ${normalizedLogin}`);
+
+      // 4. Organização (cache ou fonte externa)
+      let organization = null;
+      let fromCache = false;
+      let stale = false;
+
+      if (useCache && !forceRefresh) {
+        organization = await this.getCachedOrganization(normalizedLogin);
+        fromCache = organization !== null;
+      }
+
+      if (!organization) {
+        try {
+          organization = await this.userRepository.findOrganization(normalizedLogin, { signal });
+        } catch (error) {
+          // API indisponível (circuito aberto): usa a última versão do cache, mesmo expirada
+          organization = useCache ? await this.getStaleCachedOrganization(normalizedLogin, error) : null;
+          if (!organization) throw error;
+
+          fromCache = true;
+          stale = true;
+        }
+
+        if (useCache && !stale) {
+          await this.cacheOrganization(normalizedLogin, organization);
+        }
+      }
+
+      // 5. Membros públicos (falha não impede exibição da organização)
+      const members = includeMembers
+        ? await this.fetchMembers(normalizedLogin, membersLimit, signal)
+        : [];
+
+      // 6. Log de sucesso
+      this.logger.info(`[GetOrganizationUseCase] Organization successfully retrieved: ${normalizedLogin}`);
+
+      return {
+        organization,
+        members,
+        fromCache,
+        stale,
+        timestamp: new Date().toISOString(),
+        metadata: this.generateOrganizationMetadata(organization, members)
+      };
+
+    } catch (error) {
+      // Cancelamento não é falha: apenas propaga
+      if (error instanceof CancelledError) {
+        this.logger.debug(`[GetOrganizationUseCase] Request cancelled for organization ${login}`);
+        throw error;
+      }
+
+      this.logger.error(`[GetOrganizationUseCase] Error searching organization ${login}:`, error);
+      throw this.handleError(error, login);
+    }
+  }
+
+  /**
+   * Valida os dados de entrada
+   * @param {string} login - Login a ser validado
+   * @throws {ValidationError} Se a validação falhar
+   */
+  validateInput(login) {
+    if (!login || typeof login !== 'string' || login.trim().length === 0) {
+      throw new ValidationError('login', login, 'Organization login is required and must be a non-empty string');
+    }
+
+    const githubLoginRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]){0,38}$/;
+    if (!githubLoginRegex.test(login.trim())) {
+      throw new ValidationError(
+        'login',
+        login,
+        'Organization login must contain only alphanumeric characters and hyphens, and be up to 39 characters'
+      );
+    }
+  }
+
+  /**
+   * Normaliza o login removendo espaços e convertendo para lowercase
+   */
+  normalizeLogin(login) {
+    return login.trim().toLowerCase();
+  }
+
+  /**
+   * Busca organização no cache
+   */
+  async getCachedOrganization(login, options = {}) {
+    try {
+      return await this.userRepository.getCachedOrganization(login, options);
+    } catch (error) {
+      this.logger.warn(`[GetOrganizationUseCase] Cache read error for ${login}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Busca a versão expirada no cache quando a API está indisponível
+   */
+  async getStaleCachedOrganization(login, error) {
+    if (!(error instanceof ServiceUnavailableError)) return null;
+
+    const organization = await this.getCachedOrganization(login, { allowStale: true });
+    if (organization) {
+      this.logger.warn(`[GetOrganizationUseCase] API unavailable, serving cached organization: ${login}`);
+    }
+
+    return organization;
+  }
+
+  /**
+   * Salva organização no cache
+   */
+  async cacheOrganization(login, organization) {
+    try {
+      // Cache por 10 minutos
+      await this.userRepository.cacheOrganization(login, organization, 600);
+      this.logger.debug(`[GetOrganizationUseCase] Organization cached: ${login}`);
+    } catch (error) {
+      this.logger.warn(`[GetOrganizationUseCase] Cache write error for ${login}:`, error);
+    }
+  }
+
+  /**
+   * Busca membros públicos da organização
+   */
+  async fetchMembers(login, limit, signal = null) {
+    try {
+      return await this.userRepository.findOrganizationMembers(login, {
+        perPage: Math.min(Math.max(limit, 1), 100),
+        signal
+      });
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
+
+      this.logger.warn(`[GetOrganizationUseCase] Could not fetch members for ${login}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Gera metadados adicionais sobre a organização
+   */
+  generateOrganizationMetadata(organization, members) {
+    return {
+      hasCompleteProfile: organization.hasCompleteProfile,
+      isVerified: organization.isVerified,
+      publicMembersCount: members.length,
+      formattedStats: {
+        followers: organization.formattedFollowers,
+        publicRepos: organization.formattedPublicRepos
+      }
+    };
+  }
+
+  /**
+   * Trata erros específicos do caso de uso
+   */
+  handleError(error, login) {
+    if (error instanceof OrganizationNotFoundError) {
+      return error;
+    }
+
+    if (error instanceof ValidationError) {
+      return error;
+    }
+
+    if (isPassthroughDomainError(error)) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(
+        `Failed to fetch organization '${login}': ${error.message}`,
+        error
+      );
+    }
+
+    return new NetworkError(
+      `Unexpected error while fetching organization '${login}': ${error.message}`,
+      error
+    );
+  }
+}
@@ -0,0 +1,147 @@
+import { RepositoryNotFoundError, ValidationError, NetworkError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * GetRepositoryDetailsUseCase - Caso de uso para a página de detalhes de um repositório
+ * Agrega dados do repositório, linguagens, contribuidores, releases, README e saúde
+ */
+export class GetRepositoryDetailsUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+
+    // Configurações padrão
+    this.defaultOptions = {
+      contributorsLimit: 20,
+      releasesLimit: 5,
+      includeReadme: true
+    };
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {string} fullName - Nome completo do repositório (owner/repo)
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.contributorsLimit - Quantidade de contribuidores (padrão: 20)
+   * @param {number} options.releasesLimit - Quantidade de releases (padrão: 5)
+   * @param {boolean} options.includeReadme - Se deve buscar o README (padrão: true)
+   * @returns {Promise<Object>} Repositório e dados complementares
+   */
+  async execute(fullName, options = {}) {
+    const config = { ...this.defaultOptions, ...options };
+
+    try {
+      // 1. Validação e extração de owner/repo
+      const { owner, repo } = this.parseFullName(fullName);
+
+      this.logger.info(`[GetRepositoryDetailsUseCase] Fetching details for: ${owner}/${repo}`);
+
+      // 2. Busca paralela; só o repositório é obrigatório
+      const [repositoryResult, languagesResult, contributorsResult, releasesResult, readmeResult, ciResult] = await Promise.allSettled([
+        this.userRepository.findRepository(owner, repo),
+        this.userRepository.findRepositoryLanguages(owner, repo),
+        this.userRepository.findRepositoryContributors(owner, repo, { perPage: config.contributorsLimit }),
+        this.userRepository.findRepositoryReleases(owner, repo, { perPage: config.releasesLimit }),
+        config.includeReadme ? this.userRepository.findRepositoryReadme(owner, repo) : Promise.resolve(null),
+        this.userRepository.hasContinuousIntegration(owner, repo)
+      ]);
+
+      if (repositoryResult.status === 'rejected') {
+        throw repositoryResult.reason;
+      }
+
+      const warnings = [languagesResult, contributorsResult, releasesResult, readmeResult, ciResult]
+        .filter(result => result.status === 'rejected')
+        .map(result => result.reason.message);
+
+      warnings.forEach(message => {
+        this.logger.warn(`[GetRepositoryDetailsUseCase] Partial failure for ${owner}/${repo}: ${message}`);
+      });
+
+      // 3. Processamento
+      const contributors = contributorsResult.status === 'fulfilled' ? contributorsResult.value : [];
+      const releases = releasesResult.status === 'fulfilled' ? releasesResult.value : [];
+      const readme = readmeResult.status === 'fulfilled' ? readmeResult.value : null;
+
+      // 4. Saúde: sinais que falharam ou não foram buscados ficam como desconhecidos
+      // (aplicados à entidade para que isWellMaintained use a mesma avaliação)
+      const health = repositoryResult.value.applyHealthSignals({
+        hasReadme: config.includeReadme && readmeResult.status === 'fulfilled' ? readme !== null : null,
+        hasCi: ciResult.status === 'fulfilled' ? ciResult.value : null,
+        releaseCount: releasesResult.status === 'fulfilled' ? releases.length : null
+      });
+
+      return {
+        repository: repositoryResult.value,
+        languages: this.processLanguages(languagesResult.status === 'fulfilled' ? languagesResult.value : {}),
+        contributors,
+        totalContributions: contributors.reduce((sum, contributor) => sum + contributor.contributions, 0),
+        releases,
+        readme,
+        health,
+        warnings,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error(`[GetRepositoryDetailsUseCase] Error fetching details for ${fullName}:`, error);
+      throw this.handleError(error, fullName);
+    }
+  }
+
+  /**
+   * Valida e separa owner/repo
+   */
+  parseFullName(fullName) {
+    if (!fullName || typeof fullName !== 'string') {
+      throw new ValidationError('fullName', fullName, 'Repository full name is required and must be a string');
+    }
+
+    const parts = fullName.trim().split('/');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+      throw new ValidationError('fullName', fullName, 'Repository full name must follow the "owner/repo" format');
+    }
+
+    return { owner: parts[0], repo: parts[1] };
+  }
+
+  /**
+   * Converte o mapa de bytes por linguagem em distribuição percentual
+   */
+  processLanguages(languageBytes) {
+    const totalBytes = Object.values(languageBytes).reduce((sum, bytes) => sum + bytes, 0);
+
+    const distribution = Object.entries(languageBytes)
+      .map(([language, bytes]) => ({
+        language,
+        bytes,
+        percentage: totalBytes > 0 ? Math.round((bytes / totalBytes) * 1000) / 10 : 0
+      }))
+      .sort((a, b) => b.bytes - a.bytes);
+
+    return {
+      totalBytes,
+      distribution
+    };
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error, fullName) {
+    if (error instanceof RepositoryNotFoundError || error instanceof ValidationError || isPassthroughDomainError(error)) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(
+        `Failed to fetch repository '${fullName}': ${error.message}`,
+        error
+      );
+    }
+
+    return new NetworkError(
+      `Unexpected error while fetching repository '${fullName}': ${error.message}`,
+      error
+    );
+  }
+}
@@ -0,0 +1,182 @@
+import { UserNotFoundError, ValidationError, NetworkError, CancelledError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { EVENT_CATEGORIES } from '../../domain/entities/Event.js';
+
+/**
+ * GetUserActivityUseCase - Caso de uso para a timeline de atividade de um usuário
+ * Agrupa os eventos públicos recentes (pushes, pull requests, issues, reviews e releases) por dia
+ */
+export class GetUserActivityUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+
+    // Configurações padrão
+    this.defaultOptions = {
+      perPage: 100,
+      maxPages: 3,
+      recentDays: 30,
+      topRepositoriesLimit: 5
+    };
+  }
+
+  /**
+   * Executa o caso de uso
+   * @param {string} username - Nome de usuário
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.maxPages - Limite de páginas de eventos (padrão: 3)
+   * @param {number} options.recentDays - Janela para considerar o usuário ativo (padrão: 30)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<Object>} Eventos, dias agrupados e resumo da atividade
+   */
+  async execute(username, options = {}) {
+    const config = { ...this.defaultOptions, ...options };
+
+    try {
+      // 1. Validação de entrada
+      this.validateInput(username);
+
+      const normalizedUsername = username.trim().toLowerCase();
+      this.logger.info(`[GetUserActivityUseCase] Fetching activity for: ${normalizedUsername}`);
+
+      // 2. Busca dos eventos
+      const events = await this.userRepository.findUserEvents(normalizedUsername, {
+        perPage: config.perPage,
+        maxPages: config.maxPages,
+        signal: config.signal
+      });
+
+      // 3. Agrupamento por dia e resumo
+      const days = this.groupByDay(events);
+
+      this.logger.info(`[GetUserActivityUseCase] ${events.length} events in ${days.length} days for: ${normalizedUsername}`);
+
+      return {
+        events,
+        days,
+        summary: this.summarize(events, days, config),
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        this.logger.debug(`[GetUserActivityUseCase] Request cancelled for user ${username}`);
+        throw error;
+      }
+
+      this.logger.error(`[GetUserActivityUseCase] Error fetching activity for ${username}:`, error);
+      throw this.handleError(error, username);
+    }
+  }
+
+  /**
+   * Valida os dados de entrada
+   * @throws {ValidationError} Se a validação falhar
+   */
+  validateInput(username) {
+    if (!username || typeof username !== 'string' || username.trim().length === 0) {
+      throw new ValidationError('username', username, 'Username is required and must be a string');
+    }
+
+    if (!this.userRepository.getUsernamePattern().test(username.trim())) {
+      throw new ValidationError('username', username, 'Username has an invalid format for this provider');
+    }
+  }
+
+  /**
+   * Agrupa eventos por dia (fuso local), do mais recente para o mais antigo
+   * @param {Event[]} events - Eventos
+   * @returns {Array<{date: string, events: Event[], counts: Object, commits: number}>} Dias com atividade
+   */
+  groupByDay(events) {
+    const days = new Map();
+
+    events
+      .filter(event => event.dayKey)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .forEach(event => {
+        if (!days.has(event.dayKey)) {
+          days.set(event.dayKey, {
+            date: event.dayKey,
+            events: [],
+            counts: this.createEmptyCounts(),
+            commits: 0
+          });
+        }
+
+        const day = days.get(event.dayKey);
+        day.events.push(event);
+        day.counts[event.category]++;
+        day.commits += event.commitCount;
+      });
+
+    return Array.from(days.values());
+  }
+
+  /**
+   * Resumo da atividade: totais por categoria, commits, dias ativos e repositórios mais frequentes
+   */
+  summarize(events, days, config) {
+    const counts = this.createEmptyCounts();
+    const repositoryCounts = {};
+
+    events.forEach(event => {
+      counts[event.category]++;
+      if (event.repositoryName) {
+        repositoryCounts[event.repositoryName] = (repositoryCounts[event.repositoryName] || 0) + 1;
+      }
+    });
+
+    const dates = events.map(event => event.createdAt).filter(Boolean).sort((a, b) => a - b);
+    const lastEventAt = dates[dates.length - 1] || null;
+    const recentThreshold = Date.now() - config.recentDays * 24 * 60 * 60 * 1000;
+
+    return {
+      totalEvents: events.length,
+      counts,
+      totalCommits: events.reduce((sum, event) => sum + event.commitCount, 0),
+      activeDays: days.length,
+      firstEventAt: dates[0] || null,
+      lastEventAt,
+      isRecentlyActive: Boolean(lastEventAt && lastEventAt.getTime() >= recentThreshold),
+      topRepositories: Object.entries(repositoryCounts)
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, config.topRepositoriesLimit)
+    };
+  }
+
+  /**
+   * Contadores zerados para todas as categorias
+   */
+  createEmptyCounts() {
+    return Object.values(EVENT_CATEGORIES).reduce((counts, category) => {
+      counts[category] = 0;
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error, username) {
+    if (
+      error instanceof UserNotFoundError ||
+      error instanceof ValidationError ||
+      isPassthroughDomainError(error)
+    ) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(
+        `Failed to fetch activity for user '${username}': ${error.message}`,
+        error
+      );
+    }
+
+    return new NetworkError(
+      `Unexpected error while fetching activity for user '${username}': ${error.message}`,
+      error
+    );
+  }
+}
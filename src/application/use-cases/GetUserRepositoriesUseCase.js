@@ -1,4 +1,4 @@
-import { UserNotFoundError, ValidationError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { UserNotFoundError, ValidationError, NetworkError, CancelledError, ServiceUnavailableError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
 
 /**
  * GetUserRepositoriesUseCase - Caso de uso para buscar repositórios de um usuário
@@ -17,7 +17,11 @@ export class GetUserRepositoriesUseCase {
       direction: 'desc',
       useCache: true,
       forceRefresh: false,
-      includeAnalytics: true
+      includeAnalytics: true,
+      fetchAll: false,
+      maxPages: 10,
+      onProgress: null,
+      signal: null
     };
   }
 
@@ -54,10 +58,26 @@ export class GetUserRepositoriesUseCase {
       }
 
       // 5. Busca na fonte de dados externa
-      const repositories = await this.fetchRepositoriesFromRepository(normalizedUsername, config);
+      let fetched;
+      try {
+        fetched = await this.fetchRepositoriesFromRepository(normalizedUsername, config);
+      } catch (error) {
+        // API indisponível (circuito aberto): responde com a última versão do cache, mesmo expirada
+        const staleResult = config.useCache ? await this.getStaleCachedRepositories(normalizedUsername, config, error) : null;
+        if (!staleResult) throw error;
+
+        return {
+          ...staleResult,
+          fromCache: true,
+          stale: true,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      const { repositories, pageInfo } = fetched;
 
       // 6. Processamento e análise dos dados
-      const processedResult = await this.processRepositories(repositories, config);
+      const processedResult = await this.processRepositories(repositories, config, pageInfo);
 
       // 7. Cache do resultado
       if (config.useCache) {
@@ -75,6 +95,11 @@ export class GetUserRepositoriesUseCase {
       };
 
     } catch (error) {
+      if (error instanceof CancelledError) {
+        this.logger.debug(`[GetUserRepositoriesUseCase] Request cancelled for ${username}`);
+        throw error;
+      }
+
       this.logger.error(`[GetUserRepositoriesUseCase] Error fetching repositories for ${username}:`, error);
       throw this.handleError(error, username);
     }
@@ -96,6 +121,10 @@ export class GetUserRepositoriesUseCase {
       throw new ValidationError('perPage', options.perPage, 'PerPage must be an integer between 1 and 100');
     }
 
+    if (options.maxPages && (!Number.isInteger(options.maxPages) || options.maxPages < 1)) {
+      throw new ValidationError('maxPages', options.maxPages, 'MaxPages must be a positive integer');
+    }
+
     const validSortOptions = ['created', 'updated', 'pushed', 'full_name'];
     if (options.sort && !validSortOptions.includes(options.sort)) {
       throw new ValidationError('sort', options.sort, `Sort must be one of: ${validSortOptions.join(', ')}`);
@@ -117,32 +146,70 @@ export class GetUserRepositoriesUseCase {
   /**
    * Busca repositórios no cache
    */
-  async getCachedRepositories(username, options) {
+  async getCachedRepositories(username, options, readOptions = {}) {
     try {
       const cacheKey = this.generateCacheKey(username, options);
-      return await this.userRepository.getCachedUserRepositories(cacheKey);
+      return await this.userRepository.getCachedUserRepositories(cacheKey, readOptions);
     } catch (error) {
       this.logger.warn(`[GetUserRepositoriesUseCase] Cache read error for ${username}:`, error);
       return null;
     }
   }
 
+  /**
+   * Busca a versão expirada no cache quando a API está indisponível
+   */
+  async getStaleCachedRepositories(username, options, error) {
+    if (!(error instanceof ServiceUnavailableError)) return null;
+
+    const result = await this.getCachedRepositories(username, options, { allowStale: true });
+    if (result) {
+      this.logger.warn(`[GetUserRepositoriesUseCase] API unavailable, serving cached repositories: ${username}`);
+    }
+
+    return result;
+  }
+
   /**
    * Busca repositórios no repositório
+   * Com fetchAll, percorre todas as páginas (até maxPages) para que as análises cubram o conjunto completo
    */
   async fetchRepositoriesFromRepository(username, options) {
-    return await this.userRepository.findUserRepositories(username, {
+    if (options.fetchAll) {
+      const result = await this.userRepository.findAllUserRepositories(username, {
+        perPage: options.perPage,
+        maxPages: options.maxPages,
+        sort: options.sort,
+        direction: options.direction,
+        onProgress: options.onProgress,
+        signal: options.signal
+      });
+
+      return {
+        repositories: result.repositories,
+        pageInfo: {
+          pagesFetched: result.pagesFetched,
+          totalPages: result.totalPages,
+          truncated: result.truncated
+        }
+      };
+    }
+
+    const repositories = await this.userRepository.findUserRepositories(username, {
       page: options.page,
       perPage: options.perPage,
       sort: options.sort,
-      direction: options.direction
+      direction: options.direction,
+      signal: options.signal
     });
+
+    return { repositories, pageInfo: null };
   }
 
   /**
    * Processa e analisa os repositórios
    */
-  async processRepositories(repositories, options) {
+  async processRepositories(repositories, options, pageInfo = null) {
     // 1. Filtros básicos
     const filteredRepositories = this.applyFilters(repositories, options);
 
@@ -167,16 +234,24 @@ export class GetUserRepositoriesUseCase {
       analytics,
       categorization,
       statistics,
-      pagination: {
+      pagination: pageInfo ? {
+        page: 1,
+        perPage: options.perPage,
+        pagesFetched: pageInfo.pagesFetched,
+        totalPages: pageInfo.totalPages,
+        truncated: pageInfo.truncated,
+        hasMore: pageInfo.truncated
+      } : {
         page: options.page,
         perPage: options.perPage,
-        hasMore: sortedRepositories.length === options.perPage
+        hasMore: repositories.length === options.perPage
       }
     };
   }
 
   /**
    * Aplica filtros nos repositórios
+   * Também usado pela interface para filtrar a lista já carregada
    */
   applyFilters(repositories, options) {
     let filtered = [...repositories];
@@ -205,6 +280,28 @@ export class GetUserRepositoriesUseCase {
       filtered = filtered.filter(repo => repo.isActiveRepository);
     }
 
+    // Filtro por tópico
+    if (options.topic) {
+      const topic = options.topic.toLowerCase();
+      filtered = filtered.filter(repo => repo.topics.some(candidate => candidate.toLowerCase() === topic));
+    }
+
+    // Filtro por licença ('none' para repositórios sem licença)
+    if (options.license === 'none') {
+      filtered = filtered.filter(repo => !repo.licenseKey);
+    } else if (options.license) {
+      filtered = filtered.filter(repo =>
+        repo.licenseKey && repo.licenseKey.toLowerCase() === options.license.toLowerCase()
+      );
+    }
+
+    // Filtro por arquivamento
+    if (options.archived === 'exclude') {
+      filtered = filtered.filter(repo => !repo.isArchived);
+    } else if (options.archived === 'only') {
+      filtered = filtered.filter(repo => repo.isArchived);
+    }
+
     return filtered;
   }
 
@@ -267,17 +364,22 @@ export class GetUserRepositoriesUseCase {
     // Tendências
     const trends = this.analyzeTrends(repositories);
 
+    // Tópicos
+    const topicAnalysis = this.analyzeTopics(repositories);
+
     return {
       overview: {
         totalRepositories: totalRepos,
         publicRepositories: repositories.filter(r => !r.isPrivate).length,
         forkedRepositories: repositories.filter(r => r.isFork).length,
-        originalRepositories: repositories.filter(r => !r.isFork).length
+        originalRepositories: repositories.filter(r => !r.isFork).length,
+        archivedRepositories: repositories.filter(r => r.isArchived).length
       },
       languages: languageAnalysis,
       activity: activityAnalysis,
       popularity: popularityAnalysis,
-      trends
+      trends,
+      topics: topicAnalysis
     };
   }
 
@@ -312,6 +414,29 @@ export class GetUserRepositoriesUseCase {
     };
   }
 
+  /**
+   * Analisa os tópicos dos repositórios (nuvem de tópicos)
+   */
+  analyzeTopics(repositories) {
+    const topicCount = {};
+
+    repositories.forEach(repo => {
+      repo.topics.forEach(topic => {
+        topicCount[topic] = (topicCount[topic] || 0) + 1;
+      });
+    });
+
+    const topics = Object.entries(topicCount)
+      .map(([topic, count]) => ({ topic, count }))
+      .sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic));
+
+    return {
+      total: topics.length,
+      repositoriesWithTopics: repositories.filter(repo => repo.topics.length > 0).length,
+      distribution: topics.slice(0, 30) // Top 30
+    };
+  }
+
   /**
    * Analisa atividade dos repositórios
    */
@@ -452,8 +577,12 @@ export class GetUserRepositoriesUseCase {
       options.perPage,
       options.sort,
       options.direction,
+      options.fetchAll ? `all${options.maxPages}` : 'single',
       options.language || 'all',
-      options.type || 'all'
+      options.type || 'all',
+      options.topic || 'all',
+      options.license || 'all',
+      options.archived || 'all'
     ];
     return keyParts.join('_');
   }
@@ -484,6 +613,10 @@ export class GetUserRepositoriesUseCase {
       return error;
     }
 
+    if (isPassthroughDomainError(error)) {
+      return error;
+    }
+
     if (error instanceof NetworkError) {
       return new NetworkError(
         `Failed to fetch repositories for '${username}': ${error.message}`,
@@ -1,4 +1,4 @@
-import { UserNotFoundError, ValidationError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { UserNotFoundError, ValidationError, NetworkError, CancelledError, ServiceUnavailableError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
 
 /**
  * GetUserUseCase - Caso de uso para buscar informações de um usuário do GitHub
@@ -16,10 +16,12 @@ export class GetUserUseCase {
    * @param {Object} options - Opções de configuração
    * @param {boolean} options.useCache - Se deve usar cache (padrão: true)
    * @param {boolean} options.forceRefresh - Força atualização ignorando cache (padrão: false)
-   * @returns {Promise<{user: User, fromCache: boolean}>} Usuário encontrado e origem
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<{user: User, fromCache: boolean, stale: boolean}>} Usuário encontrado e origem
+   *   (stale: cópia expirada do cache, servida com a API indisponível)
    */
   async execute(username, options = {}) {
-    const { useCache = true, forceRefresh = false } = options;
+    const { useCache = true, forceRefresh = false, signal = null } = options;
 
     try {
       // 1. Validação de entrada
@@ -45,7 +47,21 @@ export class GetUserUseCase {
       }
 
       // 5. Busca na fonte de dados externa
-      const user = await this.fetchUserFromRepository(normalizedUsername);
+      let user;
+      try {
+        user = await this.fetchUserFromRepository(normalizedUsername, signal);
+      } catch (error) {
+        // API indisponível (circuito aberto): responde com a última versão do cache, mesmo expirada
+        const staleUser = useCache ? await this.getStaleCachedUser(normalizedUsername, error) : null;
+        if (!staleUser) throw error;
+
+        return {
+          user: staleUser,
+          fromCache: true,
+          stale: true,
+          timestamp: new Date().toISOString()
+        };
+      }
 
       // 6. Cache do resultado (se habilitado)
       if (useCache) {
@@ -64,6 +80,12 @@ export class GetUserUseCase {
       };
 
     } catch (error) {
+      // Cancelamento não é falha: apenas propaga
+      if (error instanceof CancelledError) {
+        this.logger.debug(`[GetUserUseCase] Request cancelled for user ${username}`);
+        throw error;
+      }
+
       // Log do erro
       this.logger.error(`[GetUserUseCase] Error searching user ${username}:`, error);
 
@@ -91,13 +113,13 @@ export class GetUserUseCase {
       throw new ValidationError('username', username, 'Username cannot be empty');
     }
 
-    // Validação de formato básico do GitHub username
-    const githubUsernameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]){0,38}$/;
-    if (!githubUsernameRegex.test(trimmedUsername)) {
+    // Validação de formato básico (regras do provedor; GitHub por padrão)
+    const usernamePattern = this.userRepository.getUsernamePattern();
+    if (!usernamePattern.test(trimmedUsername)) {
       throw new ValidationError(
         'username', 
         username, 
-        'Username must contain only alphanumeric characters and hyphens, cannot start or end with hyphen, and be up to 39 characters'
+        'Username has an invalid format for this provider'
       );
     }
   }
@@ -114,11 +136,12 @@ export class GetUserUseCase {
   /**
    * Busca usuário no cache
    * @param {string} username - Nome de usuário
+   * @param {Object} options - allowStale aceita a entrada expirada
    * @returns {Promise<User|null>} Usuário do cache ou null
    */
-  async getCachedUser(username) {
+  async getCachedUser(username, options = {}) {
     try {
-      return await this.userRepository.getCachedUser(username);
+      return await this.userRepository.getCachedUser(username, options);
     } catch (error) {
       // Log do erro mas não falha a operação
       this.logger.warn(`[GetUserUseCase] Cache read error for ${username}:`, error);
@@ -129,10 +152,28 @@ export class GetUserUseCase {
   /**
    * Busca usuário no repositório
    * @param {string} username - Nome de usuário
+   * @param {AbortSignal} signal - Sinal para cancelar a requisição
    * @returns {Promise<User>} Usuário encontrado
    */
-  async fetchUserFromRepository(username) {
-    return await this.userRepository.findByUsername(username);
+  async fetchUserFromRepository(username, signal = null) {
+    return await this.userRepository.findByUsername(username, { signal });
+  }
+
+  /**
+   * Busca a versão expirada do usuário no cache quando a API está indisponível
+   * @param {string} username - Nome de usuário
+   * @param {Error} error - Erro da busca na fonte externa
+   * @returns {Promise<User|null>} Usuário do cache ou null
+   */
+  async getStaleCachedUser(username, error) {
+    if (!(error instanceof ServiceUnavailableError)) return null;
+
+    const user = await this.getCachedUser(username, { allowStale: true });
+    if (user) {
+      this.logger.warn(`[GetUserUseCase] API unavailable, serving cached user: ${username}`);
+    }
+
+    return user;
   }
 
   /**
@@ -233,6 +274,10 @@ export class GetUserUseCase {
       return error; // Re-lança como está
     }
 
+    if (isPassthroughDomainError(error)) {
+      return error; // Re-lança como está
+    }
+
     if (error instanceof NetworkError) {
       return new NetworkError(
         `Failed to fetch user '${username}': ${error.message}`,
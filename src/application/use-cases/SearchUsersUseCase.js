@@ -0,0 +1,157 @@
+import { ValidationError, NetworkError, isPassthroughDomainError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * SearchUsersUseCase - Caso de uso para pesquisar usuários do GitHub
+ * Usado pelo autocomplete da busca; contém validação, montagem da query e cache
+ */
+export class SearchUsersUseCase {
+  constructor(userRepository, logger = console) {
+    this.userRepository = userRepository;
+    this.logger = logger;
+
+    // Configurações padrão
+    this.defaultOptions = {
+      page: 1,
+      perPage: 8,
+      loginOnly: true,
+      useCache: true,
+      signal: null
+    };
+  }
+
+  /**
+   * Executa o caso de uso para pesquisar usuários
+   * @param {string} query - Termo de busca
+   * @param {Object} options - Opções de configuração
+   * @param {number} options.perPage - Quantidade de resultados (padrão: 8)
+   * @param {boolean} options.loginOnly - Restringe a busca ao login (padrão: true)
+   * @param {boolean} options.useCache - Se deve usar cache (padrão: true)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição
+   * @returns {Promise<{users: User[], totalCount: number, fromCache: boolean}>} Usuários encontrados
+   */
+  async execute(query, options = {}) {
+    const config = { ...this.defaultOptions, ...options };
+
+    try {
+      // 1. Validação de entrada
+      this.validateInput(query, config);
+
+      // 2. Montagem da query da API de busca
+      const searchQuery = this.buildSearchQuery(query, config);
+      const searchOptions = { page: config.page, perPage: config.perPage };
+
+      this.logger.debug(`[SearchUsersUseCase] Searching users: ${searchQuery}`);
+
+      // 3. Tentativa de busca no cache
+      if (config.useCache) {
+        const cachedResult = await this.getCachedResults(searchQuery, searchOptions);
+        if (cachedResult) {
+          return {
+            ...cachedResult,
+            fromCache: true,
+            timestamp: new Date().toISOString()
+          };
+        }
+      }
+
+      // 4. Busca na fonte de dados externa
+      const result = await this.userRepository.searchUsers(searchQuery, {
+        ...searchOptions,
+        signal: config.signal
+      });
+
+      // 5. Cache do resultado
+      if (config.useCache) {
+        await this.cacheResults(searchQuery, searchOptions, result);
+      }
+
+      return {
+        users: result.users,
+        totalCount: result.totalCount,
+        fromCache: false,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (config.signal?.aborted) {
+        throw error;
+      }
+
+      this.logger.error(`[SearchUsersUseCase] Error searching users "${query}":`, error);
+      throw this.handleError(error, query);
+    }
+  }
+
+  /**
+   * Valida os dados de entrada
+   */
+  validateInput(query, options) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new ValidationError('query', query, 'Query is required and must be a non-empty string');
+    }
+
+    if (query.trim().length > 256) {
+      throw new ValidationError('query', query, 'Query must be up to 256 characters');
+    }
+
+    if (options.perPage && (!Number.isInteger(options.perPage) || options.perPage < 1 || options.perPage > 100)) {
+      throw new ValidationError('perPage', options.perPage, 'PerPage must be an integer between 1 and 100');
+    }
+  }
+
+  /**
+   * Monta a query com qualificadores da API de busca
+   */
+  buildSearchQuery(query, options) {
+    const term = query.trim();
+    return options.loginOnly ? `${term} in:login` : term;
+  }
+
+  /**
+   * Busca resultados no cache
+   */
+  async getCachedResults(query, options) {
+    try {
+      return await this.userRepository.getCachedSearchResults(query, options);
+    } catch (error) {
+      this.logger.warn(`[SearchUsersUseCase] Cache read error for "${query}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva resultados no cache
+   */
+  async cacheResults(query, options, result) {
+    try {
+      await this.userRepository.cacheSearchResults(query, options, result);
+    } catch (error) {
+      this.logger.warn(`[SearchUsersUseCase] Cache write error for "${query}":`, error);
+    }
+  }
+
+  /**
+   * Trata erros
+   */
+  handleError(error, query) {
+    if (error instanceof ValidationError) {
+      return error;
+    }
+
+    if (isPassthroughDomainError(error)) {
+      return error;
+    }
+
+    if (error instanceof NetworkError) {
+      return new NetworkError(
+        `Failed to search users '${query}': ${error.message}`,
+        error
+      );
+    }
+
+    return new NetworkError(
+      `Unexpected error while searching users '${query}': ${error.message}`,
+      error
+    );
+  }
+}
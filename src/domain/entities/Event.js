@@ -0,0 +1,194 @@
+/**
+ * Categorias de atividade consideradas na timeline
+ */
+export const EVENT_CATEGORIES = {
+  PUSH: 'push',
+  PULL_REQUEST: 'pull_request',
+  ISSUE: 'issue',
+  REVIEW: 'review',
+  RELEASE: 'release',
+  OTHER: 'other'
+};
+
+// Tipos de evento da API do GitHub agrupados por categoria
+const GITHUB_EVENT_CATEGORIES = {
+  PushEvent: EVENT_CATEGORIES.PUSH,
+  PullRequestEvent: EVENT_CATEGORIES.PULL_REQUEST,
+  IssuesEvent: EVENT_CATEGORIES.ISSUE,
+  PullRequestReviewEvent: EVENT_CATEGORIES.REVIEW,
+  PullRequestReviewCommentEvent: EVENT_CATEGORIES.REVIEW,
+  ReleaseEvent: EVENT_CATEGORIES.RELEASE
+};
+
+/**
+ * Event Entity - Representa uma atividade pública de um usuário (push, pull request, issue...)
+ */
+export class Event {
+  constructor({
+    id,
+    type,
+    category,
+    action,
+    repositoryName,
+    actor,
+    title,
+    htmlUrl,
+    commitCount,
+    ref,
+    createdAt
+  }) {
+    this.validateRequiredFields({ id, type, createdAt });
+
+    this.id = id;
+    this.type = type;
+    this.category = Object.values(EVENT_CATEGORIES).includes(category) ? category : EVENT_CATEGORIES.OTHER;
+    this.action = action || null;
+    this.repositoryName = repositoryName || null;
+    this.actor = actor || null;
+    this.title = title || null;
+    this.htmlUrl = htmlUrl || null;
+    this.commitCount = commitCount || 0;
+    this.ref = ref || null;
+    this.createdAt = this.parseDate(createdAt);
+  }
+
+  /**
+   * Valida campos obrigatórios da entidade
+   */
+  validateRequiredFields({ id, type, createdAt }) {
+    if (!id) throw new Error('Event ID is required');
+    if (!type || typeof type !== 'string') throw new Error('Event type is required and must be a string');
+    if (!createdAt) throw new Error('Event creation date is required');
+  }
+
+  /**
+   * Converte string de data para objeto Date
+   */
+  parseDate(dateString) {
+    if (!dateString) return null;
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Dia da atividade no fuso local (YYYY-MM-DD)
+   */
+  get dayKey() {
+    if (!this.createdAt) return null;
+
+    const year = this.createdAt.getFullYear();
+    const month = String(this.createdAt.getMonth() + 1).padStart(2, '0');
+    const day = String(this.createdAt.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+  }
+
+  get formattedTime() {
+    return this.createdAt
+      ? this.createdAt.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+      : null;
+  }
+
+  /**
+   * Converte para objeto simples para serialização
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      category: this.category,
+      action: this.action,
+      repositoryName: this.repositoryName,
+      actor: this.actor,
+      title: this.title,
+      htmlUrl: this.htmlUrl,
+      commitCount: this.commitCount,
+      ref: this.ref,
+      createdAt: this.createdAt?.toISOString()
+    };
+  }
+
+  /**
+   * Cria uma instância Event a partir de dados da API de eventos do GitHub
+   */
+  static fromGitHubAPI(apiData) {
+    const payload = apiData.payload || {};
+    const repositoryName = apiData.repo?.name;
+    const repositoryUrl = repositoryName ? `https://github.com/${repositoryName}` : null;
+    const details = Event.getGitHubEventDetails(apiData.type, payload, repositoryUrl);
+
+    return new Event({
+      id: apiData.id,
+      type: apiData.type,
+      category: GITHUB_EVENT_CATEGORIES[apiData.type],
+      repositoryName,
+      actor: apiData.actor?.login,
+      createdAt: apiData.created_at,
+      ...details
+    });
+  }
+
+  /**
+   * Extrai ação, título e link do payload de cada tipo de evento
+   */
+  static getGitHubEventDetails(type, payload, repositoryUrl) {
+    switch (type) {
+      case 'PushEvent': {
+        const ref = payload.ref?.replace(/^refs\/heads\//, '') || null;
+        const commits = payload.commits || [];
+        return {
+          action: 'pushed',
+          ref,
+          commitCount: payload.size ?? payload.distinct_size ?? commits.length,
+          title: commits[commits.length - 1]?.message?.split('\n')[0] || null,
+          htmlUrl: repositoryUrl && ref ? `${repositoryUrl}/commits/${ref}` : repositoryUrl
+        };
+      }
+      case 'PullRequestEvent':
+        return {
+          // Pull requests fechados com merge aparecem como "merged"
+          action: payload.action === 'closed' && payload.pull_request?.merged ? 'merged' : payload.action,
+          title: payload.pull_request?.title,
+          htmlUrl: payload.pull_request?.html_url || repositoryUrl
+        };
+      case 'IssuesEvent':
+        return {
+          action: payload.action,
+          title: payload.issue?.title,
+          htmlUrl: payload.issue?.html_url || repositoryUrl
+        };
+      case 'PullRequestReviewEvent':
+        return {
+          action: payload.review?.state?.toLowerCase() || payload.action,
+          title: payload.pull_request?.title,
+          htmlUrl: payload.review?.html_url || payload.pull_request?.html_url || repositoryUrl
+        };
+      case 'PullRequestReviewCommentEvent':
+        return {
+          action: 'commented',
+          title: payload.pull_request?.title,
+          htmlUrl: payload.comment?.html_url || repositoryUrl
+        };
+      case 'ReleaseEvent':
+        return {
+          action: payload.action,
+          title: payload.release?.name || payload.release?.tag_name,
+          ref: payload.release?.tag_name,
+          htmlUrl: payload.release?.html_url || repositoryUrl
+        };
+      case 'CreateEvent':
+      case 'DeleteEvent':
+        return {
+          action: type === 'CreateEvent' ? 'created' : 'deleted',
+          title: payload.ref ? `${payload.ref_type} ${payload.ref}` : payload.ref_type,
+          ref: payload.ref,
+          htmlUrl: repositoryUrl
+        };
+      default:
+        return {
+          action: payload.action,
+          htmlUrl: repositoryUrl
+        };
+    }
+  }
+}
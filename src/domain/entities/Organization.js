@@ -0,0 +1,184 @@
+/**
+ * Organization Entity - Representa uma organização do GitHub no domínio da aplicação
+ * Contém as regras de negócio e validações básicas
+ */
+export class Organization {
+  constructor({
+    id,
+    login,
+    name,
+    description,
+    email,
+    avatarUrl,
+    htmlUrl,
+    location,
+    blog,
+    twitterUsername,
+    isVerified,
+    followers,
+    publicRepos,
+    createdAt,
+    updatedAt
+  }) {
+    this.validateRequiredFields({ id, login, avatarUrl, htmlUrl });
+
+    this.id = id;
+    this.login = login;
+    this.name = name || null;
+    this.description = description || null;
+    this.email = email || null;
+    this.avatarUrl = avatarUrl;
+    this.htmlUrl = htmlUrl;
+    this.location = location || null;
+    this.blog = this.formatBlogUrl(blog);
+    this.twitterUsername = twitterUsername || null;
+    this.isVerified = Boolean(isVerified);
+    this.followers = Math.max(0, followers || 0);
+    this.publicRepos = Math.max(0, publicRepos || 0);
+    this.createdAt = this.parseDate(createdAt);
+    this.updatedAt = this.parseDate(updatedAt);
+  }
+
+  /**
+   * Valida campos obrigatórios da entidade
+   */
+  validateRequiredFields({ id, login, avatarUrl, htmlUrl }) {
+    if (!id) throw new Error('Organization ID is required');
+    if (!login || typeof login !== 'string') throw new Error('Organization login is required and must be a string');
+    if (!avatarUrl) throw new Error('Organization avatar URL is required');
+    if (!htmlUrl) throw new Error('Organization HTML URL is required');
+  }
+
+  /**
+   * Formata URL do blog para incluir protocolo se necessário
+   */
+  formatBlogUrl(blog) {
+    if (!blog || typeof blog !== 'string') return null;
+
+    const trimmedBlog = blog.trim();
+    if (!trimmedBlog) return null;
+
+    if (!trimmedBlog.startsWith('http://') && !trimmedBlog.startsWith('https://')) {
+      return `https://${trimmedBlog}`;
+    }
+
+    return trimmedBlog;
+  }
+
+  /**
+   * Converte string de data para objeto Date
+   */
+  parseDate(dateString) {
+    if (!dateString) return null;
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Formata número para exibição (ex: 1000 -> 1k)
+   */
+  formatNumber(num) {
+    if (num >= 1000000) {
+      return (num / 1000000).toFixed(1) + 'M';
+    }
+    if (num >= 1000) {
+      return (num / 1000).toFixed(1) + 'k';
+    }
+    return num.toString();
+  }
+
+  /**
+   * Getters formatados para apresentação
+   */
+  get formattedFollowers() {
+    return this.formatNumber(this.followers);
+  }
+
+  get formattedPublicRepos() {
+    return this.formatNumber(this.publicRepos);
+  }
+
+  get formattedCreatedAt() {
+    return this.createdAt ? this.createdAt.toLocaleDateString('pt-BR') : null;
+  }
+
+  /**
+   * Nome para exibição (nome ou login)
+   */
+  get displayName() {
+    return this.name || this.login;
+  }
+
+  /**
+   * Verifica se a organização tem informações completas
+   */
+  get hasCompleteProfile() {
+    return !!(this.name && this.description && this.blog);
+  }
+
+  /**
+   * Converte para objeto simples para serialização
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      login: this.login,
+      name: this.name,
+      description: this.description,
+      email: this.email,
+      avatarUrl: this.avatarUrl,
+      htmlUrl: this.htmlUrl,
+      location: this.location,
+      blog: this.blog,
+      twitterUsername: this.twitterUsername,
+      isVerified: this.isVerified,
+      followers: this.followers,
+      publicRepos: this.publicRepos,
+      createdAt: this.createdAt?.toISOString(),
+      updatedAt: this.updatedAt?.toISOString(),
+      // Propriedades calculadas
+      hasCompleteProfile: this.hasCompleteProfile
+    };
+  }
+
+  /**
+   * Cria uma instância Organization a partir de dados da API do GitHub
+   */
+  static fromGitHubAPI(apiData) {
+    return new Organization({
+      id: apiData.id,
+      login: apiData.login,
+      name: apiData.name,
+      description: apiData.description,
+      email: apiData.email,
+      avatarUrl: apiData.avatar_url,
+      htmlUrl: apiData.html_url,
+      location: apiData.location,
+      blog: apiData.blog,
+      twitterUsername: apiData.twitter_username,
+      isVerified: apiData.is_verified,
+      followers: apiData.followers,
+      publicRepos: apiData.public_repos,
+      createdAt: apiData.created_at,
+      updatedAt: apiData.updated_at
+    });
+  }
+
+  /**
+   * Cria uma instância Organization a partir dos dados da API do Gitea (v1)
+   */
+  static fromGiteaAPI(apiData) {
+    return new Organization({
+      id: apiData.id,
+      login: apiData.name || apiData.username,
+      name: apiData.full_name,
+      description: apiData.description,
+      email: apiData.email,
+      avatarUrl: apiData.avatar_url,
+      htmlUrl: apiData.html_url,
+      location: apiData.location,
+      blog: apiData.website,
+      publicRepos: apiData.public_repos
+    });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Release Entity - Representa uma release de um repositório do GitHub
+ */
+export class Release {
+  constructor({
+    id,
+    name,
+    tagName,
+    htmlUrl,
+    isDraft,
+    isPrerelease,
+    publishedAt,
+    author
+  }) {
+    this.validateRequiredFields({ id, tagName, htmlUrl });
+
+    this.id = id;
+    this.tagName = tagName;
+    this.name = name || tagName;
+    this.htmlUrl = htmlUrl;
+    this.isDraft = Boolean(isDraft);
+    this.isPrerelease = Boolean(isPrerelease);
+    this.publishedAt = this.parseDate(publishedAt);
+    this.author = author || null;
+  }
+
+  /**
+   * Valida campos obrigatórios da entidade
+   */
+  validateRequiredFields({ id, tagName, htmlUrl }) {
+    if (!id) throw new Error('Release ID is required');
+    if (!tagName || typeof tagName !== 'string') throw new Error('Release tag name is required and must be a string');
+    if (!htmlUrl) throw new Error('Release HTML URL is required');
+  }
+
+  /**
+   * Converte string de data para objeto Date
+   */
+  parseDate(dateString) {
+    if (!dateString) return null;
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  get formattedPublishedAt() {
+    return this.publishedAt ? this.publishedAt.toLocaleDateString('pt-BR') : null;
+  }
+
+  /**
+   * Converte para objeto simples para serialização
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      tagName: this.tagName,
+      htmlUrl: this.htmlUrl,
+      isDraft: this.isDraft,
+      isPrerelease: this.isPrerelease,
+      publishedAt: this.publishedAt?.toISOString(),
+      author: this.author
+    };
+  }
+
+  /**
+   * Cria uma instância Release a partir de dados da API do GitHub
+   */
+  static fromGitHubAPI(apiData) {
+    return new Release({
+      id: apiData.id,
+      name: apiData.name,
+      tagName: apiData.tag_name,
+      htmlUrl: apiData.html_url,
+      isDraft: apiData.draft,
+      isPrerelease: apiData.prerelease,
+      publishedAt: apiData.published_at,
+      author: apiData.author?.login
+    });
+  }
+
+  /**
+   * Cria uma instância Release a partir dos dados da API REST do GitLab (v4)
+   * Releases do GitLab não têm ID próprio: a tag identifica a release
+   */
+  static fromGitLabAPI(apiData) {
+    return new Release({
+      id: apiData.tag_name,
+      name: apiData.name,
+      tagName: apiData.tag_name,
+      htmlUrl: apiData._links?.self,
+      isDraft: false,
+      isPrerelease: apiData.upcoming_release,
+      publishedAt: apiData.released_at,
+      author: apiData.author?.username
+    });
+  }
+}
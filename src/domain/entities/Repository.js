@@ -1,3 +1,12 @@
+import { RepositoryHealthService } from '../services/RepositoryHealthService.js';
+
+const healthService = new RepositoryHealthService();
+
+/**
+ * Score de saúde a partir do qual o repositório é considerado bem mantido
+ */
+const WELL_MAINTAINED_SCORE = 70;
+
 /**
  * Repository Entity - Representa um repositório do GitHub no domínio da aplicação
  * Contém as regras de negócio e validações para repositórios
@@ -24,7 +33,16 @@ export class Repository {
     createdAt,
     updatedAt,
     pushedAt,
-    owner
+    owner,
+    topics,
+    languages,
+    license,
+    isArchived,
+    isDisabled,
+    openIssuesCount,
+    visibility,
+    homepage,
+    provider
   }) {
     this.validateRequiredFields({ id, name, fullName, htmlUrl });
     
@@ -49,6 +67,18 @@ export class Repository {
     this.updatedAt = this.parseDate(updatedAt);
     this.pushedAt = this.parseDate(pushedAt);
     this.owner = owner;
+    this.topics = Array.isArray(topics) ? topics : [];
+    this.languages = languages || null; // bytes por linguagem, quando disponível
+    this.license = this.normalizeLicense(license);
+    this.isArchived = Boolean(isArchived);
+    this.isDisabled = Boolean(isDisabled);
+    this.openIssuesCount = Math.max(0, openIssuesCount || 0);
+    this.visibility = visibility ? visibility.toLowerCase() : (this.isPrivate ? 'private' : 'public');
+    this.homepage = homepage || null;
+    this.provider = provider || 'github'; // formato das URLs de arquivos (github, gitlab, gitea)
+
+    // Avaliada uma única vez; README, CI e releases ficam desconhecidos até applyHealthSignals
+    this.health = healthService.evaluate(this);
   }
 
   /**
@@ -70,6 +100,20 @@ export class Repository {
     return isNaN(date.getTime()) ? null : date;
   }
 
+  /**
+   * Normaliza a licença para { key, name, spdxId }
+   * Aceita os formatos da API REST (spdx_id), GraphQL (spdxId) e o próprio toJSON
+   */
+  normalizeLicense(license) {
+    if (!license || (!license.key && !license.name)) return null;
+
+    return {
+      key: license.key || null,
+      name: license.name || license.key,
+      spdxId: license.spdxId || license.spdx_id || null
+    };
+  }
+
   /**
    * Formata número para exibição (ex: 1000 -> 1k)
    */
@@ -124,6 +168,20 @@ export class Repository {
     return this.pushedAt ? this.pushedAt.toLocaleDateString('pt-BR') : null;
   }
 
+  /**
+   * Identificador da licença para filtros: SPDX quando reconhecido pelo provedor, senão a chave
+   */
+  get licenseKey() {
+    if (!this.license) return null;
+    return this.license.spdxId && this.license.spdxId !== 'NOASSERTION'
+      ? this.license.spdxId
+      : this.license.key;
+  }
+
+  get hasLicense() {
+    return this.license !== null;
+  }
+
   /**
    * Calcula o score de popularidade do repositório
    */
@@ -152,10 +210,21 @@ export class Repository {
   }
 
   /**
-   * Verifica se é um repositório bem mantido
+   * Reavalia a saúde com os sinais da página de detalhes (README, CI e releases)
+   * @param {Object} signals - Sinais complementares (ver RepositoryHealthService.evaluate)
+   * @returns {Object} Nova avaliação de saúde
+   */
+  applyHealthSignals(signals) {
+    this.health = healthService.evaluate(this, signals);
+    return this.health;
+  }
+
+  /**
+   * Verifica se é um repositório bem mantido (score de saúde)
+   * Na listagem o score é parcial (health.coverage < 100) e o badge o sinaliza como tal
    */
   get isWellMaintained() {
-    return this.hasIssues && this.hasWiki && this.isActiveRepository;
+    return this.health.score >= WELL_MAINTAINED_SCORE;
   }
 
   /**
@@ -198,6 +267,36 @@ export class Repository {
     return `${this.htmlUrl}/graphs/contributors`;
   }
 
+  /**
+   * URL da página de um arquivo no branch padrão, no formato do provedor
+   * @param {string} path - Caminho relativo à raiz do repositório
+   */
+  getFileUrl(path) {
+    switch (this.provider) {
+      case 'gitlab':
+        return `${this.htmlUrl}/-/blob/${this.defaultBranch}/${path}`;
+      case 'gitea':
+        return `${this.htmlUrl}/src/branch/${this.defaultBranch}/${path}`;
+      default:
+        return `${this.htmlUrl}/blob/${this.defaultBranch}/${path}`;
+    }
+  }
+
+  /**
+   * URL do conteúdo bruto de um arquivo no branch padrão (ex: imagens do README)
+   * @param {string} path - Caminho relativo à raiz do repositório
+   */
+  getRawFileUrl(path) {
+    switch (this.provider) {
+      case 'gitlab':
+        return `${this.htmlUrl}/-/raw/${this.defaultBranch}/${path}`;
+      case 'gitea':
+        return `${this.htmlUrl}/raw/branch/${this.defaultBranch}/${path}`;
+      default:
+        return `https://raw.githubusercontent.com/${this.fullName}/${this.defaultBranch}/${path}`;
+    }
+  }
+
   /**
    * Retorna um resumo das estatísticas do repositório
    */
@@ -240,11 +339,22 @@ export class Repository {
       updatedAt: this.updatedAt?.toISOString(),
       pushedAt: this.pushedAt?.toISOString(),
       owner: this.owner,
+      topics: this.topics,
+      languages: this.languages,
+      license: this.license,
+      isArchived: this.isArchived,
+      isDisabled: this.isDisabled,
+      openIssuesCount: this.openIssuesCount,
+      visibility: this.visibility,
+      homepage: this.homepage,
+      provider: this.provider,
       // Propriedades calculadas
+      licenseKey: this.licenseKey,
       popularityScore: this.popularityScore,
       isActiveRepository: this.isActiveRepository,
       isPopular: this.isPopular,
       isWellMaintained: this.isWellMaintained,
+      health: this.health,
       ageInDays: this.ageInDays,
       isNewRepository: this.isNewRepository
     };
@@ -275,7 +385,140 @@ export class Repository {
       createdAt: apiData.created_at,
       updatedAt: apiData.updated_at,
       pushedAt: apiData.pushed_at,
-      owner: apiData.owner
+      owner: apiData.owner,
+      topics: apiData.topics,
+      license: apiData.license,
+      isArchived: apiData.archived,
+      isDisabled: apiData.disabled,
+      openIssuesCount: apiData.open_issues_count,
+      visibility: apiData.visibility,
+      homepage: apiData.homepage,
+      provider: 'github'
+    });
+  }
+
+  /**
+   * Cria uma instância Repository a partir de um nó Repository da API GraphQL do GitHub
+   */
+  static fromGitHubGraphQL(node) {
+    const languages = node.languages?.edges?.length
+      ? Object.fromEntries(node.languages.edges.map(edge => [edge.node.name, edge.size]))
+      : null;
+
+    return new Repository({
+      id: node.databaseId,
+      name: node.name,
+      fullName: node.nameWithOwner,
+      description: node.description,
+      htmlUrl: node.url,
+      language: node.primaryLanguage?.name,
+      stargazersCount: node.stargazerCount,
+      forksCount: node.forkCount,
+      watchersCount: node.watchers?.totalCount,
+      size: node.diskUsage,
+      defaultBranch: node.defaultBranchRef?.name,
+      isPrivate: node.isPrivate,
+      isFork: node.isFork,
+      hasIssues: node.hasIssuesEnabled,
+      hasProjects: node.hasProjectsEnabled,
+      hasWiki: node.hasWikiEnabled,
+      hasPages: false, // não exposto pela API GraphQL
+      createdAt: node.createdAt,
+      updatedAt: node.updatedAt,
+      pushedAt: node.pushedAt,
+      owner: node.owner && {
+        login: node.owner.login,
+        avatar_url: node.owner.avatarUrl,
+        html_url: node.owner.url
+      },
+      topics: node.repositoryTopics?.nodes?.map(topicNode => topicNode.topic.name),
+      languages,
+      license: node.licenseInfo,
+      isArchived: node.isArchived,
+      isDisabled: node.isDisabled,
+      openIssuesCount: node.issues?.totalCount,
+      visibility: node.visibility,
+      homepage: node.homepageUrl,
+      provider: 'github'
+    });
+  }
+
+  /**
+   * Cria uma instância Repository a partir de um projeto da API REST do GitLab (v4)
+   * Visibilidade internal/private conta como privado; last_activity_at vale como último push
+   */
+  static fromGitLabAPI(project) {
+    const namespace = project.namespace || {};
+
+    return new Repository({
+      id: project.id,
+      name: project.path,
+      fullName: project.path_with_namespace,
+      description: project.description,
+      htmlUrl: project.web_url,
+      language: null, // exige /projects/:id/languages
+      stargazersCount: project.star_count,
+      forksCount: project.forks_count,
+      size: project.statistics ? Math.round(project.statistics.repository_size / 1024) : 0,
+      defaultBranch: project.default_branch,
+      isPrivate: project.visibility ? project.visibility !== 'public' : false,
+      isFork: Boolean(project.forked_from_project),
+      hasIssues: project.issues_enabled,
+      hasProjects: false,
+      hasWiki: project.wiki_enabled,
+      hasPages: false,
+      createdAt: project.created_at,
+      updatedAt: project.last_activity_at,
+      pushedAt: project.last_activity_at,
+      owner: {
+        login: namespace.full_path || namespace.path,
+        avatar_url: namespace.avatar_url,
+        html_url: namespace.web_url
+      },
+      topics: project.topics || project.tag_list,
+      license: project.license, // presente apenas com ?license=true
+      isArchived: project.archived,
+      openIssuesCount: project.open_issues_count,
+      visibility: project.visibility,
+      provider: 'gitlab'
+    });
+  }
+
+  /**
+   * Cria uma instância Repository a partir dos dados da API do Gitea (v1)
+   * O Gitea não informa a data do último push: updated_at é usado no lugar
+   */
+  static fromGiteaAPI(apiData) {
+    return new Repository({
+      id: apiData.id,
+      name: apiData.name,
+      fullName: apiData.full_name,
+      description: apiData.description,
+      htmlUrl: apiData.html_url,
+      language: apiData.language,
+      stargazersCount: apiData.stars_count,
+      forksCount: apiData.forks_count,
+      watchersCount: apiData.watchers_count,
+      size: apiData.size,
+      defaultBranch: apiData.default_branch,
+      isPrivate: apiData.private,
+      isFork: apiData.fork,
+      hasIssues: apiData.has_issues,
+      hasProjects: apiData.has_projects,
+      hasWiki: apiData.has_wiki,
+      hasPages: false,
+      createdAt: apiData.created_at,
+      updatedAt: apiData.updated_at,
+      pushedAt: apiData.updated_at,
+      owner: apiData.owner,
+      topics: apiData.topics,
+      // Versões recentes do Gitea informam as licenças detectadas como identificadores SPDX
+      license: apiData.licenses?.length ? { key: apiData.licenses[0].toLowerCase(), name: apiData.licenses[0], spdxId: apiData.licenses[0] } : null,
+      isArchived: apiData.archived,
+      openIssuesCount: apiData.open_issues_count,
+      visibility: apiData.private ? 'private' : (apiData.internal ? 'internal' : 'public'),
+      homepage: apiData.website,
+      provider: 'gitea'
     });
   }
-}
\ No newline at end of file
+}
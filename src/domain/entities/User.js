@@ -6,6 +6,7 @@ export class User {
   constructor({
     id,
     login,
+    type,
     name,
     email,
     bio,
@@ -25,6 +26,7 @@ export class User {
     
     this.id = id;
     this.login = login;
+    this.type = type || 'User';
     this.name = name || null;
     this.email = email || null;
     this.bio = bio || null;
@@ -113,6 +115,13 @@ export class User {
     return this.updatedAt ? this.updatedAt.toLocaleDateString('pt-BR') : null;
   }
 
+  /**
+   * Verifica se a conta é de uma organização
+   */
+  get isOrganization() {
+    return this.type === 'Organization';
+  }
+
   /**
    * Verifica se o usuário tem informações completas
    */
@@ -146,6 +155,7 @@ export class User {
     return {
       id: this.id,
       login: this.login,
+      type: this.type,
       name: this.name,
       email: this.email,
       bio: this.bio,
@@ -174,6 +184,7 @@ export class User {
     return new User({
       id: apiData.id,
       login: apiData.login,
+      type: apiData.type,
       name: apiData.name,
       email: apiData.email,
       bio: apiData.bio,
@@ -190,4 +201,78 @@ export class User {
       updatedAt: apiData.updated_at
     });
   }
-}
\ No newline at end of file
+
+  /**
+   * Cria uma instância User a partir de um nó User/Organization da API GraphQL do GitHub
+   */
+  static fromGitHubGraphQL(node) {
+    return new User({
+      id: node.databaseId,
+      login: node.login,
+      type: node.__typename === 'Organization' ? 'Organization' : 'User',
+      name: node.name,
+      email: node.email,
+      bio: node.bio,
+      avatarUrl: node.avatarUrl,
+      htmlUrl: node.url,
+      location: node.location,
+      company: node.company,
+      blog: node.websiteUrl,
+      twitterUsername: node.twitterUsername,
+      followers: node.followers?.totalCount,
+      following: node.following?.totalCount,
+      publicRepos: node.repositories?.totalCount,
+      createdAt: node.createdAt,
+      updatedAt: node.updatedAt
+    });
+  }
+
+  /**
+   * Cria uma instância User a partir dos dados da API REST do GitLab (v4)
+   * A contagem de projetos não vem no usuário e é informada em public_repos
+   */
+  static fromGitLabAPI(apiData) {
+    return new User({
+      id: apiData.id,
+      login: apiData.username,
+      type: 'User',
+      name: apiData.name,
+      email: apiData.public_email,
+      bio: apiData.bio,
+      avatarUrl: apiData.avatar_url,
+      htmlUrl: apiData.web_url,
+      location: apiData.location,
+      company: apiData.organization,
+      blog: apiData.website_url,
+      twitterUsername: apiData.twitter,
+      followers: apiData.followers,
+      following: apiData.following,
+      publicRepos: apiData.public_repos,
+      createdAt: apiData.created_at,
+      updatedAt: apiData.last_activity_on
+    });
+  }
+
+  /**
+   * Cria uma instância User a partir dos dados da API do Gitea (v1)
+   * A contagem de repositórios não vem no usuário e é informada em public_repos
+   */
+  static fromGiteaAPI(apiData) {
+    return new User({
+      id: apiData.id,
+      login: apiData.login,
+      type: 'User',
+      name: apiData.full_name,
+      email: apiData.email,
+      bio: apiData.description,
+      avatarUrl: apiData.avatar_url,
+      htmlUrl: apiData.html_url,
+      location: apiData.location,
+      blog: apiData.website,
+      followers: apiData.followers_count,
+      following: apiData.following_count,
+      publicRepos: apiData.public_repos,
+      createdAt: apiData.created
+    });
+  }
+}
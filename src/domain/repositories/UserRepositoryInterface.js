@@ -6,11 +6,14 @@ export class UserRepositoryInterface {
   /**
    * Busca um usuário pelo username
    * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções da requisição
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
    * @returns {Promise<User>} Retorna uma Promise com a entidade User
    * @throws {UserNotFoundError} Quando o usuário não é encontrado
    * @throws {NetworkError} Quando há problemas de conectividade
+   * @throws {CancelledError} Quando a requisição é cancelada
    */
-  async findByUsername(username) {
+  async findByUsername(username, options = {}) {
     throw new Error('Method findByUsername must be implemented');
   }
 
@@ -22,14 +25,35 @@ export class UserRepositoryInterface {
    * @param {number} options.perPage - Itens por página (padrão: 30)
    * @param {string} options.sort - Campo para ordenação (padrão: 'updated')
    * @param {string} options.direction - Direção da ordenação (padrão: 'desc')
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
    * @returns {Promise<Repository[]>} Retorna uma Promise com array de entidades Repository
    * @throws {UserNotFoundError} Quando o usuário não é encontrado
    * @throws {NetworkError} Quando há problemas de conectividade
+   * @throws {CancelledError} Quando a requisição é cancelada
    */
   async findUserRepositories(username, options = {}) {
     throw new Error('Method findUserRepositories must be implemented');
   }
 
+  /**
+   * Busca todas as páginas de repositórios de um usuário
+   * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções de paginação e ordenação
+   * @param {number} options.perPage - Itens por página (padrão: 100)
+   * @param {number} options.maxPages - Limite de páginas a buscar (padrão: 10)
+   * @param {string} options.sort - Campo para ordenação (padrão: 'updated')
+   * @param {string} options.direction - Direção da ordenação (padrão: 'desc')
+   * @param {Function} options.onProgress - Callback chamado a cada página ({ page, totalPages, loaded })
+   * @param {AbortSignal} options.signal - Sinal para cancelar a busca (opcional)
+   * @returns {Promise<{repositories: Repository[], pagesFetched: number, totalPages: number|null, truncated: boolean}>}
+   * @throws {UserNotFoundError} Quando o usuário não é encontrado
+   * @throws {NetworkError} Quando há problemas de conectividade
+   * @throws {CancelledError} Quando a requisição é cancelada
+   */
+  async findAllUserRepositories(username, options = {}) {
+    throw new Error('Method findAllUserRepositories must be implemented');
+  }
+
   /**
    * Busca usuários por critério de pesquisa
    * @param {string} query - Termo de busca
@@ -37,6 +61,7 @@ export class UserRepositoryInterface {
    * @param {number} options.page - Página atual (padrão: 1)
    * @param {number} options.perPage - Itens por página (padrão: 30)
    * @param {string} options.sort - Campo para ordenação (padrão: 'best-match')
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
    * @returns {Promise<{users: User[], totalCount: number}>} Usuários encontrados e total
    * @throws {NetworkError} Quando há problemas de conectividade
    */
@@ -44,6 +69,119 @@ export class UserRepositoryInterface {
     throw new Error('Method searchUsers must be implemented');
   }
 
+  /**
+   * Busca uma organização pelo login
+   * @param {string} login - Login da organização no GitHub
+   * @param {Object} options - Opções da requisição
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<Organization>} Retorna uma Promise com a entidade Organization
+   * @throws {OrganizationNotFoundError} Quando a organização não é encontrada
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findOrganization(login, options = {}) {
+    throw new Error('Method findOrganization must be implemented');
+  }
+
+  /**
+   * Busca os repositórios de uma organização
+   * @param {string} login - Login da organização no GitHub
+   * @param {Object} options - Opções de paginação e filtros
+   * @param {number} options.page - Página atual (padrão: 1)
+   * @param {number} options.perPage - Itens por página (padrão: 30)
+   * @param {string} options.type - Tipo de repositório: all, public, sources, forks (padrão: 'all')
+   * @param {string} options.sort - Campo para ordenação (padrão: 'updated')
+   * @param {string} options.direction - Direção da ordenação (padrão: 'desc')
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<Repository[]>} Retorna uma Promise com array de entidades Repository
+   * @throws {OrganizationNotFoundError} Quando a organização não é encontrada
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findOrganizationRepositories(login, options = {}) {
+    throw new Error('Method findOrganizationRepositories must be implemented');
+  }
+
+  /**
+   * Busca os membros públicos de uma organização
+   * @param {string} login - Login da organização no GitHub
+   * @param {Object} options - Opções de paginação
+   * @param {number} options.page - Página atual (padrão: 1)
+   * @param {number} options.perPage - Itens por página (padrão: 30)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<User[]>} Retorna uma Promise com array de entidades User
+   * @throws {OrganizationNotFoundError} Quando a organização não é encontrada
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findOrganizationMembers(login, options = {}) {
+    throw new Error('Method findOrganizationMembers must be implemented');
+  }
+
+  /**
+   * Busca um repositório pelo dono e nome
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @returns {Promise<Repository>} Retorna uma Promise com a entidade Repository
+   * @throws {RepositoryNotFoundError} Quando o repositório não é encontrado
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findRepository(owner, repo) {
+    throw new Error('Method findRepository must be implemented');
+  }
+
+  /**
+   * Busca a distribuição de linguagens de um repositório
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @param {Object} options - Opções da requisição
+   * @param {string} options.priority - Prioridade na fila de requisições (opcional)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição (opcional)
+   * @returns {Promise<Object<string, number>>} Bytes de código por linguagem
+   * @throws {RepositoryNotFoundError} Quando o repositório não é encontrado
+   * @throws {NetworkError} Quando há problemas de conectividade
+   * @throws {CancelledError} Quando a requisição é cancelada
+   */
+  async findRepositoryLanguages(owner, repo, options = {}) {
+    throw new Error('Method findRepositoryLanguages must be implemented');
+  }
+
+  /**
+   * Busca os contribuidores de um repositório
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @param {Object} options - Opções de paginação
+   * @param {number} options.perPage - Itens por página (padrão: 30)
+   * @returns {Promise<{user: User, contributions: number}[]>} Contribuidores e número de contribuições
+   * @throws {RepositoryNotFoundError} Quando o repositório não é encontrado
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findRepositoryContributors(owner, repo, options = {}) {
+    throw new Error('Method findRepositoryContributors must be implemented');
+  }
+
+  /**
+   * Busca as releases de um repositório
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @param {Object} options - Opções de paginação
+   * @param {number} options.perPage - Itens por página (padrão: 10)
+   * @returns {Promise<Release[]>} Retorna uma Promise com array de entidades Release
+   * @throws {RepositoryNotFoundError} Quando o repositório não é encontrado
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findRepositoryReleases(owner, repo, options = {}) {
+    throw new Error('Method findRepositoryReleases must be implemented');
+  }
+
+  /**
+   * Busca o README de um repositório
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @returns {Promise<{content: string, path: string, htmlUrl: string}|null>} README em Markdown ou null se não existir
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async findRepositoryReadme(owner, repo) {
+    throw new Error('Method findRepositoryReadme must be implemented');
+  }
+
   /**
    * Verifica se um usuário existe
    * @param {string} username - Nome de usuário do GitHub
@@ -61,6 +199,74 @@ export class UserRepositoryInterface {
     throw new Error('Method getRateLimit must be implemented');
   }
 
+  /**
+   * Busca os repositórios fixados no perfil (opcional)
+   * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções da requisição ({ signal })
+   * @returns {Promise<Repository[]>} Repositórios fixados (vazio se não suportado)
+   */
+  async findPinnedRepositories(username, options = {}) {
+    // Implementação opcional
+    return [];
+  }
+
+  /**
+   * Busca a contagem de contribuições do último ano (opcional)
+   * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções da requisição ({ signal })
+   * @returns {Promise<Object|null>} Contagens por tipo e totalContributions, ou null se não suportado
+   */
+  async findUserContributions(username, options = {}) {
+    // Implementação opcional
+    return null;
+  }
+
+  /**
+   * Busca o calendário de contribuições do último ano (opcional)
+   * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções da requisição ({ signal })
+   * @returns {Promise<Array<{date: string, count: number}>|null>} Contribuições por dia (YYYY-MM-DD), ou null se não suportado
+   */
+  async findContributionCalendar(username, options = {}) {
+    // Implementação opcional
+    return null;
+  }
+
+  /**
+   * Busca as atividades públicas recentes de um usuário (opcional)
+   * @param {string} username - Nome de usuário do GitHub
+   * @param {Object} options - Opções de paginação
+   * @param {number} options.perPage - Eventos por página (padrão: 100)
+   * @param {number} options.maxPages - Limite de páginas (padrão: 3)
+   * @param {AbortSignal} options.signal - Sinal para cancelar a requisição
+   * @returns {Promise<Event[]>} Eventos do mais recente para o mais antigo (vazio se não suportado)
+   * @throws {UserNotFoundError} Quando o usuário não é encontrado
+   */
+  async findUserEvents(username, options = {}) {
+    // Implementação opcional
+    return [];
+  }
+
+  /**
+   * Verifica se o repositório possui integração contínua configurada (opcional)
+   * @param {string} owner - Login do dono do repositório
+   * @param {string} repo - Nome do repositório
+   * @returns {Promise<boolean|null>} true/false, ou null se o provedor não permitir verificar
+   * @throws {NetworkError} Quando há problemas de conectividade
+   */
+  async hasContinuousIntegration(owner, repo) {
+    // Implementação opcional
+    return null;
+  }
+
+  /**
+   * Formato de login aceito pelo provedor
+   * @returns {RegExp} Expressão regular (padrão: regras de username do GitHub)
+   */
+  getUsernamePattern() {
+    return /^[a-zA-Z0-9]([a-zA-Z0-9-]){0,38}$/;
+  }
+
   /**
    * Cache methods (opcionais para implementações que suportam cache)
    */
@@ -85,12 +291,58 @@ export class UserRepositoryInterface {
     // Implementação opcional
   }
 
+  /**
+   * Salva organização no cache
+   * @param {string} login - Login da organização
+   * @param {Organization} organization - Entidade Organization
+   * @param {number} ttl - Time to live em segundos (opcional)
+   */
+  async cacheOrganization(login, organization, ttl) {
+    // Implementação opcional
+  }
+
+  /**
+   * Busca organização no cache
+   * @param {string} login - Login da organização
+   * @param {Object} options - Opções de leitura
+   * @param {boolean} options.allowStale - Aceita a entrada já expirada (ex: API indisponível)
+   * @returns {Promise<Organization|null>} Organização do cache ou null
+   */
+  async getCachedOrganization(login, options = {}) {
+    // Implementação opcional
+    return null;
+  }
+
+  /**
+   * Salva resultados de busca de usuários no cache
+   * @param {string} query - Termo de busca
+   * @param {Object} options - Opções usadas na busca (compõem a chave)
+   * @param {{users: User[], totalCount: number}} result - Resultado da busca
+   * @param {number} ttl - Time to live em segundos (opcional)
+   */
+  async cacheSearchResults(query, options, result, ttl) {
+    // Implementação opcional
+  }
+
+  /**
+   * Busca resultados de busca de usuários no cache
+   * @param {string} query - Termo de busca
+   * @param {Object} options - Opções usadas na busca (compõem a chave)
+   * @returns {Promise<{users: User[], totalCount: number}|null>} Resultado do cache ou null
+   */
+  async getCachedSearchResults(query, options) {
+    // Implementação opcional
+    return null;
+  }
+
   /**
    * Busca usuário no cache
    * @param {string} username - Nome de usuário
+   * @param {Object} options - Opções de leitura
+   * @param {boolean} options.allowStale - Aceita a entrada já expirada (ex: API indisponível)
    * @returns {Promise<User|null>} Usuário do cache ou null
    */
-  async getCachedUser(username) {
+  async getCachedUser(username, options = {}) {
     // Implementação opcional
     return null;
   }
@@ -98,9 +350,33 @@ export class UserRepositoryInterface {
   /**
    * Busca repositórios no cache
    * @param {string} username - Nome de usuário
+   * @param {Object} options - Opções de leitura
+   * @param {boolean} options.allowStale - Aceita a entrada já expirada (ex: API indisponível)
    * @returns {Promise<Repository[]|null>} Repositórios do cache ou null
    */
-  async getCachedUserRepositories(username) {
+  async getCachedUserRepositories(username, options = {}) {
+    // Implementação opcional
+    return null;
+  }
+
+  /**
+   * Salva a distribuição de linguagens de um repositório no cache
+   * @param {string} fullName - Nome completo do repositório (owner/repo)
+   * @param {Date|string} pushedAt - Data do último push (compõe a chave)
+   * @param {Object<string, number>} languages - Bytes de código por linguagem
+   * @param {number} ttl - Time to live em segundos (opcional)
+   */
+  async cacheRepositoryLanguages(fullName, pushedAt, languages, ttl) {
+    // Implementação opcional
+  }
+
+  /**
+   * Busca a distribuição de linguagens de um repositório no cache
+   * @param {string} fullName - Nome completo do repositório (owner/repo)
+   * @param {Date|string} pushedAt - Data do último push (compõe a chave)
+   * @returns {Promise<Object<string, number>|null>} Bytes por linguagem do cache ou null
+   */
+  async getCachedRepositoryLanguages(fullName, pushedAt) {
     // Implementação opcional
     return null;
   }
@@ -132,6 +408,22 @@ export class UserNotFoundError extends Error {
   }
 }
 
+export class OrganizationNotFoundError extends Error {
+  constructor(login) {
+    super(`Organization '${login}' not found`);
+    this.name = 'OrganizationNotFoundError';
+    this.login = login;
+  }
+}
+
+export class RepositoryNotFoundError extends Error {
+  constructor(fullName) {
+    super(`Repository '${fullName}' not found`);
+    this.name = 'RepositoryNotFoundError';
+    this.fullName = fullName;
+  }
+}
+
 export class NetworkError extends Error {
   constructor(message, originalError) {
     super(message);
@@ -149,6 +441,21 @@ export class RateLimitError extends Error {
   }
 }
 
+export class ServiceUnavailableError extends NetworkError {
+  constructor(message, retryAt = null) {
+    super(message);
+    this.name = 'ServiceUnavailableError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class CancelledError extends Error {
+  constructor(message = 'Request was cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
 export class ValidationError extends Error {
   constructor(field, value, message) {
     super(`Validation failed for field '${field}' with value '${value}': ${message}`);
@@ -156,4 +463,13 @@ export class ValidationError extends Error {
     this.field = field;
     this.value = value;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Erros de disponibilidade da API (rate limit, circuito aberto) que os casos de uso
+ * repassam sem envolver em NetworkError, preservando o horário de nova tentativa
+ * @param {Error} error - Erro recebido do repositório
+ * @returns {boolean} Se o erro deve ser repassado como está
+ */
+export const isPassthroughDomainError = (error) =>
+  error instanceof RateLimitError || error instanceof ServiceUnavailableError;
@@ -0,0 +1,244 @@
+/**
+ * Pesos padrão dos fatores de saúde (somam 100)
+ */
+export const HEALTH_FACTOR_WEIGHTS = {
+  readme: 20,
+  license: 15,
+  description: 10,
+  topics: 5,
+  recentPush: 20,
+  openIssues: 10,
+  ci: 10,
+  releases: 10
+};
+
+/**
+ * Faixas de saúde a partir do score
+ */
+export const HEALTH_LEVELS = {
+  HEALTHY: 'healthy', // 80 ou mais
+  FAIR: 'fair',       // 50 a 79
+  POOR: 'poor'        // abaixo de 50
+};
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * RepositoryHealthService - Serviço de domínio que calcula a saúde de um repositório (0–100)
+ * Cada fator informa peso, pontuação e explicação. Sinais que não estão na entidade (README,
+ * CI e releases) chegam pelo parâmetro signals; quando ausentes o fator fica como desconhecido
+ * e o score é calculado apenas sobre os pesos conhecidos (ver coverage)
+ */
+export class RepositoryHealthService {
+  /**
+   * @param {Object} options - Configuração do cálculo
+   * @param {Object} options.weights - Substitui pesos de HEALTH_FACTOR_WEIGHTS
+   * @param {number} options.activeDays - Push mais recente que isso conta integralmente (padrão: 90)
+   * @param {number} options.staleDays - Push mais antigo que isso não pontua (padrão: 365)
+   */
+  constructor(options = {}) {
+    this.weights = { ...HEALTH_FACTOR_WEIGHTS, ...options.weights };
+    this.activeDays = options.activeDays || 90;
+    this.staleDays = options.staleDays || 365;
+  }
+
+  /**
+   * Avalia um repositório
+   * @param {Repository} repository - Entidade (ou seu toJSON)
+   * @param {Object} signals - Dados complementares (opcionais)
+   * @param {boolean|null} signals.hasReadme - Se possui README
+   * @param {boolean|null} signals.hasCi - Se possui CI configurado
+   * @param {number|null} signals.releaseCount - Quantidade de releases publicadas
+   * @param {Date} signals.now - Data de referência (padrão: agora)
+   * @returns {{score: number|null, level: string|null, coverage: number, factors: Object[]}} Score e fatores
+   */
+  evaluate(repository, signals = {}) {
+    const now = signals.now || new Date();
+
+    const factors = [
+      this.evaluateReadme(signals.hasReadme),
+      this.evaluateLicense(repository.license),
+      this.evaluateDescription(repository.description),
+      this.evaluateTopics(repository.topics || []),
+      this.evaluateRecentPush(repository, now),
+      this.evaluateOpenIssues(repository),
+      this.evaluateCi(signals.hasCi),
+      this.evaluateReleases(signals.releaseCount)
+    ].map(factor => this.withWeight(factor));
+
+    const totalWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+    const known = factors.filter(factor => factor.status !== 'unknown');
+    const knownWeight = known.reduce((sum, factor) => sum + factor.weight, 0);
+    const earned = known.reduce((sum, factor) => sum + factor.ratio * factor.weight, 0);
+
+    const score = knownWeight > 0 ? Math.round((earned / knownWeight) * 100) : null;
+
+    return {
+      score,
+      level: this.getLevel(score),
+      coverage: totalWeight > 0 ? Math.round((knownWeight / totalWeight) * 100) : 0,
+      factors
+    };
+  }
+
+  /**
+   * Faixa correspondente ao score
+   */
+  getLevel(score) {
+    if (score === null) return null;
+    if (score >= 80) return HEALTH_LEVELS.HEALTHY;
+    if (score >= 50) return HEALTH_LEVELS.FAIR;
+    return HEALTH_LEVELS.POOR;
+  }
+
+  /**
+   * Completa o fator com peso, pontos obtidos e status
+   */
+  withWeight(factor) {
+    const weight = this.weights[factor.key] || 0;
+
+    let status = 'unknown';
+    if (factor.ratio !== null) {
+      status = factor.ratio >= 1 ? 'pass' : factor.ratio > 0 ? 'partial' : 'fail';
+    }
+
+    return {
+      ...factor,
+      weight,
+      points: factor.ratio === null ? null : Math.round(factor.ratio * weight * 10) / 10,
+      status
+    };
+  }
+
+  evaluateReadme(hasReadme) {
+    return this.createFactor('readme', 'README', this.fromSignal(hasReadme), {
+      unknown: 'Verificado apenas na página de detalhes',
+      pass: 'Possui README explicando o projeto',
+      fail: 'Sem README: visitantes não sabem como usar o projeto'
+    });
+  }
+
+  evaluateLicense(license) {
+    if (!license) {
+      return this.createFactor('license', 'Licença', 0, {
+        fail: 'Sem licença: o código não pode ser reutilizado com segurança'
+      });
+    }
+
+    // Licença presente mas não identificada pelo provedor (ex: spdx NOASSERTION)
+    if (license.spdxId === 'NOASSERTION') {
+      return this.createFactor('license', 'Licença', 0.5, {
+        partial: `Licença não reconhecida (${license.name})`
+      });
+    }
+
+    return this.createFactor('license', 'Licença', 1, {
+      pass: `Licenciado sob ${license.name}`
+    });
+  }
+
+  evaluateDescription(description) {
+    return this.createFactor('description', 'Descrição', description && description.trim() ? 1 : 0, {
+      pass: 'Possui descrição',
+      fail: 'Sem descrição'
+    });
+  }
+
+  evaluateTopics(topics) {
+    const ratio = topics.length >= 3 ? 1 : topics.length > 0 ? 0.5 : 0;
+
+    return this.createFactor('topics', 'Tópicos', ratio, {
+      pass: `${topics.length} tópicos facilitam a descoberta`,
+      partial: `Apenas ${topics.length} ${topics.length === 1 ? 'tópico' : 'tópicos'} (3 ou mais é o ideal)`,
+      fail: 'Sem tópicos'
+    });
+  }
+
+  evaluateRecentPush(repository, now) {
+    if (repository.isArchived) {
+      return this.createFactor('recentPush', 'Atividade', 0, {
+        fail: 'Arquivado: não recebe mais alterações'
+      });
+    }
+
+    if (!repository.pushedAt) {
+      return this.createFactor('recentPush', 'Atividade', 0, {
+        fail: 'Nenhum push registrado'
+      });
+    }
+
+    const days = Math.max(0, Math.floor((now - new Date(repository.pushedAt)) / DAY_IN_MS));
+    const ratio = days <= this.activeDays ? 1 : days <= this.staleDays ? 0.5 : 0;
+    const elapsed = days === 0 ? 'hoje' : `há ${days} ${days === 1 ? 'dia' : 'dias'}`;
+
+    return this.createFactor('recentPush', 'Atividade', ratio, {
+      pass: `Último push ${elapsed}`,
+      partial: `Último push ${elapsed} (mais de ${this.activeDays} dias)`,
+      fail: `Último push ${elapsed}: mais de um ano sem alterações`
+    });
+  }
+
+  /**
+   * Issues abertas em relação ao interesse no projeto (estrelas + forks)
+   * Até 5 issues abertas ou 5% pontua integralmente; a partir de 50% não pontua
+   * No GitHub o total inclui pull requests abertos
+   */
+  evaluateOpenIssues(repository) {
+    if (!repository.hasIssues) {
+      return this.createFactor('openIssues', 'Issues abertas', null, {
+        unknown: 'Issues desativadas no repositório'
+      });
+    }
+
+    const open = repository.openIssuesCount || 0;
+    const audience = (repository.stargazersCount || 0) + (repository.forksCount || 0);
+    const ratio = open / Math.max(1, audience);
+
+    const score = open <= 5 ? 1 : Math.min(1, Math.max(0, (0.5 - ratio) / 0.45));
+    const summary = `${open} ${open === 1 ? 'issue aberta' : 'issues abertas'} para ${audience} estrelas e forks`;
+
+    return this.createFactor('openIssues', 'Issues abertas', Math.round(score * 100) / 100, {
+      pass: open <= 5 ? `${open} ${open === 1 ? 'issue aberta' : 'issues abertas'}` : summary,
+      partial: summary,
+      fail: `${summary}: backlog alto`
+    });
+  }
+
+  evaluateCi(hasCi) {
+    return this.createFactor('ci', 'Integração contínua', this.fromSignal(hasCi), {
+      unknown: 'Verificado apenas na página de detalhes',
+      pass: 'Possui workflows de CI',
+      fail: 'Nenhum workflow de CI encontrado'
+    });
+  }
+
+  evaluateReleases(releaseCount) {
+    const ratio = releaseCount === null || releaseCount === undefined ? null : releaseCount > 0 ? 1 : 0;
+
+    return this.createFactor('releases', 'Releases', ratio, {
+      unknown: 'Verificado apenas na página de detalhes',
+      pass: 'Publica releases versionadas',
+      fail: 'Nenhuma release publicada'
+    });
+  }
+
+  /**
+   * Converte um sinal booleano opcional em fração (null = desconhecido)
+   */
+  fromSignal(value) {
+    if (value === null || value === undefined) return null;
+    return value ? 1 : 0;
+  }
+
+  /**
+   * Monta o fator com a explicação correspondente à pontuação
+   */
+  createFactor(key, label, ratio, explanations) {
+    let explanation = explanations.unknown;
+    if (ratio !== null) {
+      explanation = ratio >= 1 ? explanations.pass : ratio > 0 ? explanations.partial : explanations.fail;
+    }
+
+    return { key, label, ratio, explanation };
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * IndexedDBCache - Cache persistente no navegador usando IndexedDB
+ * Implementa o mesmo contrato do cache em memória (get/set/del/flush/getStats),
+ * com expiração por TTL, contabilização de tamanho e remoção LRU
+ * Entradas expiradas são mantidas por maxStaleSeconds e só são lidas com allowStale
+ * (ex: API indisponível)
+ */
+export class IndexedDBCache {
+  constructor(config = {}) {
+    this.dbName = config.dbName || 'github-explorer-cache';
+    this.storeName = config.storeName || 'entries';
+    this.maxEntries = config.maxEntries || 500;
+    this.maxBytes = config.maxBytes || 5 * 1024 * 1024; // 5 MB
+    this.maxStaleSeconds = config.maxStaleSeconds ?? 86400; // 1 dia após expirar
+    this.fallback = config.fallback || null;
+    this.logger = config.logger || console;
+
+    // Índice em memória com metadados das entradas (key -> { size, expiresAt, lastAccessedAt })
+    this.index = new Map();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
+
+    this.db = null;
+    this.usingFallback = false;
+    this.ready = this.open();
+  }
+
+  /**
+   * Verifica se IndexedDB está disponível no ambiente
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * Abre o banco e carrega o índice de metadados
+   */
+  async open() {
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'key' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      });
+
+      await this.loadIndex();
+      await this.purgeExpired();
+
+      this.logger.debug(`[IndexedDBCache] Opened with ${this.index.size} entries (${this.totalBytes} bytes)`);
+
+    } catch (error) {
+      this.logger.warn('[IndexedDBCache] IndexedDB unavailable, using fallback cache:', error);
+      this.db = null;
+      this.usingFallback = true;
+    }
+  }
+
+  /**
+   * Carrega metadados de todas as entradas para o índice em memória
+   */
+  async loadIndex() {
+    const records = await this.runRequest('readonly', store => store.getAll());
+
+    this.index.clear();
+    this.totalBytes = 0;
+
+    records.forEach(record => {
+      this.index.set(record.key, {
+        size: record.size,
+        expiresAt: record.expiresAt,
+        lastAccessedAt: record.lastAccessedAt
+      });
+      this.totalBytes += record.size;
+    });
+  }
+
+  /**
+   * Busca um valor; retorna null se ausente ou expirado
+   * @param {string} key - Chave
+   * @param {Object} options
+   * @param {boolean} options.allowStale - Aceita entradas expiradas ainda dentro de maxStaleSeconds
+   */
+  async get(key, options = {}) {
+    await this.ready;
+    if (this.usingFallback) return this.fallback ? this.fallback.get(key, options) : null;
+
+    try {
+      const record = await this.runRequest('readonly', store => store.get(key));
+
+      if (!record) {
+        this.stats.misses++;
+        return null;
+      }
+
+      if (this.isExpired(record) && (!options.allowStale || this.isPastStaleWindow(record))) {
+        this.stats.misses++;
+        if (this.isPastStaleWindow(record)) {
+          await this.del(key);
+        }
+        return null;
+      }
+
+      this.stats.hits++;
+      this.touch(record);
+
+      return record.value;
+
+    } catch (error) {
+      this.logger.warn(`[IndexedDBCache] Read error for ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva um valor com TTL em segundos
+   */
+  async set(key, value, ttlSeconds = 300) {
+    await this.ready;
+    if (this.usingFallback) return this.fallback?.set(key, value, ttlSeconds);
+
+    const size = this.estimateSize(value);
+    if (size > this.maxBytes) {
+      this.logger.warn(`[IndexedDBCache] Entry ${key} (${size} bytes) exceeds cache limit, skipping`);
+      return;
+    }
+
+    const now = Date.now();
+    const record = {
+      key,
+      value,
+      size,
+      expiresAt: ttlSeconds ? now + (ttlSeconds * 1000) : null,
+      lastAccessedAt: now
+    };
+
+    try {
+      await this.runRequest('readwrite', store => store.put(record));
+      this.updateIndex(record);
+      await this.evictIfNeeded();
+    } catch (error) {
+      this.logger.warn(`[IndexedDBCache] Write error for ${key}:`, error);
+    }
+  }
+
+  /**
+   * Remove uma entrada
+   */
+  async del(key) {
+    await this.ready;
+    if (this.usingFallback) return this.fallback ? this.fallback.del(key) : false;
+
+    const existed = this.index.has(key);
+
+    try {
+      await this.runRequest('readwrite', store => store.delete(key));
+    } catch (error) {
+      this.logger.warn(`[IndexedDBCache] Delete error for ${key}:`, error);
+    }
+
+    this.removeFromIndex(key);
+    return existed;
+  }
+
+  /**
+   * Remove todas as entradas
+   */
+  async flush() {
+    await this.ready;
+    if (this.usingFallback) return this.fallback?.flush();
+
+    await this.runRequest('readwrite', store => store.clear());
+    this.index.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Estatísticas do cache
+   */
+  getStats() {
+    if (this.usingFallback && this.fallback) {
+      return {
+        ...this.fallback.getStats(),
+        backend: 'memory'
+      };
+    }
+
+    return {
+      backend: 'indexeddb',
+      size: this.index.size,
+      keys: Array.from(this.index.keys()),
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      maxEntries: this.maxEntries,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+      evictions: this.stats.evictions
+    };
+  }
+
+  /**
+   * Remove entradas expiradas há mais de maxStaleSeconds
+   */
+  async purgeExpired() {
+    const expiredKeys = Array.from(this.index.entries())
+      .filter(([, meta]) => this.isPastStaleWindow(meta))
+      .map(([key]) => key);
+
+    for (const key of expiredKeys) {
+      await this.runRequest('readwrite', store => store.delete(key));
+      this.removeFromIndex(key);
+    }
+  }
+
+  /**
+   * Remove as entradas menos usadas recentemente até respeitar os limites
+   */
+  async evictIfNeeded() {
+    if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+      return;
+    }
+
+    await this.purgeExpired();
+
+    const byLeastRecentUse = Array.from(this.index.entries())
+      .sort(([, a], [, b]) => a.lastAccessedAt - b.lastAccessedAt)
+      .map(([key]) => key);
+
+    for (const key of byLeastRecentUse) {
+      if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+        break;
+      }
+
+      await this.runRequest('readwrite', store => store.delete(key));
+      this.removeFromIndex(key);
+      this.stats.evictions++;
+      this.logger.debug(`[IndexedDBCache] Evicted ${key}`);
+    }
+  }
+
+  /**
+   * Atualiza o último acesso (persistido sem bloquear a leitura)
+   */
+  touch(record) {
+    const updated = { ...record, lastAccessedAt: Date.now() };
+    this.updateIndex(updated);
+
+    this.runRequest('readwrite', store => store.put(updated)).catch(error => {
+      this.logger.debug(`[IndexedDBCache] Could not update access time for ${record.key}:`, error);
+    });
+  }
+
+  /**
+   * Métodos auxiliares
+   */
+
+  isExpired(record) {
+    return Boolean(record.expiresAt && Date.now() > record.expiresAt);
+  }
+
+  isPastStaleWindow(record) {
+    return Boolean(record.expiresAt && Date.now() > record.expiresAt + (this.maxStaleSeconds * 1000));
+  }
+
+  updateIndex(record) {
+    this.removeFromIndex(record.key);
+    this.index.set(record.key, {
+      size: record.size,
+      expiresAt: record.expiresAt,
+      lastAccessedAt: record.lastAccessedAt
+    });
+    this.totalBytes += record.size;
+  }
+
+  removeFromIndex(key) {
+    const meta = this.index.get(key);
+    if (meta) {
+      this.totalBytes -= meta.size;
+      this.index.delete(key);
+    }
+  }
+
+  /**
+   * Estima o tamanho em bytes (strings em UTF-16)
+   */
+  estimateSize(value) {
+    const serialized = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    return serialized.length * 2;
+  }
+
+  /**
+   * Executa uma operação no object store e resolve com o resultado
+   */
+  runRequest(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+}
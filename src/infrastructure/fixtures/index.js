@@ -0,0 +1,20 @@
+import users from './users.json';
+import repositories from './repositories.json';
+import organizations from './organizations.json';
+import repositoryDetails from './repository-details.json';
+import scenarios from './scenarios.json';
+import events from './events.json';
+
+/**
+ * Fixtures usadas pelo FixtureUserRepository
+ * Os dados seguem o formato das respostas da API REST do GitHub (v3);
+ * scenarios associa logins a falhas simuladas (404, rate limit, erro de rede)
+ */
+export const githubFixtures = {
+  users,
+  repositories,
+  organizations,
+  repositoryDetails,
+  scenarios,
+  events
+};
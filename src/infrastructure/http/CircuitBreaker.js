@@ -0,0 +1,205 @@
+/**
+ * Estados do circuit breaker
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // operação normal
+  OPEN: 'open',           // falha rápido sem chamar a API
+  HALF_OPEN: 'half-open'  // deixa passar uma requisição de teste
+};
+
+/**
+ * CircuitBreaker - Interrompe chamadas a um serviço degradado
+ * Abre quando a taxa de falhas na janela móvel ultrapassa o limite e,
+ * após o tempo de espera, testa o serviço com uma requisição antes de fechar
+ */
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.windowMs = config.windowMs || 60000; // janela móvel de 1 minuto
+    this.minimumRequests = config.minimumRequests || 5;
+    this.failureRateThreshold = config.failureRateThreshold ?? 0.5;
+    this.openDurationMs = config.openDurationMs || 30000; // 30 segundos
+    this.logger = config.logger || console;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.outcomes = [];
+    this.openedAt = null;
+    this.halfOpenTimer = null;
+    this.trialInProgress = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Verifica se uma requisição pode ser feita agora
+   * No estado half-open, apenas uma requisição de teste por vez é liberada
+   */
+  canRequest() {
+    this.updateState();
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      return false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInProgress) return false;
+      this.trialInProgress = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Registra uma chamada bem-sucedida
+   */
+  recordSuccess() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.outcomes = [];
+      this.trialInProgress = false;
+      this.transitionTo(CIRCUIT_STATES.CLOSED);
+      return;
+    }
+
+    this.recordOutcome(true);
+  }
+
+  /**
+   * Registra uma falha do serviço
+   */
+  recordFailure() {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.trialInProgress = false;
+      this.open();
+      return;
+    }
+
+    this.recordOutcome(false);
+
+    const { total, failureRate } = this.getWindowStats();
+    if (total >= this.minimumRequests && failureRate >= this.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Libera a vaga de teste quando a requisição não chegou a um resultado (ex.: cancelada)
+   */
+  releaseTrial() {
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Abre o circuito e agenda a passagem para half-open ao fim da espera,
+   * para que a interface não exiba um horário de nova tentativa já vencido
+   */
+  open() {
+    this.openedAt = Date.now();
+    this.transitionTo(CIRCUIT_STATES.OPEN);
+
+    clearTimeout(this.halfOpenTimer);
+    this.halfOpenTimer = setTimeout(() => {
+      this.halfOpenTimer = null;
+      this.updateState();
+    }, this.openDurationMs);
+
+    // Em Node (testes, SSR) o timer não mantém o processo vivo
+    this.halfOpenTimer.unref?.();
+  }
+
+  /**
+   * Passa de open para half-open quando a espera terminou
+   * Também verificado em canRequest e getStatus, caso o timer atrase (ex: aba em segundo plano)
+   */
+  updateState() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.openDurationMs) {
+      this.transitionTo(CIRCUIT_STATES.HALF_OPEN);
+    }
+  }
+
+  /**
+   * Adiciona um resultado à janela móvel
+   */
+  recordOutcome(success) {
+    this.outcomes.push({ success, timestamp: Date.now() });
+    this.pruneWindow();
+  }
+
+  /**
+   * Remove resultados fora da janela
+   */
+  pruneWindow() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.outcomes.length && this.outcomes[0].timestamp < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Taxa de falhas da janela atual
+   */
+  getWindowStats() {
+    this.pruneWindow();
+
+    const total = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+
+    return {
+      total,
+      failures,
+      failureRate: total > 0 ? failures / total : 0
+    };
+  }
+
+  /**
+   * Momento em que o circuito aberto voltará a testar o serviço
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN
+      ? new Date(this.openedAt + this.openDurationMs)
+      : null;
+  }
+
+  /**
+   * Muda de estado e notifica os listeners
+   */
+  transitionTo(state) {
+    if (this.state === state) return;
+
+    this.logger.warn(`[CircuitBreaker] ${this.state} -> ${state}`);
+    this.state = state;
+
+    if (state !== CIRCUIT_STATES.OPEN) {
+      clearTimeout(this.halfOpenTimer);
+      this.halfOpenTimer = null;
+    }
+
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        this.logger.warn('[CircuitBreaker] Listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Registra um listener para mudanças de estado
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Estado atual para a interface
+   */
+  getStatus() {
+    this.updateState();
+
+    return {
+      state: this.state,
+      retryAt: this.getRetryAt(),
+      ...this.getWindowStats()
+    };
+  }
+}
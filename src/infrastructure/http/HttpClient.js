@@ -1,5 +1,9 @@
 import axios from 'axios';
-import { NetworkError, RateLimitError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { NetworkError, RateLimitError, CancelledError, ServiceUnavailableError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { RequestScheduler } from './RequestScheduler.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { HttpRecorder } from './HttpRecorder.js';
 
 /**
  * HttpClient - Cliente HTTP configurado para comunicação com APIs externas
@@ -13,6 +17,51 @@ export class HttpClient {
     this.retryDelay = config.retryDelay || 1000; // 1 segundo
     this.logger = config.logger || console;
 
+    // Política de retry (backoff exponencial, Retry-After, limites secundários)
+    this.retryPolicy = config.retryPolicy || new RetryPolicy({
+      maxAttempts: this.retryAttempts,
+      baseDelay: this.retryDelay,
+      maxDelay: config.maxRetryDelay,
+      maxWait: config.maxRateLimitWait
+    });
+
+    // Requisições condicionais (ETag/Last-Modified)
+    // Respostas 304 não contam no rate limit do GitHub
+    this.conditionalRequests = config.conditionalRequests !== false;
+    this.maxValidatorEntries = config.maxValidatorEntries || 200;
+    this.validatorStore = new Map();
+    this.revalidatedCount = 0;
+
+    // Rate limit por recurso da API (core, search, graphql)
+    this.rateLimits = {};
+    this.lastRateLimitInfo = null;
+    this.rateLimitListeners = new Set();
+    this.rateLimitThreshold = config.rateLimitThreshold ?? 5;
+    this.maxThrottleDelay = config.maxThrottleDelay || 5000; // 5 segundos
+    this.throttledCount = 0;
+
+    // Fila com limite de concorrência e prioridades (user > background)
+    this.scheduler = config.scheduler || new RequestScheduler({
+      maxConcurrency: config.maxConcurrency
+    });
+
+    // Circuit breaker: falha rápido enquanto a API estiver degradada
+    this.circuitBreaker = config.circuitBreaker || new CircuitBreaker({
+      ...config.circuitBreakerOptions,
+      logger: this.logger
+    });
+
+    // Deduplicação de GETs idênticos em andamento
+    this.dedupeRequests = config.dedupeRequests !== false;
+    this.inFlightRequests = new Map();
+    this.dedupedCount = 0;
+
+    // Gravação de respostas em cassete (HAR) e replay sem rede
+    this.recorder = config.recorder || new HttpRecorder({
+      baseURL: this.baseURL,
+      logger: this.logger
+    });
+
     // Configuração do axios
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -55,13 +104,18 @@ export class HttpClient {
       (response) => {
         const duration = Date.now() - response.config.metadata.startTime;
         this.logger.debug(`[HttpClient] Request completed in ${duration}ms: ${response.status} ${response.config.url}`);
+
+        this.updateRateLimitInfo(response.headers);
         
         // Adiciona metadata à resposta
         response.metadata = {
           ...response.config.metadata,
           duration,
           rateLimitRemaining: response.headers['x-ratelimit-remaining'],
-          rateLimitReset: response.headers['x-ratelimit-reset']
+          rateLimitReset: response.headers['x-ratelimit-reset'],
+          links: this.parseLinkHeader(response.headers['link']),
+          revalidated: false,
+          stale: false
         };
 
         return response;
@@ -101,83 +155,460 @@ export class HttpClient {
   }
 
   /**
-   * Método genérico para realizar requisições com retry
+   * Método genérico para realizar requisições
+   * GETs idênticos em andamento compartilham a mesma chamada de rede
+   * @param {string} method - Método HTTP
+   * @param {string} url - URL relativa ao baseURL
+   * @param {Object} config - Configuração do axios, além de:
+   * @param {AbortSignal} config.signal - Cancela a requisição (inclusive enquanto na fila)
+   * @param {string} config.priority - Prioridade na fila: user (padrão), normal ou background
+   * @param {boolean} config.dedupe - false para não compartilhar com GETs idênticos
    */
   async request(method, url, config = {}) {
+    if (!this.isDedupable(method, config)) {
+      return this.executeRequest(method, url, config);
+    }
+
+    const requestKey = this.getRequestKey(method, url, config);
+    let entry = this.inFlightRequests.get(requestKey);
+
+    // Entrada já abortada não é reaproveitada (a remoção no finally é assíncrona)
+    if (entry && !entry.controller.signal.aborted) {
+      this.dedupedCount++;
+      this.logger.debug(`[HttpClient] Joining in-flight request: ${method} ${url}`);
+    } else {
+      // A chamada compartilhada tem seu próprio controller: só é abortada
+      // quando todos os interessados cancelarem
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0, promise: null, requestKey };
+      entry.promise = this.executeRequest(method, url, { ...config, signal: controller.signal })
+        .finally(() => {
+          if (this.inFlightRequests.get(requestKey) === entry) {
+            this.inFlightRequests.delete(requestKey);
+          }
+        });
+
+      this.inFlightRequests.set(requestKey, entry);
+    }
+
+    return this.subscribeToRequest(entry, config.signal, `${method} ${url}`);
+  }
+
+  /**
+   * Verifica se a requisição pode ser compartilhada (apenas GET)
+   */
+  isDedupable(method, config) {
+    return this.dedupeRequests && config.dedupe !== false && method.toUpperCase() === 'GET';
+  }
+
+  /**
+   * Aguarda a requisição compartilhada respeitando o sinal de quem a chamou
+   */
+  subscribeToRequest(entry, signal, description) {
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError(`Request cancelled: ${description}`));
+    }
+
+    entry.subscribers++;
+
+    return new Promise((resolve, reject) => {
+      const release = () => {
+        signal?.removeEventListener('abort', onAbort);
+        entry.subscribers--;
+      };
+
+      const onAbort = () => {
+        release();
+        if (entry.subscribers === 0) {
+          // Remove antes de abortar para que um GET idêntico abra uma nova chamada
+          if (this.inFlightRequests.get(entry.requestKey) === entry) {
+            this.inFlightRequests.delete(entry.requestKey);
+          }
+          entry.controller.abort();
+        }
+        reject(new CancelledError(`Request cancelled: ${description}`));
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      entry.promise.then(
+        response => {
+          if (signal?.aborted) return;
+          release();
+          resolve(response);
+        },
+        error => {
+          if (signal?.aborted) return;
+          release();
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Executa a requisição com throttling, validadores condicionais e retry
+   */
+  async executeRequest(method, url, config = {}) {
     let lastError;
+    const validatorKey = this.isConditional(method) ? this.getRequestKey(method, url, config) : null;
+    const storedEntry = validatorKey ? this.validatorStore.get(validatorKey) : null;
+
+    // Opções do HttpClient não são repassadas ao axios
+    const { priority, dedupe, ...requestConfig } = config;
+    const { signal } = requestConfig;
+
+    // Replay: responde a partir do cassete, sem throttling, retry ou circuit breaker
+    if (this.recorder.isReplaying()) {
+      return this.replayRequest(method, url, requestConfig);
+    }
+
+    // Aguarda ou falha antes de esgotar a cota do recurso
+    await this.throttle(url, signal);
     
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+    for (let attempt = 1; attempt <= this.retryPolicy.maxAttempts; attempt++) {
+      if (signal?.aborted) {
+        throw new CancelledError(`Request cancelled: ${method} ${url}`);
+      }
+
+      // Circuito aberto: responde com dados antigos, se houver, sem chamar a API
+      if (!this.circuitBreaker.canRequest()) {
+        const staleResponse = this.serveStaleResponse(storedEntry, method, url);
+        this.recorder.record(method, url, requestConfig, { response: staleResponse });
+        return staleResponse;
+      }
+
       try {
-        const response = await this.client.request({
-          method,
-          url,
-          ...config
-        });
+        // Cada tentativa ocupa uma vaga do scheduler apenas durante a chamada de rede
+        const response = await this.scheduler.schedule(
+          () => this.client.request({
+            method,
+            url,
+            ...this.withConditionalHeaders(storedEntry, requestConfig)
+          }),
+          { priority, signal }
+        );
 
-        return response;
+        this.circuitBreaker.recordSuccess();
+
+        const finalResponse = this.handleConditionalResponse(validatorKey, storedEntry, response);
+        this.recorder.record(method, url, requestConfig, { response: finalResponse });
+
+        return finalResponse;
 
       } catch (error) {
         lastError = error;
+
+        // Requisição cancelada: não faz retry
+        if (this.isCancelled(error, signal)) {
+          this.circuitBreaker.releaseTrial();
+          throw new CancelledError(`Request cancelled: ${method} ${url}`);
+        }
+
+        // Apenas falhas do serviço contam para o circuit breaker (4xx indicam API no ar)
+        if (this.isServiceFailure(error)) {
+          this.circuitBreaker.recordFailure();
+        } else {
+          this.circuitBreaker.recordSuccess();
+        }
         
         // Não faz retry para alguns tipos de erro
-        if (!this.shouldRetry(error, attempt)) {
+        const decision = this.retryPolicy.getDecision(error, attempt);
+        if (!decision.retry) {
+          if (decision.reason === 'rate-limit-wait-exceeded') {
+            this.logger.warn(`[HttpClient] Rate limit reset in ${Math.ceil(decision.delay / 1000)}s exceeds maximum wait, giving up`);
+          }
           break;
         }
 
         // Log do retry
-        this.logger.warn(`[HttpClient] Request failed (attempt ${attempt}/${this.retryAttempts}): ${error.message}`);
+        this.logger.warn(`[HttpClient] Request failed (attempt ${attempt}/${this.retryPolicy.maxAttempts}, ${decision.reason}): ${error.message}. Retrying in ${decision.delay}ms`);
         
         // Aguarda antes do próximo retry
-        if (attempt < this.retryAttempts) {
-          await this.delay(this.retryDelay * attempt);
-        }
+        await this.delay(decision.delay, signal);
       }
     }
 
     // Se chegou aqui, todos os retries falharam
+    this.recorder.record(method, url, requestConfig, { error: lastError });
     throw this.transformError(lastError);
   }
 
+  /**
+   * Responde a partir do cassete carregado no recorder
+   * Respostas de erro gravadas são convertidas nos mesmos erros de domínio da rede
+   * @throws {UnmatchedRequestError} Quando o cassete não tem a requisição
+   */
+  async replayRequest(method, url, config) {
+    if (config.signal?.aborted) {
+      throw new CancelledError(`Request cancelled: ${method} ${url}`);
+    }
+
+    const entry = this.recorder.match(method, url, config.params, config.data);
+    const response = this.recorder.toResponse(entry, config);
+
+    this.logger.debug(`[HttpClient] Replaying recorded response: ${response.status} ${method} ${url}`);
+
+    // Falha de rede gravada
+    if (response.status === 0) {
+      throw new NetworkError(`Network error: ${entry.response._error || 'Network Error'}`);
+    }
+
+    this.updateRateLimitInfo(response.headers);
+
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(response.status)) {
+      throw this.transformError({
+        message: `Request failed with status code ${response.status}`,
+        config,
+        response
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Inicia a gravação das requisições em um cassete novo
+   */
+  startRecording() {
+    this.recorder.startRecording();
+  }
+
+  /**
+   * Encerra a gravação
+   */
+  stopRecording() {
+    this.recorder.stopRecording();
+  }
+
+  /**
+   * Exporta as requisições gravadas no formato HAR
+   */
+  exportRecording() {
+    return this.recorder.toHAR();
+  }
+
+  /**
+   * Carrega um cassete e passa a responder a partir dele
+   * @param {Object|string} cassette - HAR exportado por exportRecording
+   */
+  loadCassette(cassette) {
+    this.recorder.loadCassette(cassette);
+  }
+
+  /**
+   * Sai do replay e volta a usar a rede
+   */
+  stopReplay() {
+    this.recorder.stopReplay();
+  }
+
+  /**
+   * Estado do gravador (modo, entradas, requisições sem correspondência)
+   */
+  getRecorderStatus() {
+    return this.recorder.getStatus();
+  }
+
+  /**
+   * Registra um listener para mudanças de estado do gravador
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribeRecorder(listener) {
+    return this.recorder.subscribe(listener);
+  }
+
+  /**
+   * Verifica se a requisição pode usar validadores (apenas GET)
+   */
+  isConditional(method) {
+    return this.conditionalRequests && method.toUpperCase() === 'GET';
+  }
+
+  /**
+   * Gera chave única para a requisição (método, URL, parâmetros, headers e tipo de resposta)
+   * Inclui as headers comuns do cliente, onde ficam as credenciais (Authorization, PRIVATE-TOKEN)
+   */
+  getRequestKey(method, url, config = {}) {
+    const params = this.serializeKeyEntries(config.params);
+    const headers = this.serializeKeyEntries(
+      { ...this.client.defaults.headers.common, ...config.headers },
+      name => name.toLowerCase()
+    );
+    const responseType = config.responseType || 'json';
+
+    return `${method.toUpperCase()} ${url}?${params}|${responseType}|${headers}`;
+  }
+
+  /**
+   * Serializa pares nome=valor em ordem alfabética (independe da ordem de declaração)
+   */
+  serializeKeyEntries(entries, normalizeName = name => name) {
+    if (!entries) return '';
+
+    return Object.entries(entries)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${normalizeName(name)}=${value}`)
+      .sort()
+      .join('&');
+  }
+
+  /**
+   * Adiciona If-None-Match/If-Modified-Since quando há resposta armazenada
+   */
+  withConditionalHeaders(entry, config) {
+    if (!entry) return config;
+
+    const headers = { ...config.headers };
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    return {
+      ...config,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    };
+  }
+
+  /**
+   * Serve o corpo armazenado em respostas 304 e guarda validadores das respostas 200
+   */
+  handleConditionalResponse(validatorKey, entry, response) {
+    if (!validatorKey) return response;
+
+    if (response.status === 304 && entry) {
+      // Renova a posição da entrada (mais recente)
+      this.storeValidators(validatorKey, entry);
+      this.revalidatedCount++;
+
+      this.logger.debug(`[HttpClient] Not modified, serving stored body: ${response.config.url}`);
+
+      return {
+        ...response,
+        status: entry.status,
+        data: entry.data,
+        headers: { ...entry.headers, ...response.headers },
+        metadata: {
+          ...response.metadata,
+          revalidated: true
+        }
+      };
+    }
+
+    const etag = response.headers['etag'];
+    const lastModified = response.headers['last-modified'];
+
+    if (etag || lastModified) {
+      this.storeValidators(validatorKey, {
+        etag,
+        lastModified,
+        status: response.status,
+        data: response.data,
+        headers: response.headers
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Armazena validadores, removendo as entradas mais antigas além do limite
+   */
+  storeValidators(validatorKey, entry) {
+    this.validatorStore.delete(validatorKey);
+    this.validatorStore.set(validatorKey, entry);
+
+    while (this.validatorStore.size > this.maxValidatorEntries) {
+      const oldestKey = this.validatorStore.keys().next().value;
+      this.validatorStore.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Limpa os validadores armazenados
+   */
+  clearValidators() {
+    this.validatorStore.clear();
+  }
+
   /**
    * Determina se deve fazer retry baseado no tipo de erro e tentativa
    */
   shouldRetry(error, attempt) {
-    // Não faz retry se já é a última tentativa
-    if (attempt >= this.retryAttempts) {
-      return false;
-    }
+    return this.retryPolicy.shouldRetry(error, attempt);
+  }
+
+  /**
+   * Verifica se o erro indica indisponibilidade do serviço (rede, timeout ou 5xx)
+   */
+  isServiceFailure(error) {
+    return !error.response || error.response.status >= 500;
+  }
+
+  /**
+   * Serve o último corpo armazenado enquanto o circuito está aberto
+   * @throws {ServiceUnavailableError} Quando não há resposta armazenada
+   */
+  serveStaleResponse(entry, method, url) {
+    const retryAt = this.circuitBreaker.getRetryAt();
 
-    // Não faz retry para erros 4xx (exceto 429 - rate limit)
-    if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
-      return false;
+    if (!entry) {
+      throw new ServiceUnavailableError(
+        `Service unavailable (circuit ${this.circuitBreaker.state}): ${method} ${url}`,
+        retryAt
+      );
     }
 
-    // Faz retry para:
-    // - Erros de rede (ECONNRESET, ETIMEDOUT, etc.)
-    // - Erros 5xx (servidor)
-    // - Rate limit (429)
-    // - Timeout
-    const retryableErrors = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ECONNREFUSED'];
-    const isNetworkError = retryableErrors.some(errCode => error.code === errCode);
-    const isServerError = error.response?.status >= 500;
-    const isRateLimit = error.response?.status === 429;
-    const isTimeout = error.code === 'ECONNABORTED';
+    this.logger.warn(`[HttpClient] Circuit ${this.circuitBreaker.state}, serving stale response: ${method} ${url}`);
+
+    return {
+      status: entry.status,
+      data: entry.data,
+      headers: entry.headers,
+      metadata: {
+        duration: 0,
+        links: this.parseLinkHeader(entry.headers['link']),
+        revalidated: false,
+        stale: true
+      }
+    };
+  }
+
+  /**
+   * Estado do circuit breaker
+   */
+  getCircuitStatus() {
+    return this.circuitBreaker.getStatus();
+  }
+
+  /**
+   * Registra um listener para mudanças de estado do circuit breaker
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribeCircuitState(listener) {
+    return this.circuitBreaker.subscribe(listener);
+  }
 
-    return isNetworkError || isServerError || isRateLimit || isTimeout;
+  /**
+   * Verifica se o erro decorre de cancelamento da requisição
+   */
+  isCancelled(error, signal) {
+    return Boolean(signal?.aborted) ||
+      error instanceof CancelledError ||
+      axios.isCancel(error) ||
+      error?.code === 'ERR_CANCELED';
   }
 
   /**
    * Transforma erros do axios em erros do domínio
    */
   transformError(error) {
-    // Rate limit error
-    if (error.response?.status === 429) {
-      const resetTime = error.response.headers['x-ratelimit-reset'];
-      const resetDate = resetTime ? new Date(parseInt(resetTime) * 1000) : new Date();
-      
+    // Rate limit error (429, 403 com cota esgotada ou limite secundário)
+    if (this.retryPolicy.isRateLimitError(error)) {
       return new RateLimitError(
         error.response.headers['x-ratelimit-limit'] || 'unknown',
-        resetDate
+        this.retryPolicy.getRateLimitReset(error)
       );
     }
 
@@ -204,6 +635,11 @@ export class HttpClient {
    * Trata erros de resposta
    */
   async handleResponseError(error) {
+    if (this.isCancelled(error, error.config?.signal)) {
+      this.logger.debug(`[HttpClient] Request cancelled: ${error.config?.url}`);
+      return Promise.reject(error);
+    }
+
     const duration = error.config?.metadata 
       ? Date.now() - error.config.metadata.startTime 
       : 0;
@@ -214,14 +650,63 @@ export class HttpClient {
       message: error.message
     });
 
+    if (error.response) {
+      this.updateRateLimitInfo(error.response.headers);
+    }
+
     return Promise.reject(error);
   }
 
   /**
    * Aguarda um determinado tempo (para retry)
+   * Interrompe a espera com CancelledError se o sinal for abortado
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new CancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new CancelledError());
+      };
+
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Interpreta o header Link de paginação do GitHub
+   * Ex: <https://api.github.com/user/1/repos?page=2>; rel="next"
+   * @param {string} linkHeader - Valor do header Link
+   * @returns {Object} Links indexados por rel ({ next, last, prev, first }) com url e page
+   */
+  parseLinkHeader(linkHeader) {
+    if (!linkHeader || typeof linkHeader !== 'string') {
+      return {};
+    }
+
+    return linkHeader.split(',').reduce((links, part) => {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+      if (!match) return links;
+
+      const [, url, rel] = match;
+      const pageMatch = url.match(/[?&]page=(\d+)/);
+
+      links[rel] = {
+        url,
+        page: pageMatch ? parseInt(pageMatch[1], 10) : null
+      };
+
+      return links;
+    }, {});
   }
 
   /**
@@ -238,6 +723,125 @@ export class HttpClient {
     return this.lastRateLimitInfo || null;
   }
 
+  /**
+   * Obtém informações de rate limit por recurso
+   * @param {string} [resource] - core, search, graphql... (todos se omitido)
+   */
+  getRateLimitInfo(resource) {
+    if (resource) {
+      return this.rateLimits[resource] || null;
+    }
+    return { ...this.rateLimits };
+  }
+
+  /**
+   * Registra um listener para mudanças de rate limit
+   * @param {Function} listener - Recebe o mapa de rate limits por recurso
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribeRateLimit(listener) {
+    this.rateLimitListeners.add(listener);
+    return () => this.rateLimitListeners.delete(listener);
+  }
+
+  /**
+   * Atualiza o rate limit do recurso a partir das headers x-ratelimit-*
+   */
+  updateRateLimitInfo(headers = {}) {
+    const limit = headers['x-ratelimit-limit'];
+    const remaining = headers['x-ratelimit-remaining'];
+    const reset = headers['x-ratelimit-reset'];
+
+    if (limit === undefined || remaining === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const info = {
+      resource,
+      limit: parseInt(limit, 10),
+      remaining: parseInt(remaining, 10),
+      used: headers['x-ratelimit-used'] !== undefined
+        ? parseInt(headers['x-ratelimit-used'], 10)
+        : parseInt(limit, 10) - parseInt(remaining, 10),
+      reset: reset ? new Date(parseInt(reset, 10) * 1000) : null,
+      updatedAt: new Date()
+    };
+
+    this.rateLimits = { ...this.rateLimits, [resource]: info };
+    this.lastRateLimitInfo = info;
+    this.notifyRateLimitListeners();
+  }
+
+  /**
+   * Notifica listeners sobre mudanças de rate limit
+   */
+  notifyRateLimitListeners() {
+    this.rateLimitListeners.forEach(listener => {
+      try {
+        listener(this.rateLimits);
+      } catch (error) {
+        this.logger.warn('[HttpClient] Rate limit listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Identifica o recurso de rate limit usado pela URL
+   */
+  getRateLimitResource(url = '') {
+    const path = url.replace(/^https?:\/\/[^/]+/, '');
+
+    if (path.startsWith('/search/')) return 'search';
+    if (path.startsWith('/graphql')) return 'graphql';
+    return 'core';
+  }
+
+  /**
+   * Desacelera requisições quando a cota do recurso está baixa
+   * Com cota esgotada, falha com RateLimitError sem chamar a API
+   */
+  async throttle(url, signal) {
+    const info = this.rateLimits[this.getRateLimitResource(url)];
+    if (!info || !info.reset) return;
+
+    const msUntilReset = info.reset.getTime() - Date.now();
+
+    // Janela já renovada: informação desatualizada
+    if (msUntilReset <= 0 || info.remaining > this.rateLimitThreshold) return;
+
+    if (info.remaining <= 0) {
+      throw new RateLimitError(info.limit, info.reset);
+    }
+
+    // Reserva uma requisição da cota e distribui as restantes até o reset
+    const reserved = this.reserveRateLimit(info);
+    this.throttledCount++;
+
+    const wait = Math.min(Math.ceil(msUntilReset / (reserved.remaining + 1)), this.maxThrottleDelay);
+    this.logger.warn(`[HttpClient] Rate limit low for ${reserved.resource} (${reserved.remaining} left), delaying request ${wait}ms`);
+
+    await this.delay(wait, signal);
+  }
+
+  /**
+   * Desconta uma requisição da cota em um novo snapshot e notifica os listeners
+   * (o snapshot anterior pode estar guardado no estado da interface)
+   */
+  reserveRateLimit(info) {
+    const reserved = {
+      ...info,
+      remaining: info.remaining - 1,
+      used: info.used + 1
+    };
+
+    this.rateLimits = { ...this.rateLimits, [info.resource]: reserved };
+    if (this.lastRateLimitInfo === info) {
+      this.lastRateLimitInfo = reserved;
+    }
+    this.notifyRateLimitListeners();
+
+    return reserved;
+  }
+
   /**
    * Configura token de autenticação
    */
@@ -295,9 +899,19 @@ export class HttpClient {
     return {
       baseURL: this.baseURL,
       timeout: this.timeout,
-      retryAttempts: this.retryAttempts,
+      retryAttempts: this.retryPolicy.maxAttempts,
       retryDelay: this.retryDelay,
-      hasAuthToken: !!this.client.defaults.headers.common['Authorization']
+      hasAuthToken: !!this.client.defaults.headers.common['Authorization'],
+      conditionalRequests: this.conditionalRequests,
+      storedValidators: this.validatorStore.size,
+      revalidatedResponses: this.revalidatedCount,
+      rateLimits: this.getRateLimitInfo(),
+      throttledRequests: this.throttledCount,
+      inFlightRequests: this.inFlightRequests.size,
+      dedupedRequests: this.dedupedCount,
+      ...this.scheduler.getStats(),
+      circuit: this.getCircuitStatus(),
+      recorder: this.getRecorderStatus()
     };
   }
 
@@ -309,6 +923,7 @@ export class HttpClient {
       'Accept': 'application/vnd.github.v3+json',
       'User-Agent': 'GitHub-Explorer-React19/1.0.0'
     };
+    this.clearValidators();
     this.logger.info('[HttpClient] Configuration reset to defaults');
   }
 }
\ No newline at end of file
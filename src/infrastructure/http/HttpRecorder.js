@@ -0,0 +1,330 @@
+import { NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Modos de operação do gravador
+ */
+export const RECORDER_MODES = {
+  OFF: 'off',         // requisições vão para a rede sem registro
+  RECORD: 'record',   // requisições vão para a rede e as respostas são registradas
+  REPLAY: 'replay'    // respostas vêm do cassete importado, sem rede
+};
+
+// Headers com credenciais nunca entram no cassete
+const REDACTED_HEADERS = ['authorization', 'private-token', 'cookie', 'set-cookie'];
+
+/**
+ * Erro para requisições sem resposta correspondente no cassete durante o replay
+ */
+export class UnmatchedRequestError extends NetworkError {
+  constructor(method, url) {
+    super(`No recorded response for ${method} ${url}`);
+    this.name = 'UnmatchedRequestError';
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * HttpRecorder - Grava pares requisição/resposta em um cassete no formato HAR (1.2)
+ * e os reproduz depois, permitindo depurar exatamente as respostas que o usuário viu
+ * Campos próprios seguem a convenção do HAR de prefixo "_" (ex.: _metadata)
+ */
+export class HttpRecorder {
+  constructor(config = {}) {
+    this.baseURL = config.baseURL || '';
+    this.maxEntries = config.maxEntries || 500;
+    this.creator = config.creator || { name: 'GitHub Explorer', version: '1.0.0' };
+    this.logger = config.logger || console;
+
+    this.mode = RECORDER_MODES.OFF;
+    this.entries = [];
+    this.replayCursors = new Map();
+    this.matchedCount = 0;
+    this.unmatched = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * Inicia uma gravação nova (descarta o cassete anterior)
+   */
+  startRecording() {
+    this.entries = [];
+    this.setMode(RECORDER_MODES.RECORD);
+    this.logger.info('[HttpRecorder] Recording started');
+  }
+
+  /**
+   * Encerra a gravação mantendo as entradas para exportação
+   */
+  stopRecording() {
+    if (this.mode !== RECORDER_MODES.RECORD) return;
+
+    this.setMode(RECORDER_MODES.OFF);
+    this.logger.info(`[HttpRecorder] Recording stopped with ${this.entries.length} entries`);
+  }
+
+  /**
+   * Importa um cassete e passa a responder a partir dele
+   * @param {Object|string} cassette - HAR (objeto ou JSON)
+   * @throws {Error} Se o cassete não tiver log.entries
+   */
+  loadCassette(cassette) {
+    const har = typeof cassette === 'string' ? JSON.parse(cassette) : cassette;
+
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new Error('Invalid cassette: expected a HAR object with log.entries');
+    }
+
+    this.entries = har.log.entries;
+    this.replayCursors.clear();
+    this.matchedCount = 0;
+    this.unmatched = [];
+    this.setMode(RECORDER_MODES.REPLAY);
+    this.logger.info(`[HttpRecorder] Replaying cassette with ${this.entries.length} entries`);
+  }
+
+  /**
+   * Sai do replay e volta a usar a rede
+   */
+  stopReplay() {
+    if (this.mode !== RECORDER_MODES.REPLAY) return;
+
+    this.entries = [];
+    this.replayCursors.clear();
+    this.setMode(RECORDER_MODES.OFF);
+  }
+
+  isRecording() {
+    return this.mode === RECORDER_MODES.RECORD;
+  }
+
+  isReplaying() {
+    return this.mode === RECORDER_MODES.REPLAY;
+  }
+
+  /**
+   * Registra o resultado final de uma requisição (resposta ou falha)
+   * @param {string} method - Método HTTP
+   * @param {string} url - URL relativa ao baseURL
+   * @param {Object} config - Configuração da requisição (params, headers)
+   * @param {Object} result - { response } ou { error } (erro do axios)
+   */
+  record(method, url, config = {}, { response, error } = {}) {
+    if (!this.isRecording()) return;
+
+    const finalResponse = response || error?.response || null;
+    const metadata = finalResponse?.metadata || error?.config?.metadata || {};
+
+    this.entries.push({
+      startedDateTime: new Date(metadata.startTime || Date.now()).toISOString(),
+      time: metadata.duration ?? (metadata.startTime ? Date.now() - metadata.startTime : 0),
+      request: {
+        method: method.toUpperCase(),
+        url: this.buildURL(url, config.params),
+        httpVersion: 'HTTP/1.1',
+        // Headers efetivamente enviadas (incluindo as padrão do cliente), quando disponíveis
+        headers: this.toHeaderList(finalResponse?.config?.headers || error?.config?.headers || config.headers),
+        queryString: this.toParamList(config.params),
+        cookies: [],
+        headersSize: -1,
+        bodySize: config.data ? JSON.stringify(config.data).length : 0,
+        ...(config.data && {
+          postData: { mimeType: 'application/json', text: JSON.stringify(config.data) }
+        })
+      },
+      response: finalResponse ? {
+        status: finalResponse.status,
+        statusText: finalResponse.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        headers: this.toHeaderList(finalResponse.headers),
+        cookies: [],
+        content: this.toContent(finalResponse),
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      } : {
+        // Falha de rede: sem resposta do servidor
+        status: 0,
+        statusText: '',
+        httpVersion: '',
+        headers: [],
+        cookies: [],
+        content: { size: 0, mimeType: '' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1,
+        _error: error?.message || 'Network Error'
+      },
+      cache: {},
+      timings: { send: 0, wait: metadata.duration || 0, receive: 0 },
+      _metadata: metadata
+    });
+
+    // Mantém apenas as entradas mais recentes
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Procura a resposta gravada para a requisição (método, URL, parâmetros e corpo)
+   * O corpo diferencia consultas enviadas ao mesmo endpoint, como no GraphQL
+   * Requisições repetidas consomem as entradas em ordem; a última é reaproveitada
+   * @throws {UnmatchedRequestError} Se não houver entrada correspondente
+   */
+  match(method, url, params, data) {
+    const fullURL = this.buildURL(url, params);
+    const key = this.getMatchKey(method.toUpperCase(), fullURL, data ? JSON.stringify(data) : '');
+    const candidates = this.entries.filter(entry =>
+      this.getMatchKey(entry.request.method, entry.request.url, entry.request.postData?.text) === key
+    );
+
+    if (candidates.length === 0) {
+      this.unmatched.push({ method: method.toUpperCase(), url: fullURL, at: new Date().toISOString() });
+      this.logger.error(`[HttpRecorder] Unmatched request: ${method.toUpperCase()} ${fullURL}`);
+      this.notify();
+      throw new UnmatchedRequestError(method.toUpperCase(), fullURL);
+    }
+
+    const cursor = this.replayCursors.get(key) || 0;
+    this.replayCursors.set(key, cursor + 1);
+    this.matchedCount++;
+    this.notify();
+
+    return candidates[Math.min(cursor, candidates.length - 1)];
+  }
+
+  /**
+   * Converte uma entrada do cassete em resposta no formato do HttpClient
+   */
+  toResponse(entry, config = {}) {
+    const { content = {} } = entry.response;
+
+    return {
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      headers: Object.fromEntries(entry.response.headers.map(({ name, value }) => [name.toLowerCase(), value])),
+      data: content._json && content.text !== undefined ? JSON.parse(content.text) : content.text,
+      config,
+      metadata: {
+        ...entry._metadata,
+        replayed: true
+      }
+    };
+  }
+
+  /**
+   * Exporta o cassete no formato HAR
+   */
+  toHAR() {
+    return {
+      log: {
+        version: '1.2',
+        creator: this.creator,
+        pages: [],
+        entries: this.entries
+      }
+    };
+  }
+
+  /**
+   * Chave de comparação: método, URL sem query, parâmetros ordenados e corpo
+   */
+  getMatchKey(method, url, body = '') {
+    const [path, query = ''] = url.split('?');
+    const params = new URLSearchParams(query);
+    const sorted = [...params.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    return `${method} ${path}?${sorted}|${body || ''}`;
+  }
+
+  /**
+   * URL absoluta com query string (parâmetros indefinidos são omitidos, como no axios)
+   */
+  buildURL(url, params = {}) {
+    const base = /^https?:\/\//.test(url) ? url : `${this.baseURL}${url}`;
+    const query = new URLSearchParams(
+      this.toParamList(params).map(({ name, value }) => [name, value])
+    ).toString();
+
+    return query ? `${base}${base.includes('?') ? '&' : '?'}${query}` : base;
+  }
+
+  toParamList(params = {}) {
+    return Object.entries(params || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  /**
+   * Lista de headers no formato HAR, sem credenciais
+   */
+  toHeaderList(headers = {}) {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : (headers || {});
+
+    return Object.entries(plain)
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([name, value]) => ({
+        name,
+        value: REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : String(value)
+      }));
+  }
+
+  /**
+   * Corpo da resposta; _json indica que o texto deve ser convertido de volta em objeto
+   */
+  toContent(response) {
+    const isText = typeof response.data === 'string';
+    const text = isText ? response.data : JSON.stringify(response.data ?? null);
+
+    return {
+      size: text.length,
+      mimeType: response.headers?.['content-type'] || (isText ? 'text/plain' : 'application/json'),
+      text,
+      _json: !isText
+    };
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.notify();
+  }
+
+  /**
+   * Registra um listener para mudanças de estado
+   * @returns {Function} Função para cancelar a inscrição
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (error) {
+        this.logger.warn('[HttpRecorder] Listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Estado atual para a interface
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      entries: this.entries.length,
+      matched: this.matchedCount,
+      unmatched: this.unmatched.length,
+      lastUnmatched: this.unmatched[this.unmatched.length - 1] || null
+    };
+  }
+}
@@ -0,0 +1,125 @@
+import { CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Níveis de prioridade das requisições (maior valor é atendido primeiro)
+ */
+export const REQUEST_PRIORITIES = {
+  user: 2,       // ações iniciadas pelo usuário
+  normal: 1,
+  background: 0  // prefetch e carregamentos em segundo plano
+};
+
+/**
+ * RequestScheduler - Limita a concorrência de chamadas e ordena a fila por prioridade
+ * Dentro da mesma prioridade, atende na ordem de chegada
+ */
+export class RequestScheduler {
+  constructor(config = {}) {
+    this.maxConcurrency = config.maxConcurrency || 6;
+    this.defaultPriority = config.defaultPriority || 'user';
+
+    this.queue = [];
+    this.activeCount = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * Agenda uma tarefa
+   * @param {Function} task - Função que retorna uma Promise
+   * @param {Object} options - Opções de agendamento
+   * @param {string} options.priority - user, normal ou background
+   * @param {AbortSignal} options.signal - Remove a tarefa da fila se abortado
+   * @returns {Promise<*>} Resultado da tarefa
+   */
+  schedule(task, options = {}) {
+    const { priority = this.defaultPriority, signal } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(new CancelledError('Request cancelled before being scheduled'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = {
+        task,
+        priority,
+        weight: REQUEST_PRIORITIES[priority] ?? REQUEST_PRIORITIES.normal,
+        sequence: this.sequence++,
+        resolve,
+        reject,
+        signal,
+        onAbort: null
+      };
+
+      // Requisições canceladas enquanto aguardam saem da fila
+      if (signal) {
+        item.onAbort = () => {
+          const index = this.queue.indexOf(item);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(new CancelledError('Request cancelled while queued'));
+          }
+        };
+        signal.addEventListener('abort', item.onAbort, { once: true });
+      }
+
+      this.enqueue(item);
+      this.drain();
+    });
+  }
+
+  /**
+   * Insere mantendo a fila ordenada por prioridade e ordem de chegada
+   */
+  enqueue(item) {
+    const index = this.queue.findIndex(queued => queued.weight < item.weight);
+    if (index === -1) {
+      this.queue.push(item);
+    } else {
+      this.queue.splice(index, 0, item);
+    }
+  }
+
+  /**
+   * Inicia tarefas enquanto houver vagas
+   */
+  drain() {
+    while (this.activeCount < this.maxConcurrency && this.queue.length > 0) {
+      const item = this.queue.shift();
+      item.signal?.removeEventListener('abort', item.onAbort);
+      this.run(item);
+    }
+  }
+
+  /**
+   * Executa uma tarefa e libera a vaga ao terminar
+   */
+  async run(item) {
+    this.activeCount++;
+
+    try {
+      item.resolve(await item.task());
+    } catch (error) {
+      item.reject(error);
+    } finally {
+      this.activeCount--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Estatísticas da fila
+   */
+  getStats() {
+    const queuedByPriority = Object.keys(REQUEST_PRIORITIES).reduce((counts, priority) => {
+      counts[priority] = this.queue.filter(item => item.priority === priority).length;
+      return counts;
+    }, {});
+
+    return {
+      maxConcurrency: this.maxConcurrency,
+      activeRequests: this.activeCount,
+      queueDepth: this.queue.length,
+      queuedByPriority
+    };
+  }
+}
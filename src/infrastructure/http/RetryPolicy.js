@@ -0,0 +1,152 @@
+/**
+ * RetryPolicy - Política de retry com backoff exponencial e jitter
+ * Respeita Retry-After, x-ratelimit-reset e os limites secundários do GitHub
+ */
+export class RetryPolicy {
+  constructor(config = {}) {
+    this.maxAttempts = config.maxAttempts || 3;
+    this.baseDelay = config.baseDelay || 1000; // 1 segundo
+    this.maxDelay = config.maxDelay || 30000; // 30 segundos
+    this.maxWait = config.maxWait ?? 60000; // espera máxima por reset de rate limit
+    this.jitter = config.jitter !== false;
+
+    // Espera padrão recomendada pelo GitHub para limites secundários sem Retry-After
+    this.secondaryLimitDelay = config.secondaryLimitDelay || 60000;
+  }
+
+  /**
+   * Decide se a requisição deve ser repetida e quanto aguardar
+   * @param {Error} error - Erro do axios
+   * @param {number} attempt - Tentativa atual (começando em 1)
+   * @returns {{ retry: boolean, delay: number, reason: string }}
+   */
+  getDecision(error, attempt) {
+    if (attempt >= this.maxAttempts) {
+      return { retry: false, delay: 0, reason: 'max-attempts' };
+    }
+
+    // Rate limit: aguarda o reset, desde que dentro da espera máxima
+    if (this.isRateLimitError(error)) {
+      const wait = Math.max(0, this.getRateLimitReset(error).getTime() - Date.now());
+
+      if (wait > this.maxWait) {
+        return { retry: false, delay: wait, reason: 'rate-limit-wait-exceeded' };
+      }
+
+      return {
+        retry: true,
+        delay: Math.max(wait, this.getBackoffDelay(attempt)),
+        reason: 'rate-limit'
+      };
+    }
+
+    // Não faz retry para os demais erros 4xx
+    const status = error.response?.status;
+    if (status >= 400 && status < 500) {
+      return { retry: false, delay: 0, reason: 'client-error' };
+    }
+
+    // Faz retry para:
+    // - Erros de rede (ECONNRESET, ETIMEDOUT, etc.)
+    // - Erros 5xx (servidor)
+    // - Timeout
+    const retryableErrors = ['ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'ECONNREFUSED'];
+    const isNetworkError = retryableErrors.includes(error.code) || (!error.response && error.code !== 'ERR_CANCELED');
+    const isServerError = status >= 500;
+    const isTimeout = error.code === 'ECONNABORTED';
+
+    if (isNetworkError || isServerError || isTimeout) {
+      return { retry: true, delay: this.getBackoffDelay(attempt), reason: 'transient' };
+    }
+
+    return { retry: false, delay: 0, reason: 'not-retryable' };
+  }
+
+  /**
+   * Atalho para saber apenas se deve repetir
+   */
+  shouldRetry(error, attempt) {
+    return this.getDecision(error, attempt).retry;
+  }
+
+  /**
+   * Backoff exponencial com "equal jitter": metade fixa, metade aleatória
+   */
+  getBackoffDelay(attempt) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+
+    if (!this.jitter) return exponential;
+
+    const half = exponential / 2;
+    return Math.round(half + Math.random() * half);
+  }
+
+  /**
+   * Verifica se o erro é de rate limit (primário ou secundário)
+   */
+  isRateLimitError(error) {
+    const response = error.response;
+    if (!response) return false;
+
+    if (response.status === 429) return true;
+
+    if (response.status === 403) {
+      return response.headers?.['x-ratelimit-remaining'] === '0' || this.isSecondaryRateLimit(response);
+    }
+
+    return false;
+  }
+
+  /**
+   * Detecta o corpo de resposta de "secondary rate limit" do GitHub
+   */
+  isSecondaryRateLimit(response) {
+    if (response.headers?.['retry-after']) return true;
+
+    const message = String(response.data?.message || '').toLowerCase();
+    const documentationUrl = String(response.data?.documentation_url || '');
+
+    return message.includes('secondary rate limit') ||
+      message.includes('abuse detection') ||
+      documentationUrl.includes('secondary-rate-limits');
+  }
+
+  /**
+   * Calcula quando o rate limit será liberado
+   * Prioridade: Retry-After, x-ratelimit-reset, espera padrão de limite secundário
+   */
+  getRateLimitReset(error) {
+    const headers = error.response?.headers || {};
+
+    const retryAfter = this.parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return new Date(Date.now() + retryAfter);
+    }
+
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    if (!isNaN(reset) && headers['x-ratelimit-remaining'] === '0') {
+      return new Date(reset * 1000);
+    }
+
+    if (error.response && this.isSecondaryRateLimit(error.response)) {
+      return new Date(Date.now() + this.secondaryLimitDelay);
+    }
+
+    return !isNaN(reset) ? new Date(reset * 1000) : new Date();
+  }
+
+  /**
+   * Interpreta Retry-After (segundos ou data HTTP) em milissegundos
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+  }
+}
@@ -0,0 +1,422 @@
+import { UserRepositoryInterface, UserNotFoundError, RepositoryNotFoundError, NetworkError, RateLimitError, CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { User } from '../../domain/entities/User.js';
+import { Repository } from '../../domain/entities/Repository.js';
+import { Organization } from '../../domain/entities/Organization.js';
+
+/**
+ * CachedUserRepository - Base dos repositórios de usuários sobre HTTP
+ * Concentra o cache (chaves separadas por provedor) e o tratamento de erros comum
+ * a GitHub, GitLab e demais provedores
+ */
+export class CachedUserRepository extends UserRepositoryInterface {
+  /**
+   * @param {HttpClient} httpClient - Cliente configurado para a API do provedor
+   * @param {Object} cache - Cache da aplicação (opcional)
+   * @param {Object} logger - Logger
+   * @param {Object} options - provider (prefixo das chaves de cache) e name (prefixo dos logs)
+   */
+  constructor(httpClient, cache = null, logger = console, options = {}) {
+    super();
+    this.httpClient = httpClient;
+    this.cache = cache;
+    this.logger = logger;
+    this.provider = options.provider || 'github';
+    this.name = options.name || 'UserRepository';
+    
+    // Configurações de cache
+    this.defaultTTL = {
+      user: 300,        // 5 minutos
+      repositories: 600, // 10 minutos
+      search: 180,      // 3 minutos
+      organization: 600, // 10 minutos
+      languages: 86400  // 1 dia (a chave muda a cada push)
+    };
+  }
+
+  /**
+   * Métodos de cache (implementados se cache estiver disponível)
+   */
+
+  /**
+   * Salva usuário no cache
+   */
+  async cacheUser(username, user, ttl = null) {
+    if (!this.cache) return;
+
+    try {
+      const key = this.getUserCacheKey(username);
+      const value = JSON.stringify(user.toJSON());
+      const cacheTTL = ttl || this.defaultTTL.user;
+      
+      await this.cache.set(key, value, cacheTTL);
+      this.logger.debug(`[${this.name}] User cached: ${username}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache write error for user ${username}:`, error);
+    }
+  }
+
+  /**
+   * Salva repositórios no cache
+   */
+  async cacheUserRepositories(username, repositories, ttl = null) {
+    if (!this.cache) return;
+
+    try {
+      const key = this.getRepositoriesCacheKey(username);
+      const value = JSON.stringify(repositories);
+      const cacheTTL = ttl || this.defaultTTL.repositories;
+      
+      await this.cache.set(key, value, cacheTTL);
+      this.logger.debug(`[${this.name}] Repositories cached: ${username}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache write error for repositories ${username}:`, error);
+    }
+  }
+
+  /**
+   * Salva organização no cache
+   */
+  async cacheOrganization(login, organization, ttl = null) {
+    if (!this.cache) return;
+
+    try {
+      const key = this.getOrganizationCacheKey(login);
+      const value = JSON.stringify(organization.toJSON());
+      const cacheTTL = ttl || this.defaultTTL.organization;
+
+      await this.cache.set(key, value, cacheTTL);
+      this.logger.debug(`[${this.name}] Organization cached: ${login}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache write error for organization ${login}:`, error);
+    }
+  }
+
+  /**
+   * Busca organização no cache
+   * @param {Object} options - allowStale aceita a entrada expirada (API indisponível)
+   */
+  async getCachedOrganization(login, options = {}) {
+    if (!this.cache) return null;
+
+    try {
+      const key = this.getOrganizationCacheKey(login);
+      const cachedValue = await this.cache.get(key, { allowStale: Boolean(options.allowStale) });
+
+      if (!cachedValue) return null;
+
+      // toJSON já usa as chaves do construtor
+      return new Organization(JSON.parse(cachedValue));
+
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache read error for organization ${login}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva a distribuição de linguagens de um repositório no cache
+   */
+  async cacheRepositoryLanguages(fullName, pushedAt, languages, ttl = null) {
+    if (!this.cache) return;
+
+    try {
+      const key = this.getRepositoryLanguagesCacheKey(fullName, pushedAt);
+      const value = JSON.stringify(languages);
+      const cacheTTL = ttl || this.defaultTTL.languages;
+
+      await this.cache.set(key, value, cacheTTL);
+      this.logger.debug(`[${this.name}] Languages cached: ${fullName}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache write error for languages ${fullName}:`, error);
+    }
+  }
+
+  /**
+   * Busca a distribuição de linguagens de um repositório no cache
+   */
+  async getCachedRepositoryLanguages(fullName, pushedAt) {
+    if (!this.cache) return null;
+
+    try {
+      const key = this.getRepositoryLanguagesCacheKey(fullName, pushedAt);
+      const cachedValue = await this.cache.get(key);
+
+      return cachedValue ? JSON.parse(cachedValue) : null;
+
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache read error for languages ${fullName}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva resultados de busca de usuários no cache
+   */
+  async cacheSearchResults(query, options, result, ttl = null) {
+    if (!this.cache) return;
+
+    try {
+      const key = this.getSearchCacheKey(query, options);
+      const value = JSON.stringify({
+        users: result.users.map(user => user.toJSON()),
+        totalCount: result.totalCount
+      });
+      const cacheTTL = ttl || this.defaultTTL.search;
+
+      await this.cache.set(key, value, cacheTTL);
+      this.logger.debug(`[${this.name}] Search results cached: ${query}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache write error for search ${query}:`, error);
+    }
+  }
+
+  /**
+   * Busca resultados de busca de usuários no cache
+   */
+  async getCachedSearchResults(query, options) {
+    if (!this.cache) return null;
+
+    try {
+      const key = this.getSearchCacheKey(query, options);
+      const cachedValue = await this.cache.get(key);
+
+      if (!cachedValue) return null;
+
+      const { users, totalCount } = JSON.parse(cachedValue);
+
+      // toJSON já usa as chaves do construtor
+      return {
+        users: users.map(userData => new User(userData)),
+        totalCount
+      };
+
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache read error for search ${query}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Busca usuário no cache
+   * @param {Object} options - allowStale aceita a entrada expirada (API indisponível)
+   */
+  async getCachedUser(username, options = {}) {
+    if (!this.cache) return null;
+
+    try {
+      const key = this.getUserCacheKey(username);
+      const cachedValue = await this.cache.get(key, { allowStale: Boolean(options.allowStale) });
+      
+      if (!cachedValue) return null;
+
+      // toJSON já usa as chaves do construtor
+      return new User(JSON.parse(cachedValue));
+
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache read error for user ${username}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Busca repositórios no cache
+   * @param {Object} options - allowStale aceita a entrada expirada (API indisponível)
+   */
+  async getCachedUserRepositories(username, options = {}) {
+    if (!this.cache) return null;
+
+    try {
+      const key = this.getRepositoriesCacheKey(username);
+      const cachedValue = await this.cache.get(key, { allowStale: Boolean(options.allowStale) });
+      
+      if (!cachedValue) return null;
+
+      const repositoriesData = JSON.parse(cachedValue);
+      
+      // Se é um resultado processado (com analytics), retorna como está
+      if (repositoriesData.repositories && Array.isArray(repositoriesData.repositories)) {
+        return repositoriesData;
+      }
+      
+      // Se é um array simples de repositórios, converte para entidades
+      if (Array.isArray(repositoriesData)) {
+        return repositoriesData.map(repoData => new Repository(repoData));
+      }
+
+      return null;
+
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache read error for repositories ${username}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Limpa cache de um usuário específico
+   */
+  async clearUserCache(username) {
+    if (!this.cache) return;
+
+    try {
+      const userKey = this.getUserCacheKey(username);
+      const reposKey = this.getRepositoriesCacheKey(username);
+      
+      await Promise.all([
+        this.cache.del(userKey),
+        this.cache.del(reposKey),
+        this.cache.del(this.getOrganizationCacheKey(username))
+      ]);
+      
+      this.logger.debug(`[${this.name}] Cache cleared for user: ${username}`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache clear error for user ${username}:`, error);
+    }
+  }
+
+  /**
+   * Limpa todo o cache
+   */
+  async clearAllCache() {
+    if (!this.cache) return;
+
+    try {
+      // Se o cache suporta flush, usa ele
+      if (typeof this.cache.flush === 'function') {
+        await this.cache.flush();
+      } else if (typeof this.cache.flushAll === 'function') {
+        await this.cache.flushAll();
+      } else {
+        this.logger.warn(`[${this.name}] Cache does not support flush operation`);
+      }
+      
+      this.logger.debug(`[${this.name}] All cache cleared`);
+    } catch (error) {
+      this.logger.warn(`[${this.name}] Cache clear all error:`, error);
+    }
+  }
+
+  /**
+   * Métodos auxiliares para chaves de cache
+   */
+
+  getUserCacheKey(username) {
+    return `${this.provider}:user:${username.toLowerCase()}`;
+  }
+
+  getRepositoriesCacheKey(username) {
+    return `${this.provider}:repos:${username.toLowerCase()}`;
+  }
+
+  getOrganizationCacheKey(login) {
+    return `${this.provider}:org:${login.toLowerCase()}`;
+  }
+
+  getRepositoryLanguagesCacheKey(fullName, pushedAt) {
+    // O último push faz parte da chave: entradas de versões antigas expiram pelo TTL
+    const version = pushedAt ? new Date(pushedAt).getTime() : 0;
+    return `${this.provider}:languages:${fullName.toLowerCase()}:${version}`;
+  }
+
+  getSearchCacheKey(query, options) {
+    const optionsKey = Object.keys(options)
+      .sort()
+      .map(key => `${key}:${options[key]}`)
+      .join('|');
+    
+    return `${this.provider}:search:${query}:${optionsKey}`;
+  }
+
+  /**
+   * Verifica se o erro já foi transformado pelo HttpClient e deve ser propagado como está
+   */
+  isDomainError(error) {
+    return error instanceof NetworkError ||
+      error instanceof RateLimitError ||
+      error instanceof CancelledError;
+  }
+
+  /**
+   * Verifica se o erro corresponde a um 404, mesmo quando já transformado pelo HttpClient
+   */
+  isNotFound(error) {
+    const status = error.response?.status ?? error.originalError?.response?.status;
+    return status === 404;
+  }
+
+  /**
+   * Converte erros das rotas de usuário em erros de domínio
+   */
+  toUserError(error, username) {
+    if (error instanceof UserNotFoundError) {
+      return error;
+    }
+
+    if (this.isNotFound(error)) {
+      return new UserNotFoundError(username);
+    }
+
+    if (this.isDomainError(error)) {
+      return error;
+    }
+
+    return new NetworkError(
+      `Failed to fetch data for user ${username}: ${error.message}`,
+      error
+    );
+  }
+
+  /**
+   * Converte erros das rotas de repositório em erros de domínio
+   */
+  toRepositoryError(error, fullName, resource) {
+    if (error instanceof RepositoryNotFoundError) {
+      return error;
+    }
+
+    if (this.isNotFound(error)) {
+      return new RepositoryNotFoundError(fullName);
+    }
+
+    if (this.isDomainError(error)) {
+      return error;
+    }
+
+    return new NetworkError(
+      `Failed to fetch ${resource} for repository ${fullName}: ${error.message}`,
+      error
+    );
+  }
+
+  /**
+   * Decodifica conteúdo base64 (UTF-8) retornado pelas APIs de conteúdos
+   */
+  decodeBase64(content) {
+    const binary = atob(content.replace(/\s/g, ''));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  /**
+   * Obtém estatísticas do repositório
+   */
+  getStats() {
+    return {
+      provider: this.provider,
+      httpClient: this.httpClient.getStats(),
+      cache: this.cache ? {
+        enabled: true,
+        defaultTTL: this.defaultTTL
+      } : {
+        enabled: false
+      }
+    };
+  }
+
+  /**
+   * Configura token de autenticação
+   */
+  setAuthToken(token) {
+    this.httpClient.setAuthToken(token);
+    this.logger.info(`[${this.name}] Authentication token configured`);
+  }
+}
@@ -0,0 +1,463 @@
+import { UserRepositoryInterface, UserNotFoundError, OrganizationNotFoundError, RepositoryNotFoundError, NetworkError, RateLimitError, CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { User } from '../../domain/entities/User.js';
+import { Repository } from '../../domain/entities/Repository.js';
+import { Organization } from '../../domain/entities/Organization.js';
+import { Release } from '../../domain/entities/Release.js';
+import { Event } from '../../domain/entities/Event.js';
+
+// Campos usados na ordenação de repositórios (opções da API REST)
+const SORT_FIELDS = {
+  created: 'created_at',
+  updated: 'updated_at',
+  pushed: 'pushed_at',
+  full_name: 'full_name'
+};
+
+/**
+ * FixtureUserRepository - Implementação do repositório de usuários sobre fixtures locais
+ * Permite usar a aplicação sem rede e de forma determinística: os dados seguem o formato
+ * da API REST do GitHub e logins listados em scenarios simulam falhas da API
+ */
+export class FixtureUserRepository extends UserRepositoryInterface {
+  /**
+   * @param {Object} fixtures - users, repositories, organizations, repositoryDetails, events e scenarios
+   * @param {Object} logger - Logger
+   * @param {Object} options - latency (ms) simulada em cada chamada
+   */
+  constructor(fixtures, logger = console, options = {}) {
+    super();
+    this.fixtures = {
+      users: {},
+      repositories: {},
+      organizations: {},
+      repositoryDetails: {},
+      scenarios: {},
+      events: {},
+      ...fixtures
+    };
+    this.logger = logger;
+    this.latency = options.latency || 0;
+    this.requestCount = 0;
+  }
+
+  /**
+   * Busca um usuário pelo username
+   */
+  async findByUsername(username, options = {}) {
+    await this.simulateRequest(username, options.signal);
+
+    const userData = this.findUserData(username);
+    if (!userData) {
+      throw new UserNotFoundError(username);
+    }
+
+    this.logger.info(`[FixtureUserRepository] User found: ${username}`);
+
+    return User.fromGitHubAPI(userData);
+  }
+
+  /**
+   * Busca uma página de repositórios de um usuário
+   */
+  async findUserRepositories(username, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      sort = 'updated',
+      direction = 'desc',
+      signal
+    } = options;
+
+    await this.simulateRequest(username, signal);
+
+    const repositories = this.getSortedRepositories(username, sort, direction);
+    const start = (page - 1) * perPage;
+
+    return repositories
+      .slice(start, start + perPage)
+      .map(repoData => Repository.fromGitHubAPI(repoData));
+  }
+
+  /**
+   * Busca todas as páginas de repositórios de um usuário
+   */
+  async findAllUserRepositories(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 10,
+      sort = 'updated',
+      direction = 'desc',
+      onProgress = null,
+      signal
+    } = options;
+
+    await this.simulateRequest(username, signal);
+
+    const allRepositories = this.getSortedRepositories(username, sort, direction);
+    const totalPages = Math.max(1, Math.ceil(allRepositories.length / perPage));
+    const pagesFetched = Math.min(totalPages, maxPages);
+    const repositories = allRepositories
+      .slice(0, pagesFetched * perPage)
+      .map(repoData => Repository.fromGitHubAPI(repoData));
+
+    if (onProgress) {
+      for (let page = 1; page <= pagesFetched; page++) {
+        onProgress({ page, totalPages, loaded: Math.min(page * perPage, repositories.length) });
+      }
+    }
+
+    return {
+      repositories,
+      pagesFetched,
+      totalPages,
+      truncated: pagesFetched < totalPages
+    };
+  }
+
+  /**
+   * Busca os eventos públicos de um usuário (já ordenados do mais recente nas fixtures)
+   */
+  async findUserEvents(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 3,
+      signal
+    } = options;
+
+    await this.simulateRequest(username, signal);
+
+    if (!this.findUserData(username)) {
+      throw new UserNotFoundError(username);
+    }
+
+    return (this.fixtures.events[username.toLowerCase()] || [])
+      .slice(0, perPage * maxPages)
+      .map(eventData => Event.fromGitHubAPI(eventData));
+  }
+
+  /**
+   * Busca usuários cujo login contém o termo (qualificadores como "in:login" são ignorados)
+   */
+  async searchUsers(query, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    await this.simulateRequest(null, signal);
+
+    const term = query.replace(/\s+in:\w+/g, '').trim().toLowerCase();
+    const matches = Object.values(this.fixtures.users)
+      .filter(userData => userData.login.toLowerCase().includes(term));
+    const start = (page - 1) * perPage;
+
+    return {
+      users: matches.slice(start, start + perPage).map(userData => User.fromGitHubAPI(userData)),
+      totalCount: matches.length
+    };
+  }
+
+  /**
+   * Busca uma organização pelo login
+   */
+  async findOrganization(login, options = {}) {
+    await this.simulateRequest(login, options.signal);
+
+    const fixture = this.findOrganizationFixture(login);
+    return Organization.fromGitHubAPI(fixture.organization);
+  }
+
+  /**
+   * Busca os repositórios de uma organização
+   */
+  async findOrganizationRepositories(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      sort = 'updated',
+      direction = 'desc',
+      signal
+    } = options;
+
+    await this.simulateRequest(login, signal);
+    this.findOrganizationFixture(login);
+
+    const repositories = this.getSortedRepositories(login, sort, direction);
+    const start = (page - 1) * perPage;
+
+    return repositories
+      .slice(start, start + perPage)
+      .map(repoData => Repository.fromGitHubAPI(repoData));
+  }
+
+  /**
+   * Busca os membros públicos de uma organização
+   */
+  async findOrganizationMembers(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    await this.simulateRequest(login, signal);
+
+    const fixture = this.findOrganizationFixture(login);
+    const start = (page - 1) * perPage;
+
+    return (fixture.members || [])
+      .slice(start, start + perPage)
+      .map(member => this.findUserData(member))
+      .filter(Boolean)
+      .map(userData => User.fromGitHubAPI(userData));
+  }
+
+  /**
+   * Busca um repositório pelo dono e nome
+   */
+  async findRepository(owner, repo) {
+    await this.simulateRequest(owner);
+
+    return Repository.fromGitHubAPI(this.findRepositoryData(owner, repo));
+  }
+
+  /**
+   * Busca a distribuição de linguagens (em bytes) de um repositório
+   * Sem fixture de detalhes, usa a linguagem principal
+   */
+  async findRepositoryLanguages(owner, repo, options = {}) {
+    await this.simulateRequest(owner, options.signal);
+
+    const repoData = this.findRepositoryData(owner, repo);
+    const details = this.findRepositoryDetails(owner, repo);
+
+    if (details?.languages) {
+      return details.languages;
+    }
+
+    return repoData.language ? { [repoData.language]: repoData.size * 1024 } : {};
+  }
+
+  /**
+   * Busca os contribuidores de um repositório
+   */
+  async findRepositoryContributors(owner, repo, options = {}) {
+    const { perPage = 30 } = options;
+
+    await this.simulateRequest(owner);
+    this.findRepositoryData(owner, repo);
+
+    return (this.findRepositoryDetails(owner, repo)?.contributors || [])
+      .slice(0, perPage)
+      .map(contributor => ({
+        user: User.fromGitHubAPI(contributor),
+        contributions: contributor.contributions || 0
+      }));
+  }
+
+  /**
+   * Busca as releases de um repositório
+   */
+  async findRepositoryReleases(owner, repo, options = {}) {
+    const { perPage = 10 } = options;
+
+    await this.simulateRequest(owner);
+    this.findRepositoryData(owner, repo);
+
+    return (this.findRepositoryDetails(owner, repo)?.releases || [])
+      .slice(0, perPage)
+      .map(releaseData => Release.fromGitHubAPI(releaseData));
+  }
+
+  /**
+   * Busca o README de um repositório (conteúdo em Markdown, sem base64 nas fixtures)
+   */
+  async findRepositoryReadme(owner, repo) {
+    await this.simulateRequest(owner);
+    this.findRepositoryData(owner, repo);
+
+    const readme = this.findRepositoryDetails(owner, repo)?.readme;
+    if (!readme) {
+      return null;
+    }
+
+    return {
+      content: readme.content,
+      path: readme.path,
+      htmlUrl: readme.html_url
+    };
+  }
+
+  /**
+   * CI informado nas fixtures de detalhes (has_ci); desconhecido sem fixture
+   */
+  async hasContinuousIntegration(owner, repo) {
+    await this.simulateRequest(owner);
+    this.findRepositoryData(owner, repo);
+
+    const details = this.findRepositoryDetails(owner, repo);
+    return typeof details?.has_ci === 'boolean' ? details.has_ci : null;
+  }
+
+  /**
+   * Verifica se um usuário existe
+   */
+  async userExists(username) {
+    return Boolean(this.findUserData(username));
+  }
+
+  /**
+   * Cota fictícia e sempre disponível
+   */
+  async getRateLimit() {
+    return {
+      limit: 5000,
+      remaining: 5000,
+      reset: new Date(Date.now() + 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Simula a chamada à API: aplica a latência e as falhas configuradas para o login
+   * @throws {CancelledError} Quando o sinal é abortado durante a latência
+   */
+  async simulateRequest(login, signal) {
+    this.requestCount++;
+
+    if (this.latency > 0) {
+      await new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(new CancelledError());
+          return;
+        }
+
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new CancelledError());
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, this.latency);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    } else if (signal?.aborted) {
+      throw new CancelledError();
+    }
+
+    const scenario = login ? this.fixtures.scenarios[login.toLowerCase()] : null;
+    if (!scenario) return;
+
+    this.logger.debug(`[FixtureUserRepository] Simulating ${scenario.type} for: ${login}`);
+
+    switch (scenario.type) {
+      case 'rate-limit':
+        throw new RateLimitError(
+          scenario.limit || 60,
+          new Date(Date.now() + (scenario.resetInSeconds || 3600) * 1000)
+        );
+      case 'network-error':
+        throw new NetworkError(scenario.message || 'Network Error');
+      case 'not-found':
+        throw new UserNotFoundError(login);
+      default:
+        this.logger.warn(`[FixtureUserRepository] Unknown scenario type: ${scenario.type}`);
+    }
+  }
+
+  /**
+   * Dados de usuário da fixture (logins não diferenciam maiúsculas)
+   */
+  findUserData(login) {
+    return this.fixtures.users[login.toLowerCase()] || null;
+  }
+
+  /**
+   * Repositórios da fixture ordenados como a API faria
+   * @throws {UserNotFoundError} Quando o login não existe nas fixtures
+   */
+  getSortedRepositories(login, sort, direction) {
+    if (!this.findUserData(login)) {
+      throw new UserNotFoundError(login);
+    }
+
+    const field = SORT_FIELDS[sort] || SORT_FIELDS.updated;
+    const factor = direction === 'asc' ? 1 : -1;
+
+    return [...(this.fixtures.repositories[login.toLowerCase()] || [])]
+      .sort((a, b) => String(a[field]).localeCompare(String(b[field])) * factor);
+  }
+
+  /**
+   * Fixture de organização
+   * @throws {OrganizationNotFoundError} Quando não existe
+   */
+  findOrganizationFixture(login) {
+    const fixture = this.fixtures.organizations[login.toLowerCase()];
+    if (!fixture) {
+      throw new OrganizationNotFoundError(login);
+    }
+    return fixture;
+  }
+
+  /**
+   * Dados de um repositório da fixture
+   * @throws {RepositoryNotFoundError} Quando não existe
+   */
+  findRepositoryData(owner, repo) {
+    const fullName = `${owner}/${repo}`.toLowerCase();
+    const repoData = (this.fixtures.repositories[owner.toLowerCase()] || [])
+      .find(candidate => candidate.full_name.toLowerCase() === fullName);
+
+    if (!repoData) {
+      throw new RepositoryNotFoundError(`${owner}/${repo}`);
+    }
+
+    return repoData;
+  }
+
+  /**
+   * Detalhes opcionais (linguagens, contribuidores, releases, README) de um repositório
+   */
+  findRepositoryDetails(owner, repo) {
+    const fullName = `${owner}/${repo}`.toLowerCase();
+    const key = Object.keys(this.fixtures.repositoryDetails)
+      .find(candidate => candidate.toLowerCase() === fullName);
+
+    return key ? this.fixtures.repositoryDetails[key] : null;
+  }
+
+  /**
+   * Obtém estatísticas do repositório
+   */
+  getStats() {
+    return {
+      backend: 'fixtures',
+      requests: this.requestCount,
+      latency: this.latency,
+      users: Object.keys(this.fixtures.users).length,
+      scenarios: Object.keys(this.fixtures.scenarios)
+    };
+  }
+
+  /**
+   * Fixtures não usam autenticação
+   */
+  setAuthToken() {
+    this.logger.info('[FixtureUserRepository] Authentication token ignored in fixture mode');
+  }
+
+  /**
+   * Verifica saúde do repositório
+   */
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      backend: 'fixtures',
+      users: Object.keys(this.fixtures.users).length,
+      cache: { enabled: false }
+    };
+  }
+}
@@ -0,0 +1,504 @@
+import { GitHubUserRepository } from './GitHubUserRepository.js';
+import { NetworkError, CancelledError, UserNotFoundError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { User } from '../../domain/entities/User.js';
+import { Repository } from '../../domain/entities/Repository.js';
+
+/**
+ * Campos de repositório usados nas consultas
+ */
+const REPOSITORY_FIELDS = `
+  fragment RepositoryFields on Repository {
+    databaseId
+    name
+    nameWithOwner
+    description
+    url
+    primaryLanguage { name }
+    languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+      edges { size node { name } }
+    }
+    repositoryTopics(first: 20) {
+      nodes { topic { name } }
+    }
+    stargazerCount
+    forkCount
+    watchers { totalCount }
+    diskUsage
+    defaultBranchRef { name }
+    isPrivate
+    isFork
+    hasIssuesEnabled
+    hasProjectsEnabled
+    hasWikiEnabled
+    licenseInfo { key name spdxId }
+    isArchived
+    isDisabled
+    issues(states: OPEN) { totalCount }
+    visibility
+    homepageUrl
+    createdAt
+    updatedAt
+    pushedAt
+    owner { login avatarUrl url }
+  }
+`;
+
+/**
+ * Perfil completo em uma única consulta: usuário, itens fixados,
+ * primeira página de repositórios e contagem de contribuições
+ */
+const USER_PROFILE_QUERY = `
+  query UserProfile($login: String!, $first: Int!, $orderBy: RepositoryOrder!) {
+    user(login: $login) {
+      __typename
+      databaseId
+      login
+      name
+      email
+      bio
+      avatarUrl
+      url
+      location
+      company
+      websiteUrl
+      twitterUsername
+      createdAt
+      updatedAt
+      followers { totalCount }
+      following { totalCount }
+      pinnedItems(first: 6, types: REPOSITORY) {
+        nodes { ...RepositoryFields }
+      }
+      contributionsCollection {
+        totalCommitContributions
+        totalIssueContributions
+        totalPullRequestContributions
+        totalPullRequestReviewContributions
+        totalRepositoryContributions
+        restrictedContributionsCount
+        contributionCalendar { totalContributions }
+      }
+      repositories(first: $first, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: $orderBy) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes { ...RepositoryFields }
+      }
+    }
+  }
+  ${REPOSITORY_FIELDS}
+`;
+
+/**
+ * Páginas seguintes de repositórios (paginação por cursor)
+ */
+const USER_REPOSITORIES_QUERY = `
+  query UserRepositories($login: String!, $first: Int!, $after: String, $orderBy: RepositoryOrder!) {
+    user(login: $login) {
+      repositories(first: $first, after: $after, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: $orderBy) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes { ...RepositoryFields }
+      }
+    }
+  }
+  ${REPOSITORY_FIELDS}
+`;
+
+/**
+ * Calendário de contribuições do último ano (um registro por dia)
+ */
+const CONTRIBUTION_CALENDAR_QUERY = `
+  query ContributionCalendar($login: String!) {
+    user(login: $login) {
+      contributionsCollection {
+        contributionCalendar {
+          totalContributions
+          weeks {
+            contributionDays { date contributionCount }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Mapeamento das opções de ordenação da API REST para a GraphQL
+const ORDER_FIELDS = {
+  created: 'CREATED_AT',
+  updated: 'UPDATED_AT',
+  pushed: 'PUSHED_AT',
+  full_name: 'NAME'
+};
+
+const PROFILE_PAGE_SIZE = 100;
+
+/**
+ * GitHubGraphQLUserRepository - Implementação do repositório de usuários sobre a API GraphQL (v4)
+ * Perfil, fixados, repositórios e contribuições vêm de uma única consulta; os demais
+ * recursos (organizações, busca, detalhes de repositório) continuam na API REST
+ */
+export class GitHubGraphQLUserRepository extends GitHubUserRepository {
+  constructor(httpClient, cache = null, logger = console, options = {}) {
+    super(httpClient, cache, logger);
+
+    // Perfil e repositórios costumam ser pedidos juntos: a consulta é
+    // compartilhada por alguns segundos para não ser repetida
+    this.profileReuseMs = options.profileReuseMs || 5000;
+    this.profileRequests = new Map();
+
+    // Sem autenticação a API GraphQL responde 401 (ex: proxy sem GITHUB_TOKEN):
+    // a partir daí as buscas usam a API REST
+    this.graphqlUnavailable = false;
+  }
+
+  /**
+   * Busca um usuário pelo username
+   */
+  async findByUsername(username, options = {}) {
+    const { signal } = options;
+
+    if (this.graphqlUnavailable) {
+      return super.findByUsername(username, options);
+    }
+
+    try {
+      this.logger.info(`[GitHubGraphQLUserRepository] Fetching user: ${username}`);
+
+      const data = await this.getProfileData(username, signal);
+
+      // Organizações não são retornadas por "user": usa a API REST
+      if (!data.user) {
+        return super.findByUsername(username, options);
+      }
+
+      const user = User.fromGitHubGraphQL({
+        ...data.user,
+        repositories: { totalCount: data.user.repositories.totalCount }
+      });
+
+      this.logger.info(`[GitHubGraphQLUserRepository] User found: ${username}`);
+
+      return user;
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findByUsername(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca uma página de repositórios de um usuário
+   * Sem paginação por número na API GraphQL, percorre os cursores até a página pedida
+   */
+  async findUserRepositories(username, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      sort = 'updated',
+      direction = 'desc',
+      signal
+    } = options;
+
+    if (this.graphqlUnavailable) {
+      return super.findUserRepositories(username, options);
+    }
+
+    try {
+      this.logger.info(`[GitHubGraphQLUserRepository] Fetching repositories for user: ${username} (page ${page})`);
+
+      let cursor = null;
+      let connection = null;
+
+      for (let current = 1; current <= page; current++) {
+        connection = await this.fetchRepositoriesPage(username, { perPage, sort, direction, cursor, signal });
+
+        if (!connection) {
+          return super.findUserRepositories(username, options);
+        }
+
+        if (!connection.pageInfo.hasNextPage && current < page) {
+          return [];
+        }
+
+        cursor = connection.pageInfo.endCursor;
+      }
+
+      return connection.nodes.map(node => Repository.fromGitHubGraphQL(node));
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findUserRepositories(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca todas as páginas de repositórios de um usuário seguindo os cursores
+   */
+  async findAllUserRepositories(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 10,
+      sort = 'updated',
+      direction = 'desc',
+      onProgress = null,
+      signal
+    } = options;
+
+    if (this.graphqlUnavailable) {
+      return super.findAllUserRepositories(username, options);
+    }
+
+    try {
+      this.logger.info(`[GitHubGraphQLUserRepository] Fetching all repositories for user: ${username}`);
+
+      const repositories = [];
+      let pagesFetched = 0;
+      let totalPages = null;
+      let cursor = null;
+      let hasNext = true;
+
+      while (hasNext && pagesFetched < maxPages) {
+        const connection = await this.fetchRepositoriesPage(username, { perPage, sort, direction, cursor, signal });
+
+        if (!connection) {
+          return super.findAllUserRepositories(username, options);
+        }
+
+        repositories.push(...connection.nodes.map(node => Repository.fromGitHubGraphQL(node)));
+        pagesFetched++;
+        totalPages = Math.max(1, Math.ceil(connection.totalCount / perPage));
+
+        if (onProgress) {
+          onProgress({ page: pagesFetched, totalPages, loaded: repositories.length });
+        }
+
+        hasNext = connection.pageInfo.hasNextPage;
+        cursor = connection.pageInfo.endCursor;
+      }
+
+      const truncated = hasNext;
+      if (truncated) {
+        this.logger.warn(`[GitHubGraphQLUserRepository] Repository pagination for ${username} stopped at ${maxPages} pages`);
+      }
+
+      this.logger.info(`[GitHubGraphQLUserRepository] Found ${repositories.length} repositories in ${pagesFetched} pages for user: ${username}`);
+
+      return {
+        repositories,
+        pagesFetched,
+        totalPages,
+        truncated
+      };
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findAllUserRepositories(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca os repositórios fixados no perfil
+   * @returns {Promise<Repository[]>}
+   */
+  async findPinnedRepositories(username, options = {}) {
+    if (this.graphqlUnavailable) {
+      return super.findPinnedRepositories(username, options);
+    }
+
+    try {
+      const data = await this.getProfileData(username, options.signal);
+      if (!data.user) return [];
+
+      return data.user.pinnedItems.nodes.map(node => Repository.fromGitHubGraphQL(node));
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findPinnedRepositories(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca a contagem de contribuições do último ano
+   * @returns {Promise<Object|null>}
+   */
+  async findUserContributions(username, options = {}) {
+    if (this.graphqlUnavailable) {
+      return super.findUserContributions(username, options);
+    }
+
+    try {
+      const data = await this.getProfileData(username, options.signal);
+      if (!data.user) return null;
+
+      const { contributionCalendar, ...counts } = data.user.contributionsCollection;
+
+      return {
+        ...counts,
+        totalContributions: contributionCalendar.totalContributions
+      };
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findUserContributions(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca o calendário de contribuições do último ano
+   * @returns {Promise<Array<{date: string, count: number}>|null>}
+   */
+  async findContributionCalendar(username, options = {}) {
+    if (this.graphqlUnavailable) {
+      return super.findContributionCalendar(username, options);
+    }
+
+    try {
+      const data = await this.query(CONTRIBUTION_CALENDAR_QUERY, { login: username }, options.signal);
+      if (!data.user) {
+        throw new UserNotFoundError(username);
+      }
+
+      return data.user.contributionsCollection.contributionCalendar.weeks
+        .flatMap(week => week.contributionDays)
+        .map(day => ({ date: day.date, count: day.contributionCount }));
+
+    } catch (error) {
+      if (this.shouldFallBackToRest(error)) {
+        return super.findContributionCalendar(username, options);
+      }
+
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Obtém a consulta de perfil, reaproveitando uma recente ou em andamento
+   */
+  async getProfileData(username, signal) {
+    const key = username.toLowerCase();
+    const existing = this.profileRequests.get(key);
+
+    if (existing && Date.now() - existing.createdAt < this.profileReuseMs) {
+      try {
+        return await existing.promise;
+      } catch (error) {
+        // Cancelada por outro chamador: refaz com o próprio sinal
+        if (!(error instanceof CancelledError) || signal?.aborted) {
+          throw error;
+        }
+      }
+    }
+
+    const entry = {
+      createdAt: Date.now(),
+      promise: this.query(USER_PROFILE_QUERY, {
+        login: username,
+        first: PROFILE_PAGE_SIZE,
+        orderBy: this.getOrderBy('updated', 'desc')
+      }, signal)
+    };
+
+    this.profileRequests.set(key, entry);
+    entry.promise.catch(() => {
+      if (this.profileRequests.get(key) === entry) {
+        this.profileRequests.delete(key);
+      }
+    });
+
+    return entry.promise;
+  }
+
+  /**
+   * Busca uma página de repositórios; a primeira página padrão vem da consulta de perfil
+   * @returns {Promise<Object|null>} Conexão de repositórios ou null se o usuário não existir
+   */
+  async fetchRepositoriesPage(username, { perPage, sort, direction, cursor, signal }) {
+    const usesProfilePage = !cursor && perPage === PROFILE_PAGE_SIZE && sort === 'updated' && direction === 'desc';
+
+    const data = usesProfilePage
+      ? await this.getProfileData(username, signal)
+      : await this.query(USER_REPOSITORIES_QUERY, {
+        login: username,
+        first: perPage,
+        after: cursor,
+        orderBy: this.getOrderBy(sort, direction)
+      }, signal);
+
+    return data.user ? data.user.repositories : null;
+  }
+
+  /**
+   * Executa uma consulta GraphQL
+   * Erros NOT_FOUND resultam em dados nulos; demais erros viram NetworkError
+   */
+  async query(query, variables, signal) {
+    const response = await this.httpClient.post('/graphql', { query, variables }, { signal });
+    const { data, errors } = response.data || {};
+
+    if (errors?.length) {
+      const isNotFound = errors.every(error => error.type === 'NOT_FOUND');
+
+      if (!isNotFound || !data) {
+        throw new NetworkError(
+          `GraphQL error: ${errors.map(error => error.message).join('; ')}`,
+          errors
+        );
+      }
+    }
+
+    return data || {};
+  }
+
+  /**
+   * Verifica se a consulta falhou por falta de autenticação (401) e, nesse caso,
+   * marca a API GraphQL como indisponível para as próximas chamadas
+   */
+  shouldFallBackToRest(error) {
+    const status = error.response?.status ?? error.originalError?.response?.status;
+    if (status !== 401) {
+      return false;
+    }
+
+    if (!this.graphqlUnavailable) {
+      this.logger.warn('[GitHubGraphQLUserRepository] GraphQL API requires authentication, falling back to the REST API');
+      this.graphqlUnavailable = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Converte ordenação da API REST para RepositoryOrder
+   */
+  getOrderBy(sort, direction) {
+    return {
+      field: ORDER_FIELDS[sort] || ORDER_FIELDS.updated,
+      direction: direction === 'asc' ? 'ASC' : 'DESC'
+    };
+  }
+
+  /**
+   * Obtém estatísticas do repositório
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      backend: this.graphqlUnavailable ? 'rest' : 'graphql'
+    };
+  }
+}
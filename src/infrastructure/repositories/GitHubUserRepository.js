@@ -1,34 +1,33 @@
-import { UserRepositoryInterface, UserNotFoundError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { UserNotFoundError, OrganizationNotFoundError, RepositoryNotFoundError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { CachedUserRepository } from './CachedUserRepository.js';
 import { User } from '../../domain/entities/User.js';
 import { Repository } from '../../domain/entities/Repository.js';
+import { Organization } from '../../domain/entities/Organization.js';
+import { Release } from '../../domain/entities/Release.js';
+import { Event } from '../../domain/entities/Event.js';
 
 /**
  * GitHubUserRepository - Implementação concreta do repositório de usuários
  * Comunica-se com a API do GitHub usando HttpClient
  */
-export class GitHubUserRepository extends UserRepositoryInterface {
+export class GitHubUserRepository extends CachedUserRepository {
   constructor(httpClient, cache = null, logger = console) {
-    super();
-    this.httpClient = httpClient;
-    this.cache = cache;
-    this.logger = logger;
-    
-    // Configurações de cache
-    this.defaultTTL = {
-      user: 300,        // 5 minutos
-      repositories: 600, // 10 minutos
-      search: 180       // 3 minutos
-    };
+    super(httpClient, cache, logger, {
+      provider: 'github',
+      name: 'GitHubUserRepository'
+    });
   }
 
   /**
    * Busca um usuário pelo username
    */
-  async findByUsername(username) {
+  async findByUsername(username, options = {}) {
+    const { signal } = options;
+
     try {
       this.logger.info(`[GitHubUserRepository] Fetching user: ${username}`);
       
-      const response = await this.httpClient.get(`/users/${username}`);
+      const response = await this.httpClient.get(`/users/${username}`, { signal });
       
       if (!response.data) {
         throw new UserNotFoundError(username);
@@ -42,15 +41,19 @@ export class GitHubUserRepository extends UserRepositoryInterface {
       return user;
 
     } catch (error) {
-      if (error instanceof NetworkError) {
+      if (error instanceof UserNotFoundError) {
         throw error;
       }
 
-      // Verifica se é erro 404 (usuário não encontrado)
-      if (error.response?.status === 404) {
+      // Verifica se é erro 404 (usuário não encontrado), inclusive já transformado pelo HttpClient
+      if (this.isNotFound(error)) {
         throw new UserNotFoundError(username);
       }
 
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
       // Para outros erros HTTP, transforma em NetworkError
       throw new NetworkError(
         `Failed to fetch user ${username}: ${error.message}`,
@@ -67,7 +70,8 @@ export class GitHubUserRepository extends UserRepositoryInterface {
       page = 1,
       perPage = 30,
       sort = 'updated',
-      direction = 'desc'
+      direction = 'desc',
+      signal
     } = options;
 
     try {
@@ -80,7 +84,7 @@ export class GitHubUserRepository extends UserRepositoryInterface {
         direction
       };
 
-      const response = await this.httpClient.get(`/users/${username}/repos`, { params });
+      const response = await this.httpClient.get(`/users/${username}/repos`, { params, signal });
       
       if (!response.data || !Array.isArray(response.data)) {
         this.logger.warn(`[GitHubUserRepository] Invalid repositories data for user: ${username}`);
@@ -95,15 +99,19 @@ export class GitHubUserRepository extends UserRepositoryInterface {
       return repositories;
 
     } catch (error) {
-      if (error instanceof NetworkError) {
+      if (error instanceof UserNotFoundError) {
         throw error;
       }
 
-      // Verifica se é erro 404 (usuário não encontrado)
-      if (error.response?.status === 404) {
+      // Verifica se é erro 404 (usuário não encontrado), inclusive já transformado pelo HttpClient
+      if (this.isNotFound(error)) {
         throw new UserNotFoundError(username);
       }
 
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
       // Para outros erros HTTP, transforma em NetworkError
       throw new NetworkError(
         `Failed to fetch repositories for user ${username}: ${error.message}`,
@@ -112,6 +120,138 @@ export class GitHubUserRepository extends UserRepositoryInterface {
     }
   }
 
+  /**
+   * Busca todas as páginas de repositórios de um usuário seguindo o header Link
+   */
+  async findAllUserRepositories(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 10,
+      sort = 'updated',
+      direction = 'desc',
+      onProgress = null,
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GitHubUserRepository] Fetching all repositories for user: ${username}`);
+
+      const repositories = [];
+      let page = 1;
+      let pagesFetched = 0;
+      let totalPages = null;
+      let hasNext = true;
+
+      while (hasNext && pagesFetched < maxPages) {
+        const params = {
+          page,
+          per_page: perPage,
+          sort,
+          direction
+        };
+
+        const response = await this.httpClient.get(`/users/${username}/repos`, { params, signal });
+
+        if (!response.data || !Array.isArray(response.data)) {
+          this.logger.warn(`[GitHubUserRepository] Invalid repositories data for user: ${username} (page ${page})`);
+          break;
+        }
+
+        repositories.push(...response.data.map(repoData => Repository.fromGitHubAPI(repoData)));
+        pagesFetched++;
+
+        const links = response.metadata?.links || {};
+        if (links.last?.page) {
+          totalPages = links.last.page;
+        } else if (!links.next) {
+          totalPages = page;
+        }
+
+        if (onProgress) {
+          onProgress({ page, totalPages, loaded: repositories.length });
+        }
+
+        hasNext = Boolean(links.next);
+        page = links.next?.page || page + 1;
+      }
+
+      const truncated = hasNext;
+      if (truncated) {
+        this.logger.warn(`[GitHubUserRepository] Repository pagination for ${username} stopped at ${maxPages} pages`);
+      }
+
+      this.logger.info(`[GitHubUserRepository] Found ${repositories.length} repositories in ${pagesFetched} pages for user: ${username}`);
+
+      return {
+        repositories,
+        pagesFetched,
+        totalPages,
+        truncated
+      };
+
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        throw new UserNotFoundError(username);
+      }
+
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to fetch repositories for user ${username}: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Busca os eventos públicos de um usuário seguindo a paginação (Link header)
+   * A API retorna no máximo 300 eventos dos últimos 90 dias
+   */
+  async findUserEvents(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 3,
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GitHubUserRepository] Fetching events for user: ${username}`);
+
+      const events = [];
+      let page = 1;
+      let hasNext = true;
+
+      while (hasNext && page <= maxPages) {
+        const params = {
+          page,
+          per_page: perPage
+        };
+
+        const response = await this.httpClient.get(`/users/${username}/events/public`, { params, signal });
+
+        if (!Array.isArray(response.data)) {
+          this.logger.warn(`[GitHubUserRepository] Invalid events data for user: ${username} (page ${page})`);
+          break;
+        }
+
+        events.push(...response.data.map(eventData => Event.fromGitHubAPI(eventData)));
+
+        const links = response.metadata?.links || {};
+        hasNext = Boolean(links.next);
+        page = links.next?.page || page + 1;
+      }
+
+      this.logger.info(`[GitHubUserRepository] Found ${events.length} events for user: ${username}`);
+
+      return events;
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
   /**
    * Busca usuários por critério de pesquisa
    */
@@ -119,7 +259,8 @@ export class GitHubUserRepository extends UserRepositoryInterface {
     const {
       page = 1,
       perPage = 30,
-      sort = 'best-match'
+      sort = 'best-match',
+      signal
     } = options;
 
     try {
@@ -132,7 +273,7 @@ export class GitHubUserRepository extends UserRepositoryInterface {
         sort: sort === 'best-match' ? undefined : sort
       };
 
-      const response = await this.httpClient.get('/search/users', { params });
+      const response = await this.httpClient.get('/search/users', { params, signal });
       
       if (!response.data || !response.data.items) {
         return { users: [], totalCount: 0 };
@@ -149,7 +290,7 @@ export class GitHubUserRepository extends UserRepositoryInterface {
       };
 
     } catch (error) {
-      if (error instanceof NetworkError) {
+      if (this.isDomainError(error)) {
         throw error;
       }
 
@@ -161,232 +302,325 @@ export class GitHubUserRepository extends UserRepositoryInterface {
   }
 
   /**
-   * Verifica se um usuário existe
+   * Busca uma organização pelo login
    */
-  async userExists(username) {
+  async findOrganization(login, options = {}) {
+    const { signal } = options;
+
     try {
-      await this.httpClient.get(`/users/${username}`);
-      return true;
+      this.logger.info(`[GitHubUserRepository] Fetching organization: ${login}`);
+
+      const response = await this.httpClient.get(`/orgs/${login}`, { signal });
+
+      if (!response.data) {
+        throw new OrganizationNotFoundError(login);
+      }
+
+      const organization = Organization.fromGitHubAPI(response.data);
+
+      this.logger.info(`[GitHubUserRepository] Organization found: ${login}`);
+
+      return organization;
+
     } catch (error) {
-      if (error.response?.status === 404) {
-        return false;
+      if (error instanceof OrganizationNotFoundError) {
+        throw error;
       }
-      
-      // Para outros erros, assume que o usuário pode existir
-      this.logger.warn(`[GitHubUserRepository] Error checking if user exists ${username}:`, error);
-      return false;
+
+      if (this.isNotFound(error)) {
+        throw new OrganizationNotFoundError(login);
+      }
+
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to fetch organization ${login}: ${error.message}`,
+        error
+      );
     }
   }
 
   /**
-   * Obtém informações de rate limit da API
+   * Busca os repositórios de uma organização
    */
-  async getRateLimit() {
+  async findOrganizationRepositories(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      type = 'all',
+      sort = 'updated',
+      direction = 'desc',
+      signal
+    } = options;
+
     try {
-      const response = await this.httpClient.get('/rate_limit');
-      
-      if (!response.data || !response.data.rate) {
-        throw new NetworkError('Invalid rate limit response');
-      }
+      this.logger.info(`[GitHubUserRepository] Fetching repositories for organization: ${login}`);
 
-      const rateData = response.data.rate;
-      
-      return {
-        limit: rateData.limit,
-        remaining: rateData.remaining,
-        reset: new Date(rateData.reset * 1000)
+      const params = {
+        page,
+        per_page: perPage,
+        type,
+        sort,
+        direction
       };
 
+      const response = await this.httpClient.get(`/orgs/${login}/repos`, { params, signal });
+
+      if (!response.data || !Array.isArray(response.data)) {
+        this.logger.warn(`[GitHubUserRepository] Invalid repositories data for organization: ${login}`);
+        return [];
+      }
+
+      const repositories = response.data.map(repoData => Repository.fromGitHubAPI(repoData));
+
+      this.logger.info(`[GitHubUserRepository] Found ${repositories.length} repositories for organization: ${login}`);
+
+      return repositories;
+
     } catch (error) {
-      if (error instanceof NetworkError) {
+      if (this.isNotFound(error)) {
+        throw new OrganizationNotFoundError(login);
+      }
+
+      if (this.isDomainError(error)) {
         throw error;
       }
 
       throw new NetworkError(
-        `Failed to fetch rate limit: ${error.message}`,
+        `Failed to fetch repositories for organization ${login}: ${error.message}`,
         error
       );
     }
   }
 
   /**
-   * Métodos de cache (implementados se cache estiver disponível)
+   * Busca os membros públicos de uma organização
    */
-
-  /**
-   * Salva usuário no cache
-   */
-  async cacheUser(username, user, ttl = null) {
-    if (!this.cache) return;
+  async findOrganizationMembers(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
 
     try {
-      const key = this.getUserCacheKey(username);
-      const value = JSON.stringify(user.toJSON());
-      const cacheTTL = ttl || this.defaultTTL.user;
-      
-      await this.cache.set(key, value, cacheTTL);
-      this.logger.debug(`[GitHubUserRepository] User cached: ${username}`);
+      this.logger.info(`[GitHubUserRepository] Fetching members for organization: ${login}`);
+
+      const params = {
+        page,
+        per_page: perPage
+      };
+
+      const response = await this.httpClient.get(`/orgs/${login}/public_members`, { params, signal });
+
+      if (!response.data || !Array.isArray(response.data)) {
+        return [];
+      }
+
+      const members = response.data.map(memberData => User.fromGitHubAPI(memberData));
+
+      this.logger.info(`[GitHubUserRepository] Found ${members.length} members for organization: ${login}`);
+
+      return members;
+
     } catch (error) {
-      this.logger.warn(`[GitHubUserRepository] Cache write error for user ${username}:`, error);
+      if (this.isNotFound(error)) {
+        throw new OrganizationNotFoundError(login);
+      }
+
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to fetch members for organization ${login}: ${error.message}`,
+        error
+      );
     }
   }
 
   /**
-   * Salva repositórios no cache
+   * Busca um repositório pelo dono e nome
    */
-  async cacheUserRepositories(username, repositories, ttl = null) {
-    if (!this.cache) return;
+  async findRepository(owner, repo) {
+    const fullName = `${owner}/${repo}`;
 
     try {
-      const key = this.getRepositoriesCacheKey(username);
-      const value = JSON.stringify(repositories);
-      const cacheTTL = ttl || this.defaultTTL.repositories;
-      
-      await this.cache.set(key, value, cacheTTL);
-      this.logger.debug(`[GitHubUserRepository] Repositories cached: ${username}`);
+      this.logger.info(`[GitHubUserRepository] Fetching repository: ${fullName}`);
+
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}`);
+
+      if (!response.data) {
+        throw new RepositoryNotFoundError(fullName);
+      }
+
+      return Repository.fromGitHubAPI(response.data);
+
     } catch (error) {
-      this.logger.warn(`[GitHubUserRepository] Cache write error for repositories ${username}:`, error);
+      throw this.toRepositoryError(error, fullName, 'repository');
     }
   }
 
   /**
-   * Busca usuário no cache
+   * Busca a distribuição de linguagens (em bytes) de um repositório
    */
-  async getCachedUser(username) {
-    if (!this.cache) return null;
+  async findRepositoryLanguages(owner, repo, options = {}) {
+    const { priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
 
     try {
-      const key = this.getUserCacheKey(username);
-      const cachedValue = await this.cache.get(key);
-      
-      if (!cachedValue) return null;
-
-      const userData = JSON.parse(cachedValue);
-      return User.fromGitHubAPI(userData);
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/languages`, { priority, signal });
+      return response.data && typeof response.data === 'object' ? response.data : {};
 
     } catch (error) {
-      this.logger.warn(`[GitHubUserRepository] Cache read error for user ${username}:`, error);
-      return null;
+      throw this.toRepositoryError(error, fullName, 'languages');
     }
   }
 
   /**
-   * Busca repositórios no cache
+   * Busca os contribuidores de um repositório
    */
-  async getCachedUserRepositories(username) {
-    if (!this.cache) return null;
+  async findRepositoryContributors(owner, repo, options = {}) {
+    const { perPage = 30 } = options;
+    const fullName = `${owner}/${repo}`;
 
     try {
-      const key = this.getRepositoriesCacheKey(username);
-      const cachedValue = await this.cache.get(key);
-      
-      if (!cachedValue) return null;
+      const params = { per_page: perPage };
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/contributors`, { params });
 
-      const repositoriesData = JSON.parse(cachedValue);
-      
-      // Se é um resultado processado (com analytics), retorna como está
-      if (repositoriesData.repositories && Array.isArray(repositoriesData.repositories)) {
-        return repositoriesData;
-      }
-      
-      // Se é um array simples de repositórios, converte para entidades
-      if (Array.isArray(repositoriesData)) {
-        return repositoriesData.map(repoData => Repository.fromGitHubAPI(repoData));
+      // 204 (repositório vazio) retorna corpo vazio
+      if (!Array.isArray(response.data)) {
+        return [];
       }
 
-      return null;
+      return response.data
+        .filter(contributor => contributor.type !== 'Anonymous')
+        .map(contributor => ({
+          user: User.fromGitHubAPI(contributor),
+          contributions: contributor.contributions || 0
+        }));
 
     } catch (error) {
-      this.logger.warn(`[GitHubUserRepository] Cache read error for repositories ${username}:`, error);
-      return null;
+      throw this.toRepositoryError(error, fullName, 'contributors');
     }
   }
 
   /**
-   * Limpa cache de um usuário específico
+   * Busca as releases de um repositório
    */
-  async clearUserCache(username) {
-    if (!this.cache) return;
+  async findRepositoryReleases(owner, repo, options = {}) {
+    const { perPage = 10 } = options;
+    const fullName = `${owner}/${repo}`;
 
     try {
-      const userKey = this.getUserCacheKey(username);
-      const reposKey = this.getRepositoriesCacheKey(username);
-      
-      await Promise.all([
-        this.cache.del(userKey),
-        this.cache.del(reposKey)
-      ]);
-      
-      this.logger.debug(`[GitHubUserRepository] Cache cleared for user: ${username}`);
+      const params = { per_page: perPage };
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/releases`, { params });
+
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+
+      return response.data.map(releaseData => Release.fromGitHubAPI(releaseData));
+
     } catch (error) {
-      this.logger.warn(`[GitHubUserRepository] Cache clear error for user ${username}:`, error);
+      throw this.toRepositoryError(error, fullName, 'releases');
     }
   }
 
   /**
-   * Limpa todo o cache
+   * Busca o README de um repositório (conteúdo em Markdown)
    */
-  async clearAllCache() {
-    if (!this.cache) return;
+  async findRepositoryReadme(owner, repo) {
+    const fullName = `${owner}/${repo}`;
 
     try {
-      // Se o cache suporta flush, usa ele
-      if (typeof this.cache.flush === 'function') {
-        await this.cache.flush();
-      } else if (typeof this.cache.flushAll === 'function') {
-        await this.cache.flushAll();
-      } else {
-        this.logger.warn('[GitHubUserRepository] Cache does not support flush operation');
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/readme`);
+
+      if (!response.data?.content) {
+        return null;
       }
-      
-      this.logger.debug('[GitHubUserRepository] All cache cleared');
+
+      return {
+        content: this.decodeBase64(response.data.content),
+        path: response.data.path,
+        htmlUrl: response.data.html_url
+      };
+
     } catch (error) {
-      this.logger.warn('[GitHubUserRepository] Cache clear all error:', error);
+      // Repositório sem README não é um erro
+      if (this.isNotFound(error)) {
+        return null;
+      }
+
+      throw this.toRepositoryError(error, fullName, 'README');
     }
   }
 
   /**
-   * Métodos auxiliares para chaves de cache
+   * Verifica se o repositório possui workflows do GitHub Actions
    */
+  async hasContinuousIntegration(owner, repo) {
+    const fullName = `${owner}/${repo}`;
 
-  getUserCacheKey(username) {
-    return `github:user:${username.toLowerCase()}`;
-  }
-
-  getRepositoriesCacheKey(username) {
-    return `github:repos:${username.toLowerCase()}`;
-  }
+    try {
+      const params = { per_page: 1 };
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/actions/workflows`, { params });
+      return (response.data?.total_count || 0) > 0;
 
-  getSearchCacheKey(query, options) {
-    const optionsKey = Object.keys(options)
-      .sort()
-      .map(key => `${key}:${options[key]}`)
-      .join('|');
-    
-    return `github:search:${query}:${optionsKey}`;
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'workflows');
+    }
   }
 
   /**
-   * Obtém estatísticas do repositório
+   * Verifica se um usuário existe
    */
-  getStats() {
-    return {
-      httpClient: this.httpClient.getStats(),
-      cache: this.cache ? {
-        enabled: true,
-        defaultTTL: this.defaultTTL
-      } : {
-        enabled: false
-      }
-    };
+  async userExists(username) {
+    try {
+      await this.httpClient.get(`/users/${username}`);
+      return true;
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return false;
+      }
+      
+      // Para outros erros, assume que o usuário pode existir
+      this.logger.warn(`[GitHubUserRepository] Error checking if user exists ${username}:`, error);
+      return false;
+    }
   }
 
   /**
-   * Configura token de autenticação
+   * Obtém informações de rate limit da API
    */
-  setAuthToken(token) {
-    this.httpClient.setAuthToken(token);
-    this.logger.info('[GitHubUserRepository] Authentication token configured');
+  async getRateLimit() {
+    try {
+      const response = await this.httpClient.get('/rate_limit');
+      
+      if (!response.data || !response.data.rate) {
+        throw new NetworkError('Invalid rate limit response');
+      }
+
+      const rateData = response.data.rate;
+      
+      return {
+        limit: rateData.limit,
+        remaining: rateData.remaining,
+        reset: new Date(rateData.reset * 1000)
+      };
+
+    } catch (error) {
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to fetch rate limit: ${error.message}`,
+        error
+      );
+    }
   }
 
   /**
@@ -0,0 +1,517 @@
+import { UserNotFoundError, OrganizationNotFoundError, RepositoryNotFoundError, NetworkError, CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { CachedUserRepository } from './CachedUserRepository.js';
+import { User } from '../../domain/entities/User.js';
+import { Repository } from '../../domain/entities/Repository.js';
+import { Release } from '../../domain/entities/Release.js';
+
+// Mapeamento das opções de ordenação (padrão GitHub) para o order_by do GitLab
+const ORDER_FIELDS = {
+  created: 'created_at',
+  updated: 'last_activity_at',
+  pushed: 'last_activity_at',
+  full_name: 'path'
+};
+
+/**
+ * GitLabUserRepository - Implementação do repositório de usuários sobre a API REST do GitLab (v4)
+ * Usuários e projetos são convertidos para as entidades de domínio; grupos não são
+ * tratados como organizações, pois /users sempre retorna contas pessoais
+ */
+export class GitLabUserRepository extends CachedUserRepository {
+  constructor(httpClient, cache = null, logger = console, options = {}) {
+    super(httpClient, cache, logger, {
+      provider: 'gitlab',
+      name: 'GitLabUserRepository'
+    });
+
+    // Projeto e README são pedidos juntos na página de detalhes: a consulta
+    // do projeto é compartilhada por alguns segundos para não ser repetida
+    this.projectReuseMs = options.projectReuseMs || 5000;
+    this.projectRequests = new Map();
+  }
+
+  /**
+   * Usernames do GitLab aceitam pontos e underscores
+   */
+  getUsernamePattern() {
+    return /^[a-zA-Z0-9_.][a-zA-Z0-9_.-]{0,254}$/;
+  }
+
+  /**
+   * Busca um usuário pelo username
+   * A busca por username só retorna o resumo: o perfil e a contagem de projetos
+   * vêm de chamadas separadas
+   */
+  async findByUsername(username, options = {}) {
+    const { signal } = options;
+
+    try {
+      this.logger.info(`[GitLabUserRepository] Fetching user: ${username}`);
+
+      const summary = await this.findUserSummary(username, signal);
+
+      if (!summary) {
+        throw new UserNotFoundError(username);
+      }
+
+      const [profileResponse, projectsResponse] = await Promise.all([
+        this.httpClient.get(`/users/${summary.id}`, { signal }),
+        this.httpClient.get(`/users/${summary.id}/projects`, {
+          params: { per_page: 1, simple: true },
+          signal
+        })
+      ]);
+
+      // Sem x-total (coleções muito grandes) a contagem é desconhecida
+      const user = User.fromGitLabAPI({
+        ...summary,
+        ...profileResponse.data,
+        public_repos: this.getReportedTotal(projectsResponse)
+      });
+
+      this.logger.info(`[GitLabUserRepository] User found: ${username}`);
+
+      return user;
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca os repositórios (projetos) de um usuário
+   */
+  async findUserRepositories(username, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      sort = 'updated',
+      direction = 'desc',
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GitLabUserRepository] Fetching repositories for user: ${username}`);
+
+      const response = await this.fetchProjectsPage(username, { page, perPage, sort, direction, signal });
+
+      if (!Array.isArray(response.data)) {
+        this.logger.warn(`[GitLabUserRepository] Invalid repositories data for user: ${username}`);
+        return [];
+      }
+
+      const repositories = response.data.map(project => Repository.fromGitLabAPI(project));
+
+      this.logger.info(`[GitLabUserRepository] Found ${repositories.length} repositories for user: ${username}`);
+
+      return repositories;
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca todas as páginas de projetos de um usuário seguindo as headers x-next-page/x-total-pages
+   */
+  async findAllUserRepositories(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 10,
+      sort = 'updated',
+      direction = 'desc',
+      onProgress = null,
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GitLabUserRepository] Fetching all repositories for user: ${username}`);
+
+      const repositories = [];
+      let page = 1;
+      let pagesFetched = 0;
+      let totalPages = null;
+      let hasNext = true;
+
+      while (hasNext && pagesFetched < maxPages) {
+        const response = await this.fetchProjectsPage(username, { page, perPage, sort, direction, signal });
+
+        if (!Array.isArray(response.data)) {
+          this.logger.warn(`[GitLabUserRepository] Invalid repositories data for user: ${username} (page ${page})`);
+          break;
+        }
+
+        repositories.push(...response.data.map(project => Repository.fromGitLabAPI(project)));
+        pagesFetched++;
+
+        // x-total-pages é omitida em coleções muito grandes
+        const nextPage = parseInt(response.headers?.['x-next-page'], 10);
+        const reportedTotal = parseInt(response.headers?.['x-total-pages'], 10);
+        hasNext = Number.isInteger(nextPage);
+        totalPages = Number.isInteger(reportedTotal) ? reportedTotal : (hasNext ? null : page);
+
+        if (onProgress) {
+          onProgress({ page, totalPages, loaded: repositories.length });
+        }
+
+        page = hasNext ? nextPage : page + 1;
+      }
+
+      const truncated = hasNext;
+      if (truncated) {
+        this.logger.warn(`[GitLabUserRepository] Repository pagination for ${username} stopped at ${maxPages} pages`);
+      }
+
+      this.logger.info(`[GitLabUserRepository] Found ${repositories.length} repositories in ${pagesFetched} pages for user: ${username}`);
+
+      return {
+        repositories,
+        pagesFetched,
+        totalPages,
+        truncated
+      };
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca usuários por critério de pesquisa
+   * Qualificadores da busca do GitHub (ex.: "in:login") não existem no GitLab e são removidos
+   */
+  async searchUsers(query, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    const term = query.replace(/\s+in:\w+/g, '').trim();
+
+    try {
+      this.logger.info(`[GitLabUserRepository] Searching users: ${term}`);
+
+      const params = {
+        search: term,
+        page,
+        per_page: perPage
+      };
+
+      const response = await this.httpClient.get('/users', { params, signal });
+
+      if (!Array.isArray(response.data)) {
+        return { users: [], totalCount: 0 };
+      }
+
+      const users = response.data.map(userData => User.fromGitLabAPI(userData));
+
+      this.logger.info(`[GitLabUserRepository] Found ${users.length} users for query: ${term}`);
+
+      return {
+        users,
+        totalCount: this.getTotalCount(response)
+      };
+
+    } catch (error) {
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to search users with query "${term}": ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Grupos do GitLab não são mapeados como organizações
+   */
+  async findOrganization(login) {
+    throw new OrganizationNotFoundError(login);
+  }
+
+  async findOrganizationRepositories(login) {
+    throw new OrganizationNotFoundError(login);
+  }
+
+  async findOrganizationMembers(login) {
+    throw new OrganizationNotFoundError(login);
+  }
+
+  /**
+   * Busca um projeto pelo namespace e nome
+   */
+  async findRepository(owner, repo, options = {}) {
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      this.logger.info(`[GitLabUserRepository] Fetching repository: ${fullName}`);
+
+      const project = await this.getProjectData(owner, repo, options);
+
+      if (!project) {
+        throw new RepositoryNotFoundError(fullName);
+      }
+
+      return Repository.fromGitLabAPI(project);
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'repository');
+    }
+  }
+
+  /**
+   * Busca a distribuição de linguagens de um projeto
+   * O GitLab informa percentuais em vez de bytes; a proporção entre linguagens é a mesma
+   */
+  async findRepositoryLanguages(owner, repo, options = {}) {
+    const { priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const response = await this.httpClient.get(`${this.getProjectPath(owner, repo)}/languages`, { priority, signal });
+      return response.data && typeof response.data === 'object' ? response.data : {};
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'languages');
+    }
+  }
+
+  /**
+   * Contribuidores do GitLab são autores de commits (nome e e-mail), sem conta associada,
+   * e não podem ser representados como User
+   */
+  async findRepositoryContributors() {
+    return [];
+  }
+
+  /**
+   * Busca as releases de um projeto
+   */
+  async findRepositoryReleases(owner, repo, options = {}) {
+    const { perPage = 10, priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const params = { per_page: perPage };
+      const response = await this.httpClient.get(`${this.getProjectPath(owner, repo)}/releases`, { params, priority, signal });
+
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+
+      return response.data.map(releaseData => Release.fromGitLabAPI(releaseData));
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'releases');
+    }
+  }
+
+  /**
+   * Considera que há CI quando o projeto possui ao menos um pipeline
+   */
+  async hasContinuousIntegration(owner, repo, options = {}) {
+    const { priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const params = { per_page: 1 };
+      const response = await this.httpClient.get(`${this.getProjectPath(owner, repo)}/pipelines`, { params, priority, signal });
+      return Array.isArray(response.data) && response.data.length > 0;
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'pipelines');
+    }
+  }
+
+  /**
+   * Busca o README de um projeto a partir do readme_url informado pelo projeto
+   * O projeto é o mesmo carregado por findRepository (consulta compartilhada)
+   */
+  async findRepositoryReadme(owner, repo, options = {}) {
+    const { priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const projectPath = this.getProjectPath(owner, repo);
+      const project = await this.getProjectData(owner, repo, { priority, signal });
+
+      // readme_url: https://gitlab.com/:namespace/:project/-/blob/:branch/:path
+      const match = project?.readme_url?.match(/\/-\/blob\/[^/]+\/(.+)$/);
+      if (!match) {
+        return null;
+      }
+
+      const path = decodeURIComponent(match[1]);
+      const response = await this.httpClient.get(
+        `${projectPath}/repository/files/${encodeURIComponent(path)}/raw`,
+        { params: { ref: project.default_branch }, responseType: 'text', priority, signal }
+      );
+
+      return {
+        content: response.data,
+        path,
+        htmlUrl: project.readme_url
+      };
+
+    } catch (error) {
+      // Projeto sem README não é um erro
+      if (this.isNotFound(error)) {
+        return null;
+      }
+
+      throw this.toRepositoryError(error, fullName, 'README');
+    }
+  }
+
+  /**
+   * Verifica se um usuário existe
+   */
+  async userExists(username) {
+    try {
+      return Boolean(await this.findUserSummary(username));
+    } catch (error) {
+      this.logger.warn(`[GitLabUserRepository] Error checking if user exists ${username}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * O GitLab não tem endpoint de consulta de cota
+   */
+  async getRateLimit() {
+    return {
+      limit: null,
+      remaining: null,
+      reset: null
+    };
+  }
+
+  /**
+   * Busca o resumo de um usuário pelo username exato
+   * @returns {Promise<Object|null>} Dados da API ou null se não existir
+   */
+  async findUserSummary(username, signal) {
+    const response = await this.httpClient.get('/users', {
+      params: { username },
+      signal
+    });
+
+    return Array.isArray(response.data) && response.data.length > 0
+      ? response.data[0]
+      : null;
+  }
+
+  /**
+   * Obtém os dados de um projeto, reaproveitando uma consulta recente ou em andamento
+   */
+  async getProjectData(owner, repo, { priority, signal } = {}) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    const existing = this.projectRequests.get(key);
+
+    if (existing && Date.now() - existing.createdAt < this.projectReuseMs) {
+      try {
+        return await existing.promise;
+      } catch (error) {
+        // Cancelada por outro chamador: refaz com o próprio sinal
+        if (!(error instanceof CancelledError) || signal?.aborted) {
+          throw error;
+        }
+      }
+    }
+
+    // A licença só é incluída quando solicitada
+    const entry = {
+      createdAt: Date.now(),
+      promise: this.httpClient.get(this.getProjectPath(owner, repo), {
+        params: { license: true },
+        priority,
+        signal
+      }).then(response => response.data)
+    };
+
+    this.projectRequests.set(key, entry);
+    entry.promise.catch(() => {
+      if (this.projectRequests.get(key) === entry) {
+        this.projectRequests.delete(key);
+      }
+    });
+
+    return entry.promise;
+  }
+
+  /**
+   * Busca uma página de projetos de um usuário
+   * /users/:id/projects aceita o username no lugar do ID
+   */
+  async fetchProjectsPage(username, { page, perPage, sort, direction, signal }) {
+    const params = {
+      page,
+      per_page: perPage,
+      order_by: ORDER_FIELDS[sort] || ORDER_FIELDS.updated,
+      sort: direction === 'asc' ? 'asc' : 'desc'
+    };
+
+    return this.httpClient.get(`/users/${encodeURIComponent(username)}/projects`, { params, signal });
+  }
+
+  /**
+   * Caminho de um projeto: o ID pode ser o namespace/nome codificado
+   */
+  getProjectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  /**
+   * Total da coleção pela header x-total (ausente em coleções muito grandes)
+   */
+  getTotalCount(response) {
+    return this.getReportedTotal(response) ?? (response.data?.length || 0);
+  }
+
+  /**
+   * Total informado pela header x-total, ou null quando omitida
+   */
+  getReportedTotal(response) {
+    const total = parseInt(response.headers?.['x-total'], 10);
+    return Number.isInteger(total) ? total : null;
+  }
+
+  /**
+   * Configura token de acesso pessoal (header PRIVATE-TOKEN)
+   */
+  setAuthToken(token) {
+    this.httpClient.setHeaders({ 'PRIVATE-TOKEN': token });
+    this.logger.info('[GitLabUserRepository] Authentication token configured');
+  }
+
+  /**
+   * Verifica saúde do repositório consultando um endpoint público leve
+   */
+  async healthCheck() {
+    try {
+      const response = await this.httpClient.get('/projects', {
+        params: { per_page: 1, simple: true }
+      });
+
+      return {
+        status: 'healthy',
+        httpClient: {
+          status: 'healthy',
+          baseURL: this.httpClient.baseURL,
+          responseTime: response.metadata?.duration
+        },
+        cache: this.cache ? { enabled: true } : { enabled: false }
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        httpClient: { status: 'unknown' },
+        cache: this.cache ? { enabled: true } : { enabled: false }
+      };
+    }
+  }
+}
@@ -0,0 +1,474 @@
+import { UserNotFoundError, OrganizationNotFoundError, RepositoryNotFoundError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { CachedUserRepository } from './CachedUserRepository.js';
+import { User } from '../../domain/entities/User.js';
+import { Repository } from '../../domain/entities/Repository.js';
+import { Organization } from '../../domain/entities/Organization.js';
+import { Release } from '../../domain/entities/Release.js';
+
+/**
+ * GiteaUserRepository - Implementação do repositório de usuários sobre a API do Gitea (v1)
+ * Pensado para instâncias self-hosted: sem rate limit, com paginação por page/limit
+ * e header Link no mesmo formato do GitHub
+ */
+export class GiteaUserRepository extends CachedUserRepository {
+  constructor(httpClient, cache = null, logger = console) {
+    super(httpClient, cache, logger, {
+      provider: 'gitea',
+      name: 'GiteaUserRepository'
+    });
+
+    // URL da interface web, usada quando a API não informa html_url
+    this.webURL = httpClient.baseURL.replace(/\/api\/v1\/?$/, '');
+  }
+
+  /**
+   * Usernames do Gitea aceitam pontos e underscores entre caracteres alfanuméricos
+   */
+  getUsernamePattern() {
+    return /^[a-zA-Z0-9]([a-zA-Z0-9_.-]{0,38}[a-zA-Z0-9])?$/;
+  }
+
+  /**
+   * Busca um usuário pelo username
+   * A contagem de repositórios vem da header x-total-count da listagem
+   */
+  async findByUsername(username, options = {}) {
+    const { signal } = options;
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Fetching user: ${username}`);
+
+      const [userResponse, reposResponse] = await Promise.all([
+        this.httpClient.get(`/users/${username}`, { signal }),
+        this.httpClient.get(`/users/${username}/repos`, { params: { limit: 1 }, signal })
+      ]);
+
+      if (!userResponse.data) {
+        throw new UserNotFoundError(username);
+      }
+
+      const user = User.fromGiteaAPI({
+        html_url: `${this.webURL}/${userResponse.data.login}`,
+        ...userResponse.data,
+        public_repos: this.getTotalCount(reposResponse)
+      });
+
+      this.logger.info(`[GiteaUserRepository] User found: ${username}`);
+
+      return user;
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca os repositórios de um usuário
+   * /users/:username/repos não aceita ordenação: a ordem fica a cargo dos casos de uso
+   */
+  async findUserRepositories(username, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Fetching repositories for user: ${username}`);
+
+      const params = { page, limit: perPage };
+      const response = await this.httpClient.get(`/users/${username}/repos`, { params, signal });
+
+      if (!Array.isArray(response.data)) {
+        this.logger.warn(`[GiteaUserRepository] Invalid repositories data for user: ${username}`);
+        return [];
+      }
+
+      const repositories = response.data.map(repoData => Repository.fromGiteaAPI(repoData));
+
+      this.logger.info(`[GiteaUserRepository] Found ${repositories.length} repositories for user: ${username}`);
+
+      return repositories;
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca todas as páginas de repositórios de um usuário seguindo o header Link
+   * O servidor pode limitar o tamanho da página (MAX_RESPONSE_ITEMS, 50 por padrão)
+   */
+  async findAllUserRepositories(username, options = {}) {
+    const {
+      perPage = 100,
+      maxPages = 10,
+      onProgress = null,
+      signal
+    } = options;
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Fetching all repositories for user: ${username}`);
+
+      const repositories = [];
+      let page = 1;
+      let pagesFetched = 0;
+      let totalPages = null;
+      let hasNext = true;
+
+      while (hasNext && pagesFetched < maxPages) {
+        const params = { page, limit: perPage };
+        const response = await this.httpClient.get(`/users/${username}/repos`, { params, signal });
+
+        if (!Array.isArray(response.data)) {
+          this.logger.warn(`[GiteaUserRepository] Invalid repositories data for user: ${username} (page ${page})`);
+          break;
+        }
+
+        repositories.push(...response.data.map(repoData => Repository.fromGiteaAPI(repoData)));
+        pagesFetched++;
+
+        const links = response.metadata?.links || {};
+        if (links.last?.page) {
+          totalPages = links.last.page;
+        } else if (!links.next) {
+          totalPages = page;
+        }
+
+        if (onProgress) {
+          onProgress({ page, totalPages, loaded: repositories.length });
+        }
+
+        hasNext = Boolean(links.next);
+        page = links.next?.page || page + 1;
+      }
+
+      const truncated = hasNext;
+      if (truncated) {
+        this.logger.warn(`[GiteaUserRepository] Repository pagination for ${username} stopped at ${maxPages} pages`);
+      }
+
+      this.logger.info(`[GiteaUserRepository] Found ${repositories.length} repositories in ${pagesFetched} pages for user: ${username}`);
+
+      return {
+        repositories,
+        pagesFetched,
+        totalPages,
+        truncated
+      };
+
+    } catch (error) {
+      throw this.toUserError(error, username);
+    }
+  }
+
+  /**
+   * Busca usuários por critério de pesquisa
+   * Qualificadores da busca do GitHub (ex.: "in:login") não existem no Gitea e são removidos
+   */
+  async searchUsers(query, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    const term = query.replace(/\s+in:\w+/g, '').trim();
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Searching users: ${term}`);
+
+      const params = { q: term, page, limit: perPage };
+      const response = await this.httpClient.get('/users/search', { params, signal });
+
+      const items = response.data?.data;
+      if (!Array.isArray(items)) {
+        return { users: [], totalCount: 0 };
+      }
+
+      const users = items.map(userData => User.fromGiteaAPI({
+        html_url: `${this.webURL}/${userData.login}`,
+        ...userData
+      }));
+
+      this.logger.info(`[GiteaUserRepository] Found ${users.length} users for query: ${term}`);
+
+      return {
+        users,
+        totalCount: this.getTotalCount(response, items)
+      };
+
+    } catch (error) {
+      if (this.isDomainError(error)) {
+        throw error;
+      }
+
+      throw new NetworkError(
+        `Failed to search users with query "${term}": ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Busca uma organização pelo login
+   */
+  async findOrganization(login, options = {}) {
+    const { signal } = options;
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Fetching organization: ${login}`);
+
+      const [orgResponse, reposResponse] = await Promise.all([
+        this.httpClient.get(`/orgs/${login}`, { signal }),
+        this.httpClient.get(`/orgs/${login}/repos`, { params: { limit: 1 }, signal })
+      ]);
+
+      if (!orgResponse.data) {
+        throw new OrganizationNotFoundError(login);
+      }
+
+      return Organization.fromGiteaAPI({
+        html_url: `${this.webURL}/${login}`,
+        ...orgResponse.data,
+        public_repos: this.getTotalCount(reposResponse)
+      });
+
+    } catch (error) {
+      throw this.toOrganizationError(error, login, 'organization');
+    }
+  }
+
+  /**
+   * Busca os repositórios de uma organização
+   */
+  async findOrganizationRepositories(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    try {
+      const params = { page, limit: perPage };
+      const response = await this.httpClient.get(`/orgs/${login}/repos`, { params, signal });
+
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+
+      return response.data.map(repoData => Repository.fromGiteaAPI(repoData));
+
+    } catch (error) {
+      throw this.toOrganizationError(error, login, 'repositories');
+    }
+  }
+
+  /**
+   * Busca os membros públicos de uma organização
+   */
+  async findOrganizationMembers(login, options = {}) {
+    const {
+      page = 1,
+      perPage = 30,
+      signal
+    } = options;
+
+    try {
+      const params = { page, limit: perPage };
+      const response = await this.httpClient.get(`/orgs/${login}/public_members`, { params, signal });
+
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+
+      return response.data.map(memberData => User.fromGiteaAPI({
+        html_url: `${this.webURL}/${memberData.login}`,
+        ...memberData
+      }));
+
+    } catch (error) {
+      throw this.toOrganizationError(error, login, 'members');
+    }
+  }
+
+  /**
+   * Busca um repositório pelo dono e nome
+   */
+  async findRepository(owner, repo) {
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      this.logger.info(`[GiteaUserRepository] Fetching repository: ${fullName}`);
+
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}`);
+
+      if (!response.data) {
+        throw new RepositoryNotFoundError(fullName);
+      }
+
+      return Repository.fromGiteaAPI(response.data);
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'repository');
+    }
+  }
+
+  /**
+   * Busca a distribuição de linguagens (em bytes) de um repositório
+   */
+  async findRepositoryLanguages(owner, repo, options = {}) {
+    const { priority, signal } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/languages`, { priority, signal });
+      return response.data && typeof response.data === 'object' ? response.data : {};
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'languages');
+    }
+  }
+
+  /**
+   * A API do Gitea não expõe contribuidores de um repositório
+   */
+  async findRepositoryContributors() {
+    return [];
+  }
+
+  /**
+   * Busca as releases de um repositório
+   * O formato das releases é o mesmo da API do GitHub
+   */
+  async findRepositoryReleases(owner, repo, options = {}) {
+    const { perPage = 10 } = options;
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const params = { limit: perPage };
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/releases`, { params });
+
+      if (!Array.isArray(response.data)) {
+        return [];
+      }
+
+      return response.data.map(releaseData => Release.fromGitHubAPI(releaseData));
+
+    } catch (error) {
+      throw this.toRepositoryError(error, fullName, 'releases');
+    }
+  }
+
+  /**
+   * Busca o README.md da branch padrão (conteúdo em Markdown)
+   */
+  async findRepositoryReadme(owner, repo) {
+    const fullName = `${owner}/${repo}`;
+
+    try {
+      const response = await this.httpClient.get(`/repos/${owner}/${repo}/contents/README.md`);
+
+      if (!response.data?.content) {
+        return null;
+      }
+
+      return {
+        content: this.decodeBase64(response.data.content),
+        path: response.data.path,
+        htmlUrl: response.data.html_url
+      };
+
+    } catch (error) {
+      // Repositório sem README não é um erro
+      if (this.isNotFound(error)) {
+        return null;
+      }
+
+      throw this.toRepositoryError(error, fullName, 'README');
+    }
+  }
+
+  /**
+   * Verifica se um usuário existe
+   */
+  async userExists(username) {
+    try {
+      await this.httpClient.get(`/users/${username}`);
+      return true;
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        this.logger.warn(`[GiteaUserRepository] Error checking if user exists ${username}:`, error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * O Gitea não aplica rate limit na API
+   */
+  async getRateLimit() {
+    return {
+      limit: null,
+      remaining: null,
+      reset: null
+    };
+  }
+
+  /**
+   * Converte erros das rotas /orgs em erros de domínio
+   */
+  toOrganizationError(error, login, resource) {
+    if (error instanceof OrganizationNotFoundError) {
+      return error;
+    }
+
+    if (this.isNotFound(error)) {
+      return new OrganizationNotFoundError(login);
+    }
+
+    if (this.isDomainError(error)) {
+      return error;
+    }
+
+    return new NetworkError(
+      `Failed to fetch ${resource} for organization ${login}: ${error.message}`,
+      error
+    );
+  }
+
+  /**
+   * Total da coleção pela header x-total-count
+   */
+  getTotalCount(response, items = response.data) {
+    const total = parseInt(response.headers?.['x-total-count'], 10);
+    return Number.isInteger(total) ? total : (Array.isArray(items) ? items.length : 0);
+  }
+
+  /**
+   * Verifica saúde do repositório consultando a versão do servidor
+   */
+  async healthCheck() {
+    try {
+      const response = await this.httpClient.get('/version');
+
+      return {
+        status: 'healthy',
+        httpClient: {
+          status: 'healthy',
+          baseURL: this.httpClient.baseURL,
+          responseTime: response.metadata?.duration
+        },
+        version: response.data?.version,
+        cache: this.cache ? { enabled: true } : { enabled: false }
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        httpClient: { status: 'unknown' },
+        cache: this.cache ? { enabled: true } : { enabled: false }
+      };
+    }
+  }
+}
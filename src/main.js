@@ -4,10 +4,23 @@ import { createRoot } from 'react-dom/client';
 // Infraestrutura
 import { HttpClient } from './infrastructure/http/HttpClient.js';
 import { GitHubUserRepository } from './infrastructure/repositories/GitHubUserRepository.js';
+import { GitHubGraphQLUserRepository } from './infrastructure/repositories/GitHubGraphQLUserRepository.js';
+import { GitLabUserRepository } from './infrastructure/repositories/GitLabUserRepository.js';
+import { GiteaUserRepository } from './infrastructure/repositories/GiteaUserRepository.js';
+import { FixtureUserRepository } from './infrastructure/repositories/FixtureUserRepository.js';
+import { githubFixtures } from './infrastructure/fixtures/index.js';
+import { IndexedDBCache } from './infrastructure/cache/IndexedDBCache.js';
 
 // Casos de uso (Application Layer)
 import { GetUserUseCase } from './application/use-cases/GetUserUseCase.js';
 import { GetUserRepositoriesUseCase } from './application/use-cases/GetUserRepositoriesUseCase.js';
+import { GetOrganizationUseCase } from './application/use-cases/GetOrganizationUseCase.js';
+import { SearchUsersUseCase } from './application/use-cases/SearchUsersUseCase.js';
+import { CompareUsersUseCase } from './application/use-cases/CompareUsersUseCase.js';
+import { GetRepositoryDetailsUseCase } from './application/use-cases/GetRepositoryDetailsUseCase.js';
+import { GetUserActivityUseCase } from './application/use-cases/GetUserActivityUseCase.js';
+import { GetContributionHeatmapUseCase } from './application/use-cases/GetContributionHeatmapUseCase.js';
+import { GetLanguageBreakdownUseCase } from './application/use-cases/GetLanguageBreakdownUseCase.js';
 
 // Apresentação
 import { AppProvider } from './presentation/context/AppContext.js';
@@ -30,43 +43,170 @@ class AppConfig {
     // Logger customizado para produção
     this.logger = this.createLogger();
 
+    // Cache persistente (IndexedDB) com fallback para memória
+    // Compartilhado entre provedores: as chaves levam o prefixo do provedor
+    this.cache = this.createCache();
+
+    // Cada provedor tem seu próprio cliente HTTP (base URL, autenticação,
+    // rate limit e circuit breaker) e repositório de usuários
+    this.defaultProvider = 'github';
+    this.providers = {};
+
+    Object.entries(this.getProviderConfigs()).forEach(([id, config]) => {
+      this.providers[id] = this.createProviderInfrastructure(id, config);
+    });
+
+    // Atalhos para o provedor padrão
+    this.httpClient = this.providers[this.defaultProvider].httpClient;
+    this.userRepository = this.providers[this.defaultProvider].userRepository;
+  }
+
+  /**
+   * Configuração dos provedores suportados
+   * URLs de instâncias self-hosted podem ser definidas por variáveis de ambiente
+   */
+  getProviderConfigs() {
+    // Modo offline: dados determinísticos das fixtures, sem chamadas à API
+    if (process.env.REACT_APP_USE_FIXTURES === 'true') {
+      return {
+        github: {
+          label: 'GitHub (fixtures)',
+          icon: 'fab fa-github',
+          baseURL: 'https://api.github.com',
+          createRepository: () => new FixtureUserRepository(githubFixtures, this.logger, {
+            latency: parseInt(process.env.REACT_APP_FIXTURES_LATENCY, 10) || 300
+          })
+        }
+      };
+    }
+
+    // Modo proxy: o token fica no servidor (o build falha se REACT_APP_GITHUB_TOKEN também estiver definido)
+    const githubProxyURL = (process.env.REACT_APP_GITHUB_PROXY_URL || '').replace(/\/+$/, '');
+    const githubToken = githubProxyURL ? null : process.env.REACT_APP_GITHUB_TOKEN;
+    const gitlabURL = (process.env.REACT_APP_GITLAB_URL || 'https://gitlab.com').replace(/\/+$/, '');
+    const giteaURL = (process.env.REACT_APP_GITEA_URL || '').replace(/\/+$/, '');
+
+    const configs = {
+      github: {
+        label: 'GitHub',
+        icon: 'fab fa-github',
+        baseURL: githubProxyURL || 'https://api.github.com',
+        token: githubToken,
+        headers: {
+          'Accept': 'application/vnd.github.v3+json',
+          'User-Agent': 'GitHub-Explorer-React19-Clean/1.0.0'
+        },
+        // A API GraphQL exige autenticação: sem token no cliente usa a API REST; com o proxy a
+        // GraphQL é tentada e, se o proxy não tiver GITHUB_TOKEN (401), o repositório passa à REST
+        UserRepository: githubToken || githubProxyURL ? GitHubGraphQLUserRepository : GitHubUserRepository
+      },
+      gitlab: {
+        label: 'GitLab',
+        icon: 'fab fa-gitlab',
+        baseURL: `${gitlabURL}/api/v4`,
+        token: process.env.REACT_APP_GITLAB_TOKEN,
+        headers: {
+          'Accept': 'application/json'
+        },
+        UserRepository: GitLabUserRepository
+      }
+    };
+
+    // Gitea não tem instância pública padrão: só é habilitado com a URL configurada
+    if (giteaURL) {
+      configs.gitea = {
+        label: 'Gitea',
+        icon: 'fab fa-git-alt',
+        baseURL: `${giteaURL}/api/v1`,
+        token: process.env.REACT_APP_GITEA_TOKEN,
+        headers: {
+          'Accept': 'application/json'
+        },
+        UserRepository: GiteaUserRepository
+      };
+    }
+
+    return configs;
+  }
+
+  /**
+   * Cria cliente HTTP e repositório de um provedor
+   */
+  createProviderInfrastructure(id, config) {
     // Cliente HTTP configurado
-    this.httpClient = new HttpClient({
-      baseURL: 'https://api.github.com',
+    const httpClient = new HttpClient({
+      baseURL: config.baseURL,
       timeout: 15000,
       retryAttempts: 3,
       retryDelay: 1000,
+      maxRateLimitWait: 60000, // desiste se o reset do rate limit demorar mais que 1 minuto
+      maxConcurrency: 6,
       logger: this.logger,
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'GitHub-Explorer-React19-Clean/1.0.0'
-      }
+      headers: config.headers
     });
 
-    // Cache simples em memória (pode ser substituído por Redis, etc.)
-    this.cache = this.createMemoryCache();
-
-    // Repositório de usuários
-    this.userRepository = new GitHubUserRepository(
-      this.httpClient,
-      this.cache,
-      this.logger
-    );
+    // Repositório de usuários (fixtures não usam HTTP nem cache)
+    const userRepository = config.createRepository
+      ? config.createRepository()
+      : new config.UserRepository(httpClient, this.cache, this.logger);
 
     // Configurar token de autenticação se disponível
-    const githubToken = process.env.REACT_APP_GITHUB_TOKEN;
-    if (githubToken) {
-      this.userRepository.setAuthToken(githubToken);
+    if (config.token) {
+      userRepository.setAuthToken(config.token);
     }
+
+    return {
+      id,
+      label: config.label,
+      icon: config.icon,
+      httpClient,
+      userRepository
+    };
   }
 
   /**
    * Inicializa a camada de aplicação (casos de uso)
    */
   initializeApplication() {
-    // Casos de uso
-    this.getUserUseCase = new GetUserUseCase(this.userRepository, this.logger);
-    this.getUserRepositoriesUseCase = new GetUserRepositoriesUseCase(this.userRepository, this.logger);
+    Object.values(this.providers).forEach(provider => {
+      Object.assign(provider, this.createUseCases(provider.userRepository));
+    });
+
+    // Casos de uso do provedor padrão
+    const defaultProvider = this.providers[this.defaultProvider];
+    this.getUserUseCase = defaultProvider.getUserUseCase;
+    this.getUserRepositoriesUseCase = defaultProvider.getUserRepositoriesUseCase;
+    this.getOrganizationUseCase = defaultProvider.getOrganizationUseCase;
+    this.searchUsersUseCase = defaultProvider.searchUsersUseCase;
+    this.compareUsersUseCase = defaultProvider.compareUsersUseCase;
+    this.getRepositoryDetailsUseCase = defaultProvider.getRepositoryDetailsUseCase;
+    this.getUserActivityUseCase = defaultProvider.getUserActivityUseCase;
+    this.getContributionHeatmapUseCase = defaultProvider.getContributionHeatmapUseCase;
+    this.getLanguageBreakdownUseCase = defaultProvider.getLanguageBreakdownUseCase;
+  }
+
+  /**
+   * Cria os casos de uso sobre um repositório de usuários
+   */
+  createUseCases(userRepository) {
+    const getUserUseCase = new GetUserUseCase(userRepository, this.logger);
+    const getUserRepositoriesUseCase = new GetUserRepositoriesUseCase(userRepository, this.logger);
+
+    return {
+      getUserUseCase,
+      getUserRepositoriesUseCase,
+      getOrganizationUseCase: new GetOrganizationUseCase(userRepository, this.logger),
+      searchUsersUseCase: new SearchUsersUseCase(userRepository, this.logger),
+      compareUsersUseCase: new CompareUsersUseCase(
+        getUserUseCase,
+        getUserRepositoriesUseCase,
+        this.logger
+      ),
+      getRepositoryDetailsUseCase: new GetRepositoryDetailsUseCase(userRepository, this.logger),
+      getUserActivityUseCase: new GetUserActivityUseCase(userRepository, this.logger),
+      getContributionHeatmapUseCase: new GetContributionHeatmapUseCase(userRepository, this.logger),
+      getLanguageBreakdownUseCase: new GetLanguageBreakdownUseCase(userRepository, this.logger)
+    };
   }
 
   /**
@@ -83,22 +223,45 @@ class AppConfig {
     };
   }
 
+  /**
+   * Cria o cache da aplicação
+   * Usa IndexedDB quando disponível para sobreviver a recarregamentos da página
+   */
+  createCache() {
+    if (!IndexedDBCache.isAvailable()) {
+      return this.createMemoryCache();
+    }
+
+    return new IndexedDBCache({
+      dbName: 'github-explorer-cache',
+      maxEntries: 500,
+      maxBytes: 10 * 1024 * 1024,
+      fallback: this.createMemoryCache(),
+      logger: this.logger
+    });
+  }
+
   /**
    * Cria cache simples em memória
    * Em produção, seria substituído por Redis ou similar
    */
   createMemoryCache() {
     const store = new Map();
+    const maxStaleMs = 24 * 60 * 60 * 1000; // expiradas ficam 1 dia para uso com allowStale
 
     return {
-      async get(key) {
+      async get(key, options = {}) {
         const item = store.get(key);
         if (!item) return null;
 
         // Verifica expiração
         if (item.expiresAt && Date.now() > item.expiresAt) {
-          store.delete(key);
-          return null;
+          if (Date.now() > item.expiresAt + maxStaleMs) {
+            store.delete(key);
+            return null;
+          }
+
+          return options.allowStale ? item.value : null;
         }
 
         return item.value;
@@ -120,6 +283,7 @@ class AppConfig {
       // Estatísticas do cache
       getStats() {
         return {
+          backend: 'memory',
           size: store.size,
           keys: Array.from(store.keys())
         };
@@ -135,7 +299,18 @@ class AppConfig {
       // Casos de uso
       getUserUseCase: this.getUserUseCase,
       getUserRepositoriesUseCase: this.getUserRepositoriesUseCase,
+      getOrganizationUseCase: this.getOrganizationUseCase,
+      searchUsersUseCase: this.searchUsersUseCase,
+      compareUsersUseCase: this.compareUsersUseCase,
+      getRepositoryDetailsUseCase: this.getRepositoryDetailsUseCase,
+      getUserActivityUseCase: this.getUserActivityUseCase,
+      getContributionHeatmapUseCase: this.getContributionHeatmapUseCase,
+      getLanguageBreakdownUseCase: this.getLanguageBreakdownUseCase,
       
+      // Provedores (GitHub, GitLab, Gitea): cada um com seus casos de uso
+      providers: this.providers,
+      defaultProvider: this.defaultProvider,
+
       // Infraestrutura (para debugging/monitoring)
       httpClient: this.httpClient,
       userRepository: this.userRepository,
@@ -159,7 +334,10 @@ class AppConfig {
         cache: cacheStats,
         environment: {
           nodeEnv: process.env.NODE_ENV,
-          hasGitHubToken: !!process.env.REACT_APP_GITHUB_TOKEN
+          githubProxy: process.env.REACT_APP_GITHUB_PROXY_URL || null,
+          hasGitLabToken: !!process.env.REACT_APP_GITLAB_TOKEN,
+          hasGiteaToken: !!process.env.REACT_APP_GITEA_TOKEN,
+          useFixtures: process.env.REACT_APP_USE_FIXTURES === 'true'
         }
       };
     } catch (error) {
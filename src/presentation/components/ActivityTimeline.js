@@ -0,0 +1,291 @@
+import React, { useState, useMemo } from 'react';
+
+const CATEGORY_CONFIG = {
+  push: { label: 'Pushes', icon: 'fas fa-code-commit', color: 'primary' },
+  pull_request: { label: 'Pull requests', icon: 'fas fa-code-pull-request', color: 'success' },
+  issue: { label: 'Issues', icon: 'fas fa-circle-dot', color: 'warning' },
+  review: { label: 'Reviews', icon: 'fas fa-check-double', color: 'info' },
+  release: { label: 'Releases', icon: 'fas fa-tag', color: 'danger' },
+  other: { label: 'Outros', icon: 'fas fa-ellipsis-h', color: 'secondary' }
+};
+
+const PULL_REQUEST_ACTIONS = {
+  opened: 'Abriu o pull request',
+  closed: 'Fechou o pull request',
+  merged: 'Fez merge do pull request',
+  reopened: 'Reabriu o pull request'
+};
+
+const ISSUE_ACTIONS = {
+  opened: 'Abriu a issue',
+  closed: 'Fechou a issue',
+  reopened: 'Reabriu a issue'
+};
+
+const REVIEW_ACTIONS = {
+  approved: 'Aprovou o pull request',
+  changes_requested: 'Pediu alterações no pull request',
+  commented: 'Comentou no pull request'
+};
+
+const OTHER_EVENT_LABELS = {
+  WatchEvent: 'Marcou com estrela',
+  ForkEvent: 'Fez fork de',
+  CreateEvent: 'Criou',
+  DeleteEvent: 'Removeu',
+  IssueCommentEvent: 'Comentou em uma issue de',
+  CommitCommentEvent: 'Comentou em um commit de',
+  PublicEvent: 'Tornou público',
+  MemberEvent: 'Entrou como colaborador em',
+  GollumEvent: 'Editou a wiki de'
+};
+
+/**
+ * ActivityTimeline - Timeline de atividade pública recente agrupada por dia
+ * Filtrável por categoria de evento e por repositório
+ */
+export const ActivityTimeline = ({ activity, isLoading, error, onRetry }) => {
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const [repositoryFilter, setRepositoryFilter] = useState('');
+
+  const repositoryNames = useMemo(() => {
+    if (!activity) return [];
+    return Array.from(new Set(activity.events.map(event => event.repositoryName).filter(Boolean))).sort();
+  }, [activity]);
+
+  // Dias com os eventos que passam pelos filtros (dias sem eventos são omitidos)
+  const filteredDays = useMemo(() => {
+    if (!activity) return [];
+
+    return activity.days
+      .map(day => ({
+        ...day,
+        events: day.events.filter(event =>
+          !hiddenCategories.includes(event.category) &&
+          (!repositoryFilter || event.repositoryName === repositoryFilter)
+        )
+      }))
+      .filter(day => day.events.length > 0);
+  }, [activity, hiddenCategories, repositoryFilter]);
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border text-primary mb-3" role="status">
+          <span className="visually-hidden">Carregando atividade...</span>
+        </div>
+        <p className="text-muted">Carregando atividade recente...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-5">
+        <i className="fas fa-exclamation-triangle fa-3x text-muted mb-3"></i>
+        <h4>Não foi possível carregar a atividade</h4>
+        <p className="text-muted">{error.message}</p>
+        {onRetry && (
+          <button className="btn btn-primary" onClick={onRetry}>
+            <i className="fas fa-redo me-2"></i>
+            Tentar novamente
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!activity) return null;
+
+  const { summary } = activity;
+
+  if (summary.totalEvents === 0) {
+    return (
+      <div className="text-center py-5">
+        <i className="fas fa-stream fa-3x text-muted mb-3"></i>
+        <h4>Nenhuma atividade pública recente</h4>
+        <p className="text-muted">
+          Eventos públicos dos últimos 90 dias aparecem aqui (nem todos os provedores oferecem esses dados).
+        </p>
+      </div>
+    );
+  }
+
+  const toggleCategory = (category) => {
+    setHiddenCategories(prev => prev.includes(category)
+      ? prev.filter(item => item !== category)
+      : [...prev, category]);
+  };
+
+  return (
+    <div>
+      <ActivitySummary summary={summary} />
+
+      {/* Filtros */}
+      <div className="card mb-4">
+        <div className="card-body d-flex flex-wrap align-items-center gap-2">
+          {Object.entries(CATEGORY_CONFIG).map(([category, config]) => {
+            const isActive = !hiddenCategories.includes(category);
+            return (
+              <button
+                key={category}
+                type="button"
+                className={`btn btn-sm ${isActive ? `btn-${config.color}` : `btn-outline-${config.color}`}`}
+                onClick={() => toggleCategory(category)}
+                aria-pressed={isActive}
+                disabled={summary.counts[category] === 0}
+              >
+                <i className={`${config.icon} me-1`}></i>
+                {config.label}
+                <span className="badge bg-light text-dark ms-2">{summary.counts[category]}</span>
+              </button>
+            );
+          })}
+
+          <select
+            className="form-select form-select-sm ms-auto"
+            style={{ maxWidth: '16rem' }}
+            value={repositoryFilter}
+            onChange={(e) => setRepositoryFilter(e.target.value)}
+            aria-label="Filtrar por repositório"
+          >
+            <option value="">Todos os repositórios</option>
+            {repositoryNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      {filteredDays.length === 0 ? (
+        <p className="text-muted text-center py-4">Nenhum evento corresponde aos filtros selecionados.</p>
+      ) : (
+        filteredDays.map(day => (
+          <div key={day.date} className="mb-4">
+            <h6 className="text-muted mb-2">
+              <i className="far fa-calendar me-2"></i>
+              {formatDay(day.date)}
+              <span className="badge bg-secondary ms-2">{day.events.length}</span>
+            </h6>
+            <ul className="list-group">
+              {day.events.map(event => (
+                <ActivityItem key={event.id} event={event} />
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+/**
+ * Resumo do período: totais, commits, dias ativos e repositórios mais frequentes
+ */
+const ActivitySummary = ({ summary }) => (
+  <div className="card mb-4">
+    <div className="card-body">
+      <div className="row text-center">
+        <div className="col">
+          <h5 className="mb-0">{summary.totalEvents}</h5>
+          <small className="text-muted">Eventos</small>
+        </div>
+        <div className="col">
+          <h5 className="mb-0">{summary.totalCommits}</h5>
+          <small className="text-muted">Commits</small>
+        </div>
+        <div className="col">
+          <h5 className="mb-0">{summary.activeDays}</h5>
+          <small className="text-muted">Dias ativos</small>
+        </div>
+        <div className="col">
+          <span className={`badge ${summary.isRecentlyActive ? 'bg-success' : 'bg-secondary'}`}>
+            {summary.isRecentlyActive ? 'Ativo nos últimos 30 dias' : 'Sem atividade recente'}
+          </span>
+          {summary.firstEventAt && (
+            <div>
+              <small className="text-muted">
+                {summary.firstEventAt.toLocaleDateString('pt-BR')} – {summary.lastEventAt.toLocaleDateString('pt-BR')}
+              </small>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {summary.topRepositories.length > 0 && (
+        <div className="mt-3">
+          <small className="text-muted me-2">Mais ativos em:</small>
+          {summary.topRepositories.map(({ name, count }) => (
+            <span key={name} className="badge bg-light text-dark border me-1">
+              {name} <span className="text-muted">({count})</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Item da timeline
+ */
+const ActivityItem = ({ event }) => {
+  const config = CATEGORY_CONFIG[event.category];
+
+  return (
+    <li className="list-group-item d-flex align-items-start gap-3">
+      <i className={`${config.icon} text-${config.color} mt-1`} style={{ width: '1rem' }}></i>
+      <div className="flex-grow-1">
+        <div>
+          {describeEvent(event)}{' '}
+          {event.repositoryName && <strong>{event.repositoryName}</strong>}
+        </div>
+        {event.title && (
+          event.htmlUrl ? (
+            <a href={event.htmlUrl} target="_blank" rel="noopener noreferrer" className="small">
+              {event.title}
+            </a>
+          ) : (
+            <small className="text-muted">{event.title}</small>
+          )
+        )}
+      </div>
+      <small className="text-muted text-nowrap">{event.formattedTime}</small>
+    </li>
+  );
+};
+
+/**
+ * Descrição da ação de acordo com a categoria do evento
+ */
+const describeEvent = (event) => {
+  switch (event.category) {
+    case 'push':
+      return `Enviou ${event.commitCount} ${event.commitCount === 1 ? 'commit' : 'commits'}${event.ref ? ` para ${event.ref} em` : ' para'}`;
+    case 'pull_request':
+      return `${PULL_REQUEST_ACTIONS[event.action] || 'Atualizou o pull request'} em`;
+    case 'issue':
+      return `${ISSUE_ACTIONS[event.action] || 'Atualizou a issue'} em`;
+    case 'review':
+      return `${REVIEW_ACTIONS[event.action] || 'Revisou o pull request'} em`;
+    case 'release':
+      return 'Publicou uma release em';
+    default:
+      return OTHER_EVENT_LABELS[event.type] || event.type.replace(/Event$/, '');
+  }
+};
+
+/**
+ * Formata o dia (YYYY-MM-DD, fuso local) por extenso
+ */
+const formatDay = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+
+  return new Date(year, month - 1, day).toLocaleDateString('pt-BR', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+};
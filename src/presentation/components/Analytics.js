@@ -1,9 +1,24 @@
 import React from 'react';
+import { ContributionHeatmap } from './ContributionHeatmap.js';
 
 /**
  * Analytics - Componente para exibir análises dos repositórios
  */
-export const Analytics = ({ analytics, user, repositories, stats }) => {
+export const Analytics = ({
+  analytics,
+  user,
+  repositories,
+  stats,
+  heatmap,
+  isLoadingHeatmap,
+  heatmapError,
+  languageBreakdown,
+  isLoadingLanguageBreakdown,
+  languageBreakdownError,
+  excludeForkedLanguages,
+  onExcludeForkedLanguagesChange,
+  onTopicSelect
+}) => {
   if (!analytics) {
     return (
       <div className="text-center py-5">
@@ -56,36 +71,26 @@ export const Analytics = ({ analytics, user, repositories, stats }) => {
           </div>
         </div>
 
+        {/* Contribution Heatmap */}
+        <div className="col-md-12 mb-4">
+          <ContributionHeatmap
+            heatmap={heatmap}
+            isLoading={isLoadingHeatmap}
+            error={heatmapError}
+          />
+        </div>
+
         {/* Languages */}
         {analytics.languages && (
           <div className="col-md-6 mb-4">
-            <div className="card">
-              <div className="card-header">
-                <h6 className="card-title mb-0">
-                  <i className="fas fa-code me-2"></i>
-                  Linguagens Mais Usadas
-                </h6>
-              </div>
-              <div className="card-body">
-                {analytics.languages.distribution?.slice(0, 5).map((lang, index) => (
-                  <div key={lang.language} className="mb-3">
-                    <div className="d-flex justify-content-between align-items-center mb-1">
-                      <span>{lang.language}</span>
-                      <small className="text-muted">{lang.repositories} repos ({lang.percentage}%)</small>
-                    </div>
-                    <div className="progress" style={{ height: '6px' }}>
-                      <div 
-                        className="progress-bar" 
-                        style={{ 
-                          width: `${lang.percentage}%`,
-                          backgroundColor: getLanguageColor(lang.language) 
-                        }}
-                      ></div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+            <LanguageBreakdownCard
+              languages={analytics.languages}
+              breakdown={languageBreakdown}
+              isLoading={isLoadingLanguageBreakdown}
+              error={languageBreakdownError}
+              excludeForks={excludeForkedLanguages}
+              onExcludeForksChange={onExcludeForkedLanguagesChange}
+            />
           </div>
         )}
 
@@ -180,11 +185,168 @@ export const Analytics = ({ analytics, user, repositories, stats }) => {
             </div>
           </div>
         )}
+
+        {/* Topics */}
+        {analytics.topics?.total > 0 && (
+          <div className="col-md-12 mb-4">
+            <TopicCloudCard topics={analytics.topics} onTopicSelect={onTopicSelect} />
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
+/**
+ * Nuvem de tópicos: o tamanho da fonte acompanha o número de repositórios
+ * Clicar em um tópico abre a lista de repositórios filtrada por ele
+ */
+const TopicCloudCard = ({ topics, onTopicSelect }) => {
+  const maxCount = Math.max(...topics.distribution.map(item => item.count));
+  const getFontSize = (count) => 0.8 + (maxCount > 1 ? ((count - 1) / (maxCount - 1)) * 0.8 : 0);
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="card-title mb-0">
+          <i className="fas fa-tags me-2"></i>
+          Tópicos
+        </h6>
+        <small className="text-muted">
+          {topics.total} tópicos em {topics.repositoriesWithTopics} repositórios
+        </small>
+      </div>
+      <div className="card-body d-flex flex-wrap align-items-center gap-2">
+        {topics.distribution.map(({ topic, count }) => (
+          <button
+            key={topic}
+            type="button"
+            className="btn btn-outline-primary rounded-pill py-0 px-2"
+            style={{ fontSize: `${getFontSize(count).toFixed(2)}rem` }}
+            onClick={() => onTopicSelect?.(topic)}
+            disabled={!onTopicSelect}
+            title={`${count} ${count === 1 ? 'repositório' : 'repositórios'}`}
+          >
+            {topic}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Card de linguagens: participação em bytes de código versus participação
+ * por repositórios (linguagem principal). Enquanto a análise em bytes não
+ * termina, exibe apenas a contagem por repositórios
+ */
+const LanguageBreakdownCard = ({ languages, breakdown, isLoading, error, excludeForks, onExcludeForksChange }) => {
+  const rows = breakdown
+    ? breakdown.languages.distribution
+    : languages.distribution?.map(lang => ({
+      language: lang.language,
+      primaryRepositories: lang.repositories,
+      repoShare: lang.percentage,
+      byteShare: null
+    })) || [];
+
+  return (
+    <div className="card">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="card-title mb-0">
+          <i className="fas fa-code me-2"></i>
+          Linguagens Mais Usadas
+        </h6>
+        <div className="form-check form-switch mb-0">
+          <input
+            className="form-check-input"
+            type="checkbox"
+            id="languages-exclude-forks"
+            checked={Boolean(excludeForks)}
+            onChange={(e) => onExcludeForksChange?.(e.target.checked)}
+            disabled={!onExcludeForksChange}
+          />
+          <label className="form-check-label small" htmlFor="languages-exclude-forks">
+            Ignorar forks
+          </label>
+        </div>
+      </div>
+      <div className="card-body">
+        <div className="d-flex gap-3 small text-muted mb-3">
+          <span>
+            <span className="d-inline-block rounded me-1" style={{ width: '10px', height: '6px', backgroundColor: '#586069' }}></span>
+            Bytes de código
+          </span>
+          <span>
+            <span className="d-inline-block rounded me-1 bg-secondary" style={{ width: '10px', height: '6px', opacity: 0.5 }}></span>
+            Repositórios (linguagem principal)
+          </span>
+          {isLoading && (
+            <span className="ms-auto">
+              <span className="spinner-border spinner-border-sm me-1" role="status" aria-hidden="true"></span>
+              Analisando bytes...
+            </span>
+          )}
+        </div>
+
+        {rows.slice(0, 6).map(lang => (
+          <div key={lang.language} className="mb-3">
+            <div className="d-flex justify-content-between align-items-center mb-1">
+              <span>{lang.language}</span>
+              <small className="text-muted">
+                {lang.byteShare !== null && `${lang.byteShare}% do código · `}
+                {lang.primaryRepositories} repos ({lang.repoShare}%)
+              </small>
+            </div>
+            {lang.byteShare !== null && (
+              <div className="progress mb-1" style={{ height: '6px' }} title={`${formatBytes(lang.bytes)} em ${lang.presentIn} repositórios`}>
+                <div
+                  className="progress-bar"
+                  style={{
+                    width: `${lang.byteShare}%`,
+                    backgroundColor: getLanguageColor(lang.language)
+                  }}
+                ></div>
+              </div>
+            )}
+            <div className="progress" style={{ height: '4px' }}>
+              <div
+                className="progress-bar bg-secondary"
+                style={{ width: `${lang.repoShare}%`, opacity: 0.5 }}
+              ></div>
+            </div>
+          </div>
+        ))}
+
+        {breakdown && (
+          <small className="text-muted d-block">
+            {formatBytes(breakdown.languages.totalBytes)} analisados em {breakdown.analyzedRepositories} repositórios
+            {breakdown.skippedForks > 0 && ` · ${breakdown.skippedForks} forks ignorados`}
+            {breakdown.failedRepositories.length > 0 && ` · ${breakdown.failedRepositories.length} sem dados de linguagem`}
+          </small>
+        )}
+
+        {error && !isLoading && (
+          <small className="text-muted d-block">
+            <i className="fas fa-exclamation-triangle me-1"></i>
+            Não foi possível analisar os bytes por linguagem: {error.message}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Formata bytes em KB/MB/GB
+ */
+const formatBytes = (bytes = 0) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+};
+
 /**
  * Retorna cor para linguagem de programação
  */
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+
+const CELL_SIZE = 11;
+const CELL_GAP = 3;
+const LABEL_WIDTH = 28;
+const HEADER_HEIGHT = 16;
+
+const LEVEL_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+const WEEKDAY_LABELS = { 1: 'Seg', 3: 'Qua', 5: 'Sex' };
+
+/**
+ * ContributionHeatmap - Calendário anual de contribuições no estilo do GitHub
+ * Recebe os dados já agregados pelo GetContributionHeatmapUseCase
+ */
+export const ContributionHeatmap = ({ heatmap, isLoading, error }) => {
+  const [hoveredDay, setHoveredDay] = useState(null);
+
+  if (isLoading) {
+    return (
+      <HeatmapCard>
+        <div className="text-center py-4">
+          <div className="spinner-border spinner-border-sm text-primary" role="status">
+            <span className="visually-hidden">Carregando contribuições...</span>
+          </div>
+        </div>
+      </HeatmapCard>
+    );
+  }
+
+  if (error) {
+    return (
+      <HeatmapCard>
+        <p className="text-muted mb-0">
+          <i className="fas fa-exclamation-triangle me-2"></i>
+          Não foi possível carregar as contribuições: {error.message}
+        </p>
+      </HeatmapCard>
+    );
+  }
+
+  if (!heatmap) return null;
+
+  const { weeks, streaks } = heatmap;
+  const width = LABEL_WIDTH + weeks.length * (CELL_SIZE + CELL_GAP);
+  const height = HEADER_HEIGHT + 7 * (CELL_SIZE + CELL_GAP);
+
+  return (
+    <HeatmapCard total={heatmap.totalContributions}>
+      <div className="overflow-auto">
+        <svg
+          width={width}
+          height={height}
+          role="img"
+          aria-label={`${heatmap.totalContributions} contribuições no último ano`}
+          onMouseLeave={() => setHoveredDay(null)}
+        >
+          {getMonthLabels(weeks).map(({ label, weekIndex }) => (
+            <text
+              key={`${label}-${weekIndex}`}
+              x={LABEL_WIDTH + weekIndex * (CELL_SIZE + CELL_GAP)}
+              y={10}
+              fontSize="9"
+              fill="currentColor"
+              opacity="0.6"
+            >
+              {label}
+            </text>
+          ))}
+
+          {Object.entries(WEEKDAY_LABELS).map(([weekday, label]) => (
+            <text
+              key={weekday}
+              x={0}
+              y={HEADER_HEIGHT + weekday * (CELL_SIZE + CELL_GAP) + CELL_SIZE - 2}
+              fontSize="9"
+              fill="currentColor"
+              opacity="0.6"
+            >
+              {label}
+            </text>
+          ))}
+
+          {weeks.map((week, weekIndex) => week.map(day => (
+            !day.isFuture && (
+              <rect
+                key={day.date}
+                x={LABEL_WIDTH + weekIndex * (CELL_SIZE + CELL_GAP)}
+                y={HEADER_HEIGHT + day.weekday * (CELL_SIZE + CELL_GAP)}
+                width={CELL_SIZE}
+                height={CELL_SIZE}
+                rx="2"
+                fill={LEVEL_COLORS[day.level]}
+                stroke={hoveredDay?.date === day.date ? '#0d6efd' : 'none'}
+                onMouseEnter={() => setHoveredDay(day)}
+              >
+                <title>{formatDayTooltip(day)}</title>
+              </rect>
+            )
+          )))}
+        </svg>
+      </div>
+
+      <div className="d-flex justify-content-between align-items-center mt-2 small text-muted">
+        <span>{hoveredDay ? formatDayTooltip(hoveredDay) : 'Passe o mouse sobre um dia para ver os detalhes'}</span>
+        <span className="d-flex align-items-center gap-1">
+          Menos
+          {LEVEL_COLORS.map(color => (
+            <span
+              key={color}
+              style={{ width: CELL_SIZE, height: CELL_SIZE, backgroundColor: color, borderRadius: 2, display: 'inline-block' }}
+            ></span>
+          ))}
+          Mais
+        </span>
+      </div>
+
+      <div className="row text-center mt-3">
+        <div className="col-6 col-md-3 mb-2">
+          <h6 className="text-success mb-0">{formatDays(streaks.current)}</h6>
+          <small className="text-muted">Sequência atual</small>
+        </div>
+        <div className="col-6 col-md-3 mb-2">
+          <h6 className="text-primary mb-0">{formatDays(streaks.longest.length)}</h6>
+          <small className="text-muted" title={streaks.longest.start ? `${formatDate(streaks.longest.start)} – ${formatDate(streaks.longest.end)}` : undefined}>
+            Maior sequência
+          </small>
+        </div>
+        <div className="col-6 col-md-3 mb-2">
+          <h6 className="text-info mb-0">
+            {heatmap.busiestWeekday !== null ? capitalize(WEEKDAY_NAMES[heatmap.busiestWeekday]) : '—'}
+          </h6>
+          <small className="text-muted">Dia mais ativo</small>
+        </div>
+        <div className="col-6 col-md-3 mb-2">
+          <h6 className="text-warning mb-0">
+            {heatmap.busiestHour !== null ? `${String(heatmap.busiestHour).padStart(2, '0')}h` : '—'}
+          </h6>
+          <small className="text-muted">Horário mais ativo</small>
+        </div>
+      </div>
+
+      {heatmap.source === 'events' && (
+        <small className="text-muted d-block mt-2">
+          <i className="fas fa-info-circle me-1"></i>
+          Calculado a partir dos eventos públicos desde {formatDate(heatmap.coverageStart)}.
+          Configure um token para ver o calendário completo do ano.
+        </small>
+      )}
+    </HeatmapCard>
+  );
+};
+
+/**
+ * Card do heatmap
+ */
+const HeatmapCard = ({ total, children }) => (
+  <div className="card">
+    <div className="card-header d-flex justify-content-between align-items-center">
+      <h6 className="card-title mb-0">
+        <i className="fas fa-calendar-alt me-2"></i>
+        Contribuições
+      </h6>
+      {total !== undefined && (
+        <small className="text-muted">{total.toLocaleString('pt-BR')} no último ano</small>
+      )}
+    </div>
+    <div className="card-body">
+      {children}
+    </div>
+  </div>
+);
+
+/**
+ * Rótulos de mês posicionados na primeira semana de cada mês
+ */
+const getMonthLabels = (weeks) => {
+  const labels = [];
+  let previousMonth = null;
+
+  weeks.forEach((week, weekIndex) => {
+    const month = parseDay(week[0].date).getMonth();
+    if (month !== previousMonth) {
+      labels.push({
+        label: parseDay(week[0].date).toLocaleDateString('pt-BR', { month: 'short' }).replace('.', ''),
+        weekIndex
+      });
+      previousMonth = month;
+    }
+  });
+
+  // O primeiro rótulo é omitido se não houver espaço antes do seguinte
+  return labels.length > 1 && labels[1].weekIndex - labels[0].weekIndex < 3 ? labels.slice(1) : labels;
+};
+
+const formatDayTooltip = (day) => {
+  const label = day.count === 0
+    ? 'Nenhuma contribuição'
+    : `${day.count} ${day.count === 1 ? 'contribuição' : 'contribuições'}`;
+
+  return `${label} em ${parseDay(day.date).toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}`;
+};
+
+const formatDays = (days) => `${days} ${days === 1 ? 'dia' : 'dias'}`;
+
+const formatDate = (dayKey) => (dayKey ? parseDay(dayKey).toLocaleDateString('pt-BR') : '—');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Converte YYYY-MM-DD em data local
+ */
+const parseDay = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
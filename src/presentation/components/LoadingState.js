@@ -6,7 +6,8 @@ import React from 'react';
 export const LoadingState = ({ 
   message = "Carregando...", 
   isLoadingUser = false, 
-  isLoadingRepositories = false 
+  isLoadingRepositories = false,
+  repositoriesProgress = null
 }) => {
   return (
     <div className="text-center py-5">
@@ -32,7 +33,16 @@ export const LoadingState = ({
               <div className="spinner-border spinner-border-sm text-secondary me-2" role="status">
                 <span className="visually-hidden">Carregando repositórios...</span>
               </div>
-              <small className="text-muted">Buscando repositórios...</small>
+              <small className="text-muted">
+                Buscando repositórios...
+                {repositoriesProgress && (
+                  <> {repositoriesProgress.loaded} carregados
+                    {repositoriesProgress.totalPages
+                      ? ` (página ${repositoriesProgress.page} de ${repositoriesProgress.totalPages})`
+                      : ` (página ${repositoriesProgress.page})`}
+                  </>
+                )}
+              </small>
             </div>
           )}
         </div>
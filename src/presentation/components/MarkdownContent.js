@@ -0,0 +1,70 @@
+import React, { useMemo } from 'react';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+/**
+ * MarkdownContent - Renderiza Markdown (ex: README) como HTML sanitizado
+ * Links e imagens relativos são resolvidos contra o repositório de origem
+ */
+export const MarkdownContent = ({ markdown, repository }) => {
+  const html = useMemo(
+    () => renderMarkdown(markdown, repository),
+    [markdown, repository]
+  );
+
+  if (!markdown) return null;
+
+  return (
+    <div
+      className="markdown-body"
+      style={{ overflowWrap: 'anywhere' }}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+/**
+ * Converte Markdown em HTML e remove qualquer conteúdo executável
+ */
+const renderMarkdown = (markdown, repository) => {
+  if (!markdown) return '';
+
+  const rawHtml = marked.parse(markdown, { gfm: true, async: false });
+
+  DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+      node.setAttribute('href', resolveUrl(node.getAttribute('href'), repository, 'blob'));
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    if (node.tagName === 'IMG' && node.getAttribute('src')) {
+      node.setAttribute('src', resolveUrl(node.getAttribute('src'), repository, 'raw'));
+      node.setAttribute('style', 'max-width: 100%');
+    }
+  });
+
+  try {
+    return DOMPurify.sanitize(rawHtml, {
+      FORBID_TAGS: ['style', 'form', 'input', 'button'],
+      FORBID_ATTR: ['style']
+    });
+  } finally {
+    DOMPurify.removeHook('afterSanitizeAttributes');
+  }
+};
+
+/**
+ * Resolve URLs relativas do README no formato do provedor do repositório
+ */
+const resolveUrl = (url, repository, kind) => {
+  if (!repository || /^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(url)) {
+    return url;
+  }
+
+  const path = url.replace(/^\.?\//, '');
+
+  return kind === 'raw'
+    ? repository.getRawFileUrl(path)
+    : repository.getFileUrl(path);
+};
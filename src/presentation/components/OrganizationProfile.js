@@ -0,0 +1,191 @@
+import React from 'react';
+
+/**
+ * OrganizationProfile - Componente para exibir informações de uma organização
+ */
+export const OrganizationProfile = ({ organization, members = [], isLoading, fromCache, onMemberSelect }) => {
+  if (!organization) {
+    if (isLoading) {
+      return (
+        <div className="text-center py-5">
+          <div className="spinner-border text-primary" role="status">
+            <span className="visually-hidden">Carregando organização...</span>
+          </div>
+        </div>
+      );
+    }
+    return null;
+  }
+
+  return (
+    <div className="row">
+      <div className="col-md-4 mb-4">
+        <div className="card">
+          <div className="card-body text-center">
+            <img
+              src={organization.avatarUrl}
+              alt={`Avatar de ${organization.login}`}
+              className="rounded mb-3 shadow"
+              style={{ width: '120px', height: '120px' }}
+            />
+            <h4 className="card-title">
+              {organization.displayName}
+              {organization.isVerified && (
+                <i className="fas fa-check-circle text-primary ms-2" title="Organização verificada"></i>
+              )}
+            </h4>
+            <p className="text-muted">
+              @{organization.login}
+              <span className="badge bg-secondary ms-2">Organização</span>
+            </p>
+
+            {organization.description && (
+              <p className="card-text">{organization.description}</p>
+            )}
+
+            <div className="row text-center">
+              <div className="col">
+                <h6 className="mb-0">{organization.formattedFollowers}</h6>
+                <small className="text-muted">Seguidores</small>
+              </div>
+              <div className="col">
+                <h6 className="mb-0">{organization.formattedPublicRepos}</h6>
+                <small className="text-muted">Repos</small>
+              </div>
+              <div className="col">
+                <h6 className="mb-0">{members.length}</h6>
+                <small className="text-muted">Membros</small>
+              </div>
+            </div>
+
+            <div className="mt-3">
+              <a
+                href={organization.htmlUrl}
+                className="btn btn-primary btn-sm"
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <i className="fab fa-github me-2"></i>
+                Ver no GitHub
+              </a>
+            </div>
+
+            {fromCache && (
+              <span className="badge bg-info mt-3">
+                <i className="fas fa-database me-1"></i>
+                Cache
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="col-md-8">
+        <div className="card mb-4">
+          <div className="card-header">
+            <h5 className="card-title mb-0">
+              <i className="fas fa-info-circle me-2"></i>
+              Informações Detalhadas
+            </h5>
+          </div>
+          <div className="card-body">
+            <div className="row">
+              {organization.location && (
+                <div className="col-md-6 mb-3">
+                  <strong><i className="fas fa-map-marker-alt me-2"></i>Localização:</strong>
+                  <br />
+                  {organization.location}
+                </div>
+              )}
+
+              {organization.blog && (
+                <div className="col-md-6 mb-3">
+                  <strong><i className="fas fa-link me-2"></i>Website:</strong>
+                  <br />
+                  <a href={organization.blog} target="_blank" rel="noopener noreferrer">
+                    {organization.blog}
+                  </a>
+                </div>
+              )}
+
+              {organization.email && (
+                <div className="col-md-6 mb-3">
+                  <strong><i className="fas fa-envelope me-2"></i>Email:</strong>
+                  <br />
+                  <a href={`mailto:${organization.email}`}>{organization.email}</a>
+                </div>
+              )}
+
+              {organization.twitterUsername && (
+                <div className="col-md-6 mb-3">
+                  <strong><i className="fab fa-twitter me-2"></i>Twitter:</strong>
+                  <br />
+                  <a
+                    href={`https://twitter.com/${organization.twitterUsername}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    @{organization.twitterUsername}
+                  </a>
+                </div>
+              )}
+            </div>
+
+            {organization.formattedCreatedAt && (
+              <div className="mt-3 pt-3 border-top">
+                <small className="text-muted">
+                  <i className="fas fa-calendar me-2"></i>
+                  Criada em {organization.formattedCreatedAt}
+                </small>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h5 className="card-title mb-0">
+              <i className="fas fa-users me-2"></i>
+              Membros Públicos
+            </h5>
+          </div>
+          <div className="card-body">
+            {members.length === 0 ? (
+              <p className="text-muted mb-0">Nenhum membro público visível.</p>
+            ) : (
+              <div className="d-flex flex-wrap gap-2">
+                {members.map(member => (
+                  <MemberAvatar
+                    key={member.id}
+                    member={member}
+                    onSelect={onMemberSelect}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Avatar de membro da organização
+ */
+const MemberAvatar = ({ member, onSelect }) => (
+  <button
+    type="button"
+    className="btn btn-link p-0"
+    onClick={() => onSelect?.(member.login)}
+    title={member.login}
+    disabled={!onSelect}
+  >
+    <img
+      src={member.avatarUrl}
+      alt={`Avatar de ${member.login}`}
+      className="rounded-circle"
+      style={{ width: '40px', height: '40px' }}
+    />
+  </button>
+);
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+
+const RESOURCE_LABELS = {
+  core: 'REST',
+  search: 'Busca',
+  graphql: 'GraphQL'
+};
+
+/**
+ * RateLimitWidget - Indicador de cota da API com contagem regressiva até o reset
+ */
+export const RateLimitWidget = ({ rateLimits }) => {
+  const [now, setNow] = useState(Date.now());
+
+  const primary = rateLimits.core || Object.values(rateLimits)[0];
+  const hasPendingReset = Object.values(rateLimits).some(info => info.reset && info.reset.getTime() > now);
+
+  // Atualiza a contagem regressiva a cada segundo enquanto houver reset pendente
+  useEffect(() => {
+    if (!hasPendingReset) return undefined;
+
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [hasPendingReset]);
+
+  if (!primary) return null;
+
+  const details = Object.values(rateLimits)
+    .map(info => `${RESOURCE_LABELS[info.resource] || info.resource}: ${info.remaining}/${info.limit} (reset em ${formatCountdown(info.reset, now)})`)
+    .join('\n');
+
+  return (
+    <span
+      className={`badge bg-${getQuotaVariant(primary)}`}
+      title={details}
+      aria-label={`Cota da API: ${primary.remaining} de ${primary.limit} requisições restantes`}
+    >
+      <i className="fas fa-tachometer-alt me-1"></i>
+      {primary.remaining.toLocaleString('pt-BR')}/{primary.limit.toLocaleString('pt-BR')}
+      <span className="ms-1 opacity-75">
+        <i className="far fa-clock me-1"></i>
+        {formatCountdown(primary.reset, now)}
+      </span>
+    </span>
+  );
+};
+
+/**
+ * Cor do badge de acordo com a cota restante
+ */
+const getQuotaVariant = ({ remaining, limit }) => {
+  const ratio = limit > 0 ? remaining / limit : 0;
+
+  if (ratio <= 0.1) return 'danger';
+  if (ratio <= 0.3) return 'warning';
+  return 'success';
+};
+
+/**
+ * Formata o tempo restante até o reset (mm:ss)
+ */
+const formatCountdown = (reset, now) => {
+  if (!reset) return '--:--';
+
+  const totalSeconds = Math.max(0, Math.ceil((reset.getTime() - now) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
@@ -0,0 +1,105 @@
+import React, { useRef } from 'react';
+
+/**
+ * RecorderControls - Controles de gravação (HAR) e replay de requisições da API
+ */
+export const RecorderControls = ({
+  recorderStatus,
+  isRecording,
+  isReplaying,
+  importError,
+  onStartRecording,
+  onStopRecording,
+  onDownload,
+  onImport,
+  onStopReplay
+}) => {
+  const fileInputRef = useRef(null);
+
+  if (!recorderStatus) return null;
+
+  const handleFileChange = (event) => {
+    const [file] = event.target.files;
+    onImport(file);
+    // Permite importar o mesmo arquivo novamente
+    event.target.value = '';
+  };
+
+  if (isRecording) {
+    return (
+      <div className="btn-group btn-group-sm" role="group" aria-label="Gravação de requisições">
+        <span className="btn btn-danger disabled" data-testid="recorder-status">
+          <i className="fas fa-circle me-1"></i>
+          Gravando ({recorderStatus.entries})
+        </span>
+        <button
+          className="btn btn-outline-danger"
+          onClick={onStopRecording}
+          title="Parar gravação"
+        >
+          <i className="fas fa-stop"></i>
+        </button>
+      </div>
+    );
+  }
+
+  if (isReplaying) {
+    const { lastUnmatched } = recorderStatus;
+
+    return (
+      <div className="btn-group btn-group-sm" role="group" aria-label="Replay de requisições">
+        <span
+          className={`btn ${recorderStatus.unmatched > 0 ? 'btn-warning' : 'btn-info'} disabled`}
+          title={lastUnmatched ? `Sem correspondência: ${lastUnmatched.method} ${lastUnmatched.url}` : undefined}
+          data-testid="recorder-status"
+        >
+          <i className="fas fa-play me-1"></i>
+          Replay ({recorderStatus.matched}/{recorderStatus.entries})
+          {recorderStatus.unmatched > 0 && ` · ${recorderStatus.unmatched} sem correspondência`}
+        </span>
+        <button
+          className="btn btn-outline-info"
+          onClick={onStopReplay}
+          title="Sair do replay e voltar a usar a API"
+        >
+          <i className="fas fa-eject"></i>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="btn-group btn-group-sm" role="group" aria-label="Gravação de requisições">
+      <button
+        className="btn btn-outline-secondary"
+        onClick={onStartRecording}
+        title="Gravar requisições da API"
+      >
+        <i className="fas fa-circle text-danger"></i>
+      </button>
+      {recorderStatus.entries > 0 && (
+        <button
+          className="btn btn-outline-secondary"
+          onClick={onDownload}
+          title={`Baixar gravação (${recorderStatus.entries} requisições)`}
+        >
+          <i className="fas fa-download"></i>
+        </button>
+      )}
+      <button
+        className={`btn ${importError ? 'btn-outline-danger' : 'btn-outline-secondary'}`}
+        onClick={() => fileInputRef.current?.click()}
+        title={importError || 'Importar cassete para replay'}
+      >
+        <i className="fas fa-file-import"></i>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.har,application/json"
+        className="d-none"
+        onChange={handleFileChange}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,293 @@
+import React from 'react';
+import { MarkdownContent } from './MarkdownContent.js';
+import { RepositoryHealthCard } from './RepositoryHealth.js';
+
+/**
+ * RepositoryDetail - Página de detalhes de um repositório
+ * README renderizado ao lado de estatísticas, saúde, linguagens, contribuidores e releases
+ */
+export const RepositoryDetail = ({ details, isLoading, error, onBack, onUserSelect }) => {
+  if (isLoading) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border text-primary mb-3" role="status">
+          <span className="visually-hidden">Carregando repositório...</span>
+        </div>
+        <p className="text-muted">Carregando detalhes do repositório...</p>
+      </div>
+    );
+  }
+
+  if (error || !details) {
+    return (
+      <div className="text-center py-5">
+        <i className="fas fa-exclamation-triangle fa-3x text-muted mb-3"></i>
+        <h4>Não foi possível carregar o repositório</h4>
+        <p className="text-muted">{error?.message}</p>
+        <BackButton onBack={onBack} />
+      </div>
+    );
+  }
+
+  const { repository, languages, contributors, releases, readme, health } = details;
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div className="d-flex align-items-center gap-3">
+          <BackButton onBack={onBack} />
+          <h4 className="mb-0">
+            <i className="fas fa-book me-2"></i>
+            {repository.fullName}
+            {repository.isFork && (
+              <span className="badge bg-secondary ms-2">Fork</span>
+            )}
+            {repository.isArchived && (
+              <span className="badge bg-warning text-dark ms-2">Arquivado</span>
+            )}
+          </h4>
+        </div>
+        <a
+          href={repository.htmlUrl}
+          className="btn btn-outline-primary btn-sm"
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          <i className="fab fa-github me-2"></i>
+          Ver no GitHub
+        </a>
+      </div>
+
+      {repository.description && (
+        <p className="text-muted">{repository.description}</p>
+      )}
+
+      {(repository.homepage || repository.topics.length > 0) && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mb-4">
+          {repository.homepage && (
+            <a href={repository.homepage} target="_blank" rel="noopener noreferrer" className="small me-2">
+              <i className="fas fa-link me-1"></i>
+              {repository.homepage.replace(/^https?:\/\//, '')}
+            </a>
+          )}
+          {repository.topics.map(topic => (
+            <span key={topic} className="badge rounded-pill bg-light text-primary border">{topic}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="row">
+        {/* README */}
+        <div className="col-lg-8 mb-4">
+          <div className="card">
+            <div className="card-header">
+              <h6 className="card-title mb-0">
+                <i className="fas fa-file-alt me-2"></i>
+                {readme?.path || 'README'}
+              </h6>
+            </div>
+            <div className="card-body">
+              {readme ? (
+                <MarkdownContent markdown={readme.content} repository={repository} />
+              ) : (
+                <p className="text-muted mb-0">Este repositório não possui README.</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* Sidebar de estatísticas */}
+        <div className="col-lg-4">
+          <div className="card mb-4">
+            <div className="card-header">
+              <h6 className="card-title mb-0">
+                <i className="fas fa-chart-line me-2"></i>
+                Estatísticas
+              </h6>
+            </div>
+            <div className="card-body">
+              <div className="row text-center">
+                <div className="col-4">
+                  <h6 className="mb-0">{repository.formattedStars}</h6>
+                  <small className="text-muted">Estrelas</small>
+                </div>
+                <div className="col-4">
+                  <h6 className="mb-0">{repository.formattedForks}</h6>
+                  <small className="text-muted">Forks</small>
+                </div>
+                <div className="col-4">
+                  <h6 className="mb-0">{repository.formattedWatchers}</h6>
+                  <small className="text-muted">Watchers</small>
+                </div>
+              </div>
+
+              <ul className="list-unstyled small mt-3 mb-0">
+                <li><i className="fas fa-code-branch me-2 text-muted"></i>Branch padrão: {repository.defaultBranch}</li>
+                <li><i className="fas fa-hdd me-2 text-muted"></i>Tamanho: {repository.formattedSize}</li>
+                <li>
+                  <i className="fas fa-balance-scale me-2 text-muted"></i>
+                  Licença: {repository.license ? repository.license.name : 'não informada'}
+                </li>
+                {repository.hasIssues && (
+                  <li><i className="fas fa-circle-dot me-2 text-muted"></i>Issues abertas: {repository.openIssuesCount}</li>
+                )}
+                {repository.formattedCreatedAt && (
+                  <li><i className="fas fa-calendar-plus me-2 text-muted"></i>Criado em {repository.formattedCreatedAt}</li>
+                )}
+                {repository.formattedPushedAt && (
+                  <li><i className="fas fa-upload me-2 text-muted"></i>Último push em {repository.formattedPushedAt}</li>
+                )}
+              </ul>
+            </div>
+          </div>
+
+          {/* Saúde */}
+          <RepositoryHealthCard health={health} />
+
+          {/* Linguagens */}
+          {languages.distribution.length > 0 && (
+            <div className="card mb-4">
+              <div className="card-header">
+                <h6 className="card-title mb-0">
+                  <i className="fas fa-code me-2"></i>
+                  Linguagens
+                </h6>
+              </div>
+              <div className="card-body">
+                <div className="progress mb-3" style={{ height: '8px' }}>
+                  {languages.distribution.map(lang => (
+                    <div
+                      key={lang.language}
+                      className="progress-bar"
+                      title={`${lang.language} ${lang.percentage}%`}
+                      style={{
+                        width: `${lang.percentage}%`,
+                        backgroundColor: getLanguageColor(lang.language)
+                      }}
+                    ></div>
+                  ))}
+                </div>
+                {languages.distribution.slice(0, 6).map(lang => (
+                  <div key={lang.language} className="d-flex justify-content-between small">
+                    <span>
+                      <i className="fas fa-circle me-1" style={{ color: getLanguageColor(lang.language) }}></i>
+                      {lang.language}
+                    </span>
+                    <span className="text-muted">{lang.percentage}%</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Contribuidores */}
+          {contributors.length > 0 && (
+            <div className="card mb-4">
+              <div className="card-header d-flex justify-content-between align-items-center">
+                <h6 className="card-title mb-0">
+                  <i className="fas fa-users me-2"></i>
+                  Contribuidores
+                </h6>
+                <a href={repository.contributorsUrl} target="_blank" rel="noopener noreferrer" className="small">
+                  Ver todos
+                </a>
+              </div>
+              <div className="card-body d-flex flex-wrap gap-2">
+                {contributors.map(({ user, contributions }) => (
+                  <button
+                    key={user.id}
+                    type="button"
+                    className="btn btn-link p-0"
+                    onClick={() => onUserSelect?.(user.login)}
+                    title={`${user.login} (${contributions} contribuições)`}
+                  >
+                    <img
+                      src={user.avatarUrl}
+                      alt={`Avatar de ${user.login}`}
+                      className="rounded-circle"
+                      style={{ width: '32px', height: '32px' }}
+                    />
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Releases */}
+          {releases.length > 0 && (
+            <div className="card mb-4">
+              <div className="card-header d-flex justify-content-between align-items-center">
+                <h6 className="card-title mb-0">
+                  <i className="fas fa-tag me-2"></i>
+                  Releases
+                </h6>
+                <a href={repository.releasesUrl} target="_blank" rel="noopener noreferrer" className="small">
+                  Ver todas
+                </a>
+              </div>
+              <div className="list-group list-group-flush">
+                {releases.map(release => (
+                  <a
+                    key={release.id}
+                    href={release.htmlUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                  >
+                    <span>
+                      {release.name}
+                      {release.isPrerelease && (
+                        <span className="badge bg-warning text-dark ms-2">Pre-release</span>
+                      )}
+                    </span>
+                    {release.formattedPublishedAt && (
+                      <small className="text-muted">{release.formattedPublishedAt}</small>
+                    )}
+                  </a>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Botão para voltar à lista de repositórios
+ */
+const BackButton = ({ onBack }) => (
+  <button type="button" className="btn btn-outline-secondary btn-sm" onClick={onBack}>
+    <i className="fas fa-arrow-left me-1"></i>
+    Voltar
+  </button>
+);
+
+/**
+ * Retorna cor para linguagem de programação
+ */
+const getLanguageColor = (language) => {
+  const colors = {
+    'JavaScript': '#f1e05a',
+    'TypeScript': '#2b7489',
+    'Python': '#3572A5',
+    'Java': '#b07219',
+    'C++': '#f34b7d',
+    'C': '#555555',
+    'C#': '#239120',
+    'PHP': '#4F5D95',
+    'Ruby': '#701516',
+    'Go': '#00ADD8',
+    'Rust': '#dea584',
+    'Swift': '#fa7343',
+    'Kotlin': '#F18E33',
+    'HTML': '#e34c26',
+    'CSS': '#563d7c',
+    'Shell': '#89e051',
+    'Vue': '#2c3e50',
+    'React': '#61dafb'
+  };
+
+  return colors[language] || '#586069';
+};
@@ -0,0 +1,112 @@
+import React from 'react';
+
+const LEVEL_CONFIG = {
+  healthy: { label: 'Saudável', color: 'success' },
+  fair: { label: 'Regular', color: 'warning' },
+  poor: { label: 'Precisa de atenção', color: 'danger' }
+};
+
+const STATUS_ICONS = {
+  pass: 'fas fa-check-circle text-success',
+  partial: 'fas fa-adjust text-warning',
+  fail: 'fas fa-times-circle text-danger',
+  unknown: 'fas fa-question-circle text-muted'
+};
+
+/**
+ * RepositoryHealthBadge - Score de saúde (0–100) com a cor da faixa
+ * Score parcial (critérios indisponíveis na listagem) é marcado com asterisco
+ */
+export const RepositoryHealthBadge = ({ health, onClick, isExpanded }) => {
+  if (!health || health.score === null) return null;
+
+  const level = LEVEL_CONFIG[health.level];
+  const isPartial = health.coverage < 100;
+  const title = isPartial
+    ? `${level.label} (score parcial: ${health.coverage}% dos critérios; README, CI e releases são verificados na página de detalhes)`
+    : level.label;
+  const content = (
+    <>
+      <i className="fas fa-heartbeat me-1"></i>
+      {health.score}
+      {isPartial && <span aria-label="score parcial">*</span>}
+    </>
+  );
+
+  if (!onClick) {
+    return <span className={`badge bg-${level.color}`} title={title}>{content}</span>;
+  }
+
+  return (
+    <button
+      type="button"
+      className={`btn btn-sm btn-outline-${level.color} py-0 px-2`}
+      onClick={onClick}
+      aria-expanded={isExpanded}
+      title={`${title} — ver detalhes`}
+    >
+      {content}
+      <i className={`fas fa-chevron-${isExpanded ? 'up' : 'down'} ms-1 small`}></i>
+    </button>
+  );
+};
+
+/**
+ * RepositoryHealthBreakdown - Lista dos fatores com pontos, peso e explicação
+ */
+export const RepositoryHealthBreakdown = ({ health }) => (
+  <>
+    <ul className="list-unstyled small mb-0">
+      {health.factors.map(factor => (
+        <li key={factor.key} className="d-flex align-items-start gap-2 mb-1">
+          <i className={`${STATUS_ICONS[factor.status]} mt-1`}></i>
+          <div className="flex-grow-1">
+            <div className="d-flex justify-content-between">
+              <strong>{factor.label}</strong>
+              <span className="text-muted text-nowrap ms-2">
+                {factor.points === null ? '—' : factor.points}/{factor.weight}
+              </span>
+            </div>
+            <div className="text-muted">{factor.explanation}</div>
+          </div>
+        </li>
+      ))}
+    </ul>
+    {health.coverage < 100 && (
+      <small className="text-muted d-block mt-2">
+        Score calculado sobre {health.coverage}% dos critérios; os demais não estão disponíveis nesta visualização.
+      </small>
+    )}
+  </>
+);
+
+/**
+ * RepositoryHealthCard - Card com score e detalhamento (página de detalhes)
+ */
+export const RepositoryHealthCard = ({ health }) => {
+  if (!health || health.score === null) return null;
+
+  const level = LEVEL_CONFIG[health.level];
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="card-title mb-0">
+          <i className="fas fa-heartbeat me-2"></i>
+          Saúde
+        </h6>
+        <span className={`badge bg-${level.color}`}>{level.label}</span>
+      </div>
+      <div className="card-body">
+        <div className="d-flex align-items-baseline gap-2 mb-2">
+          <h3 className={`mb-0 text-${level.color}`}>{health.score}</h3>
+          <small className="text-muted">/ 100</small>
+        </div>
+        <div className="progress mb-3" style={{ height: '6px' }}>
+          <div className={`progress-bar bg-${level.color}`} style={{ width: `${health.score}%` }}></div>
+        </div>
+        <RepositoryHealthBreakdown health={health} />
+      </div>
+    </div>
+  );
+};
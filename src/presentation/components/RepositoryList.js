@@ -1,9 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { RepositoryHealthBadge, RepositoryHealthBreakdown } from './RepositoryHealth.js';
 
 /**
  * RepositoryList - Componente para listar repositórios
  */
-export const RepositoryList = ({ repositories, totalRepositories, isLoading, fromCache }) => {
+export const RepositoryList = ({ repositories, totalRepositories, isLoading, fromCache, pagination, onRepositorySelect, providers = null }) => {
+  // Repositórios com o detalhamento de saúde aberto
+  const [expandedHealth, setExpandedHealth] = useState([]);
+
+  const toggleHealth = (id) => {
+    setExpandedHealth(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
+
   if (!repositories || repositories.length === 0) {
     return (
       <div className="text-center py-5">
@@ -29,23 +37,54 @@ export const RepositoryList = ({ repositories, totalRepositories, isLoading, fro
         )}
       </div>
 
+      {pagination?.truncated && (
+        <div className="alert alert-warning small">
+          <i className="fas fa-exclamation-triangle me-2"></i>
+          Exibindo os primeiros {totalRepositories} repositórios ({pagination.pagesFetched} de {pagination.totalPages || '?'} páginas).
+        </div>
+      )}
+
       <div className="row">
         {repositories.map(repo => (
           <div key={repo.id} className="col-md-6 col-lg-4 mb-4">
             <div className="card h-100">
               <div className="card-body">
                 <h6 className="card-title">
-                  <a 
-                    href={repo.htmlUrl} 
-                    target="_blank" 
-                    rel="noopener noreferrer"
-                    className="text-decoration-none"
-                  >
-                    {repo.name}
-                  </a>
+                  {onRepositorySelect ? (
+                    <button
+                      type="button"
+                      className="btn btn-link p-0 text-decoration-none align-baseline"
+                      onClick={() => onRepositorySelect(repo)}
+                    >
+                      {repo.name}
+                    </button>
+                  ) : (
+                    <a 
+                      href={repo.htmlUrl} 
+                      target="_blank" 
+                      rel="noopener noreferrer"
+                      className="text-decoration-none"
+                    >
+                      {repo.name}
+                    </a>
+                  )}
+                  {onRepositorySelect && (
+                    <a
+                      href={repo.htmlUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-muted ms-2 small"
+                      title={`Abrir no ${providers?.[repo.provider]?.label || 'GitHub'}`}
+                    >
+                      <i className="fas fa-external-link-alt"></i>
+                    </a>
+                  )}
                   {repo.isFork && (
                     <span className="badge bg-secondary ms-2">Fork</span>
                   )}
+                  {repo.isArchived && (
+                    <span className="badge bg-warning text-dark ms-2">Arquivado</span>
+                  )}
                 </h6>
                 
                 {repo.description && (
@@ -72,13 +111,33 @@ export const RepositoryList = ({ repositories, totalRepositories, isLoading, fro
                       <i className="fas fa-code-branch me-1"></i>
                       {repo.formattedForks}
                     </small>
+
+                    {repo.licenseKey && (
+                      <small className="text-muted" title={repo.license?.name}>
+                        <i className="fas fa-balance-scale me-1"></i>
+                        {repo.licenseKey}
+                      </small>
+                    )}
                   </div>
 
-                  {repo.isActiveRepository && (
-                    <span className="badge bg-success">Ativo</span>
-                  )}
+                  <div className="d-flex align-items-center gap-2">
+                    {repo.isActiveRepository && (
+                      <span className="badge bg-success">Ativo</span>
+                    )}
+                    <RepositoryHealthBadge
+                      health={repo.health}
+                      onClick={() => toggleHealth(repo.id)}
+                      isExpanded={expandedHealth.includes(repo.id)}
+                    />
+                  </div>
                 </div>
 
+                {repo.health && expandedHealth.includes(repo.id) && (
+                  <div className="border-top mt-3 pt-3">
+                    <RepositoryHealthBreakdown health={repo.health} />
+                  </div>
+                )}
+
                 {repo.formattedUpdatedAt && (
                   <small className="text-muted d-block mt-2">
                     Atualizado em {repo.formattedUpdatedAt}
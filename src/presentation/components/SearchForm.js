@@ -1,42 +1,78 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useUserSuggestions } from '../hooks/useUserSuggestions.js';
+
+// Regras de username do GitHub (padrão quando o provedor não informa as suas)
+const DEFAULT_USERNAME_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9-]){0,38}$/;
 
 /**
  * SearchForm - Componente de busca de usuários do GitHub
- * Inclui validação, histórico e sugestões
+ * Inclui validação, histórico, sugestões (autocomplete via searchUsersUseCase)
+ * e seletor de provedor quando há mais de um configurado
  */
 export const SearchForm = ({ 
   onSearch, 
   isLoading = false, 
   searchHistory = [], 
-  placeholder = "Digite o username..." 
+  placeholder = "Digite o username...",
+  searchUsersUseCase = null,
+  providers = null,
+  provider = null,
+  onProviderChange = null,
+  usernamePattern = DEFAULT_USERNAME_PATTERN
 }) => {
   const [query, setQuery] = useState('');
   const [showHistory, setShowHistory] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [highlightedIndex, setHighlightedIndex] = useState(-1);
   const [validationError, setValidationError] = useState('');
   const inputRef = useRef(null);
   const formRef = useRef(null);
 
+  // Sugestões só são buscadas enquanto o usuário digita
+  const { suggestions, isLoadingSuggestions } = useUserSuggestions(searchUsersUseCase, query, {
+    enabled: showSuggestions
+  });
+
+  const isSuggestionsOpen = showSuggestions && (suggestions.length > 0 || isLoadingSuggestions);
+  const isHistoryOpen = !isSuggestionsOpen && showHistory && searchHistory.length > 0;
+  const dropdownItems = isSuggestionsOpen
+    ? suggestions.map(user => user.login)
+    : isHistoryOpen ? searchHistory : [];
+
+  // Reinicia o destaque quando a lista muda
+  useEffect(() => {
+    setHighlightedIndex(-1);
+  }, [suggestions, isHistoryOpen]);
+
+  const providerOptions = providers ? Object.values(providers) : [];
+  const currentProvider = providers?.[provider];
+
   /**
-   * Valida o username do GitHub
+   * Valida o username segundo as regras do provedor
    */
   const validateUsername = (username) => {
     if (!username.trim()) {
       return 'Username é obrigatório';
     }
 
-    if (username.length > 39) {
-      return 'Username deve ter no máximo 39 caracteres';
-    }
-
-    // Regex básico para username do GitHub
-    const githubUsernameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]){0,38}$/;
-    if (!githubUsernameRegex.test(username.trim())) {
-      return 'Username inválido. Use apenas letras, números e hífens.';
+    if (!usernamePattern.test(username.trim())) {
+      return `Username inválido para o ${currentProvider?.label || 'GitHub'}. Verifique os caracteres e o tamanho.`;
     }
 
     return '';
   };
 
+  /**
+   * Troca o provedor e limpa a busca em andamento
+   */
+  const handleProviderChange = (e) => {
+    setQuery('');
+    setValidationError('');
+    setShowHistory(false);
+    setShowSuggestions(false);
+    onProviderChange?.(e.target.value);
+  };
+
   /**
    * Manipula o submit do formulário
    */
@@ -53,6 +89,7 @@ export const SearchForm = ({
 
     setValidationError('');
     setShowHistory(false);
+    setShowSuggestions(false);
     onSearch(trimmedQuery);
   };
 
@@ -62,6 +99,7 @@ export const SearchForm = ({
   const handleInputChange = (e) => {
     const value = e.target.value;
     setQuery(value);
+    setShowSuggestions(true);
     
     // Limpa erro de validação quando usuário começa a digitar
     if (validationError) {
@@ -84,6 +122,7 @@ export const SearchForm = ({
   const handleHistorySelect = (username) => {
     setQuery(username);
     setShowHistory(false);
+    setShowSuggestions(false);
     setValidationError('');
     
     // Foca no input após seleção
@@ -93,12 +132,24 @@ export const SearchForm = ({
   };
 
   /**
-   * Fecha histórico ao clicar fora
+   * Manipula seleção de uma sugestão: busca o usuário imediatamente
+   */
+  const handleSuggestionSelect = (username) => {
+    setQuery(username);
+    setShowHistory(false);
+    setShowSuggestions(false);
+    setValidationError('');
+    onSearch(username);
+  };
+
+  /**
+   * Fecha histórico e sugestões ao clicar fora
    */
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (formRef.current && !formRef.current.contains(event.target)) {
         setShowHistory(false);
+        setShowSuggestions(false);
       }
     };
 
@@ -114,6 +165,26 @@ export const SearchForm = ({
   const handleKeyDown = (e) => {
     if (e.key === 'Escape') {
       setShowHistory(false);
+      setShowSuggestions(false);
+      return;
+    }
+
+    if (!dropdownItems.length) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlightedIndex(prev => (prev + 1) % dropdownItems.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlightedIndex(prev => (prev <= 0 ? dropdownItems.length - 1 : prev - 1));
+    } else if (e.key === 'Enter' && highlightedIndex >= 0) {
+      e.preventDefault();
+      const username = dropdownItems[highlightedIndex];
+      if (isSuggestionsOpen) {
+        handleSuggestionSelect(username);
+      } else {
+        handleHistorySelect(username);
+      }
     }
   };
 
@@ -121,13 +192,30 @@ export const SearchForm = ({
     <div className="card">
       <div className="card-header">
         <h6 className="card-title mb-0">
-          <i className="fab fa-github me-2"></i>
+          <i className={`${currentProvider?.icon || 'fab fa-github'} me-2`}></i>
           Buscar Usuário
         </h6>
       </div>
       
       <div className="card-body">
         <form ref={formRef} onSubmit={handleSubmit} className="position-relative">
+          {providerOptions.length > 1 && (
+            <select
+              className="form-select form-select-sm mb-2"
+              value={provider || ''}
+              onChange={handleProviderChange}
+              disabled={isLoading}
+              aria-label="Provedor"
+              data-testid="provider-select"
+            >
+              {providerOptions.map(option => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          )}
+
           <div className="input-group">
             <span className="input-group-text">
               <i className="fas fa-user"></i>
@@ -144,6 +232,9 @@ export const SearchForm = ({
               onKeyDown={handleKeyDown}
               disabled={isLoading}
               autoComplete="off"
+              role="combobox"
+              aria-expanded={isSuggestionsOpen || isHistoryOpen}
+              aria-autocomplete="list"
               data-testid="search-input"
             />
             
@@ -177,8 +268,37 @@ export const SearchForm = ({
             </div>
           )}
 
+          {/* Sugestões de usuários */}
+          {isSuggestionsOpen && (
+            <div className="position-absolute w-100 mt-1" style={{ zIndex: 1000 }}>
+              <div className="card shadow-sm">
+                <div className="card-header py-2">
+                  <small className="text-muted">
+                    <i className="fas fa-users me-1"></i>
+                    Sugestões
+                  </small>
+                  {isLoadingSuggestions && (
+                    <span className="spinner-border spinner-border-sm text-secondary float-end" role="status">
+                      <span className="visually-hidden">Buscando sugestões...</span>
+                    </span>
+                  )}
+                </div>
+                <div className="list-group list-group-flush" role="listbox">
+                  {suggestions.map((user, index) => (
+                    <SuggestionItem
+                      key={user.id}
+                      user={user}
+                      onSelect={handleSuggestionSelect}
+                      isActive={index === highlightedIndex}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Histórico de buscas */}
-          {showHistory && searchHistory.length > 0 && (
+          {isHistoryOpen && (
             <div className="position-absolute w-100 mt-1" style={{ zIndex: 1000 }}>
               <div className="card shadow-sm">
                 <div className="card-header py-2">
@@ -199,7 +319,7 @@ export const SearchForm = ({
                       key={`${username}-${index}`}
                       username={username}
                       onSelect={handleHistorySelect}
-                      isActive={username === query}
+                      isActive={index === highlightedIndex || username === query}
                     />
                   ))}
                 </div>
@@ -256,6 +376,33 @@ const HistoryItem = ({ username, onSelect, isActive }) => (
   </button>
 );
 
+/**
+ * Item de sugestão de usuário
+ */
+const SuggestionItem = ({ user, onSelect, isActive }) => (
+  <button
+    type="button"
+    role="option"
+    aria-selected={isActive}
+    className={`list-group-item list-group-item-action d-flex align-items-center ${
+      isActive ? 'active' : ''
+    }`}
+    onMouseDown={(e) => e.preventDefault()}
+    onClick={() => onSelect(user.login)}
+  >
+    <img
+      src={user.avatarUrl}
+      alt=""
+      className="rounded-circle me-2"
+      style={{ width: '24px', height: '24px' }}
+    />
+    <span>{user.login}</span>
+    {user.isOrganization && (
+      <span className="badge bg-secondary ms-auto">Org</span>
+    )}
+  </button>
+);
+
 /**
  * Botão de exemplo
  */
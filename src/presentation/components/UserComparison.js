@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+
+const MAX_COMPARED_USERS = 4;
+
+/**
+ * UserComparison - Componente para comparar usuários lado a lado
+ */
+export const UserComparison = ({ baseUser, comparison, isLoading, error, onCompare }) => {
+  const [candidates, setCandidates] = useState(['']);
+
+  const canAddCandidate = candidates.length < MAX_COMPARED_USERS - 1;
+  const filledCandidates = candidates.map(c => c.trim()).filter(Boolean);
+
+  /**
+   * Atualiza um dos usernames a comparar
+   */
+  const handleCandidateChange = (index, value) => {
+    setCandidates(prev => prev.map((candidate, i) => (i === index ? value : candidate)));
+  };
+
+  /**
+   * Remove um username da lista
+   */
+  const handleCandidateRemove = (index) => {
+    setCandidates(prev => (prev.length > 1 ? prev.filter((_, i) => i !== index) : ['']));
+  };
+
+  /**
+   * Dispara a comparação com o usuário atual e os candidatos
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!filledCandidates.length) return;
+    onCompare([baseUser.login, ...filledCandidates]);
+  };
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h4>
+          <i className="fas fa-balance-scale me-2"></i>
+          Comparar com {baseUser?.login}
+        </h4>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="row g-2 align-items-center">
+              {candidates.map((candidate, index) => (
+                <div key={index} className="col-md-4">
+                  <div className="input-group input-group-sm">
+                    <span className="input-group-text">
+                      <i className="fas fa-user"></i>
+                    </span>
+                    <input
+                      type="text"
+                      className="form-control"
+                      placeholder="Username para comparar"
+                      value={candidate}
+                      onChange={(e) => handleCandidateChange(index, e.target.value)}
+                      disabled={isLoading}
+                    />
+                    <button
+                      type="button"
+                      className="btn btn-outline-secondary"
+                      onClick={() => handleCandidateRemove(index)}
+                      disabled={isLoading}
+                      title="Remover"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="d-flex gap-2 mt-3">
+              <button
+                type="button"
+                className="btn btn-outline-secondary btn-sm"
+                onClick={() => setCandidates(prev => [...prev, ''])}
+                disabled={!canAddCandidate || isLoading}
+              >
+                <i className="fas fa-plus me-1"></i>
+                Adicionar usuário
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary btn-sm"
+                disabled={!filledCandidates.length || isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status">
+                      <span className="visually-hidden">Comparando...</span>
+                    </span>
+                    Comparando...
+                  </>
+                ) : (
+                  <>
+                    <i className="fas fa-balance-scale me-1"></i>
+                    Comparar
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {error && (
+        <div className="alert alert-danger">
+          <i className="fas fa-exclamation-triangle me-2"></i>
+          {error.message}
+        </div>
+      )}
+
+      {comparison && !isLoading && (
+        <>
+          <ComparisonTable comparison={comparison} />
+          <LanguageOverlap comparison={comparison} />
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Tabela de métricas comparadas
+ */
+const ComparisonTable = ({ comparison }) => (
+  <div className="card mb-4">
+    <div className="card-header">
+      <h6 className="card-title mb-0">
+        <i className="fas fa-table me-2"></i>
+        Métricas
+      </h6>
+    </div>
+    <div className="table-responsive">
+      <table className="table table-sm align-middle mb-0">
+        <thead>
+          <tr>
+            <th>Métrica</th>
+            {comparison.users.map(profile => (
+              <th key={profile.login} className="text-center">
+                <img
+                  src={profile.user.avatarUrl}
+                  alt={`Avatar de ${profile.login}`}
+                  className="rounded-circle me-2"
+                  style={{ width: '24px', height: '24px' }}
+                />
+                {profile.login}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.metrics.map(metric => (
+            <tr key={metric.key}>
+              <td>{metric.label}</td>
+              {comparison.users.map(profile => (
+                <td key={profile.login} className="text-center">
+                  <span className={metric.leader === profile.login ? 'fw-bold text-success' : ''}>
+                    {metric.values[profile.login]}
+                    {metric.leader === profile.login && <i className="fas fa-trophy ms-1"></i>}
+                  </span>
+                  <div className="progress mt-1" style={{ height: '4px' }}>
+                    <div
+                      className="progress-bar"
+                      style={{ width: `${metric.normalized[profile.login]}%` }}
+                    ></div>
+                  </div>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+/**
+ * Sobreposição de linguagens entre os usuários
+ */
+const LanguageOverlap = ({ comparison }) => {
+  const { shared, unique, similarity } = comparison.languageOverlap;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h6 className="card-title mb-0">
+          <i className="fas fa-code me-2"></i>
+          Linguagens em Comum
+        </h6>
+      </div>
+      <div className="card-body">
+        <div className="mb-3">
+          <strong className="d-block mb-2">Compartilhadas por todos</strong>
+          {shared.length > 0 ? (
+            <div className="d-flex flex-wrap gap-1">
+              {shared.map(language => (
+                <span key={language} className="badge bg-primary">{language}</span>
+              ))}
+            </div>
+          ) : (
+            <small className="text-muted">Nenhuma linguagem em comum.</small>
+          )}
+        </div>
+
+        <div className="row">
+          {Object.entries(unique).map(([login, languages]) => (
+            <div key={login} className="col-md-6 mb-3">
+              <strong className="d-block mb-2">Exclusivas de {login}</strong>
+              {languages.length > 0 ? (
+                <div className="d-flex flex-wrap gap-1">
+                  {languages.map(language => (
+                    <span key={language} className="badge bg-light text-dark">{language}</span>
+                  ))}
+                </div>
+              ) : (
+                <small className="text-muted">—</small>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="list-group list-group-flush">
+          {similarity.map(({ users, score }) => (
+            <div key={users.join('-')} className="list-group-item d-flex justify-content-between px-0">
+              <span>{users[0]} × {users[1]}</span>
+              <span className="badge bg-info">{score}% de similaridade</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
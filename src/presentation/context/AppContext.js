@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { parseRoute } from '../routing/routes.js';
 
 /**
  * Contexto da aplicação que fornece acesso às dependências e casos de uso
@@ -17,6 +18,7 @@ export const AppProvider = ({ children, dependencies }) => {
     notifications: [],
     isOnline: navigator.onLine
   });
+  const [provider, setProviderState] = useState(dependencies.defaultProvider || 'github');
 
   // Inicialização do contexto
   useEffect(() => {
@@ -82,6 +84,28 @@ export const AppProvider = ({ children, dependencies }) => {
     if (savedTheme && ['light', 'dark'].includes(savedTheme)) {
       setAppState(prev => ({ ...prev, theme: savedTheme }));
     }
+
+    const savedProvider = localStorage.getItem('github-explorer-provider');
+    if (savedProvider && dependencies.providers?.[savedProvider]) {
+      setProviderState(savedProvider);
+    }
+
+    // Deep link: o provedor da URL prevalece e é aplicado antes da primeira busca
+    // (a página só é renderizada após a inicialização)
+    const routeProvider = parseRoute(window.location).provider;
+    if (routeProvider && dependencies.providers?.[routeProvider]) {
+      setProviderState(routeProvider);
+    }
+  };
+
+  /**
+   * Seleciona o provedor (GitHub, GitLab...) usado nas buscas
+   */
+  const setProvider = (providerId) => {
+    if (!dependencies.providers?.[providerId]) return;
+
+    localStorage.setItem('github-explorer-provider', providerId);
+    setProviderState(providerId);
   };
 
   /**
@@ -210,6 +234,10 @@ export const AppProvider = ({ children, dependencies }) => {
     // Dependências (casos de uso e infraestrutura)
     ...dependencies,
 
+    // Provedor selecionado
+    provider,
+    setProvider,
+
     // Ações do app
     toggleTheme,
     addNotification,
@@ -294,13 +322,27 @@ export const useApp = () => {
 
 /**
  * Hook para usar apenas as dependências (casos de uso)
+ * Casos de uso e infraestrutura são os do provedor selecionado
  */
 export const useDependencies = () => {
   const context = useApp();
+  const active = context.providers?.[context.provider] || context;
   
   return {
-    getUserUseCase: context.getUserUseCase,
-    getUserRepositoriesUseCase: context.getUserRepositoriesUseCase,
+    getUserUseCase: active.getUserUseCase,
+    getUserRepositoriesUseCase: active.getUserRepositoriesUseCase,
+    getOrganizationUseCase: active.getOrganizationUseCase,
+    searchUsersUseCase: active.searchUsersUseCase,
+    compareUsersUseCase: active.compareUsersUseCase,
+    getRepositoryDetailsUseCase: active.getRepositoryDetailsUseCase,
+    getUserActivityUseCase: active.getUserActivityUseCase,
+    getContributionHeatmapUseCase: active.getContributionHeatmapUseCase,
+    getLanguageBreakdownUseCase: active.getLanguageBreakdownUseCase,
+    httpClient: active.httpClient,
+    userRepository: active.userRepository,
+    provider: context.provider,
+    providers: context.providers,
+    setProvider: context.setProvider,
     logger: context.logger
   };
 };
@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Hook customizado para acompanhar a saúde da API
+ * Reflete o estado do circuit breaker do HttpClient
+ */
+export const useApiStatus = (httpClient) => {
+  const [circuitStatus, setCircuitStatus] = useState(() => httpClient?.getCircuitStatus() || null);
+
+  useEffect(() => {
+    if (!httpClient) return undefined;
+
+    setCircuitStatus(httpClient.getCircuitStatus());
+    return httpClient.subscribeCircuitState(setCircuitStatus);
+  }, [httpClient]);
+
+  return {
+    circuitStatus,
+    isApiDegraded: Boolean(circuitStatus && circuitStatus.state !== 'closed'),
+    retryAt: circuitStatus?.retryAt || null
+  };
+};
@@ -0,0 +1,85 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Hook customizado para o heatmap de contribuições
+ * Encapsula o caso de uso GetContributionHeatmap
+ */
+export const useContributionHeatmap = (getContributionHeatmapUseCase) => {
+  const [heatmap, setHeatmap] = useState(null);
+  const [heatmapLogin, setHeatmapLogin] = useState(null);
+  const [isLoadingHeatmap, setIsLoadingHeatmap] = useState(false);
+  const [heatmapError, setHeatmapError] = useState(null);
+
+  // Ref para cancelar o request em andamento
+  const currentRequest = useRef(null);
+
+  // Cancela request pendente ao desmontar
+  useEffect(() => () => {
+    currentRequest.current?.controller.abort();
+  }, []);
+
+  /**
+   * Monta o heatmap de contribuições de um usuário
+   */
+  const fetchContributionHeatmap = useCallback(async (username, options = {}) => {
+    currentRequest.current?.controller.abort();
+
+    const requestId = Date.now();
+    const controller = new AbortController();
+    currentRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentRequest.current?.id === requestId && !controller.signal.aborted;
+
+    try {
+      setIsLoadingHeatmap(true);
+      setHeatmapError(null);
+      setHeatmapLogin(username);
+
+      const result = await getContributionHeatmapUseCase.execute(username, {
+        ...options,
+        signal: controller.signal
+      });
+
+      if (isCurrentRequest()) {
+        setHeatmap(result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
+        setHeatmapError(error);
+        setHeatmap(null);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsLoadingHeatmap(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [getContributionHeatmapUseCase]);
+
+  /**
+   * Limpa o heatmap carregado
+   */
+  const clearContributionHeatmap = useCallback(() => {
+    currentRequest.current?.controller.abort();
+    currentRequest.current = null;
+    setHeatmap(null);
+    setHeatmapLogin(null);
+    setHeatmapError(null);
+    setIsLoadingHeatmap(false);
+  }, []);
+
+  return {
+    heatmap,
+    heatmapLogin,
+    isLoadingHeatmap,
+    heatmapError,
+    fetchContributionHeatmap,
+    clearContributionHeatmap
+  };
+};
@@ -0,0 +1,76 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Hook customizado para gravar e reproduzir requisições do HttpClient
+ * Exporta a gravação como arquivo HAR e importa cassetes para replay
+ */
+export const useHttpRecorder = (httpClient) => {
+  const [recorderStatus, setRecorderStatus] = useState(() => httpClient?.getRecorderStatus() || null);
+  const [importError, setImportError] = useState(null);
+
+  useEffect(() => {
+    if (!httpClient) return undefined;
+
+    setRecorderStatus(httpClient.getRecorderStatus());
+    return httpClient.subscribeRecorder(setRecorderStatus);
+  }, [httpClient]);
+
+  const startRecording = useCallback(() => {
+    setImportError(null);
+    httpClient?.startRecording();
+  }, [httpClient]);
+
+  const stopRecording = useCallback(() => {
+    httpClient?.stopRecording();
+  }, [httpClient]);
+
+  /**
+   * Baixa as requisições gravadas como JSON no formato HAR
+   */
+  const downloadRecording = useCallback(() => {
+    if (!httpClient) return;
+
+    const har = httpClient.exportRecording();
+    const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `github-explorer-${timestamp}.har.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }, [httpClient]);
+
+  /**
+   * Lê um arquivo de cassete e ativa o replay
+   */
+  const importCassette = useCallback(async (file) => {
+    if (!httpClient || !file) return;
+
+    try {
+      httpClient.loadCassette(await file.text());
+      setImportError(null);
+    } catch (error) {
+      setImportError(`Cassete inválido: ${error.message}`);
+    }
+  }, [httpClient]);
+
+  const stopReplay = useCallback(() => {
+    httpClient?.stopReplay();
+  }, [httpClient]);
+
+  return {
+    recorderStatus,
+    isRecording: recorderStatus?.mode === 'record',
+    isReplaying: recorderStatus?.mode === 'replay',
+    importError,
+    startRecording,
+    stopRecording,
+    downloadRecording,
+    importCassette,
+    stopReplay
+  };
+};
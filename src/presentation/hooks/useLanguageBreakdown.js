@@ -0,0 +1,86 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Hook customizado para a distribuição de linguagens em bytes
+ * Encapsula o caso de uso GetLanguageBreakdown
+ */
+export const useLanguageBreakdown = (getLanguageBreakdownUseCase) => {
+  const [languageBreakdown, setLanguageBreakdown] = useState(null);
+  const [languageBreakdownRequest, setLanguageBreakdownRequest] = useState(null);
+  const [isLoadingLanguageBreakdown, setIsLoadingLanguageBreakdown] = useState(false);
+  const [languageBreakdownError, setLanguageBreakdownError] = useState(null);
+
+  // Ref para cancelar o request em andamento
+  const currentRequest = useRef(null);
+
+  // Cancela request pendente ao desmontar
+  useEffect(() => () => {
+    currentRequest.current?.controller.abort();
+  }, []);
+
+  /**
+   * Analisa as linguagens dos repositórios de um usuário
+   * A última análise solicitada (login e excludeForks) fica em languageBreakdownRequest
+   */
+  const fetchLanguageBreakdown = useCallback(async (username, repositories, options = {}) => {
+    currentRequest.current?.controller.abort();
+
+    const requestId = Date.now();
+    const controller = new AbortController();
+    currentRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentRequest.current?.id === requestId && !controller.signal.aborted;
+
+    try {
+      setIsLoadingLanguageBreakdown(true);
+      setLanguageBreakdownError(null);
+      setLanguageBreakdownRequest({ login: username, excludeForks: Boolean(options.excludeForks) });
+
+      const result = await getLanguageBreakdownUseCase.execute(repositories, {
+        ...options,
+        signal: controller.signal
+      });
+
+      if (isCurrentRequest()) {
+        setLanguageBreakdown(result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
+        setLanguageBreakdownError(error);
+        setLanguageBreakdown(null);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsLoadingLanguageBreakdown(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [getLanguageBreakdownUseCase]);
+
+  /**
+   * Limpa a análise carregada
+   */
+  const clearLanguageBreakdown = useCallback(() => {
+    currentRequest.current?.controller.abort();
+    currentRequest.current = null;
+    setLanguageBreakdown(null);
+    setLanguageBreakdownRequest(null);
+    setLanguageBreakdownError(null);
+    setIsLoadingLanguageBreakdown(false);
+  }, []);
+
+  return {
+    languageBreakdown,
+    languageBreakdownRequest,
+    isLoadingLanguageBreakdown,
+    languageBreakdownError,
+    fetchLanguageBreakdown,
+    clearLanguageBreakdown
+  };
+};
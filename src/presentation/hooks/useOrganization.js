@@ -0,0 +1,93 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { OrganizationNotFoundError, CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Hook customizado para gerenciar operações relacionadas a organizações
+ * Encapsula o caso de uso GetOrganization
+ */
+export const useOrganization = (getOrganizationUseCase) => {
+  const [organization, setOrganization] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [isLoadingOrganization, setIsLoadingOrganization] = useState(false);
+  const [organizationError, setOrganizationError] = useState(null);
+  const [organizationFromCache, setOrganizationFromCache] = useState(false);
+
+  // Ref para cancelar o request em andamento
+  const currentRequest = useRef(null);
+
+  // Cancela request pendente ao desmontar
+  useEffect(() => () => {
+    currentRequest.current?.controller.abort();
+  }, []);
+
+  /**
+   * Busca uma organização pelo login
+   */
+  const fetchOrganization = useCallback(async (login, options = {}) => {
+    currentRequest.current?.controller.abort();
+
+    const requestId = Date.now();
+    const controller = new AbortController();
+    currentRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentRequest.current?.id === requestId && !controller.signal.aborted;
+
+    try {
+      setIsLoadingOrganization(true);
+      setOrganizationError(null);
+
+      const result = await getOrganizationUseCase.execute(login, {
+        ...options,
+        signal: controller.signal
+      });
+
+      if (isCurrentRequest()) {
+        setOrganization(result.organization);
+        setMembers(result.members);
+        setOrganizationFromCache(result.fromCache);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
+        setOrganizationError(error);
+        setOrganization(null);
+        setMembers([]);
+        setOrganizationFromCache(false);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsLoadingOrganization(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [getOrganizationUseCase]);
+
+  /**
+   * Limpa os dados da organização
+   */
+  const clearOrganization = useCallback(() => {
+    currentRequest.current?.controller.abort();
+    currentRequest.current = null;
+    setOrganization(null);
+    setMembers([]);
+    setOrganizationError(null);
+    setOrganizationFromCache(false);
+    setIsLoadingOrganization(false);
+  }, []);
+
+  return {
+    organization,
+    members,
+    isLoadingOrganization,
+    organizationError,
+    organizationFromCache,
+    fetchOrganization,
+    clearOrganization,
+    hasOrganization: organization !== null,
+    isOrganizationNotFoundError: organizationError instanceof OrganizationNotFoundError
+  };
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Hook customizado para acompanhar o rate limit da API
+ * Inscreve-se nas atualizações do HttpClient e expõe a cota por recurso
+ */
+export const useRateLimit = (httpClient) => {
+  const [rateLimits, setRateLimits] = useState(() => httpClient?.getRateLimitInfo() || {});
+
+  useEffect(() => {
+    if (!httpClient) return undefined;
+
+    setRateLimits(httpClient.getRateLimitInfo());
+    return httpClient.subscribeRateLimit(setRateLimits);
+  }, [httpClient]);
+
+  return {
+    rateLimits,
+    coreRateLimit: rateLimits.core || null,
+    searchRateLimit: rateLimits.search || null,
+    graphqlRateLimit: rateLimits.graphql || null
+  };
+};
@@ -0,0 +1,66 @@
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Hook customizado para a página de detalhes de repositório
+ * Encapsula o caso de uso GetRepositoryDetails
+ */
+export const useRepositoryDetails = (getRepositoryDetailsUseCase) => {
+  const [details, setDetails] = useState(null);
+  const [isLoadingDetails, setIsLoadingDetails] = useState(false);
+  const [detailsError, setDetailsError] = useState(null);
+
+  // Ref para ignorar respostas de requests substituídos
+  const currentRequest = useRef(null);
+
+  /**
+   * Busca os detalhes de um repositório
+   */
+  const fetchRepositoryDetails = useCallback(async (fullName, options = {}) => {
+    const requestId = Date.now();
+    currentRequest.current = { id: requestId };
+
+    try {
+      setIsLoadingDetails(true);
+      setDetailsError(null);
+      setDetails(null);
+
+      const result = await getRepositoryDetailsUseCase.execute(fullName, options);
+
+      if (currentRequest.current?.id === requestId) {
+        setDetails(result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (currentRequest.current?.id === requestId) {
+        setDetailsError(error);
+        setDetails(null);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsLoadingDetails(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [getRepositoryDetailsUseCase]);
+
+  /**
+   * Limpa os detalhes carregados
+   */
+  const clearRepositoryDetails = useCallback(() => {
+    currentRequest.current = null;
+    setDetails(null);
+    setDetailsError(null);
+    setIsLoadingDetails(false);
+  }, []);
+
+  return {
+    details,
+    isLoadingDetails,
+    detailsError,
+    fetchRepositoryDetails,
+    clearRepositoryDetails
+  };
+};
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { parseRoute, buildPath } from '../routing/routes.js';
+
+/**
+ * Hook de roteamento baseado na History API
+ * O estado do componente é a fonte da verdade: navigate() só reflete esse estado na URL
+ * e onPopState é chamado quando o usuário usa voltar/avançar do navegador
+ */
+export const useRouter = (onPopState) => {
+  // Rota presente na URL no carregamento (deep link)
+  const [initialRoute] = useState(() => parseRoute(window.location));
+
+  // Mantém o callback mais recente sem re-registrar o listener
+  const onPopStateRef = useRef(onPopState);
+  useEffect(() => {
+    onPopStateRef.current = onPopState;
+  }, [onPopState]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      onPopStateRef.current?.(parseRoute(window.location));
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  /**
+   * Atualiza a URL para o estado informado (não faz nada se já estiver nela)
+   */
+  const navigate = useCallback((route, { replace = false } = {}) => {
+    const path = buildPath(route);
+    const currentPath = `${window.location.pathname}${window.location.search}`;
+
+    if (path === currentPath) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', path);
+    } else {
+      window.history.pushState(null, '', path);
+    }
+  }, []);
+
+  return {
+    initialRoute,
+    navigate
+  };
+};
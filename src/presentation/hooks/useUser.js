@@ -1,5 +1,5 @@
-import { useState, useCallback, useRef } from 'react';
-import { UserNotFoundError, ValidationError, NetworkError } from '../../domain/repositories/UserRepositoryInterface.js';
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { UserNotFoundError, ValidationError, NetworkError, RateLimitError, ServiceUnavailableError, CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
 
 /**
  * Hook customizado para gerenciar operações relacionadas a usuários
@@ -26,32 +26,47 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
   // Metadados
   const [userMetadata, setUserMetadata] = useState(null);
   const [repositoriesStats, setRepositoriesStats] = useState(null);
+  const [repositoriesPagination, setRepositoriesPagination] = useState(null);
   
-  // Ref para cancelar requests em andamento
+  // Progresso da paginação de repositórios
+  const [repositoriesProgress, setRepositoriesProgress] = useState(null);
+  
+  // Ref para cancelar requests em andamento (AbortController por request)
   const currentUserRequest = useRef(null);
   const currentRepositoriesRequest = useRef(null);
 
+  // Cancela requests pendentes ao desmontar
+  useEffect(() => () => {
+    currentUserRequest.current?.controller.abort();
+    currentRepositoriesRequest.current?.controller.abort();
+  }, []);
+
   /**
    * Busca um usuário pelo username
    */
   const fetchUser = useCallback(async (username, options = {}) => {
     // Cancela request anterior se existir
-    if (currentUserRequest.current) {
-      currentUserRequest.current.cancelled = true;
-    }
+    currentUserRequest.current?.controller.abort();
 
     const requestId = Date.now();
-    currentUserRequest.current = { id: requestId, cancelled: false };
+    const controller = new AbortController();
+    currentUserRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentUserRequest.current?.id === requestId && !controller.signal.aborted;
 
     try {
       setIsLoadingUser(true);
       setUserError(null);
       
       // Executa o caso de uso
-      const result = await getUserUseCase.execute(username, options);
+      const result = await getUserUseCase.execute(username, {
+        ...options,
+        signal: controller.signal
+      });
       
       // Verifica se o request não foi cancelado
-      if (currentUserRequest.current?.id === requestId && !currentUserRequest.current?.cancelled) {
+      if (isCurrentRequest()) {
         setUser(result.user);
         setUserFromCache(result.fromCache);
         setUserMetadata(result.metadata);
@@ -60,7 +75,8 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
       return result;
 
     } catch (error) {
-      if (currentUserRequest.current?.id === requestId && !currentUserRequest.current?.cancelled) {
+      // Cancelamentos são ignorados pela interface
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
         setUserError(error);
         setUser(null);
         setUserFromCache(false);
@@ -80,42 +96,57 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
    */
   const fetchUserRepositories = useCallback(async (username, options = {}) => {
     // Cancela request anterior se existir
-    if (currentRepositoriesRequest.current) {
-      currentRepositoriesRequest.current.cancelled = true;
-    }
+    currentRepositoriesRequest.current?.controller.abort();
 
     const requestId = Date.now();
-    currentRepositoriesRequest.current = { id: requestId, cancelled: false };
+    const controller = new AbortController();
+    currentRepositoriesRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentRepositoriesRequest.current?.id === requestId && !controller.signal.aborted;
 
     try {
       setIsLoadingRepositories(true);
       setRepositoriesError(null);
+      setRepositoriesProgress(null);
       
-      // Executa o caso de uso
-      const result = await getUserRepositoriesUseCase.execute(username, options);
+      // Executa o caso de uso reportando o progresso de cada página
+      const result = await getUserRepositoriesUseCase.execute(username, {
+        ...options,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (isCurrentRequest()) {
+            setRepositoriesProgress(progress);
+          }
+          options.onProgress?.(progress);
+        }
+      });
       
       // Verifica se o request não foi cancelado
-      if (currentRepositoriesRequest.current?.id === requestId && !currentRepositoriesRequest.current?.cancelled) {
+      if (isCurrentRequest()) {
         setRepositories(result.repositories);
         setAnalytics(result.analytics);
         setRepositoriesStats(result.statistics);
+        setRepositoriesPagination(result.pagination);
         setRepositoriesFromCache(result.fromCache);
       }
 
       return result;
 
     } catch (error) {
-      if (currentRepositoriesRequest.current?.id === requestId && !currentRepositoriesRequest.current?.cancelled) {
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
         setRepositoriesError(error);
         setRepositories([]);
         setAnalytics(null);
         setRepositoriesStats(null);
+        setRepositoriesPagination(null);
         setRepositoriesFromCache(false);
       }
       throw error;
     } finally {
       if (currentRepositoriesRequest.current?.id === requestId) {
         setIsLoadingRepositories(false);
+        setRepositoriesProgress(null);
         currentRepositoriesRequest.current = null;
       }
     }
@@ -156,8 +187,8 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
   /**
    * Recarrega repositórios (ignora cache)
    */
-  const refreshRepositories = useCallback(async (username) => {
-    return fetchUserRepositories(username, { forceRefresh: true });
+  const refreshRepositories = useCallback(async (username, options = {}) => {
+    return fetchUserRepositories(username, { ...options, forceRefresh: true });
   }, [fetchUserRepositories]);
 
   /**
@@ -165,14 +196,10 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
    */
   const clearData = useCallback(() => {
     // Cancela requests em andamento
-    if (currentUserRequest.current) {
-      currentUserRequest.current.cancelled = true;
-      currentUserRequest.current = null;
-    }
-    if (currentRepositoriesRequest.current) {
-      currentRepositoriesRequest.current.cancelled = true;
-      currentRepositoriesRequest.current = null;
-    }
+    currentUserRequest.current?.controller.abort();
+    currentUserRequest.current = null;
+    currentRepositoriesRequest.current?.controller.abort();
+    currentRepositoriesRequest.current = null;
 
     // Limpa estados
     setUser(null);
@@ -184,6 +211,8 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
     setRepositoriesFromCache(false);
     setUserMetadata(null);
     setRepositoriesStats(null);
+    setRepositoriesPagination(null);
+    setRepositoriesProgress(null);
     setIsLoadingUser(false);
     setIsLoadingRepositories(false);
   }, []);
@@ -268,6 +297,17 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
       return `Erro de validação: ${error.message}`;
     }
 
+    if (error instanceof RateLimitError) {
+      const resetTime = error.reset instanceof Date ? error.reset.toLocaleTimeString('pt-BR') : null;
+      return resetTime
+        ? `Limite de requisições da API atingido. Tente novamente após ${resetTime}.`
+        : 'Limite de requisições da API atingido. Tente novamente em alguns minutos.';
+    }
+
+    if (error instanceof ServiceUnavailableError) {
+      return 'A API do GitHub está instável no momento. Tente novamente em instantes.';
+    }
+
     if (error instanceof NetworkError) {
       return 'Erro de rede. Verifique sua conexão e tente novamente.';
     }
@@ -298,6 +338,8 @@ export const useUser = (getUserUseCase, getUserRepositoriesUseCase) => {
     // Metadados
     userMetadata,
     repositoriesStats,
+    repositoriesPagination,
+    repositoriesProgress,
     
     // Ações
     fetchUser,
@@ -0,0 +1,85 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Hook customizado para a timeline de atividade
+ * Encapsula o caso de uso GetUserActivity
+ */
+export const useUserActivity = (getUserActivityUseCase) => {
+  const [activity, setActivity] = useState(null);
+  const [activityLogin, setActivityLogin] = useState(null);
+  const [isLoadingActivity, setIsLoadingActivity] = useState(false);
+  const [activityError, setActivityError] = useState(null);
+
+  // Ref para cancelar o request em andamento
+  const currentRequest = useRef(null);
+
+  // Cancela request pendente ao desmontar
+  useEffect(() => () => {
+    currentRequest.current?.controller.abort();
+  }, []);
+
+  /**
+   * Busca a atividade recente de um usuário
+   */
+  const fetchUserActivity = useCallback(async (username, options = {}) => {
+    currentRequest.current?.controller.abort();
+
+    const requestId = Date.now();
+    const controller = new AbortController();
+    currentRequest.current = { id: requestId, controller };
+
+    const isCurrentRequest = () =>
+      currentRequest.current?.id === requestId && !controller.signal.aborted;
+
+    try {
+      setIsLoadingActivity(true);
+      setActivityError(null);
+      setActivityLogin(username);
+
+      const result = await getUserActivityUseCase.execute(username, {
+        ...options,
+        signal: controller.signal
+      });
+
+      if (isCurrentRequest()) {
+        setActivity(result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (isCurrentRequest() && !(error instanceof CancelledError)) {
+        setActivityError(error);
+        setActivity(null);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsLoadingActivity(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [getUserActivityUseCase]);
+
+  /**
+   * Limpa a atividade carregada
+   */
+  const clearActivity = useCallback(() => {
+    currentRequest.current?.controller.abort();
+    currentRequest.current = null;
+    setActivity(null);
+    setActivityLogin(null);
+    setActivityError(null);
+    setIsLoadingActivity(false);
+  }, []);
+
+  return {
+    activity,
+    activityLogin,
+    isLoadingActivity,
+    activityError,
+    fetchUserActivity,
+    clearActivity
+  };
+};
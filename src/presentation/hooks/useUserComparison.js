@@ -0,0 +1,66 @@
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Hook customizado para comparação de usuários
+ * Encapsula o caso de uso CompareUsers
+ */
+export const useUserComparison = (compareUsersUseCase) => {
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [comparisonError, setComparisonError] = useState(null);
+
+  // Ref para ignorar respostas de comparações substituídas
+  const currentRequest = useRef(null);
+
+  /**
+   * Compara os usuários informados
+   */
+  const compareUsers = useCallback(async (usernames, options = {}) => {
+    const requestId = Date.now();
+    currentRequest.current = { id: requestId };
+
+    try {
+      setIsComparing(true);
+      setComparisonError(null);
+
+      const result = await compareUsersUseCase.execute(usernames, options);
+
+      if (currentRequest.current?.id === requestId) {
+        setComparison(result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (currentRequest.current?.id === requestId) {
+        setComparisonError(error);
+        setComparison(null);
+      }
+      throw error;
+    } finally {
+      if (currentRequest.current?.id === requestId) {
+        setIsComparing(false);
+        currentRequest.current = null;
+      }
+    }
+  }, [compareUsersUseCase]);
+
+  /**
+   * Limpa a comparação atual
+   */
+  const clearComparison = useCallback(() => {
+    currentRequest.current = null;
+    setComparison(null);
+    setComparisonError(null);
+    setIsComparing(false);
+  }, []);
+
+  return {
+    comparison,
+    isComparing,
+    comparisonError,
+    compareUsers,
+    clearComparison,
+    hasComparison: comparison !== null
+  };
+};
@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Hook customizado para sugestões de usuários (autocomplete)
+ * Aplica debounce na digitação e cancela buscas que ficaram obsoletas
+ */
+export const useUserSuggestions = (searchUsersUseCase, query, options = {}) => {
+  const {
+    debounceMs = 300,
+    minLength = 2,
+    perPage = 8,
+    enabled = true
+  } = options;
+
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLoadingSuggestions, setIsLoadingSuggestions] = useState(false);
+  const [suggestionsError, setSuggestionsError] = useState(null);
+
+  // Controller da busca em andamento
+  const currentController = useRef(null);
+
+  useEffect(() => {
+    const term = query.trim();
+
+    // Cancela busca anterior ainda em andamento
+    currentController.current?.abort();
+    currentController.current = null;
+
+    if (!enabled || !searchUsersUseCase || term.length < minLength) {
+      setSuggestions([]);
+      setIsLoadingSuggestions(false);
+      setSuggestionsError(null);
+      return undefined;
+    }
+
+    const timeoutId = setTimeout(async () => {
+      const controller = new AbortController();
+      currentController.current = controller;
+
+      try {
+        setIsLoadingSuggestions(true);
+        setSuggestionsError(null);
+
+        const result = await searchUsersUseCase.execute(term, {
+          perPage,
+          signal: controller.signal
+        });
+
+        if (!controller.signal.aborted) {
+          setSuggestions(result.users);
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          setSuggestions([]);
+          setSuggestionsError(error);
+        }
+      } finally {
+        if (currentController.current === controller) {
+          setIsLoadingSuggestions(false);
+          currentController.current = null;
+        }
+      }
+    }, debounceMs);
+
+    return () => {
+      clearTimeout(timeoutId);
+    };
+  }, [searchUsersUseCase, query, debounceMs, minLength, perPage, enabled]);
+
+  // Cancela busca pendente ao desmontar
+  useEffect(() => () => currentController.current?.abort(), []);
+
+  return {
+    suggestions,
+    isLoadingSuggestions,
+    suggestionsError
+  };
+};
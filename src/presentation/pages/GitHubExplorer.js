@@ -1,13 +1,40 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { useApp, useDependencies } from '../context/AppContext.js';
+import { CancelledError } from '../../domain/repositories/UserRepositoryInterface.js';
 import { useUser } from '../hooks/useUser.js';
+import { useOrganization } from '../hooks/useOrganization.js';
+import { useUserComparison } from '../hooks/useUserComparison.js';
+import { useRepositoryDetails } from '../hooks/useRepositoryDetails.js';
+import { useUserActivity } from '../hooks/useUserActivity.js';
+import { useContributionHeatmap } from '../hooks/useContributionHeatmap.js';
+import { useLanguageBreakdown } from '../hooks/useLanguageBreakdown.js';
+import { useRouter } from '../hooks/useRouter.js';
+import { useRateLimit } from '../hooks/useRateLimit.js';
+import { useApiStatus } from '../hooks/useApiStatus.js';
+import { useHttpRecorder } from '../hooks/useHttpRecorder.js';
 import { SearchForm } from '../components/SearchForm.js';
 import { UserProfile } from '../components/UserProfile.js';
+import { OrganizationProfile } from '../components/OrganizationProfile.js';
 import { RepositoryList } from '../components/RepositoryList.js';
+import { RepositoryDetail } from '../components/RepositoryDetail.js';
 import { Analytics } from '../components/Analytics.js';
+import { UserComparison } from '../components/UserComparison.js';
+import { ActivityTimeline } from '../components/ActivityTimeline.js';
 import { ErrorBoundary } from '../components/ErrorBoundary.js';
 import { LoadingState } from '../components/LoadingState.js';
 import { EmptyState } from '../components/EmptyState.js';
+import { RateLimitWidget } from '../components/RateLimitWidget.js';
+import { RecorderControls } from '../components/RecorderControls.js';
+
+/**
+ * Opções de busca de repositórios: percorre todas as páginas para que
+ * lista e analytics reflitam o conjunto completo (limitado a maxPages)
+ */
+const REPOSITORIES_FETCH_OPTIONS = {
+  fetchAll: true,
+  perPage: 100,
+  maxPages: 10
+};
 
 /**
  * GitHubExplorer - Componente principal da aplicação
@@ -24,7 +51,19 @@ export const GitHubExplorer = () => {
   
   const { 
     getUserUseCase, 
-    getUserRepositoriesUseCase 
+    getUserRepositoriesUseCase,
+    getOrganizationUseCase,
+    searchUsersUseCase,
+    compareUsersUseCase,
+    getRepositoryDetailsUseCase,
+    getUserActivityUseCase,
+    getContributionHeatmapUseCase,
+    getLanguageBreakdownUseCase,
+    httpClient,
+    userRepository,
+    provider,
+    providers,
+    setProvider
   } = useDependencies();
 
   // Hook personalizado que encapsula a lógica de usuários
@@ -40,6 +79,8 @@ export const GitHubExplorer = () => {
     repositoriesError,
     userFromCache,
     repositoriesFromCache,
+    repositoriesPagination,
+    repositoriesProgress,
     hasData,
     hasRepositories,
     hasAnalytics,
@@ -47,31 +88,105 @@ export const GitHubExplorer = () => {
     refreshUser,
     refreshRepositories,
     clearData,
-    filterRepositories,
-    sortRepositories,
     getCalculatedStats,
     getErrorMessage,
     isUserNotFoundError,
     isNetworkError
   } = useUser(getUserUseCase, getUserRepositoriesUseCase);
 
-  // Estados da interface
+  // Cota da API acompanhada pelo HttpClient
+  const { rateLimits } = useRateLimit(httpClient);
+
+  // Estado do circuit breaker (API degradada)
+  const { isApiDegraded, retryAt } = useApiStatus(httpClient);
+
+  // Gravação e replay das requisições (cassete HAR)
+  const recorder = useHttpRecorder(httpClient);
+
+  // Dados de organização (quando a conta buscada é do tipo Organization)
+  const {
+    organization,
+    members: organizationMembers,
+    isLoadingOrganization,
+    organizationFromCache,
+    fetchOrganization,
+    clearOrganization
+  } = useOrganization(getOrganizationUseCase);
+
+  // Comparação lado a lado com outros usuários
+  const {
+    comparison,
+    isComparing,
+    comparisonError,
+    compareUsers,
+    clearComparison
+  } = useUserComparison(compareUsersUseCase);
+
+  // Detalhes do repositório selecionado na lista
+  const {
+    details: repositoryDetails,
+    isLoadingDetails,
+    detailsError,
+    fetchRepositoryDetails,
+    clearRepositoryDetails
+  } = useRepositoryDetails(getRepositoryDetailsUseCase);
+  const [selectedRepository, setSelectedRepository] = useState(null);
+
+  // Timeline de atividade (carregada ao abrir a visualização)
+  const {
+    activity,
+    activityLogin,
+    isLoadingActivity,
+    activityError,
+    fetchUserActivity,
+    clearActivity
+  } = useUserActivity(getUserActivityUseCase);
+
+  // Heatmap de contribuições (carregado ao abrir o Analytics)
+  const {
+    heatmap,
+    heatmapLogin,
+    isLoadingHeatmap,
+    heatmapError,
+    fetchContributionHeatmap,
+    clearContributionHeatmap
+  } = useContributionHeatmap(getContributionHeatmapUseCase);
+
+  // Linguagens por bytes (carregadas ao abrir o Analytics)
+  const {
+    languageBreakdown,
+    languageBreakdownRequest,
+    isLoadingLanguageBreakdown,
+    languageBreakdownError,
+    fetchLanguageBreakdown,
+    clearLanguageBreakdown
+  } = useLanguageBreakdown(getLanguageBreakdownUseCase);
+  const [excludeForkedLanguages, setExcludeForkedLanguages] = useState(false);
+
+  // Roteamento: a URL reflete usuário, visualização e filtros
+  const handlePopStateRef = useRef(null);
+  const { initialRoute, navigate } = useRouter((route) => handlePopStateRef.current?.(route));
+
+  // Estados da interface (inicializados a partir da URL)
   const [searchHistory, setSearchHistory] = useState([]);
-  const [activeView, setActiveView] = useState('profile'); // 'profile', 'repositories', 'analytics'
-  const [repositoryFilters, setRepositoryFilters] = useState({
-    language: '',
-    type: 'all', // 'all', 'source', 'fork'
-    sort: 'updated',
-    minStars: 0,
-    activeOnly: false
-  });
+  const [currentLogin, setCurrentLogin] = useState(initialRoute.login);
+  const [activeView, setActiveView] = useState(initialRoute.view); // 'profile', 'repositories', 'activity', 'analytics', 'compare'
+  const [repositoryFilters, setRepositoryFilters] = useState(initialRoute.filters);
 
   /**
    * Manipula a busca de usuário
    */
   const handleSearch = useCallback(async (username) => {
     try {
+      setCurrentLogin(username);
       clearData();
+      clearOrganization();
+      clearComparison();
+      clearRepositoryDetails();
+      clearActivity();
+      clearContributionHeatmap();
+      clearLanguageBreakdown();
+      setSelectedRepository(null);
       
       // Mostra loading info
       showInfo(`Buscando informações do usuário ${username}...`);
@@ -82,10 +197,26 @@ export const GitHubExplorer = () => {
         repositoriesOptions: { 
           useCache: true,
           includeAnalytics: true,
-          perPage: 50
+          ...REPOSITORIES_FETCH_OPTIONS
         }
       });
 
+      // Busca substituída por outra mais recente: nada a exibir
+      if (result.userError instanceof CancelledError || result.repositoriesError instanceof CancelledError) {
+        return;
+      }
+
+      // Contas do tipo Organization têm perfil próprio
+      if (result.user?.user?.isOrganization) {
+        try {
+          await fetchOrganization(username, { useCache: true });
+        } catch (orgError) {
+          if (!(orgError instanceof CancelledError)) {
+            showError('Erro ao buscar dados da organização', orgError.message);
+          }
+        }
+      }
+
       // Atualiza histórico de busca
       setSearchHistory(prev => {
         const newHistory = [username, ...prev.filter(u => u !== username)];
@@ -108,11 +239,19 @@ export const GitHubExplorer = () => {
       }
 
     } catch (error) {
+      if (error instanceof CancelledError) return;
       showError('Erro na busca', getErrorMessage());
     }
   }, [
     fetchUserProfile, 
     clearData, 
+    clearOrganization,
+    clearComparison,
+    clearRepositoryDetails,
+    clearActivity,
+    clearContributionHeatmap,
+    clearLanguageBreakdown,
+    fetchOrganization,
     showInfo, 
     showSuccess, 
     showError, 
@@ -120,6 +259,144 @@ export const GitHubExplorer = () => {
     isUserNotFoundError
   ]);
 
+  /**
+   * Busca pendente de uma troca de provedor feita pela URL
+   * handleSearch muda quando os casos de uso do novo provedor estão disponíveis
+   */
+  const pendingProviderSearch = useRef(null);
+  useEffect(() => {
+    const login = pendingProviderSearch.current;
+    if (!login) return;
+
+    pendingProviderSearch.current = null;
+    handleSearch(login);
+  }, [handleSearch]);
+
+  /**
+   * Restaura o estado a partir da URL ao navegar com voltar/avançar
+   */
+  handlePopStateRef.current = (route) => {
+    setActiveView(route.view);
+    setRepositoryFilters(route.filters);
+
+    // Entrada de outro provedor: a busca só é feita depois da troca,
+    // com os casos de uso do novo provedor (efeito acima)
+    if (route.provider && route.provider !== provider && providers?.[route.provider]) {
+      setProvider(route.provider);
+      setCurrentLogin(route.login);
+      clearData();
+      clearOrganization();
+      clearComparison();
+      clearRepositoryDetails();
+      clearActivity();
+      clearContributionHeatmap();
+      clearLanguageBreakdown();
+      setSelectedRepository(null);
+      pendingProviderSearch.current = route.login;
+      return;
+    }
+
+    if (route.login === currentLogin) return;
+
+    if (route.login) {
+      handleSearch(route.login);
+    } else {
+      setCurrentLogin(null);
+      clearData();
+      clearOrganization();
+      clearComparison();
+      clearRepositoryDetails();
+      clearActivity();
+      clearContributionHeatmap();
+      clearLanguageBreakdown();
+      setSelectedRepository(null);
+    }
+  };
+
+  /**
+   * Troca de provedor: os dados exibidos pertencem ao provedor anterior
+   */
+  const handleProviderChange = useCallback((providerId) => {
+    if (providerId === provider) return;
+
+    setProvider(providerId);
+    setCurrentLogin(null);
+    setActiveView('profile');
+    clearData();
+    clearOrganization();
+    clearComparison();
+    clearRepositoryDetails();
+    clearActivity();
+    clearContributionHeatmap();
+    clearLanguageBreakdown();
+    setSelectedRepository(null);
+  }, [provider, setProvider, clearData, clearOrganization, clearComparison, clearRepositoryDetails, clearActivity, clearContributionHeatmap, clearLanguageBreakdown]);
+
+  /**
+   * Carrega a atividade do usuário exibido ao abrir a visualização
+   */
+  const loadActivity = useCallback(async (login) => {
+    try {
+      await fetchUserActivity(login);
+    } catch (error) {
+      if (error instanceof CancelledError) return;
+      showError('Erro ao carregar atividade', error.message);
+    }
+  }, [fetchUserActivity, showError]);
+
+  useEffect(() => {
+    if (activeView !== 'activity' || !user || activityLogin === user.login) return;
+    loadActivity(user.login);
+  }, [activeView, user, activityLogin, loadActivity]);
+
+  /**
+   * Monta o heatmap de contribuições ao abrir o Analytics
+   * Falhas aparecem no próprio card, sem notificação
+   */
+  useEffect(() => {
+    if (activeView !== 'analytics' || !user || heatmapLogin === user.login) return;
+    fetchContributionHeatmap(user.login).catch(() => {});
+  }, [activeView, user, heatmapLogin, fetchContributionHeatmap]);
+
+  /**
+   * Analisa as linguagens por bytes depois que os repositórios carregam
+   * Refaz a análise quando a opção de ignorar forks muda
+   */
+  useEffect(() => {
+    if (activeView !== 'analytics' || !user || isLoadingRepositories || !repositories.length) return;
+    if (
+      languageBreakdownRequest?.login === user.login &&
+      languageBreakdownRequest.excludeForks === excludeForkedLanguages
+    ) return;
+
+    fetchLanguageBreakdown(user.login, repositories, { excludeForks: excludeForkedLanguages }).catch(() => {});
+  }, [activeView, user, repositories, isLoadingRepositories, languageBreakdownRequest, excludeForkedLanguages, fetchLanguageBreakdown]);
+
+  /**
+   * Deep link: busca o usuário presente na URL no carregamento
+   */
+  const initialSearchDone = useRef(false);
+  useEffect(() => {
+    if (initialSearchDone.current || !initialRoute.login) return;
+    initialSearchDone.current = true;
+    handleSearch(initialRoute.login);
+  }, [initialRoute, handleSearch]);
+
+  /**
+   * Reflete o estado na URL: nova busca, troca de provedor ou de visualização criam entrada
+   * no histórico; mudanças de filtro apenas substituem a entrada atual
+   */
+  const previousRoute = useRef(null);
+  useEffect(() => {
+    const previous = previousRoute.current;
+    const replace = !previous || (
+      previous.provider === provider && previous.login === currentLogin && previous.view === activeView
+    );
+
+    navigate({ provider, login: currentLogin, view: activeView, filters: repositoryFilters }, { replace });
+    previousRoute.current = { provider, login: currentLogin, view: activeView };
+  }, [provider, currentLogin, activeView, repositoryFilters, navigate]);
+
   /**
    * Manipula refresh dos dados
    */
@@ -131,49 +408,72 @@ export const GitHubExplorer = () => {
       
       if (activeView === 'profile') {
         await refreshUser(user.login);
+        if (user.isOrganization) {
+          await fetchOrganization(user.login, { forceRefresh: true });
+        }
         showSuccess('Dados do usuário atualizados!');
+      } else if (activeView === 'activity') {
+        await fetchUserActivity(user.login);
+        showSuccess('Atividade atualizada!');
       } else {
-        await refreshRepositories(user.login);
+        await refreshRepositories(user.login, REPOSITORIES_FETCH_OPTIONS);
+        if (activeView === 'analytics') {
+          // A análise de linguagens é refeita com os repositórios atualizados
+          clearLanguageBreakdown();
+          await fetchContributionHeatmap(user.login);
+        }
         showSuccess('Repositórios atualizados!');
       }
     } catch (error) {
+      if (error instanceof CancelledError) return;
       showError('Erro ao atualizar', getErrorMessage());
     }
-  }, [user, activeView, refreshUser, refreshRepositories, showInfo, showSuccess, showError, getErrorMessage]);
+  }, [user, activeView, refreshUser, refreshRepositories, fetchOrganization, fetchUserActivity, fetchContributionHeatmap, clearLanguageBreakdown, showInfo, showSuccess, showError, getErrorMessage]);
 
   /**
-   * Aplica filtros nos repositórios
+   * Abre a página de detalhes de um repositório
    */
-  const getFilteredRepositories = useCallback(() => {
-    if (!repositories.length) return [];
-
-    return filterRepositories(repo => {
-      // Filtro por linguagem
-      if (repositoryFilters.language && repo.language !== repositoryFilters.language) {
-        return false;
-      }
-
-      // Filtro por tipo
-      if (repositoryFilters.type === 'source' && repo.isFork) return false;
-      if (repositoryFilters.type === 'fork' && !repo.isFork) return false;
+  const handleRepositorySelect = useCallback(async (repository) => {
+    setSelectedRepository(repository.fullName);
+    try {
+      await fetchRepositoryDetails(repository.fullName);
+    } catch (error) {
+      showError('Erro ao carregar repositório', error.message);
+    }
+  }, [fetchRepositoryDetails, showError]);
 
-      // Filtro por estrelas mínimas
-      if (repo.stargazersCount < repositoryFilters.minStars) return false;
+  /**
+   * Volta da página de detalhes para a lista
+   */
+  const handleRepositoryBack = useCallback(() => {
+    setSelectedRepository(null);
+    clearRepositoryDetails();
+  }, [clearRepositoryDetails]);
 
-      // Filtro por atividade
-      if (repositoryFilters.activeOnly && !repo.isActiveRepository) return false;
+  /**
+   * Manipula a comparação com outros usuários
+   */
+  const handleCompare = useCallback(async (usernames) => {
+    try {
+      await compareUsers(usernames);
+    } catch (error) {
+      showError('Erro ao comparar usuários', error.message);
+    }
+  }, [compareUsers, showError]);
 
-      return true;
-    });
-  }, [repositories, repositoryFilters, filterRepositories]);
+  /**
+   * Aplica filtros nos repositórios (mesmas regras do caso de uso)
+   */
+  const getFilteredRepositories = useCallback(() => {
+    if (!repositories.length) return [];
+    return getUserRepositoriesUseCase.applyFilters(repositories, repositoryFilters);
+  }, [repositories, repositoryFilters, getUserRepositoriesUseCase]);
 
   /**
    * Ordena repositórios filtrados
    */
   const getSortedRepositories = useCallback(() => {
-    const filtered = getFilteredRepositories();
-    
-    return sortRepositories((a, b) => {
+    return getFilteredRepositories().sort((a, b) => {
       switch (repositoryFilters.sort) {
         case 'stars':
           return b.stargazersCount - a.stargazersCount;
@@ -189,7 +489,7 @@ export const GitHubExplorer = () => {
           return 0;
       }
     });
-  }, [getFilteredRepositories, sortRepositories, repositoryFilters.sort]);
+  }, [getFilteredRepositories, repositoryFilters.sort]);
 
   /**
    * Obtém linguagens disponíveis para filtro
@@ -206,6 +506,39 @@ export const GitHubExplorer = () => {
     return Array.from(languages).sort();
   }, [repositories]);
 
+  /**
+   * Obtém tópicos disponíveis para filtro
+   */
+  const getAvailableTopics = useCallback(() => {
+    const topics = new Set(repositories.flatMap(repo => repo.topics || []));
+    return Array.from(topics).sort();
+  }, [repositories]);
+
+  /**
+   * Obtém licenças disponíveis para filtro ({ key, name })
+   */
+  const getAvailableLicenses = useCallback(() => {
+    const licenses = new Map();
+
+    repositories.forEach(repo => {
+      if (repo.licenseKey && !licenses.has(repo.licenseKey)) {
+        licenses.set(repo.licenseKey, repo.license.name);
+      }
+    });
+
+    return Array.from(licenses, ([key, name]) => ({ key, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [repositories]);
+
+  /**
+   * Abre a lista de repositórios filtrada por um tópico da nuvem de tópicos
+   */
+  const handleTopicSelect = useCallback((topic) => {
+    setRepositoryFilters(prev => ({ ...prev, topic }));
+    setSelectedRepository(null);
+    setActiveView('repositories');
+  }, []);
+
   /**
    * Obtém estatísticas calculadas
    */
@@ -222,9 +555,13 @@ export const GitHubExplorer = () => {
           onRefresh={handleRefresh}
           canRefresh={hasData && !isLoading}
           showCache={userFromCache || repositoriesFromCache}
+          rateLimits={rateLimits}
+          recorder={recorder}
         />
 
         {/* Main Content */}
+        {isApiDegraded && <ApiDegradedBanner retryAt={retryAt} />}
+
         <main className="container-fluid py-4">
           <div className="row">
             {/* Sidebar - Search and Filters */}
@@ -234,7 +571,12 @@ export const GitHubExplorer = () => {
                   onSearch={handleSearch}
                   isLoading={isLoading}
                   searchHistory={searchHistory}
-                  placeholder="Digite o username do GitHub..."
+                  placeholder={`Digite o username do ${providers?.[provider]?.label || 'GitHub'}...`}
+                  searchUsersUseCase={searchUsersUseCase}
+                  providers={providers}
+                  provider={provider}
+                  onProviderChange={handleProviderChange}
+                  usernamePattern={userRepository?.getUsernamePattern()}
                 />
 
                 {hasData && (
@@ -253,6 +595,8 @@ export const GitHubExplorer = () => {
                         filters={repositoryFilters}
                         onFiltersChange={setRepositoryFilters}
                         availableLanguages={getAvailableLanguages()}
+                        availableTopics={getAvailableTopics()}
+                        availableLicenses={getAvailableLicenses()}
                         totalRepositories={repositories.length}
                         filteredCount={getFilteredRepositories().length}
                       />
@@ -270,6 +614,7 @@ export const GitHubExplorer = () => {
                   message="Buscando informações do usuário..."
                   isLoadingUser={isLoadingUser}
                   isLoadingRepositories={isLoadingRepositories}
+                  repositoriesProgress={repositoriesProgress}
                 />
               )}
 
@@ -277,7 +622,7 @@ export const GitHubExplorer = () => {
               {hasErrors && !hasData && (
                 <ErrorState
                   error={userError || repositoriesError}
-                  onRetry={() => user && handleSearch(user.login)}
+                  onRetry={() => currentLogin && handleSearch(currentLogin)}
                   isNetworkError={isNetworkError}
                   isUserNotFound={isUserNotFoundError}
                 />
@@ -294,22 +639,62 @@ export const GitHubExplorer = () => {
               {hasData && (
                 <>
                   {activeView === 'profile' && (
-                    <UserProfile
-                      user={user}
-                      stats={stats?.user}
-                      isLoading={isLoadingUser}
-                      fromCache={userFromCache}
+                    user.isOrganization ? (
+                      <OrganizationProfile
+                        organization={organization}
+                        members={organizationMembers}
+                        isLoading={isLoadingOrganization}
+                        fromCache={organizationFromCache}
+                        onMemberSelect={handleSearch}
+                      />
+                    ) : (
+                      <UserProfile
+                        user={user}
+                        stats={stats?.user}
+                        isLoading={isLoadingUser}
+                        fromCache={userFromCache}
+                      />
+                    )
+                  )}
+
+                  {activeView === 'repositories' && selectedRepository && (
+                    <RepositoryDetail
+                      details={repositoryDetails}
+                      isLoading={isLoadingDetails}
+                      error={detailsError}
+                      onBack={handleRepositoryBack}
+                      onUserSelect={handleSearch}
                     />
                   )}
 
-                  {activeView === 'repositories' && (
+                  {activeView === 'repositories' && !selectedRepository && (
                     <RepositoryList
                       repositories={getSortedRepositories()}
                       totalRepositories={repositories.length}
                       isLoading={isLoadingRepositories}
                       fromCache={repositoriesFromCache}
-                      filters={repositoryFilters}
-                      onFiltersChange={setRepositoryFilters}
+                      pagination={repositoriesPagination}
+                      onRepositorySelect={handleRepositorySelect}
+                      providers={providers}
+                    />
+                  )}
+
+                  {activeView === 'activity' && (
+                    <ActivityTimeline
+                      activity={activity}
+                      isLoading={isLoadingActivity}
+                      error={activityError}
+                      onRetry={() => loadActivity(user.login)}
+                    />
+                  )}
+
+                  {activeView === 'compare' && (
+                    <UserComparison
+                      baseUser={user}
+                      comparison={comparison}
+                      isLoading={isComparing}
+                      error={comparisonError}
+                      onCompare={handleCompare}
                     />
                   )}
 
@@ -319,6 +704,15 @@ export const GitHubExplorer = () => {
                       user={user}
                       repositories={repositories}
                       stats={stats}
+                      heatmap={heatmap}
+                      isLoadingHeatmap={isLoadingHeatmap}
+                      heatmapError={heatmapError}
+                      languageBreakdown={languageBreakdown}
+                      isLoadingLanguageBreakdown={isLoadingLanguageBreakdown}
+                      languageBreakdownError={languageBreakdownError}
+                      excludeForkedLanguages={excludeForkedLanguages}
+                      onExcludeForkedLanguagesChange={setExcludeForkedLanguages}
+                      onTopicSelect={handleTopicSelect}
                     />
                   )}
                 </>
@@ -337,7 +731,7 @@ export const GitHubExplorer = () => {
 /**
  * Componente Header
  */
-const Header = ({ theme, isOnline, onToggleTheme, onRefresh, canRefresh, showCache }) => (
+const Header = ({ theme, isOnline, onToggleTheme, onRefresh, canRefresh, showCache, rateLimits, recorder }) => (
   <header className="border-bottom">
     <div className="container-fluid">
       <div className="d-flex justify-content-between align-items-center py-3">
@@ -363,6 +757,20 @@ const Header = ({ theme, isOnline, onToggleTheme, onRefresh, canRefresh, showCac
               Cache
             </span>
           )}
+
+          <RateLimitWidget rateLimits={rateLimits} />
+
+          <RecorderControls
+            recorderStatus={recorder.recorderStatus}
+            isRecording={recorder.isRecording}
+            isReplaying={recorder.isReplaying}
+            importError={recorder.importError}
+            onStartRecording={recorder.startRecording}
+            onStopRecording={recorder.stopRecording}
+            onDownload={recorder.downloadRecording}
+            onImport={recorder.importCassette}
+            onStopReplay={recorder.stopReplay}
+          />
           
           <button
             className="btn btn-outline-secondary btn-sm"
@@ -423,6 +831,19 @@ const ViewSelector = ({ activeView, onViewChange, hasRepositories, hasAnalytics
           Repos
         </label>
 
+        <input
+          type="radio"
+          className="btn-check"
+          name="view"
+          id="view-activity"
+          checked={activeView === 'activity'}
+          onChange={() => onViewChange('activity')}
+        />
+        <label className="btn btn-outline-primary btn-sm" htmlFor="view-activity">
+          <i className="fas fa-stream me-1"></i>
+          Atividade
+        </label>
+
         <input
           type="radio"
           className="btn-check"
@@ -436,6 +857,19 @@ const ViewSelector = ({ activeView, onViewChange, hasRepositories, hasAnalytics
           <i className="fas fa-chart-bar me-1"></i>
           Analytics
         </label>
+
+        <input
+          type="radio"
+          className="btn-check"
+          name="view"
+          id="view-compare"
+          checked={activeView === 'compare'}
+          onChange={() => onViewChange('compare')}
+        />
+        <label className="btn btn-outline-primary btn-sm" htmlFor="view-compare">
+          <i className="fas fa-balance-scale me-1"></i>
+          Comparar
+        </label>
       </div>
     </div>
   </div>
@@ -448,6 +882,8 @@ const RepositoryFilters = ({
   filters, 
   onFiltersChange, 
   availableLanguages, 
+  availableTopics,
+  availableLicenses,
   totalRepositories, 
   filteredCount 
 }) => (
@@ -490,6 +926,56 @@ const RepositoryFilters = ({
         </select>
       </div>
 
+      {/* Topic Filter */}
+      {(availableTopics.length > 0 || filters.topic) && (
+        <div className="mb-3">
+          <label className="form-label">Tópico</label>
+          <select
+            className="form-select form-select-sm"
+            value={filters.topic}
+            onChange={(e) => onFiltersChange({ ...filters, topic: e.target.value })}
+          >
+            <option value="">Todos</option>
+            {filters.topic && !availableTopics.includes(filters.topic) && (
+              <option value={filters.topic}>{filters.topic}</option>
+            )}
+            {availableTopics.map(topic => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* License Filter */}
+      <div className="mb-3">
+        <label className="form-label">Licença</label>
+        <select
+          className="form-select form-select-sm"
+          value={filters.license}
+          onChange={(e) => onFiltersChange({ ...filters, license: e.target.value })}
+        >
+          <option value="">Todas</option>
+          <option value="none">Sem licença</option>
+          {availableLicenses.map(license => (
+            <option key={license.key} value={license.key}>{license.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Archived Filter */}
+      <div className="mb-3">
+        <label className="form-label">Arquivados</label>
+        <select
+          className="form-select form-select-sm"
+          value={filters.archived}
+          onChange={(e) => onFiltersChange({ ...filters, archived: e.target.value })}
+        >
+          <option value="all">Incluir</option>
+          <option value="exclude">Ocultar</option>
+          <option value="only">Apenas arquivados</option>
+        </select>
+      </div>
+
       {/* Sort */}
       <div className="mb-3">
         <label className="form-label">Ordenar por</label>
@@ -535,6 +1021,17 @@ const RepositoryFilters = ({
   </div>
 );
 
+/**
+ * Aviso exibido enquanto o circuit breaker estiver aberto
+ */
+const ApiDegradedBanner = ({ retryAt }) => (
+  <div className="alert alert-warning rounded-0 mb-0 py-2 text-center" role="status">
+    <i className="fas fa-exclamation-triangle me-2"></i>
+    A API do GitHub está instável. Exibindo dados em cache quando disponíveis
+    {retryAt && ` — nova tentativa às ${retryAt.toLocaleTimeString('pt-BR')}`}.
+  </div>
+);
+
 /**
  * Componente Error State
  */
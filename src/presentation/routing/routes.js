@@ -0,0 +1,129 @@
+/**
+ * Rotas da aplicação
+ * Converte o estado navegável do GitHubExplorer (provedor, usuário, visualização e filtros)
+ * de/para URLs como /u/:login/repositories?language=Go&sort=stars&minStars=10&provider=gitlab
+ */
+
+// Links sem o parâmetro provider são do GitHub
+export const DEFAULT_PROVIDER = 'github';
+
+export const VALID_VIEWS = ['profile', 'repositories', 'activity', 'analytics', 'compare'];
+
+export const DEFAULT_VIEW = 'profile';
+
+export const DEFAULT_REPOSITORY_FILTERS = {
+  language: '',
+  type: 'all', // 'all', 'source', 'fork'
+  sort: 'updated',
+  minStars: 0,
+  activeOnly: false,
+  topic: '',
+  license: '', // SPDX/chave da licença ou 'none'
+  archived: 'all' // 'all', 'exclude', 'only'
+};
+
+const VALID_TYPES = ['all', 'source', 'fork'];
+const VALID_ARCHIVED = ['all', 'exclude', 'only'];
+const VALID_SORTS = ['updated', 'created', 'stars', 'forks', 'name'];
+
+/**
+ * Lê provedor, login, visualização e filtros a partir de pathname + search
+ * O provedor só é definido quando a URL aponta para um usuário
+ * @param {{pathname: string, search: string}} location - Objeto location (ex: window.location)
+ * @returns {{provider: string|null, login: string|null, view: string, filters: Object}} Estado da rota
+ */
+export const parseRoute = ({ pathname = '/', search = '' } = {}) => {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const params = new URLSearchParams(search);
+
+  const login = segments[0] === 'u' && segments[1] ? segments[1] : null;
+  const view = login && VALID_VIEWS.includes(segments[2]) ? segments[2] : DEFAULT_VIEW;
+
+  return {
+    provider: login ? params.get('provider') || DEFAULT_PROVIDER : null,
+    login,
+    view,
+    filters: parseFilters(params)
+  };
+};
+
+/**
+ * Monta a URL correspondente ao estado
+ * @param {{provider: string, login: string|null, view: string, filters: Object}} route - Estado da rota
+ * @returns {string} Caminho com query string
+ */
+export const buildPath = ({ provider = DEFAULT_PROVIDER, login, view = DEFAULT_VIEW, filters = DEFAULT_REPOSITORY_FILTERS }) => {
+  if (!login) return '/';
+
+  const path = view && view !== DEFAULT_VIEW
+    ? `/u/${encodeURIComponent(login)}/${view}`
+    : `/u/${encodeURIComponent(login)}`;
+
+  // Filtros só fazem sentido na lista de repositórios
+  const params = new URLSearchParams(view === 'repositories' ? serializeFilters(filters) : '');
+  if (provider && provider !== DEFAULT_PROVIDER) {
+    params.set('provider', provider);
+  }
+
+  const query = params.toString();
+
+  return query ? `${path}?${query}` : path;
+};
+
+/**
+ * Lê filtros da query string, ignorando valores inválidos
+ */
+const parseFilters = (params) => {
+  const filters = { ...DEFAULT_REPOSITORY_FILTERS };
+
+  if (params.get('language')) {
+    filters.language = params.get('language');
+  }
+
+  if (VALID_TYPES.includes(params.get('type'))) {
+    filters.type = params.get('type');
+  }
+
+  if (VALID_SORTS.includes(params.get('sort'))) {
+    filters.sort = params.get('sort');
+  }
+
+  const minStars = parseInt(params.get('minStars'), 10);
+  if (Number.isInteger(minStars) && minStars > 0) {
+    filters.minStars = minStars;
+  }
+
+  if (params.get('activeOnly') === 'true') {
+    filters.activeOnly = true;
+  }
+
+  if (params.get('topic')) {
+    filters.topic = params.get('topic');
+  }
+
+  if (params.get('license')) {
+    filters.license = params.get('license');
+  }
+
+  if (VALID_ARCHIVED.includes(params.get('archived'))) {
+    filters.archived = params.get('archived');
+  }
+
+  return filters;
+};
+
+/**
+ * Serializa apenas filtros diferentes do padrão
+ */
+const serializeFilters = (filters) => {
+  const params = new URLSearchParams();
+
+  Object.entries(DEFAULT_REPOSITORY_FILTERS).forEach(([key, defaultValue]) => {
+    const value = filters[key];
+    if (value !== undefined && value !== defaultValue) {
+      params.set(key, String(value));
+    }
+  });
+
+  return params.toString();
+};
@@ -0,0 +1,73 @@
+import { GetOrganizationUseCase } from '../../../src/application/use-cases/GetOrganizationUseCase.js';
+import {
+  OrganizationNotFoundError,
+  CancelledError,
+  NetworkError,
+  ServiceUnavailableError
+} from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { createFixtureRepository, silentLogger } from '../../helpers.js';
+
+describe('GetOrganizationUseCase', () => {
+  let repository;
+  let useCase;
+
+  beforeEach(() => {
+    repository = createFixtureRepository();
+    useCase = new GetOrganizationUseCase(repository, silentLogger);
+  });
+
+  it('busca a organização e seus membros públicos', async () => {
+    const result = await useCase.execute('GitHub');
+
+    expect(result.organization.login).toBe('github');
+    expect(result.members).toHaveLength(2);
+    expect(result).toMatchObject({ fromCache: false, stale: false });
+    expect(result.metadata.publicMembersCount).toBe(2);
+  });
+
+  it('repassa o sinal de cancelamento para as chamadas', async () => {
+    const findOrganization = jest.spyOn(repository, 'findOrganization');
+    const findOrganizationMembers = jest.spyOn(repository, 'findOrganizationMembers');
+    const controller = new AbortController();
+
+    await useCase.execute('github', { signal: controller.signal });
+
+    expect(findOrganization).toHaveBeenCalledWith('github', { signal: controller.signal });
+    expect(findOrganizationMembers).toHaveBeenCalledWith('github', expect.objectContaining({ signal: controller.signal }));
+  });
+
+  it('propaga o cancelamento, inclusive durante a busca de membros', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(useCase.execute('github', { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+
+    jest.spyOn(repository, 'findOrganizationMembers').mockRejectedValue(new CancelledError());
+    await expect(useCase.execute('github')).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('exibe a organização mesmo quando os membros falham', async () => {
+    jest.spyOn(repository, 'findOrganizationMembers').mockRejectedValue(new NetworkError('boom'));
+
+    const result = await useCase.execute('github');
+
+    expect(result.members).toEqual([]);
+  });
+
+  it('propaga OrganizationNotFoundError', async () => {
+    await expect(useCase.execute('unknown-org')).rejects.toBeInstanceOf(OrganizationNotFoundError);
+  });
+
+  it('serve a cópia expirada do cache com a API indisponível, sem regravá-la', async () => {
+    const { organization } = await useCase.execute('github', { includeMembers: false });
+    jest.spyOn(repository, 'getCachedOrganization')
+      .mockImplementation(async (login, options = {}) => (options.allowStale ? organization : null));
+    jest.spyOn(repository, 'findOrganization').mockRejectedValue(new ServiceUnavailableError('circuit open'));
+    const cacheOrganization = jest.spyOn(repository, 'cacheOrganization');
+
+    const result = await useCase.execute('github', { includeMembers: false });
+
+    expect(result).toMatchObject({ organization, fromCache: true, stale: true });
+    expect(cacheOrganization).not.toHaveBeenCalled();
+  });
+});
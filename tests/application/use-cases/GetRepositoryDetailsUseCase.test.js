@@ -0,0 +1,60 @@
+import { GetRepositoryDetailsUseCase } from '../../../src/application/use-cases/GetRepositoryDetailsUseCase.js';
+import { RepositoryNotFoundError, ValidationError, NetworkError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { createFixtureRepository, silentLogger } from '../../helpers.js';
+
+describe('GetRepositoryDetailsUseCase', () => {
+  let repository;
+  let useCase;
+
+  beforeEach(() => {
+    repository = createFixtureRepository();
+    useCase = new GetRepositoryDetailsUseCase(repository, silentLogger);
+  });
+
+  it('agrega linguagens, contribuidores, releases e README', async () => {
+    const result = await useCase.execute('monalisa/smile');
+
+    expect(result.repository.fullName).toBe('monalisa/smile');
+    expect(result.languages.distribution[0]).toMatchObject({ language: 'Python', bytes: 48210 });
+    expect(result.contributors).toHaveLength(1);
+    expect(result.releases).toHaveLength(1);
+    expect(result.readme).toBeNull();
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('avalia a saúde com README, CI e releases e a aplica à entidade', async () => {
+    const result = await useCase.execute('octocat/Spoon-Knife');
+
+    expect(result.health.coverage).toBe(100);
+    expect(result.repository.health).toBe(result.health);
+    expect(result.health.factors.find(factor => factor.key === 'ci').status).toBe('fail');
+    expect(result.health.factors.find(factor => factor.key === 'releases').status).toBe('fail');
+  });
+
+  it('não busca o README quando includeReadme é falso', async () => {
+    const findRepositoryReadme = jest.spyOn(repository, 'findRepositoryReadme');
+
+    const result = await useCase.execute('octocat/Hello-World', { includeReadme: false });
+
+    expect(result.readme).toBeNull();
+    expect(findRepositoryReadme).not.toHaveBeenCalled();
+    expect(result.health.factors.find(factor => factor.key === 'readme').status).toBe('unknown');
+  });
+
+  it('retorna dados parciais quando as chamadas complementares falham', async () => {
+    jest.spyOn(repository, 'findRepositoryContributors').mockRejectedValue(new NetworkError('timeout'));
+
+    const result = await useCase.execute('octocat/Hello-World');
+
+    expect(result.contributors).toEqual([]);
+    expect(result.warnings).toEqual(['timeout']);
+  });
+
+  it('valida o formato owner/repo', async () => {
+    await expect(useCase.execute('octocat')).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('propaga RepositoryNotFoundError', async () => {
+    await expect(useCase.execute('octocat/missing')).rejects.toBeInstanceOf(RepositoryNotFoundError);
+  });
+});
@@ -0,0 +1,107 @@
+import { GetUserRepositoriesUseCase } from '../../../src/application/use-cases/GetUserRepositoriesUseCase.js';
+import { UserNotFoundError, ServiceUnavailableError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { createFixtureRepository, silentLogger } from '../../helpers.js';
+
+describe('GetUserRepositoriesUseCase', () => {
+  let repository;
+  let useCase;
+
+  beforeEach(() => {
+    repository = createFixtureRepository();
+    useCase = new GetUserRepositoriesUseCase(repository, silentLogger);
+  });
+
+  it('busca os repositórios com análises e categorização', async () => {
+    const result = await useCase.execute('octocat');
+
+    expect(result.totalCount).toBe(8);
+    expect(result.filteredCount).toBe(8);
+    expect(result.fromCache).toBe(false);
+    expect(result.analytics).not.toBeNull();
+    expect(result.categorization.byType.forked.map(repo => repo.name)).toEqual(
+      expect.arrayContaining(['git-consortium', 'linguist'])
+    );
+  });
+
+  it('categoriza a manutenção pela mesma avaliação de saúde das entidades', async () => {
+    const { repositories, categorization } = await useCase.execute('octocat');
+    const { wellMaintained, needsAttention } = categorization.byMaintenance;
+
+    expect(wellMaintained.length + needsAttention.length).toBe(repositories.length);
+    wellMaintained.forEach(repo => expect(repo.health.score).toBeGreaterThanOrEqual(70));
+    needsAttention.forEach(repo => expect(repo.health.score).toBeLessThan(70));
+  });
+
+  it.each([
+    [{ language: 'ruby' }, ['linguist', 'test-repo1']],
+    [{ type: 'fork' }, ['git-consortium', 'linguist']],
+    [{ topic: 'TUTORIAL' }, ['Hello-World']],
+    [{ license: 'mit' }, ['git-consortium', 'linguist', 'octocat.github.io']],
+    [{ archived: 'only' }, ['hello-worId', 'test-repo1']]
+  ])('aplica o filtro %o', async (filters, expected) => {
+    const result = await useCase.execute('octocat', filters);
+
+    expect(result.repositories.map(repo => repo.name).sort()).toEqual([...expected].sort());
+    expect(result.totalCount).toBe(8);
+  });
+
+  it('exclui repositórios sem licença ou arquivados', async () => {
+    const result = await useCase.execute('octocat', { license: 'none', archived: 'exclude' });
+
+    result.repositories.forEach(repo => {
+      expect(repo.licenseKey).toBeNull();
+      expect(repo.isArchived).toBe(false);
+    });
+    expect(result.filteredCount).toBe(3);
+  });
+
+  it('gera chaves de cache distintas para cada combinação de filtros', () => {
+    const base = { ...useCase.defaultOptions };
+    const keys = [
+      base,
+      { ...base, topic: 'react' },
+      { ...base, license: 'mit' },
+      { ...base, license: 'none' },
+      { ...base, archived: 'exclude' },
+      { ...base, language: 'Ruby' },
+      { ...base, type: 'fork' }
+    ].map(options => useCase.generateCacheKey('octocat', options));
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('percorre todas as páginas com fetchAll', async () => {
+    const onProgress = jest.fn();
+    const result = await useCase.execute('octocat', { fetchAll: true, perPage: 3, onProgress });
+
+    expect(result.totalCount).toBe(8);
+    expect(result.pagination).toMatchObject({ pagesFetched: 3, totalPages: 3, truncated: false, hasMore: false });
+    expect(onProgress).toHaveBeenCalledTimes(3);
+  });
+
+  it('informa quando o limite de páginas trunca o resultado', async () => {
+    const result = await useCase.execute('octocat', { fetchAll: true, perPage: 3, maxPages: 2 });
+
+    expect(result.totalCount).toBe(6);
+    expect(result.pagination).toMatchObject({ truncated: true, hasMore: true });
+  });
+
+  it('propaga UserNotFoundError para usuários inexistentes', async () => {
+    await expect(useCase.execute('ghost-user')).rejects.toBeInstanceOf(UserNotFoundError);
+  });
+
+  it('serve a cópia expirada do cache com a API indisponível', async () => {
+    const cached = await useCase.execute('octocat', { topic: 'tutorial' });
+    const getCachedUserRepositories = jest.spyOn(repository, 'getCachedUserRepositories')
+      .mockImplementation(async (key, options = {}) => (options.allowStale ? cached : null));
+    jest.spyOn(repository, 'findUserRepositories').mockRejectedValue(new ServiceUnavailableError('circuit open'));
+
+    const result = await useCase.execute('octocat', { topic: 'tutorial' });
+
+    expect(result).toMatchObject({ fromCache: true, stale: true, filteredCount: 1 });
+    expect(getCachedUserRepositories).toHaveBeenLastCalledWith(
+      useCase.generateCacheKey('octocat', { ...useCase.defaultOptions, topic: 'tutorial' }),
+      { allowStale: true }
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { GetUserUseCase } from '../../../src/application/use-cases/GetUserUseCase.js';
+import {
+  UserNotFoundError,
+  ValidationError,
+  NetworkError,
+  RateLimitError,
+  CancelledError,
+  ServiceUnavailableError
+} from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { createFixtureRepository, silentLogger } from '../../helpers.js';
+
+describe('GetUserUseCase', () => {
+  let repository;
+  let useCase;
+
+  beforeEach(() => {
+    repository = createFixtureRepository();
+    useCase = new GetUserUseCase(repository, silentLogger);
+  });
+
+  it('busca o usuário normalizando o username', async () => {
+    const result = await useCase.execute('  OctoCat ');
+
+    expect(result.user.login).toBe('octocat');
+    expect(result.fromCache).toBe(false);
+    expect(result.metadata.profileCompleteness.percentage).toBeGreaterThan(0);
+  });
+
+  it('valida o username antes de chamar a API', async () => {
+    await expect(useCase.execute('')).rejects.toBeInstanceOf(ValidationError);
+    await expect(useCase.execute('-invalid-')).rejects.toBeInstanceOf(ValidationError);
+    expect(repository.requestCount).toBe(0);
+  });
+
+  it('propaga UserNotFoundError para usuários inexistentes e cenários de 404', async () => {
+    await expect(useCase.execute('ghost-user')).rejects.toBeInstanceOf(UserNotFoundError);
+    await expect(useCase.execute('not-found')).rejects.toBeInstanceOf(UserNotFoundError);
+  });
+
+  it('propaga RateLimitError sem envolver em NetworkError', async () => {
+    await expect(useCase.execute('rate-limited')).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  it('envolve falhas de rede em NetworkError com o contexto do usuário', async () => {
+    await expect(useCase.execute('network-error')).rejects.toThrow(NetworkError);
+    await expect(useCase.execute('network-error')).rejects.toThrow("Failed to fetch user 'network-error'");
+  });
+
+  it('propaga o cancelamento', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(useCase.execute('octocat', { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('usa o cache quando disponível', async () => {
+    const { user } = await useCase.execute('octocat');
+    jest.spyOn(repository, 'getCachedUser').mockResolvedValue(user);
+    const findByUsername = jest.spyOn(repository, 'findByUsername');
+
+    const result = await useCase.execute('octocat');
+
+    expect(result).toMatchObject({ user, fromCache: true });
+    expect(findByUsername).not.toHaveBeenCalled();
+  });
+
+  it('serve a cópia expirada do cache com a API indisponível', async () => {
+    const { user } = await useCase.execute('octocat');
+    const getCachedUser = jest.spyOn(repository, 'getCachedUser')
+      .mockImplementation(async (username, options = {}) => (options.allowStale ? user : null));
+    jest.spyOn(repository, 'findByUsername').mockRejectedValue(new ServiceUnavailableError('circuit open', new Date()));
+
+    const result = await useCase.execute('octocat');
+
+    expect(result).toMatchObject({ user, fromCache: true, stale: true });
+    expect(getCachedUser).toHaveBeenLastCalledWith('octocat', { allowStale: true });
+  });
+
+  it('não serve cache expirado para outros erros', async () => {
+    const getCachedUser = jest.spyOn(repository, 'getCachedUser').mockResolvedValue(null);
+
+    await expect(useCase.execute('network-error')).rejects.toBeInstanceOf(NetworkError);
+    expect(getCachedUser).not.toHaveBeenCalledWith('network-error', { allowStale: true });
+  });
+});
@@ -0,0 +1,35 @@
+import { SearchUsersUseCase } from '../../../src/application/use-cases/SearchUsersUseCase.js';
+import { ValidationError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { createFixtureRepository, silentLogger } from '../../helpers.js';
+
+describe('SearchUsersUseCase', () => {
+  let repository;
+  let useCase;
+
+  beforeEach(() => {
+    repository = createFixtureRepository();
+    useCase = new SearchUsersUseCase(repository, silentLogger);
+  });
+
+  it('busca usuários pelo login', async () => {
+    const searchUsers = jest.spyOn(repository, 'searchUsers');
+
+    const result = await useCase.execute('octo');
+
+    expect(result.users.map(user => user.login)).toEqual(['octocat']);
+    expect(result).toMatchObject({ totalCount: 1, fromCache: false });
+    expect(searchUsers).toHaveBeenCalledWith('octo in:login', expect.objectContaining({ page: 1, perPage: 8 }));
+  });
+
+  it('pagina os resultados', async () => {
+    const result = await useCase.execute('a', { perPage: 1, page: 2, loginOnly: false });
+
+    expect(result.users).toHaveLength(1);
+    expect(result.totalCount).toBeGreaterThan(1);
+  });
+
+  it('valida a query e a paginação', async () => {
+    await expect(useCase.execute('   ')).rejects.toBeInstanceOf(ValidationError);
+    await expect(useCase.execute('octo', { perPage: 101 })).rejects.toBeInstanceOf(ValidationError);
+  });
+});
@@ -0,0 +1,71 @@
+import { Repository } from '../../../src/domain/entities/Repository.js';
+
+const createRepository = (overrides = {}) => new Repository({
+  id: 1,
+  name: 'explorer',
+  fullName: 'octocat/explorer',
+  htmlUrl: 'https://github.com/octocat/explorer',
+  description: 'Explorador de perfis',
+  license: { key: 'mit', name: 'MIT License', spdx_id: 'MIT' },
+  topics: ['react', 'github', 'api'],
+  pushedAt: new Date().toISOString(),
+  hasIssues: true,
+  ...overrides
+});
+
+describe('Repository', () => {
+  describe('health', () => {
+    it('avalia a saúde uma única vez', () => {
+      const repository = createRepository();
+
+      expect(repository.health).toBe(repository.health);
+      expect(repository.toJSON().health).toBe(repository.health);
+    });
+
+    it('marca a avaliação da listagem como parcial', () => {
+      const repository = createRepository();
+
+      expect(repository.health.coverage).toBeLessThan(100);
+      expect(repository.isWellMaintained).toBe(true);
+    });
+
+    it('usa os sinais da página de detalhes em isWellMaintained', () => {
+      const repository = createRepository();
+      const health = repository.applyHealthSignals({ hasReadme: false, hasCi: false, releaseCount: 0 });
+
+      expect(health.coverage).toBe(100);
+      expect(repository.health).toBe(health);
+      expect(repository.isWellMaintained).toBe(false);
+    });
+  });
+
+  describe('URLs de arquivos', () => {
+    it('segue o formato do GitHub por padrão', () => {
+      const repository = createRepository();
+
+      expect(repository.getFileUrl('docs/setup.md')).toBe('https://github.com/octocat/explorer/blob/main/docs/setup.md');
+      expect(repository.getRawFileUrl('logo.png')).toBe('https://raw.githubusercontent.com/octocat/explorer/main/logo.png');
+    });
+
+    it('segue o formato do GitLab', () => {
+      const repository = createRepository({
+        htmlUrl: 'https://gitlab.com/octocat/explorer',
+        defaultBranch: 'master',
+        provider: 'gitlab'
+      });
+
+      expect(repository.getFileUrl('docs/setup.md')).toBe('https://gitlab.com/octocat/explorer/-/blob/master/docs/setup.md');
+      expect(repository.getRawFileUrl('logo.png')).toBe('https://gitlab.com/octocat/explorer/-/raw/master/logo.png');
+    });
+
+    it('segue o formato do Gitea', () => {
+      const repository = createRepository({
+        htmlUrl: 'https://codeberg.org/octocat/explorer',
+        provider: 'gitea'
+      });
+
+      expect(repository.getFileUrl('docs/setup.md')).toBe('https://codeberg.org/octocat/explorer/src/branch/main/docs/setup.md');
+      expect(repository.getRawFileUrl('logo.png')).toBe('https://codeberg.org/octocat/explorer/raw/branch/main/logo.png');
+    });
+  });
+});
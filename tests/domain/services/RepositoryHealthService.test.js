@@ -0,0 +1,101 @@
+import { RepositoryHealthService, HEALTH_LEVELS } from '../../../src/domain/services/RepositoryHealthService.js';
+
+const NOW = new Date('2024-10-01T00:00:00Z');
+
+const createRepository = (overrides = {}) => ({
+  description: 'Projeto de exemplo',
+  license: { key: 'mit', name: 'MIT License', spdxId: 'MIT' },
+  topics: ['react', 'github', 'api'],
+  pushedAt: '2024-09-20T00:00:00Z',
+  isArchived: false,
+  hasIssues: true,
+  openIssuesCount: 2,
+  stargazersCount: 100,
+  forksCount: 10,
+  ...overrides
+});
+
+describe('RepositoryHealthService', () => {
+  const service = new RepositoryHealthService();
+
+  it('pontua 100 quando todos os fatores passam', () => {
+    const health = service.evaluate(createRepository(), {
+      hasReadme: true,
+      hasCi: true,
+      releaseCount: 3,
+      now: NOW
+    });
+
+    expect(health.score).toBe(100);
+    expect(health.level).toBe(HEALTH_LEVELS.HEALTHY);
+    expect(health.coverage).toBe(100);
+    expect(health.factors.every(factor => factor.status === 'pass')).toBe(true);
+  });
+
+  it('calcula o score apenas sobre os fatores conhecidos e informa a cobertura', () => {
+    const health = service.evaluate(createRepository(), { now: NOW });
+
+    expect(health.coverage).toBe(60);
+    expect(health.score).toBe(100);
+    ['readme', 'ci', 'releases'].forEach(key => {
+      const factor = health.factors.find(candidate => candidate.key === key);
+      expect(factor.status).toBe('unknown');
+      expect(factor.points).toBeNull();
+    });
+  });
+
+  it('reduz o score quando os sinais da página de detalhes falham', () => {
+    const health = service.evaluate(createRepository(), {
+      hasReadme: false,
+      hasCi: false,
+      releaseCount: 0,
+      now: NOW
+    });
+
+    expect(health.coverage).toBe(100);
+    expect(health.score).toBe(60);
+    expect(health.level).toBe(HEALTH_LEVELS.FAIR);
+  });
+
+  it('não pontua atividade em repositório arquivado', () => {
+    const health = service.evaluate(createRepository({ isArchived: true }), { now: NOW });
+    const activity = health.factors.find(factor => factor.key === 'recentPush');
+
+    expect(activity.status).toBe('fail');
+    expect(activity.points).toBe(0);
+  });
+
+  it('dá meia pontuação a licença não reconhecida e a push antigo', () => {
+    const health = service.evaluate(createRepository({
+      license: { key: 'other', name: 'Other', spdxId: 'NOASSERTION' },
+      pushedAt: '2024-03-01T00:00:00Z'
+    }), { now: NOW });
+
+    expect(health.factors.find(factor => factor.key === 'license').status).toBe('partial');
+    expect(health.factors.find(factor => factor.key === 'recentPush').status).toBe('partial');
+  });
+
+  it('ignora issues quando estão desativadas no repositório', () => {
+    const health = service.evaluate(createRepository({ hasIssues: false }), { now: NOW });
+
+    expect(health.factors.find(factor => factor.key === 'openIssues').status).toBe('unknown');
+    expect(health.coverage).toBe(50);
+  });
+
+  it('penaliza backlog de issues alto em relação ao interesse no projeto', () => {
+    const health = service.evaluate(createRepository({
+      openIssuesCount: 60,
+      stargazersCount: 100,
+      forksCount: 0
+    }), { now: NOW });
+
+    expect(health.factors.find(factor => factor.key === 'openIssues').status).toBe('fail');
+  });
+
+  it('aceita pesos customizados', () => {
+    const custom = new RepositoryHealthService({ weights: { topics: 0 } });
+    const health = custom.evaluate(createRepository({ topics: [] }), { now: NOW });
+
+    expect(health.score).toBe(100);
+  });
+});
@@ -0,0 +1,18 @@
+import { FixtureUserRepository } from '../src/infrastructure/repositories/FixtureUserRepository.js';
+import { githubFixtures } from '../src/infrastructure/fixtures/index.js';
+
+/**
+ * Logger que descarta as mensagens (os testes verificam comportamento, não logs)
+ */
+export const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * FixtureUserRepository sobre as fixtures empacotadas com a aplicação
+ */
+export const createFixtureRepository = (options = {}) =>
+  new FixtureUserRepository(githubFixtures, silentLogger, options);
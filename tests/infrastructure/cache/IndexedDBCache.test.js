@@ -0,0 +1,199 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { IndexedDBCache } from '../../../src/infrastructure/cache/IndexedDBCache.js';
+import { silentLogger } from '../../helpers.js';
+
+/**
+ * Cache em memória com o mesmo contrato do fallback criado pelo AppConfig
+ */
+const createMemoryFallback = () => {
+  const store = new Map();
+
+  return {
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, value) {
+      store.set(key, value);
+    },
+    async del(key) {
+      return store.delete(key);
+    },
+    async flush() {
+      store.clear();
+    },
+    getStats() {
+      return { size: store.size, keys: Array.from(store.keys()) };
+    }
+  };
+};
+
+const createCache = (config = {}) => {
+  const cache = new IndexedDBCache({ logger: silentLogger, ...config });
+  return cache.ready.then(() => cache);
+};
+
+describe('IndexedDBCache', () => {
+  let now;
+
+  beforeEach(() => {
+    // Banco novo a cada teste
+    global.indexedDB = new IDBFactory();
+
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.indexedDB;
+  });
+
+  it('persiste as entradas entre instâncias do mesmo banco', async () => {
+    const cache = await createCache();
+    await cache.set('github:user:octocat', { login: 'octocat' }, 60);
+
+    const reopened = await createCache();
+
+    expect(await reopened.get('github:user:octocat')).toEqual({ login: 'octocat' });
+    expect(reopened.getStats()).toMatchObject({ backend: 'indexeddb', size: 1, hits: 1 });
+  });
+
+  it('retorna null e remove a entrada após o TTL', async () => {
+    const cache = await createCache({ maxStaleSeconds: 0 });
+    await cache.set('key', 'value', 60);
+
+    now += 59 * 1000;
+    expect(await cache.get('key')).toBe('value');
+
+    now += 2 * 1000;
+    expect(await cache.get('key')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ size: 0, bytes: 0, misses: 1 });
+  });
+
+  it('não expira entradas com TTL zero', async () => {
+    const cache = await createCache();
+    await cache.set('key', 'value', 0);
+
+    now += 365 * 24 * 60 * 60 * 1000;
+
+    expect(await cache.get('key')).toBe('value');
+  });
+
+  it('contabiliza o tamanho das entradas', async () => {
+    const cache = await createCache();
+    await cache.set('a', 'abcd');
+    await cache.set('b', { id: 1 });
+
+    // Strings em UTF-16: 2 bytes por caractere do valor serializado
+    expect(cache.getStats().bytes).toBe('abcd'.length * 2 + JSON.stringify({ id: 1 }).length * 2);
+
+    await cache.del('a');
+    expect(cache.getStats().bytes).toBe(JSON.stringify({ id: 1 }).length * 2);
+  });
+
+  it('remove a entrada menos usada recentemente ao exceder maxEntries', async () => {
+    const cache = await createCache({ maxEntries: 2 });
+
+    await cache.set('a', 1);
+    now += 1000;
+    await cache.set('b', 2);
+    now += 1000;
+    // Leitura de "a" o torna mais recente que "b"
+    await cache.get('a');
+    now += 1000;
+    await cache.set('c', 3);
+
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('a')).toBe(1);
+    expect(await cache.get('c')).toBe(3);
+    expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+  });
+
+  it('remove entradas LRU ao exceder maxBytes e ignora valores maiores que o limite', async () => {
+    const cache = await createCache({ maxBytes: 20 });
+
+    await cache.set('a', 'aaaa');
+    now += 1000;
+    await cache.set('b', 'bbbb');
+    now += 1000;
+    await cache.set('c', 'cccc');
+
+    expect(cache.getStats()).toMatchObject({ keys: ['b', 'c'], bytes: 16, evictions: 1 });
+
+    await cache.set('big', 'x'.repeat(11));
+    expect(await cache.get('big')).toBeNull();
+  });
+
+  it('esvazia o banco com flush', async () => {
+    const cache = await createCache();
+    await cache.set('a', 1);
+    await cache.flush();
+
+    const reopened = await createCache();
+    expect(reopened.getStats()).toMatchObject({ size: 0, bytes: 0 });
+  });
+
+  describe('entradas expiradas com allowStale', () => {
+    it('serve a entrada expirada dentro de maxStaleSeconds apenas com allowStale', async () => {
+      const cache = await createCache({ maxStaleSeconds: 3600 });
+      await cache.set('key', 'value', 60);
+
+      now += 30 * 60 * 1000;
+
+      expect(await cache.get('key')).toBeNull();
+      expect(await cache.get('key', { allowStale: true })).toBe('value');
+      expect(cache.getStats().size).toBe(1);
+    });
+
+    it('remove a entrada após a janela de maxStaleSeconds', async () => {
+      const cache = await createCache({ maxStaleSeconds: 3600 });
+      await cache.set('key', 'value', 60);
+
+      now += (60 + 3600 + 1) * 1000;
+
+      expect(await cache.get('key', { allowStale: true })).toBeNull();
+      expect(cache.getStats()).toMatchObject({ size: 0, bytes: 0 });
+    });
+
+    it('descarta ao abrir o banco as entradas fora da janela', async () => {
+      const cache = await createCache({ maxStaleSeconds: 3600 });
+      await cache.set('fresh', 1, 3600);
+      await cache.set('old', 2, 1);
+
+      now += 2 * 3600 * 1000 - 30 * 60 * 1000;
+      const reopened = await createCache({ maxStaleSeconds: 3600 });
+
+      expect(reopened.getStats().keys).toEqual(['fresh']);
+    });
+  });
+
+  describe('fallback em memória', () => {
+    it('não está disponível sem indexedDB no ambiente', () => {
+      delete global.indexedDB;
+
+      expect(IndexedDBCache.isAvailable()).toBe(false);
+    });
+
+    it('delega ao fallback quando o banco não pode ser aberto', async () => {
+      global.indexedDB = {
+        open() {
+          const request = {};
+          setTimeout(() => {
+            request.error = new Error('SecurityError');
+            request.onerror();
+          }, 0);
+          return request;
+        }
+      };
+      const fallback = createMemoryFallback();
+      const cache = await createCache({ fallback });
+
+      await cache.set('key', 'value', 60);
+
+      expect(await fallback.get('key')).toBe('value');
+      expect(await cache.get('key')).toBe('value');
+      expect(await cache.del('key')).toBe(true);
+      expect(cache.getStats()).toMatchObject({ backend: 'memory', size: 0 });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { CircuitBreaker, CIRCUIT_STATES } from '../../../src/infrastructure/http/CircuitBreaker.js';
+import { silentLogger } from '../../helpers.js';
+
+const createBreaker = () => new CircuitBreaker({
+  minimumRequests: 4,
+  failureRateThreshold: 0.5,
+  openDurationMs: 30000,
+  logger: silentLogger
+});
+
+const fail = (breaker, times) => {
+  for (let i = 0; i < times; i++) breaker.recordFailure();
+};
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('só abre com o mínimo de requisições na janela', () => {
+    const breaker = createBreaker();
+
+    fail(breaker, 3);
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+
+    fail(breaker, 1);
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('considera a taxa de falhas, não o total', () => {
+    const breaker = createBreaker();
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('descarta resultados fora da janela móvel', () => {
+    const breaker = createBreaker();
+
+    fail(breaker, 3);
+    jest.advanceTimersByTime(61000);
+    fail(breaker, 1);
+
+    expect(breaker.getWindowStats().total).toBe(1);
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('passa para half-open pelo timer, sem depender de novas requisições', () => {
+    const breaker = createBreaker();
+    const listener = jest.fn();
+    breaker.subscribe(listener);
+
+    fail(breaker, 4);
+    expect(breaker.getRetryAt()).toEqual(new Date(Date.now() + 30000));
+
+    jest.advanceTimersByTime(30000);
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.getRetryAt()).toBeNull();
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ state: CIRCUIT_STATES.HALF_OPEN }));
+  });
+
+  it('passa para half-open em getStatus quando o timer atrasa', () => {
+    const breaker = createBreaker();
+
+    fail(breaker, 4);
+    clearTimeout(breaker.halfOpenTimer);
+    jest.setSystemTime(Date.now() + 30000);
+
+    expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.HALF_OPEN);
+  });
+
+  it('libera uma única requisição de teste em half-open', () => {
+    const breaker = createBreaker();
+
+    fail(breaker, 4);
+    jest.advanceTimersByTime(30000);
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.releaseTrial();
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it('fecha após sucesso no teste e reabre após falha', () => {
+    const breaker = createBreaker();
+
+    fail(breaker, 4);
+    jest.advanceTimersByTime(30000);
+    breaker.canRequest();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+
+    jest.advanceTimersByTime(30000);
+    breaker.canRequest();
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getWindowStats().total).toBe(0);
+    expect(breaker.halfOpenTimer).toBeNull();
+  });
+});
@@ -0,0 +1,287 @@
+import { AxiosError, CanceledError } from 'axios';
+import { HttpClient } from '../../../src/infrastructure/http/HttpClient.js';
+import { CircuitBreaker } from '../../../src/infrastructure/http/CircuitBreaker.js';
+import { CancelledError, NetworkError, ServiceUnavailableError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { silentLogger } from '../../helpers.js';
+
+/**
+ * Adapter do axios que responde sem rede
+ * Respostas com resolve manual permitem manter a requisição em andamento durante o teste
+ */
+const createAdapter = (respond) => {
+  const adapter = jest.fn((config) => new Promise((resolve, reject) => {
+    const onAbort = () => reject(new CanceledError(null, config));
+    if (config.signal?.aborted) return onAbort();
+    config.signal?.addEventListener('abort', onAbort, { once: true });
+
+    Promise.resolve(respond(config)).then(({ status = 200, data = null, headers = {} }) => {
+      const response = { status, statusText: '', data, headers, config };
+      const validateStatus = config.validateStatus || (code => code >= 200 && code < 300);
+
+      if (validateStatus(status)) {
+        resolve(response);
+      } else {
+        reject(new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response));
+      }
+    });
+  }));
+
+  return adapter;
+};
+
+const createClient = (respond, config = {}) => {
+  const client = new HttpClient({
+    logger: silentLogger,
+    retryDelay: 1,
+    ...config
+  });
+  const adapter = createAdapter(respond);
+  client.client.defaults.adapter = adapter;
+
+  return { client, adapter };
+};
+
+/**
+ * Resposta que só é entregue quando o teste chama release
+ */
+const createPendingResponse = (response = { data: { ok: true } }) => {
+  let release;
+  const pending = new Promise(resolve => {
+    release = () => resolve(response);
+  });
+
+  return { respond: () => pending, release: () => release() };
+};
+
+/**
+ * Aguarda a requisição chegar ao adapter (throttle e fila são assíncronos)
+ */
+const waitForNetworkCall = async (adapter, calls = 1) => {
+  while (adapter.mock.calls.length < calls) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+};
+
+describe('HttpClient', () => {
+  describe('requisições condicionais', () => {
+    it('revalida com If-None-Match e serve o corpo armazenado no 304', async () => {
+      const { client, adapter } = createClient(config => (
+        config.headers['If-None-Match'] === '"v1"'
+          ? { status: 304, headers: {} }
+          : { data: { login: 'octocat' }, headers: { etag: '"v1"' } }
+      ));
+
+      await client.get('/users/octocat');
+      const revalidated = await client.get('/users/octocat');
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(revalidated).toMatchObject({ status: 200, data: { login: 'octocat' }, metadata: { revalidated: true } });
+    });
+
+    it('separa os validadores por Accept e tipo de resposta', async () => {
+      const { client, adapter } = createClient(config => ({
+        data: config.responseType === 'text' ? '# README' : { name: 'README.md' },
+        headers: { etag: `"${config.responseType || 'json'}"` }
+      }));
+
+      await client.get('/repos/octocat/hello/readme', { headers: { Accept: 'application/vnd.github.raw' }, responseType: 'text' });
+      await client.get('/repos/octocat/hello/readme');
+      await client.get('/repos/octocat/hello/readme', { headers: { Accept: 'application/vnd.github.raw' }, responseType: 'text' });
+
+      const sentValidators = adapter.mock.calls.map(([config]) => config.headers['If-None-Match']);
+      expect(sentValidators).toEqual([undefined, undefined, '"text"']);
+    });
+
+    it('separa os validadores por credenciais definidas com setHeaders', async () => {
+      const { client, adapter } = createClient(() => ({ data: [], headers: { etag: '"v1"' } }));
+
+      client.setHeaders({ 'PRIVATE-TOKEN': 'first' });
+      await client.get('/projects');
+      client.setHeaders({ 'PRIVATE-TOKEN': 'second' });
+      await client.get('/projects');
+
+      const sentValidators = adapter.mock.calls.map(([config]) => config.headers['If-None-Match']);
+      expect(sentValidators).toEqual([undefined, undefined]);
+    });
+  });
+
+  describe('rate limit', () => {
+    it('desconta a reserva do throttle em um novo snapshot e notifica os listeners', async () => {
+      const reset = String(Math.floor(Date.now() / 1000) + 60);
+      const { client } = createClient(() => ({
+        data: {},
+        headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '3', 'x-ratelimit-reset': reset }
+      }), { maxThrottleDelay: 1 });
+
+      await client.get('/users/octocat');
+      const before = client.getRateLimitInfo('core');
+      const listener = jest.fn();
+      client.subscribeRateLimit(listener);
+
+      // A resposta volta a informar a cota do servidor depois da reserva
+      await client.get('/users/monalisa');
+
+      expect(before).toMatchObject({ remaining: 3, used: 57 });
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[0][0].core).toMatchObject({ remaining: 2, used: 58 });
+      expect(client.getStats().throttledRequests).toBe(1);
+    });
+  });
+
+  describe('retry', () => {
+    it('limita as tentativas a maxAttempts da política', async () => {
+      const { client, adapter } = createClient(() => ({ status: 502 }), { retryAttempts: 2 });
+
+      await expect(client.get('/users/octocat')).rejects.toBeInstanceOf(NetworkError);
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(client.getStats().retryAttempts).toBe(2);
+    });
+
+    it('não repete erros 4xx', async () => {
+      const { client, adapter } = createClient(() => ({ status: 404, data: { message: 'Not Found' } }));
+
+      await expect(client.get('/users/ghost')).rejects.toThrow('HTTP 404: Not Found');
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('deduplicação de GETs', () => {
+    it('compartilha a chamada de rede entre GETs idênticos em andamento', async () => {
+      const { respond, release } = createPendingResponse({ data: { login: 'octocat' } });
+      const { client, adapter } = createClient(respond);
+
+      const first = client.get('/users/octocat', { params: { a: 1, b: 2 } });
+      const second = client.get('/users/octocat', { params: { b: 2, a: 1 } });
+      release();
+
+      const [firstResponse, secondResponse] = await Promise.all([first, second]);
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(firstResponse.data).toEqual({ login: 'octocat' });
+      expect(secondResponse.data).toEqual({ login: 'octocat' });
+      expect(client.getStats()).toMatchObject({ dedupedRequests: 1, inFlightRequests: 0 });
+    });
+
+    it('não compartilha POSTs nem GETs com dedupe desativado', async () => {
+      const { client, adapter } = createClient(() => ({ data: {} }));
+
+      await Promise.all([
+        client.post('/graphql', { query: 'query' }),
+        client.post('/graphql', { query: 'query' }),
+        client.get('/users/octocat', { dedupe: false }),
+        client.get('/users/octocat', { dedupe: false })
+      ]);
+
+      expect(adapter).toHaveBeenCalledTimes(4);
+    });
+
+    it('não compartilha GETs com headers ou credenciais diferentes', async () => {
+      const { respond, release } = createPendingResponse();
+      const { client, adapter } = createClient(respond);
+
+      const requests = [
+        client.get('/repos/octocat/hello/readme'),
+        client.get('/repos/octocat/hello/readme', { headers: { Accept: 'application/vnd.github.raw' } }),
+        client.get('/repos/octocat/hello/readme', { responseType: 'text' })
+      ];
+      client.setHeaders({ 'PRIVATE-TOKEN': 'secret' });
+      requests.push(client.get('/repos/octocat/hello/readme'));
+
+      await waitForNetworkCall(adapter, requests.length);
+      release();
+      await Promise.all(requests);
+
+      expect(adapter).toHaveBeenCalledTimes(4);
+      expect(client.getStats().dedupedRequests).toBe(0);
+    });
+
+    it('mantém a chamada enquanto restar algum interessado', async () => {
+      const { respond, release } = createPendingResponse();
+      const { client, adapter } = createClient(respond);
+      const controller = new AbortController();
+
+      const cancelled = client.get('/users/octocat', { signal: controller.signal });
+      const kept = client.get('/users/octocat');
+
+      await waitForNetworkCall(adapter);
+      controller.abort();
+      await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+
+      release();
+      await expect(kept).resolves.toMatchObject({ data: { ok: true } });
+      expect(adapter.mock.calls[0][0].signal.aborted).toBe(false);
+    });
+
+    it('aborta a chamada compartilhada quando todos cancelam e não a reaproveita', async () => {
+      const { client, adapter } = createClient(() => new Promise(() => {}));
+      const controller = new AbortController();
+
+      const cancelled = client.get('/users/octocat', { signal: controller.signal });
+      await waitForNetworkCall(adapter);
+      controller.abort();
+
+      await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+      expect(adapter.mock.calls[0][0].signal.aborted).toBe(true);
+      expect(client.inFlightRequests.size).toBe(0);
+
+      // GET idêntico logo após o cancelamento abre uma nova chamada
+      adapter.mockImplementation(createAdapter(() => ({ data: { fresh: true } })));
+      await expect(client.get('/users/octocat')).resolves.toMatchObject({ data: { fresh: true } });
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const createCircuitBreaker = () => new CircuitBreaker({ openDurationMs: 60000, logger: silentLogger });
+
+    it('serve a última resposta armazenada com o circuito aberto', async () => {
+      const circuitBreaker = createCircuitBreaker();
+      const { client, adapter } = createClient(() => ({ data: { login: 'octocat' }, headers: { etag: '"v1"' } }), { circuitBreaker });
+
+      await client.get('/users/octocat');
+      circuitBreaker.open();
+
+      const response = await client.get('/users/octocat');
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(response).toMatchObject({ data: { login: 'octocat' }, metadata: { stale: true } });
+    });
+
+    it('falha com ServiceUnavailableError sem resposta armazenada', async () => {
+      const circuitBreaker = createCircuitBreaker();
+      const { client, adapter } = createClient(() => ({ data: {} }), { circuitBreaker });
+
+      circuitBreaker.open();
+
+      await expect(client.get('/users/octocat')).rejects.toBeInstanceOf(ServiceUnavailableError);
+      expect(adapter).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replay de cassete', () => {
+    it('reproduz as respostas gravadas sem chamar a rede', async () => {
+      const { client: recording } = createClient(config => (
+        config.url === '/users/ghost'
+          ? { status: 404, data: { message: 'Not Found' } }
+          : { data: { login: 'octocat' }, headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '59' } }
+      ));
+
+      recording.startRecording();
+      await recording.get('/users/octocat', { params: { tab: 'repos' } });
+      await expect(recording.get('/users/ghost')).rejects.toBeInstanceOf(NetworkError);
+      recording.stopRecording();
+
+      const { client, adapter } = createClient(() => ({ data: {} }));
+      client.loadCassette(JSON.stringify(recording.exportRecording()));
+
+      await expect(client.get('/users/octocat', { params: { tab: 'repos' } }))
+        .resolves.toMatchObject({ data: { login: 'octocat' }, metadata: { replayed: true } });
+      await expect(client.get('/users/ghost')).rejects.toThrow('HTTP 404: Not Found');
+      await expect(client.get('/users/monalisa')).rejects.toThrow('No recorded response');
+
+      expect(adapter).not.toHaveBeenCalled();
+      expect(client.getRateLimitInfo('core')).toMatchObject({ limit: 60, remaining: 59 });
+      expect(client.getRecorderStatus()).toMatchObject({ mode: 'replay', matched: 2, unmatched: 1 });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { HttpRecorder, RECORDER_MODES, UnmatchedRequestError } from '../../../src/infrastructure/http/HttpRecorder.js';
+import { silentLogger } from '../../helpers.js';
+
+const BASE_URL = 'https://api.github.com';
+
+const createResponse = (status, data, headers = {}) => ({
+  status,
+  statusText: status === 200 ? 'OK' : '',
+  data,
+  headers: { 'content-type': 'application/json', ...headers },
+  config: { headers: { Authorization: 'token secret', Accept: 'application/json' } },
+  metadata: { startTime: Date.now(), duration: 12 }
+});
+
+describe('HttpRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    recorder = new HttpRecorder({ baseURL: BASE_URL, logger: silentLogger });
+  });
+
+  it('grava respostas no formato HAR sem credenciais', () => {
+    recorder.startRecording();
+    recorder.record('get', '/users/octocat', { params: { per_page: 10 } }, {
+      response: createResponse(200, { login: 'octocat' })
+    });
+    recorder.stopRecording();
+
+    const har = recorder.toHAR();
+    const [entry] = har.log.entries;
+
+    expect(har.log.version).toBe('1.2');
+    expect(recorder.mode).toBe(RECORDER_MODES.OFF);
+    expect(entry.request.method).toBe('GET');
+    expect(entry.request.url).toBe(`${BASE_URL}/users/octocat?per_page=10`);
+    expect(entry.request.headers).toContainEqual({ name: 'Authorization', value: '[REDACTED]' });
+    expect(entry.response.content._json).toBe(true);
+  });
+
+  it('grava falhas de rede com status 0', () => {
+    recorder.startRecording();
+    recorder.record('get', '/users/octocat', {}, { error: { message: 'socket hang up' } });
+
+    const [entry] = recorder.toHAR().log.entries;
+    expect(entry.response.status).toBe(0);
+    expect(entry.response._error).toBe('socket hang up');
+  });
+
+  it('não grava fora do modo de gravação', () => {
+    recorder.record('get', '/users/octocat', {}, { response: createResponse(200, {}) });
+
+    expect(recorder.toHAR().log.entries).toHaveLength(0);
+  });
+
+  describe('replay', () => {
+    const recordCassette = () => {
+      recorder.startRecording();
+      recorder.record('get', '/users/octocat/repos', { params: { page: 1, sort: 'updated' } }, {
+        response: createResponse(200, [{ name: 'first' }])
+      });
+      recorder.record('get', '/users/octocat/repos', { params: { page: 1, sort: 'updated' } }, {
+        response: createResponse(200, [{ name: 'second' }])
+      });
+      recorder.record('post', '/graphql', { data: { query: 'query A' } }, {
+        response: createResponse(200, { data: 'A' })
+      });
+      recorder.record('post', '/graphql', { data: { query: 'query B' } }, {
+        response: createResponse(200, { data: 'B' })
+      });
+      recorder.stopRecording();
+
+      return JSON.stringify(recorder.toHAR());
+    };
+
+    it('responde a partir do cassete importado, independente da ordem dos parâmetros', () => {
+      const replay = new HttpRecorder({ baseURL: BASE_URL, logger: silentLogger });
+      replay.loadCassette(recordCassette());
+
+      const entry = replay.match('GET', '/users/octocat/repos', { sort: 'updated', page: 1 });
+      const response = replay.toResponse(entry);
+
+      expect(replay.isReplaying()).toBe(true);
+      expect(response.data).toEqual([{ name: 'first' }]);
+      expect(response.metadata.replayed).toBe(true);
+    });
+
+    it('consome requisições repetidas em ordem e reaproveita a última', () => {
+      recorder.loadCassette(recordCassette());
+
+      const names = [1, 2, 3].map(() =>
+        recorder.toResponse(recorder.match('GET', '/users/octocat/repos', { page: 1, sort: 'updated' })).data[0].name
+      );
+
+      expect(names).toEqual(['first', 'second', 'second']);
+    });
+
+    it('diferencia consultas pelo corpo da requisição', () => {
+      recorder.loadCassette(recordCassette());
+
+      expect(recorder.toResponse(recorder.match('POST', '/graphql', {}, { query: 'query B' })).data).toEqual({ data: 'B' });
+    });
+
+    it('falha e registra requisições sem correspondência', () => {
+      recorder.loadCassette(recordCassette());
+
+      expect(() => recorder.match('GET', '/users/monalisa')).toThrow(UnmatchedRequestError);
+      expect(recorder.getStatus()).toMatchObject({
+        unmatched: 1,
+        lastUnmatched: expect.objectContaining({ url: `${BASE_URL}/users/monalisa` })
+      });
+    });
+
+    it('rejeita cassetes inválidos', () => {
+      expect(() => recorder.loadCassette({ log: {} })).toThrow('Invalid cassette');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { RequestScheduler } from '../../../src/infrastructure/http/RequestScheduler.js';
+import { CancelledError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+
+/**
+ * Tarefa controlada pelo teste: só termina quando finish é chamado
+ */
+const createDeferredTask = (label, started) => {
+  let finish;
+  const task = jest.fn(() => {
+    started.push(label);
+    return new Promise(resolve => {
+      finish = () => resolve(label);
+    });
+  });
+
+  return { task, finish: () => finish() };
+};
+
+describe('RequestScheduler', () => {
+  it('respeita o limite de concorrência', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(label => createDeferredTask(label, started));
+
+    const results = tasks.map(({ task }) => scheduler.schedule(task));
+
+    expect(started).toEqual(['a', 'b']);
+    expect(scheduler.getStats()).toMatchObject({ activeRequests: 2, queueDepth: 1 });
+
+    tasks[0].finish();
+    await results[0];
+
+    expect(started).toEqual(['a', 'b', 'c']);
+
+    tasks[1].finish();
+    tasks[2].finish();
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c']);
+    expect(scheduler.getStats().activeRequests).toBe(0);
+  });
+
+  it('atende primeiro a maior prioridade e, na mesma prioridade, a ordem de chegada', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+    const started = [];
+    const blocker = createDeferredTask('blocker', started);
+    const blocking = scheduler.schedule(blocker.task);
+
+    const queued = [
+      ['background-1', 'background'],
+      ['normal-1', 'normal'],
+      ['user-1', 'user'],
+      ['user-2', 'user']
+    ].map(([label, priority]) => scheduler.schedule(async () => {
+      started.push(label);
+      return label;
+    }, { priority }));
+
+    expect(scheduler.getStats().queuedByPriority).toEqual({ user: 2, normal: 1, background: 1 });
+
+    blocker.finish();
+    await Promise.all([blocking, ...queued]);
+
+    expect(started).toEqual(['blocker', 'user-1', 'user-2', 'normal-1', 'background-1']);
+  });
+
+  it('remove da fila a tarefa cancelada sem executá-la', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+    const started = [];
+    const blocker = createDeferredTask('blocker', started);
+    const blocking = scheduler.schedule(blocker.task);
+
+    const controller = new AbortController();
+    const cancelledTask = jest.fn();
+    const cancelled = scheduler.schedule(cancelledTask, { signal: controller.signal });
+
+    controller.abort();
+    await expect(cancelled).rejects.toBeInstanceOf(CancelledError);
+    expect(scheduler.getStats().queueDepth).toBe(0);
+
+    blocker.finish();
+    await blocking;
+    expect(cancelledTask).not.toHaveBeenCalled();
+  });
+
+  it('rejeita tarefas com sinal já abortado', async () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(scheduler.schedule(jest.fn(), { signal: controller.signal })).rejects.toBeInstanceOf(CancelledError);
+  });
+
+  it('libera a vaga quando a tarefa falha', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+
+    await expect(scheduler.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+    await expect(scheduler.schedule(async () => 'ok')).resolves.toBe('ok');
+  });
+});
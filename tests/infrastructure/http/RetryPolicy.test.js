@@ -0,0 +1,75 @@
+import { RetryPolicy } from '../../../src/infrastructure/http/RetryPolicy.js';
+
+const httpError = (status, headers = {}, data = {}) => ({
+  message: `Request failed with status code ${status}`,
+  response: { status, headers, data }
+});
+
+describe('RetryPolicy', () => {
+  const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 100, jitter: false });
+
+  it('repete erros de rede e 5xx com backoff exponencial', () => {
+    expect(policy.getDecision({ code: 'ECONNRESET' }, 1)).toEqual({ retry: true, delay: 100, reason: 'transient' });
+    expect(policy.getDecision(httpError(502), 2)).toEqual({ retry: true, delay: 200, reason: 'transient' });
+  });
+
+  it('para ao atingir maxAttempts', () => {
+    expect(policy.getDecision(httpError(500), 3)).toEqual({ retry: false, delay: 0, reason: 'max-attempts' });
+  });
+
+  it('não repete erros 4xx nem cancelamentos', () => {
+    expect(policy.getDecision(httpError(404), 1).reason).toBe('client-error');
+    expect(policy.shouldRetry({ code: 'ERR_CANCELED' }, 1)).toBe(false);
+  });
+
+  it('limita o backoff a maxDelay', () => {
+    const capped = new RetryPolicy({ baseDelay: 1000, maxDelay: 1500, jitter: false });
+
+    expect(capped.getBackoffDelay(5)).toBe(1500);
+  });
+
+  it('mantém o jitter entre metade e o total do backoff', () => {
+    const jittered = new RetryPolicy({ baseDelay: 1000 });
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const delay = jittered.getBackoffDelay(attempt);
+      const exponential = 1000 * Math.pow(2, attempt - 1);
+      expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+      expect(delay).toBeLessThanOrEqual(exponential);
+    }
+  });
+
+  describe('rate limit', () => {
+    it('aguarda o Retry-After', () => {
+      const decision = policy.getDecision(httpError(429, { 'retry-after': '2' }), 1);
+
+      expect(decision.retry).toBe(true);
+      expect(decision.reason).toBe('rate-limit');
+      expect(decision.delay).toBeGreaterThanOrEqual(1900);
+    });
+
+    it('desiste quando o reset passa da espera máxima', () => {
+      const reset = Math.floor(Date.now() / 1000) + 3600;
+      const error = httpError(403, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+
+      expect(policy.getDecision(error, 1)).toMatchObject({ retry: false, reason: 'rate-limit-wait-exceeded' });
+    });
+
+    it('reconhece o limite secundário do GitHub pelo corpo da resposta', () => {
+      const error = httpError(403, {}, { message: 'You have exceeded a secondary rate limit' });
+
+      expect(policy.isRateLimitError(error)).toBe(true);
+      expect(policy.getRateLimitReset(error).getTime()).toBeGreaterThanOrEqual(Date.now() + 59000);
+    });
+
+    it('não confunde 403 de permissão com rate limit', () => {
+      expect(policy.isRateLimitError(httpError(403, { 'x-ratelimit-remaining': '42' }))).toBe(false);
+    });
+
+    it('interpreta Retry-After em segundos ou como data HTTP', () => {
+      expect(policy.parseRetryAfter('5')).toBe(5000);
+      expect(policy.parseRetryAfter(new Date(Date.now() + 10000).toUTCString())).toBeGreaterThan(8000);
+      expect(policy.parseRetryAfter('')).toBeNull();
+    });
+  });
+});
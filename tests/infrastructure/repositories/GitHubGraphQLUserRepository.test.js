@@ -0,0 +1,151 @@
+import { GitHubGraphQLUserRepository } from '../../../src/infrastructure/repositories/GitHubGraphQLUserRepository.js';
+import { NetworkError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { silentLogger } from '../../helpers.js';
+
+/**
+ * Nó de repositório no formato da consulta RepositoryFields
+ */
+const repositoryNode = (name) => ({
+  databaseId: name.length,
+  name,
+  nameWithOwner: `octocat/${name}`,
+  url: `https://github.com/octocat/${name}`,
+  primaryLanguage: { name: 'JavaScript' },
+  stargazerCount: 1,
+  forkCount: 0,
+  owner: { login: 'octocat', avatarUrl: '', url: 'https://github.com/octocat' }
+});
+
+const repositoriesConnection = (names, { endCursor = null, hasNextPage = false, totalCount = names.length } = {}) => ({
+  data: {
+    user: {
+      repositories: {
+        totalCount,
+        pageInfo: { hasNextPage, endCursor },
+        nodes: names.map(repositoryNode)
+      }
+    }
+  }
+});
+
+/**
+ * Usuário no formato da API REST (v3)
+ */
+const restUser = (login) => ({
+  id: login.length,
+  login,
+  avatar_url: `https://avatars.githubusercontent.com/${login}`,
+  html_url: `https://github.com/${login}`
+});
+
+/**
+ * HttpClient simulado: cada POST /graphql consome a próxima resposta da lista
+ */
+const createRepository = (graphqlResponses) => {
+  const httpClient = {
+    get: jest.fn(),
+    post: jest.fn(async () => ({ data: graphqlResponses.shift() }))
+  };
+
+  return { repository: new GitHubGraphQLUserRepository(httpClient, null, silentLogger), httpClient };
+};
+
+const sentVariables = (httpClient) => httpClient.post.mock.calls.map(([, body]) => body.variables);
+
+describe('GitHubGraphQLUserRepository', () => {
+  describe('paginação por cursor', () => {
+    it('percorre os cursores até a página pedida', async () => {
+      const { repository, httpClient } = createRepository([
+        repositoriesConnection(['first'], { endCursor: 'c1', hasNextPage: true }),
+        repositoriesConnection(['second'], { endCursor: 'c2', hasNextPage: true })
+      ]);
+
+      const repositories = await repository.findUserRepositories('octocat', { page: 2, perPage: 1 });
+
+      expect(repositories.map(repo => repo.name)).toEqual(['second']);
+      expect(sentVariables(httpClient).map(variables => variables.after)).toEqual([null, 'c1']);
+      expect(sentVariables(httpClient)[0]).toMatchObject({
+        login: 'octocat',
+        first: 1,
+        orderBy: { field: 'UPDATED_AT', direction: 'DESC' }
+      });
+    });
+
+    it('retorna lista vazia para páginas além da última', async () => {
+      const { repository, httpClient } = createRepository([
+        repositoriesConnection(['only'])
+      ]);
+
+      await expect(repository.findUserRepositories('octocat', { page: 3, perPage: 1 })).resolves.toEqual([]);
+      expect(httpClient.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('segue os cursores em findAllUserRepositories e informa o progresso', async () => {
+      const { repository, httpClient } = createRepository([
+        repositoriesConnection(['a', 'b'], { endCursor: 'c1', hasNextPage: true, totalCount: 3 }),
+        repositoriesConnection(['c'], { endCursor: 'c2', totalCount: 3 })
+      ]);
+      const onProgress = jest.fn();
+
+      const result = await repository.findAllUserRepositories('octocat', { perPage: 2, sort: 'full_name', direction: 'asc', onProgress });
+
+      expect(result).toMatchObject({ pagesFetched: 2, totalPages: 2, truncated: false });
+      expect(result.repositories.map(repo => repo.fullName)).toEqual(['octocat/a', 'octocat/b', 'octocat/c']);
+      expect(sentVariables(httpClient).map(variables => variables.after)).toEqual([null, 'c1']);
+      expect(sentVariables(httpClient)[0].orderBy).toEqual({ field: 'NAME', direction: 'ASC' });
+      expect(onProgress).toHaveBeenLastCalledWith({ page: 2, totalPages: 2, loaded: 3 });
+    });
+
+    it('interrompe em maxPages e marca o resultado como truncado', async () => {
+      const { repository } = createRepository([
+        repositoriesConnection(['a'], { endCursor: 'c1', hasNextPage: true, totalCount: 5 })
+      ]);
+
+      const result = await repository.findAllUserRepositories('octocat', { perPage: 1, maxPages: 1, sort: 'created' });
+
+      expect(result).toMatchObject({ pagesFetched: 1, totalPages: 5, truncated: true });
+    });
+  });
+
+  describe('organizações', () => {
+    it('usa a API REST quando o login não é de um usuário', async () => {
+      const { repository, httpClient } = createRepository([
+        { data: { user: null }, errors: [{ type: 'NOT_FOUND', message: 'Could not resolve to a User' }] }
+      ]);
+      httpClient.get.mockResolvedValue({ data: { ...restUser('github'), type: 'Organization' } });
+
+      const user = await repository.findByUsername('github');
+
+      expect(user.login).toBe('github');
+      expect(httpClient.get).toHaveBeenCalledWith('/users/github', { signal: undefined });
+    });
+  });
+
+  describe('fallback para a API REST', () => {
+    it('passa a usar a API REST após um 401 da GraphQL', async () => {
+      const { repository, httpClient } = createRepository([]);
+      httpClient.post.mockRejectedValue(new NetworkError('HTTP 401: Requires authentication', { response: { status: 401 } }));
+      httpClient.get.mockImplementation(async url => ({
+        data: url === '/users/octocat' ? restUser('octocat') : []
+      }));
+
+      const user = await repository.findByUsername('octocat');
+      const repositories = await repository.findUserRepositories('octocat');
+
+      expect(user.login).toBe('octocat');
+      expect(repositories).toEqual([]);
+      expect(httpClient.post).toHaveBeenCalledTimes(1);
+      expect(httpClient.get.mock.calls.map(([url]) => url)).toEqual(['/users/octocat', '/users/octocat/repos']);
+      expect(repository.graphqlUnavailable).toBe(true);
+    });
+
+    it('não usa a API REST para outros erros da GraphQL', async () => {
+      const { repository, httpClient } = createRepository([]);
+      httpClient.post.mockRejectedValue(new NetworkError('HTTP 502: Bad Gateway', { response: { status: 502 } }));
+
+      await expect(repository.findByUsername('octocat')).rejects.toBeInstanceOf(NetworkError);
+      expect(httpClient.get).not.toHaveBeenCalled();
+      expect(repository.graphqlUnavailable).toBe(false);
+    });
+  });
+});
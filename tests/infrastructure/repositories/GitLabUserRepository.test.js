@@ -0,0 +1,205 @@
+import { GitLabUserRepository } from '../../../src/infrastructure/repositories/GitLabUserRepository.js';
+import { UserNotFoundError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { silentLogger } from '../../helpers.js';
+
+/**
+ * Projeto no formato da API REST do GitLab (v4)
+ */
+const gitlabProject = (path, overrides = {}) => ({
+  id: path.length,
+  name: path,
+  path,
+  path_with_namespace: `gitlab-org/${path}`,
+  description: 'Projeto de exemplo',
+  web_url: `https://gitlab.com/gitlab-org/${path}`,
+  visibility: 'public',
+  star_count: 10,
+  forks_count: 2,
+  open_issues_count: 3,
+  default_branch: 'main',
+  topics: ['ruby'],
+  license: { key: 'mit', name: 'MIT License' },
+  archived: false,
+  created_at: '2020-01-01T00:00:00Z',
+  last_activity_at: '2024-05-01T00:00:00Z',
+  namespace: { path: 'gitlab-org', avatar_url: null, web_url: 'https://gitlab.com/gitlab-org' },
+  ...overrides
+});
+
+const gitlabUser = {
+  id: 42,
+  username: 'octo.cat',
+  name: 'Octo Cat',
+  avatar_url: 'https://gitlab.com/uploads/octo.png',
+  web_url: 'https://gitlab.com/octo.cat'
+};
+
+/**
+ * HttpClient simulado: responde de acordo com a URL pedida
+ */
+const createRepository = (routes) => {
+  const httpClient = {
+    get: jest.fn(async (url, config = {}) => {
+      const route = routes[url];
+      if (!route) {
+        throw new Error(`Unexpected request: ${url}`);
+      }
+      return typeof route === 'function' ? route(config) : route;
+    })
+  };
+
+  return { repository: new GitLabUserRepository(httpClient, null, silentLogger), httpClient };
+};
+
+describe('GitLabUserRepository', () => {
+  describe('findByUsername', () => {
+    it('resolve o username para o ID antes de buscar perfil e contagem de projetos', async () => {
+      const { repository, httpClient } = createRepository({
+        '/users': { data: [{ id: 42, username: 'octo.cat' }] },
+        '/users/42': { data: { ...gitlabUser, followers: 7, bio: 'GitLab' } },
+        '/users/42/projects': { data: [gitlabProject('one')], headers: { 'x-total': '12' } }
+      });
+
+      const user = await repository.findByUsername('octo.cat');
+
+      expect(httpClient.get.mock.calls[0]).toEqual(['/users', { params: { username: 'octo.cat' }, signal: undefined }]);
+      expect(user).toMatchObject({ id: 42, login: 'octo.cat', name: 'Octo Cat', followers: 7, publicRepos: 12 });
+    });
+
+    it('não usa o tamanho da página como contagem quando x-total é omitida', async () => {
+      const { repository } = createRepository({
+        '/users': { data: [{ id: 42, username: 'octo.cat' }] },
+        '/users/42': { data: gitlabUser },
+        '/users/42/projects': { data: [gitlabProject('one')], headers: {} }
+      });
+
+      const user = await repository.findByUsername('octo.cat');
+
+      expect(user.publicRepos).toBe(0);
+    });
+
+    it('lança UserNotFoundError quando a busca por username não encontra ninguém', async () => {
+      const { repository } = createRepository({ '/users': { data: [] } });
+
+      await expect(repository.findByUsername('ghost')).rejects.toBeInstanceOf(UserNotFoundError);
+    });
+  });
+
+  describe('findUserRepositories', () => {
+    it('converte projetos com Repository.fromGitLabAPI', async () => {
+      const { repository } = createRepository({
+        '/users/octo.cat/projects': {
+          data: [gitlabProject('private-fork', {
+            visibility: 'internal',
+            forked_from_project: { id: 1 },
+            statistics: { repository_size: 2048 * 1024 },
+            archived: true,
+            namespace: { full_path: 'gitlab-org/sub', path: 'sub' }
+          })]
+        }
+      });
+
+      const [project] = await repository.findUserRepositories('octo.cat');
+
+      expect(project).toMatchObject({
+        name: 'private-fork',
+        fullName: 'gitlab-org/private-fork',
+        htmlUrl: 'https://gitlab.com/gitlab-org/private-fork',
+        stargazersCount: 10,
+        forksCount: 2,
+        size: 2048,
+        defaultBranch: 'main',
+        isPrivate: true,
+        isFork: true,
+        isArchived: true,
+        topics: ['ruby'],
+        openIssuesCount: 3,
+        provider: 'gitlab'
+      });
+      expect(project.owner.login).toBe('gitlab-org/sub');
+      expect(project.pushedAt).toEqual(new Date('2024-05-01T00:00:00Z'));
+      expect(project.getFileUrl('README.md')).toBe('https://gitlab.com/gitlab-org/private-fork/-/blob/main/README.md');
+    });
+  });
+
+  describe('findAllUserRepositories', () => {
+    it('segue x-next-page até a última página', async () => {
+      const pages = {
+        1: { data: [gitlabProject('a'), gitlabProject('b')], headers: { 'x-next-page': '2', 'x-total-pages': '2' } },
+        2: { data: [gitlabProject('c')], headers: { 'x-next-page': '', 'x-total-pages': '2' } }
+      };
+      const { repository, httpClient } = createRepository({
+        '/users/octo.cat/projects': config => pages[config.params.page]
+      });
+      const onProgress = jest.fn();
+
+      const result = await repository.findAllUserRepositories('octo.cat', { perPage: 2, sort: 'full_name', direction: 'asc', onProgress });
+
+      expect(result).toMatchObject({ pagesFetched: 2, totalPages: 2, truncated: false });
+      expect(result.repositories.map(repo => repo.fullName)).toEqual(['gitlab-org/a', 'gitlab-org/b', 'gitlab-org/c']);
+      expect(httpClient.get.mock.calls[0][1].params).toEqual({ page: 1, per_page: 2, order_by: 'path', sort: 'asc' });
+      expect(onProgress).toHaveBeenLastCalledWith({ page: 2, totalPages: 2, loaded: 3 });
+    });
+
+    it('marca como truncado quando x-next-page continua após maxPages, sem x-total-pages', async () => {
+      const { repository } = createRepository({
+        '/users/octo.cat/projects': config => ({
+          data: [gitlabProject(`p${config.params.page}`)],
+          headers: { 'x-next-page': String(config.params.page + 1) }
+        })
+      });
+
+      const result = await repository.findAllUserRepositories('octo.cat', { perPage: 1, maxPages: 3 });
+
+      expect(result).toMatchObject({ pagesFetched: 3, totalPages: null, truncated: true });
+    });
+  });
+
+  describe('detalhes do projeto', () => {
+    const projectPath = `/projects/${encodeURIComponent('gitlab-org/gitlab')}`;
+    const readmePath = `${projectPath}/repository/files/${encodeURIComponent('docs/README.md')}/raw`;
+
+    it('repassa signal e priority e busca o projeto uma única vez para repositório e README', async () => {
+      const { repository, httpClient } = createRepository({
+        [projectPath]: {
+          data: gitlabProject('gitlab', { readme_url: 'https://gitlab.com/gitlab-org/gitlab/-/blob/main/docs/README.md' })
+        },
+        [readmePath]: { data: '# GitLab' },
+        [`${projectPath}/releases`]: { data: [] },
+        [`${projectPath}/pipelines`]: { data: [{ id: 1 }] }
+      });
+      const { signal } = new AbortController();
+      const options = { signal, priority: 'low' };
+
+      const [project, readme, releases, hasCI] = await Promise.all([
+        repository.findRepository('gitlab-org', 'gitlab', options),
+        repository.findRepositoryReadme('gitlab-org', 'gitlab', options),
+        repository.findRepositoryReleases('gitlab-org', 'gitlab', options),
+        repository.hasContinuousIntegration('gitlab-org', 'gitlab', options)
+      ]);
+
+      expect(project.fullName).toBe('gitlab-org/gitlab');
+      expect(readme).toEqual({
+        content: '# GitLab',
+        path: 'docs/README.md',
+        htmlUrl: 'https://gitlab.com/gitlab-org/gitlab/-/blob/main/docs/README.md'
+      });
+      expect(releases).toEqual([]);
+      expect(hasCI).toBe(true);
+
+      const projectCalls = httpClient.get.mock.calls.filter(([url]) => url === projectPath);
+      expect(projectCalls).toHaveLength(1);
+      httpClient.get.mock.calls.forEach(([, config]) => {
+        expect(config).toMatchObject({ signal, priority: 'low' });
+      });
+    });
+
+    it('retorna null para projetos sem README', async () => {
+      const { repository } = createRepository({
+        [projectPath]: { data: gitlabProject('gitlab', { readme_url: null }) }
+      });
+
+      await expect(repository.findRepositoryReadme('gitlab-org', 'gitlab')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { GiteaUserRepository } from '../../../src/infrastructure/repositories/GiteaUserRepository.js';
+import { UserNotFoundError } from '../../../src/domain/repositories/UserRepositoryInterface.js';
+import { silentLogger } from '../../helpers.js';
+
+/**
+ * Repositório no formato da API do Gitea (v1)
+ */
+const giteaRepository = (name, overrides = {}) => ({
+  id: name.length,
+  name,
+  full_name: `gitea/${name}`,
+  description: 'Git with a cup of tea',
+  html_url: `https://gitea.example.com/gitea/${name}`,
+  language: 'Go',
+  stars_count: 40,
+  forks_count: 5,
+  watchers_count: 12,
+  size: 2048,
+  default_branch: 'main',
+  private: false,
+  fork: false,
+  has_issues: true,
+  archived: false,
+  open_issues_count: 4,
+  topics: ['git', 'forge'],
+  licenses: ['MIT'],
+  website: 'https://about.gitea.com',
+  created_at: '2019-01-01T00:00:00Z',
+  updated_at: '2024-06-01T00:00:00Z',
+  owner: { login: 'gitea', avatar_url: 'https://gitea.example.com/avatars/gitea', html_url: 'https://gitea.example.com/gitea' },
+  ...overrides
+});
+
+/**
+ * HttpClient simulado: responde de acordo com a URL pedida
+ */
+const createRepository = (routes) => {
+  const httpClient = {
+    baseURL: 'https://gitea.example.com/api/v1',
+    get: jest.fn(async (url) => {
+      const route = routes[url];
+      if (!route) {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      }
+      return route;
+    })
+  };
+
+  return { repository: new GiteaUserRepository(httpClient, null, silentLogger), httpClient };
+};
+
+describe('GiteaUserRepository', () => {
+  describe('findByUsername', () => {
+    it('converte o usuário com User.fromGiteaAPI e conta os repositórios por x-total-count', async () => {
+      const { repository } = createRepository({
+        '/users/lunny': {
+          data: {
+            id: 1,
+            login: 'lunny',
+            full_name: 'Lunny Xiao',
+            email: 'lunny@example.com',
+            description: 'Gitea maintainer',
+            avatar_url: 'https://gitea.example.com/avatars/lunny',
+            location: 'China',
+            website: 'https://gitea.com',
+            followers_count: 100,
+            following_count: 3,
+            created: '2016-11-01T00:00:00Z'
+          }
+        },
+        '/users/lunny/repos': { data: [giteaRepository('gitea')], headers: { 'x-total-count': '27' } }
+      });
+
+      const user = await repository.findByUsername('lunny');
+
+      expect(user).toMatchObject({
+        id: 1,
+        login: 'lunny',
+        name: 'Lunny Xiao',
+        bio: 'Gitea maintainer',
+        blog: 'https://gitea.com',
+        followers: 100,
+        following: 3,
+        publicRepos: 27
+      });
+      // Sem html_url na API, o perfil aponta para a interface web da instância
+      expect(user.htmlUrl).toBe('https://gitea.example.com/lunny');
+    });
+
+    it('lança UserNotFoundError para usuários inexistentes', async () => {
+      const { repository } = createRepository({});
+
+      await expect(repository.findByUsername('ghost')).rejects.toBeInstanceOf(UserNotFoundError);
+    });
+  });
+
+  describe('findUserRepositories', () => {
+    it('converte os repositórios com Repository.fromGiteaAPI', async () => {
+      const { repository, httpClient } = createRepository({
+        '/users/gitea/repos': { data: [giteaRepository('tea', { internal: true })] }
+      });
+
+      const [repo] = await repository.findUserRepositories('gitea', { page: 2, perPage: 10 });
+
+      expect(httpClient.get).toHaveBeenCalledWith('/users/gitea/repos', { params: { page: 2, limit: 10 }, signal: undefined });
+      expect(repo).toMatchObject({
+        name: 'tea',
+        fullName: 'gitea/tea',
+        language: 'Go',
+        stargazersCount: 40,
+        forksCount: 5,
+        isPrivate: false,
+        visibility: 'internal',
+        topics: ['git', 'forge'],
+        license: { key: 'mit', name: 'MIT', spdxId: 'MIT' },
+        homepage: 'https://about.gitea.com',
+        provider: 'gitea'
+      });
+      expect(repo.owner.login).toBe('gitea');
+      expect(repo.pushedAt).toEqual(new Date('2024-06-01T00:00:00Z'));
+      expect(repo.getFileUrl('README.md')).toBe('https://gitea.example.com/gitea/tea/src/branch/main/README.md');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import http from 'http';
+import { createGitHubProxyServer, DEFAULT_PREFIX } from '../../server/githubProxy.js';
+import { silentLogger } from '../helpers.js';
+
+const APP_ORIGIN = 'http://localhost:3000';
+
+const USER_QUERY = JSON.stringify({ query: '{ user(login: "octocat") { login } }' });
+
+const listen = server => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+/**
+ * Requisição ao proxy; devolve status, headers e corpo já interpretado
+ * POSTs enviam uma consulta GraphQL de leitura, salvo corpo informado
+ */
+const request = (server, method, path, headers = {}, body = USER_QUERY) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method,
+    path: `${DEFAULT_PREFIX}${path}`,
+    headers
+  }, res => {
+    let body = '';
+    res.on('data', chunk => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body || 'null') }));
+  });
+
+  req.on('error', reject);
+  req.end(method === 'POST' ? body : undefined);
+});
+
+describe('githubProxy', () => {
+  let upstream;
+  let target;
+  const servers = [];
+
+  const createProxy = async (options = {}) => {
+    const server = await listen(createGitHubProxyServer({ token: 'server-token', target, logger: silentLogger, ...options }));
+    servers.push(server);
+    return server;
+  };
+
+  beforeAll(async () => {
+    // GitHub falso: devolve o caminho, a autenticação e o corpo recebidos
+    upstream = await listen(http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        res.writeHead(200, { 'content-type': 'application/json', 'x-ratelimit-remaining': '4999', 'set-cookie': 'a=b' });
+        res.end(JSON.stringify({
+          method: req.method,
+          path: req.url,
+          authorization: req.headers.authorization || null,
+          ...(body && { body })
+        }));
+      });
+    }));
+    target = `http://127.0.0.1:${upstream.address().port}`;
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(close));
+  });
+
+  afterAll(async () => {
+    await close(upstream);
+  });
+
+  it('encaminha GETs com o token do servidor e apenas as headers permitidas', async () => {
+    const proxy = await createProxy();
+
+    const response = await request(proxy, 'GET', '/users/octocat?per_page=5');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ method: 'GET', path: '/users/octocat?per_page=5', authorization: 'token server-token' });
+    expect(response.headers['x-ratelimit-remaining']).toBe('4999');
+    expect(response.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('aceita POST apenas em /graphql', async () => {
+    const proxy = await createProxy({ allowedOrigin: APP_ORIGIN });
+    const headers = { origin: APP_ORIGIN };
+
+    const response = await request(proxy, 'POST', '/graphql', headers);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ path: '/graphql', authorization: 'token server-token', body: USER_QUERY });
+
+    expect((await request(proxy, 'POST', '/user/repos', headers)).status).toBe(405);
+    expect((await request(proxy, 'DELETE', '/repos/octocat/Hello-World', headers)).status).toBe(405);
+  });
+
+  it('encaminha apenas as rotas REST usadas pela aplicação', async () => {
+    const proxy = await createProxy();
+
+    for (const path of ['/users/octocat/repos', '/orgs/github', '/repos/octocat/Hello-World/readme', '/search/users?q=octo', '/rate_limit']) {
+      expect((await request(proxy, 'GET', path)).status).toBe(200);
+    }
+
+    for (const path of ['/user', '/user/repos', '/notifications', '/graphql', '/users/../user', '/usersx']) {
+      expect((await request(proxy, 'GET', path)).status).toBe(404);
+    }
+  });
+
+  it('recusa mutations e subscriptions GraphQL', async () => {
+    const proxy = await createProxy({ allowedOrigin: APP_ORIGIN });
+    const post = query => request(proxy, 'POST', '/graphql', { origin: APP_ORIGIN }, JSON.stringify(query));
+
+    expect((await post({ query: 'mutation { addStar(input: { starrableId: "1" }) { clientMutationId } }' })).status).toBe(403);
+    expect((await post({ query: 'fragment F on User { login }\nmutation Follow { followUser(input: {}) { clientMutationId } }' })).status).toBe(403);
+    expect((await post([{ query: '{ user(login: "a") { login } }' }, { query: 'subscription { x }' }])).status).toBe(403);
+    expect((await post({ query: '# mutation\nquery { search(query: "mutation {", type: USER, first: 1) { userCount } }' })).status).toBe(200);
+    expect((await request(proxy, 'POST', '/graphql', { origin: APP_ORIGIN }, 'not json')).status).toBe(400);
+  });
+
+  it('aceita apenas a origem configurada e responde ao preflight', async () => {
+    const proxy = await createProxy({ allowedOrigin: APP_ORIGIN });
+
+    const preflight = await request(proxy, 'OPTIONS', '/graphql', { origin: APP_ORIGIN });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['access-control-allow-origin']).toBe(APP_ORIGIN);
+
+    expect((await request(proxy, 'POST', '/graphql', { origin: APP_ORIGIN })).status).toBe(200);
+    expect((await request(proxy, 'POST', '/graphql', { origin: 'https://evil.example' })).status).toBe(403);
+  });
+
+  it('sem origem configurada, aceita apenas a própria origem do proxy', async () => {
+    const proxy = await createProxy();
+    const ownOrigin = `http://127.0.0.1:${proxy.address().port}`;
+
+    expect((await request(proxy, 'POST', '/graphql', { origin: ownOrigin })).status).toBe(200);
+    expect((await request(proxy, 'POST', '/graphql', { origin: APP_ORIGIN })).status).toBe(403);
+  });
+
+  it('exige Origin ou Sec-Fetch-Site da mesma origem em POSTs', async () => {
+    const proxy = await createProxy();
+
+    expect((await request(proxy, 'GET', '/users/octocat')).status).toBe(200);
+    expect((await request(proxy, 'POST', '/graphql')).status).toBe(403);
+    expect((await request(proxy, 'POST', '/graphql', { 'sec-fetch-site': 'cross-site' })).status).toBe(403);
+    expect((await request(proxy, 'POST', '/graphql', { 'sec-fetch-site': 'same-origin' })).status).toBe(200);
+  });
+
+  it('responde 502 quando o GitHub não está acessível', async () => {
+    const proxy = await createProxy({ target: 'http://127.0.0.1:9' });
+
+    const response = await request(proxy, 'GET', '/users/octocat');
+
+    expect(response.status).toBe(502);
+    expect(response.body.message).toMatch(/^Bad gateway/);
+  });
+});
@@ -1,9 +1,23 @@
 const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const Dotenv = require('dotenv-webpack');
+const { createGitHubProxy, DEFAULT_PREFIX } = require('./server/githubProxy');
 
 module.exports = (env, argv) => {
   const isProduction = argv.mode === 'production';
+  const dotenv = new Dotenv({
+    path: isProduction ? './.env.production' : './.env.development',
+  });
+
+  // Modo proxy: o dotenv-webpack embute no bundle toda referência a process.env.REACT_APP_GITHUB_TOKEN,
+  // mesmo em trechos que não executam; com o proxy configurado o token não pode estar no .env
+  const envVariables = dotenv.gatherVariables();
+  if (envVariables.REACT_APP_GITHUB_PROXY_URL && envVariables.REACT_APP_GITHUB_TOKEN) {
+    throw new Error(
+      'REACT_APP_GITHUB_TOKEN não pode ser usado junto com REACT_APP_GITHUB_PROXY_URL: o token seria embutido no bundle. ' +
+      'Remova-o do .env e defina GITHUB_TOKEN no ambiente do servidor do proxy.'
+    );
+  }
 
   return {
     entry: './src/main.js',
@@ -59,9 +73,7 @@ module.exports = (env, argv) => {
           minifyURLs: true,
         }
       }),
-      new Dotenv({
-        path: isProduction ? './.env.production' : './.env.development',
-      }),
+      dotenv,
     ],
     devServer: {
       static: {
@@ -72,6 +84,15 @@ module.exports = (env, argv) => {
       hot: true,
       open: true,
       historyApiFallback: true,
+      // Proxy da API do GitHub: o token (GITHUB_TOKEN) fica no servidor de desenvolvimento
+      setupMiddlewares: (middlewares) => {
+        middlewares.unshift({
+          name: 'github-proxy',
+          path: DEFAULT_PREFIX,
+          middleware: createGitHubProxy(),
+        });
+        return middlewares;
+      },
       client: {
         overlay: {
           errors: true,